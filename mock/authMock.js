@@ -0,0 +1,140 @@
+/**
+ * Auth Endpoint Mock
+ *
+ * Design Patterns Used:
+ * 1. Plugin Pattern - Vite plugin serving the endpoint from the dev and preview servers
+ * 2. Test Double Pattern - Fixed accounts stand in for the real identity provider
+ *
+ * Answers POST /api/auth/login (AUTH_CONFIG.DEFAULT_URL in src/utils/auth.js)
+ * during local development, so the app can be signed into without a backend.
+ * vite.config.js only installs it when VITE_AUTH_URL is unset; it is never
+ * part of the production bundle. Tokens are opaque and not checked by anyone.
+ */
+
+// Mock configuration
+export const AUTH_MOCK_CONFIG = {
+  PATH: "/api/auth/login",
+  PASSWORD: "sager",
+  // Override with AUTH_MOCK_SESSION_SECONDS to try session expiry
+  SESSION_SECONDS: 8 * 60 * 60,
+  USERS: [
+    {
+      email: "admin@sager.test",
+      fullName: "Hazem Odeh",
+      title: "Operations Administrator",
+      role: "admin",
+      organization: "Sager Drone",
+    },
+    {
+      email: "pilot@sager.test",
+      fullName: "Lina Haddad",
+      title: "Drone Pilot",
+      role: "pilot",
+      organization: "Sager Drone",
+    },
+    {
+      email: "observer@sager.test",
+      fullName: "Omar Khalil",
+      title: "Airspace Observer",
+      role: "observer",
+      organization: "Civil Aviation",
+    },
+  ],
+};
+
+/**
+ * Reads a JSON request body
+ * @param {Object} request - Node request
+ * @returns {Promise<*>} Parsed body (null when unreadable or invalid)
+ */
+const readJson = (request) =>
+  new Promise((resolve) => {
+    let raw = "";
+    request.on("data", (chunk) => {
+      raw += chunk;
+    });
+    request.on("error", () => resolve(null));
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+
+/**
+ * Whether a parsed body is a credentials object
+ * @param {*} body - Parsed JSON body
+ * @returns {boolean} True for { email: string, password: string }
+ */
+const isCredentials = (body) =>
+  body !== null &&
+  typeof body === "object" &&
+  typeof body.email === "string" &&
+  typeof body.password === "string";
+
+/**
+ * Sends a JSON response
+ * @param {Object} response - Node response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (response, status, body) => {
+  response.statusCode = status;
+  response.setHeader("Content-Type", "application/json");
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Creates the login request handler
+ * @param {number} sessionSeconds - Token lifetime
+ * @returns {Function} Connect middleware
+ */
+const createLoginHandler = (sessionSeconds) => async (request, response) => {
+  if (request.method !== "POST") {
+    sendJson(response, 405, { message: "Method not allowed" });
+    return;
+  }
+  const body = await readJson(request);
+  if (!isCredentials(body)) {
+    sendJson(response, 400, {
+      message: "Expected a JSON body with email and password strings",
+    });
+    return;
+  }
+  const { email, password } = body;
+  const user = AUTH_MOCK_CONFIG.USERS.find(
+    (candidate) => candidate.email === email.trim().toLowerCase()
+  );
+  if (!user || password !== AUTH_MOCK_CONFIG.PASSWORD) {
+    sendJson(response, 401, { message: "Invalid email or password" });
+    return;
+  }
+  sendJson(response, 200, {
+    token: `mock.${crypto.randomUUID()}`,
+    expiresIn: sessionSeconds,
+    user,
+  });
+};
+
+/**
+ * Vite plugin serving the mock login endpoint
+ * @param {Object} [options] - Plugin options
+ * @param {number} [options.sessionSeconds] - Token lifetime
+ * @returns {Object} Vite plugin
+ */
+export const authMock = ({
+  sessionSeconds = AUTH_MOCK_CONFIG.SESSION_SECONDS,
+} = {}) => {
+  const handler = createLoginHandler(sessionSeconds);
+  return {
+    name: "sager-auth-mock",
+    configureServer: (server) => {
+      server.middlewares.use(AUTH_MOCK_CONFIG.PATH, handler);
+    },
+    configurePreviewServer: (server) => {
+      server.middlewares.use(AUTH_MOCK_CONFIG.PATH, handler);
+    },
+  };
+};
@@ -1,15 +1,32 @@
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Layout from "./components/Layout";
+import ProtectedRoute from "./components/auth/ProtectedRoute";
+import DashboardPage from "./pages/DashboardPage";
+import LoginPage from "./pages/LoginPage";
 import MapPage from "./pages/MapPage";
+import { CAPABILITIES } from "./utils/permissions";
 import "./App.css";
 
 function App() {
   return (
     <BrowserRouter>
       <Routes>
-        <Route element={<Layout />}>
-          <Route path="/" element={<></>} />
-          <Route path="/map" element={<MapPage />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route element={<ProtectedRoute />}>
+          <Route element={<Layout />}>
+            <Route
+              element={
+                <ProtectedRoute capability={CAPABILITIES.VIEW_DASHBOARD} />
+              }
+            >
+              <Route path="/" element={<DashboardPage />} />
+            </Route>
+            <Route
+              element={<ProtectedRoute capability={CAPABILITIES.VIEW_MAP} />}
+            >
+              <Route path="/map" element={<MapPage />} />
+            </Route>
+          </Route>
         </Route>
       </Routes>
     </BrowserRouter>
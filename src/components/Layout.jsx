@@ -1,12 +1,17 @@
+import { useEffect } from "react";
 import Navbar from "./layout/Navbar";
 import TabNavigation from "./layout/TabNavigation";
 import { Outlet } from "react-router-dom";
+import { startTelemetryStore } from "../utils/telemetryStore";
 
 export default function Layout() {
+  // Pattern: Singleton Pattern - One telemetry subscription for every tab
+  useEffect(() => startTelemetryStore(), []);
+
   return (
     <div className="h-screen bg-black flex flex-col">
       <Navbar />
-      <main className="flex-1 flex">
+      <main className="flex-1 min-h-0 flex">
         <TabNavigation />
         <Outlet />
       </main>
@@ -1,23 +1,99 @@
-import { useEffect, useRef, useCallback } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import mapboxgl from "mapbox-gl";
 import "mapbox-gl/dist/mapbox-gl.css";
+import {
+  LINK_STATES,
+  getDroneStatus,
+  getLinkState,
+} from "../utils/droneStatus";
+import { DEFAULT_MAP_CENTER, getBounds } from "../utils/geo";
+import { getDroneMetrics } from "../utils/droneMetrics";
+import {
+  getSelectionColor,
+  getSelectionForClick,
+  isAdditiveSelection,
+  mergeRegistrations,
+} from "../utils/droneSelection";
+import {
+  escapeHtml,
+  formatAltitude,
+  formatDuration,
+  formatHeading,
+  formatSpeed,
+  formatTimeAgo,
+} from "../utils/format";
+import {
+  LAYER_IDS,
+  addDroneImages,
+  addDroneLayers,
+  buildDroneFeatures,
+} from "./map/droneLayers";
+import {
+  GEOFENCE_LAYER_IDS,
+  addGeofenceEditLayers,
+  addGeofenceLayers,
+  buildGeofenceFeatures,
+} from "./map/geofenceLayers";
+import {
+  CAMERA_CONFIG,
+  CAMERA_MODES,
+  getModeForSelection,
+  isFollowMode,
+} from "./map/cameraModes";
+import CameraModeControl from "./map/CameraModeControl";
+import { registerMapCapture } from "./map/mapCapture";
+import useGeofenceEditing from "../hooks/useGeofenceEditing";
+import useLassoSelection from "../hooks/useLassoSelection";
+import useI18n from "../hooks/useI18n";
+import usePermissions from "../hooks/usePermissions";
+import { LOCALES, getLocale, translate } from "../utils/i18n";
+import { CAPABILITIES } from "../utils/permissions";
 
 /**
  * MapContainer Component
  *
  * Design Patterns Used:
  * 1. Singleton Pattern - Single map instance management
- * 2. Observer Pattern - Event-driven interactions with map and markers
+ * 2. Observer Pattern - Event-driven interactions with map layers
  * 3. Strategy Pattern - Different visual strategies based on drone state
- * 4. Factory Pattern - Dynamic marker and popup creation
+ * 4. Factory Pattern - Dynamic popup creation
  * 5. Facade Pattern - Simplified interface over complex Mapbox API
  * 6. Command Pattern - Event handlers encapsulate user actions
  * 7. State Management Pattern - Ref-based state for map instances
  * 8. Lifecycle Management Pattern - Proper cleanup and initialization
  *
+ * Drones are drawn by a clustered GeoJSON symbol layer (see ./map/droneLayers)
+ * so thousands of drones cost one setData per frame instead of DOM updates.
+ * Selection and hover are feature-state, shown as a halo under the icon.
+ * Shift/ctrl-click toggles drones in the selection and shift-drag box-selects
+ * them (see useLassoSelection); with several drones selected their trails are
+ * highlighted in their comparison colors.
+ * The camera follows the active camera mode (see ./map/cameraModes); dragging
+ * the map returns it to free mode without clearing the selection.
+ * While mounted the map is the source for the navbar capture tool (see
+ * ./map/mapCapture).
+ * Basemap labels and the hover popup follow the interface language; for
+ * right-to-left languages the zoom controls move to the top-left corner.
+ * Geofences are only drawn and reshaped for users with the EDIT_GEOFENCES
+ * capability; others can still highlight a zone (see permissions.js).
+ *
  * @param {Array} droneData - Array of drone objects with positions and properties
- * @param {string} selectedDrone - Currently selected drone registration
+ * @param {string} selectedDrone - Primary selected drone registration (followed by the camera)
  * @param {Function} setSelectedDrone - Function to update selected drone
+ * @param {Array<string>} [selectedDrones] - Every selected registration, in selection order
+ * @param {Function} [setSelectedDrones] - Replaces the selection (list or updater)
+ * @param {Object|null} historyFlight - Recorded flight whose track should be drawn
+ * @param {number} [statusTime] - Clock used for status classification (replay time; defaults to now)
+ * @param {Array} [geofences] - Geofences to draw
+ * @param {Set} [breachedZones] - Ids of zones with a drone in breach (highlighted)
+ * @param {Set} [breachedDrones] - Registrations violating a geofence (recolored)
+ * @param {Map} [alertedDrones] - Registration -> active alert severity (ringed)
+ * @param {Set|null} [matchedDrones] - Registrations matching the drone list filter;
+ *   other drones and their trails are dimmed (null when nothing is filtered)
+ * @param {Object} [geofenceEditing] - Drawing/editing state and callbacks (see useGeofenceEditing)
+ * @param {Object|null} [initialView] - Camera ({ center, zoom, bearing }) used when the map is created
+ * @param {Function} [onViewChange] - Called with the camera after every move, except
+ *   while a follow mode drives it (then once the mode ends)
  */
 
 // Mapbox access token configuration
@@ -27,49 +103,77 @@ mapboxgl.accessToken =
 // Configuration constants for better maintainability
 const MAP_CONFIG = {
   STYLE: "mapbox://styles/mapbox/dark-v11",
-  CENTER: [35.832253, 31.851025],
+  CENTER: DEFAULT_MAP_CENTER,
   ZOOM: 12,
-  SELECTED_ZOOM: 15,
-  FLY_DURATION: 1000,
-  ANIMATION_BUFFER: 1100,
+  // Shapes Arabic basemap labels; loaded only once RTL text is on screen
+  RTL_TEXT_PLUGIN:
+    "https://api.mapbox.com/mapbox-gl-js/plugins/mapbox-gl-rtl-text/v0.2.3/mapbox-gl-rtl-text.js",
 };
 
+/**
+ * Corner for the zoom/compass controls: the end side of the reading direction
+ * @param {string} locale - LOCALES key
+ * @returns {string} Mapbox control position
+ */
+const getControlPosition = (locale) =>
+  LOCALES[locale].dir === "rtl" ? "top-left" : "top-right";
+
 const DRONE_CONFIG = {
-  MARKER_SIZE: 40,
-  ICON_SIZE: 24,
-  ARROW_SIZE: 12,
-  PATH_WIDTH: 3,
-  PATH_OPACITY: 0.8,
   CURVE_STEPS: 20,
   CURVE_OFFSET_FACTOR: 0.3,
   MAX_CURVE_OFFSET: 0.01,
 };
 
 const COLORS = {
-  ACTIVE: "#00FF00",
-  INACTIVE: "#FF0000",
-  BORDER: "white",
-  SELECTED_GLOW: "rgba(255, 255, 255, 0.8)",
+  HISTORY_TRACK: "#38BDF8",
+};
+
+const HISTORY_TRACK_CONFIG = {
+  SOURCE_ID: "flight-history-track",
+  WIDTH: 4,
+  DASH: [2, 1],
+  FIT_PADDING: 80,
+  MAX_ZOOM: 16,
 };
 
 /**
- * Creates smooth curved path from coordinates using quadratic Bezier curves
- * Pattern: Algorithm Strategy - Implements specific path smoothing strategy
- * @param {Array} coordinates - Array of [lng, lat] coordinate pairs
- * @returns {Array} Smoothed coordinate array
+ * Runs a callback once the map style can accept sources and layers
+ * @param {mapboxgl.Map} map - Map instance
+ * @param {Function} callback - Work to run
+ * @returns {Function} Cancels a pending callback
  */
+const whenStyleLoaded = (map, callback) => {
+  if (map.isStyleLoaded()) {
+    callback();
+    return () => {};
+  }
+  map.once("idle", callback);
+  return () => map.off("idle", callback);
+};
+
 /**
- * Creates smooth curved path from coordinates using quadratic Bezier curves
+ * Reads the camera in the shape reported to onViewChange
+ * @param {mapboxgl.Map} map - Map instance
+ * @returns {{center: Array<number>, zoom: number, bearing: number}} Camera
+ */
+const getCameraView = (map) => {
+  const center = map.getCenter();
+  return {
+    center: [center.lng, center.lat],
+    zoom: map.getZoom(),
+    bearing: map.getBearing(),
+  };
+};
+
+/**
+ * Appends quadratic Bezier curve points for every segment from startIndex onward
  * Pattern: Algorithm Strategy - Implements specific path smoothing strategy
+ * @param {Array} curvedCoords - Target array (mutated), already ending at coordinates[startIndex]
  * @param {Array} coordinates - Array of [lng, lat] coordinate pairs
- * @returns {Array} Smoothed coordinate array
+ * @param {number} startIndex - Index of the first segment start to smooth
  */
-const createCurvedPath = (coordinates) => {
-  if (coordinates.length < 2) return coordinates;
-
-  const curvedCoords = [coordinates[0]];
-
-  for (let i = 0; i < coordinates.length - 1; i++) {
+const appendCurvedSegments = (curvedCoords, coordinates, startIndex) => {
+  for (let i = startIndex; i < coordinates.length - 1; i++) {
     const start = coordinates[i];
     const end = coordinates[i + 1];
 
@@ -89,7 +193,7 @@ const createCurvedPath = (coordinates) => {
     const controlLat = midLat + dx * curveOffset;
 
     // Generate smooth curve using quadratic Bezier interpolation
-    for (let t = 0; t <= DRONE_CONFIG.CURVE_STEPS; t++) {
+    for (let t = 1; t <= DRONE_CONFIG.CURVE_STEPS; t++) {
       const u = t / DRONE_CONFIG.CURVE_STEPS;
       const u2 = u * u;
       const u3 = 1 - u;
@@ -98,37 +202,187 @@ const createCurvedPath = (coordinates) => {
       const lat = u4 * start[1] + 2 * u3 * u * controlLat + u2 * end[1];
       const lng = u4 * start[0] + 2 * u3 * u * controlLng + u2 * end[0];
 
-      if (t > 0 || i === 0) curvedCoords.push([lng, lat]);
+      curvedCoords.push([lng, lat]);
     }
   }
+};
+
+/**
+ * Creates smooth curved path from coordinates using quadratic Bezier curves
+ * Pattern: Algorithm Strategy - Implements specific path smoothing strategy
+ * @param {Array} coordinates - Array of [lng, lat] coordinate pairs
+ * @returns {Array} Smoothed coordinate array
+ */
+const createCurvedPath = (coordinates) => {
+  if (coordinates.length < 2) return coordinates;
 
+  const curvedCoords = [coordinates[0]];
+  appendCurvedSegments(curvedCoords, coordinates, 0);
   return curvedCoords;
 };
 
+/**
+ * Returns the smoothed trail for a drone, smoothing only newly appended points
+ * Pattern: Memoization Pattern - Cache keyed by registration, trail id and version
+ * @param {Object} cache - Mutable cache object (registration -> entry)
+ * @param {Object} drone - Drone data object from the drone store (trailId is
+ *   unique per store record, so a new store always re-smooths)
+ * @returns {{coordinates: Array, changed: boolean}} Smoothed path and whether it changed
+ */
+const getSmoothedPath = (cache, drone) => {
+  const reg = drone.properties.registration;
+  const { positions, trailId, trailVersion } = drone;
+  const cached = cache[reg];
+
+  // History was only appended to - extend the cached curve
+  if (
+    cached &&
+    cached.trailId === trailId &&
+    cached.trailVersion === trailVersion &&
+    cached.count <= positions.length
+  ) {
+    if (cached.count === positions.length) {
+      return { coordinates: cached.coordinates, changed: false };
+    }
+    appendCurvedSegments(cached.coordinates, positions, cached.count - 1);
+    cached.count = positions.length;
+    return { coordinates: cached.coordinates, changed: true };
+  }
+
+  // History was trimmed or simplified - smooth from scratch
+  const coordinates = createCurvedPath(positions);
+  cache[reg] = {
+    trailId,
+    trailVersion,
+    count: positions.length,
+    coordinates,
+  };
+  return { coordinates, changed: true };
+};
+
+/**
+ * Builds the hover popup markup for a drone, in the active language
+ * Pattern: Template Method - Standardized popup content generation
+ * Every server-provided value is escaped before interpolation.
+ * @param {Object} drone - Drone data object
+ * @param {number} now - Clock used for status classification
+ * @returns {string} Popup HTML
+ */
+const createPopupContent = (drone, now) => {
+  const { registration, Name, pilot, organization } = drone.properties;
+  const { state } = getDroneStatus(drone, now);
+  const metrics = getDroneMetrics(drone);
+  const link = getLinkState(drone, now);
+  const rows = [
+    ["popup.registration", registration],
+    ["popup.status", translate(`status.${state}`)],
+    ...(link.state === LINK_STATES.LIVE
+      ? []
+      : [["popup.lastSeen", formatTimeAgo(metrics.lastSeen, now)]]),
+    ["popup.altitude", formatAltitude(metrics.altitude)],
+    ["popup.speed", formatSpeed(metrics.groundSpeed)],
+    ["popup.heading", formatHeading(metrics.heading)],
+    ["popup.flightTime", formatDuration(metrics.duration)],
+    ["popup.pilot", pilot],
+    ["popup.organization", organization],
+  ];
+
+  return `
+    <div style="
+      background-color: #000;
+      padding: 8px;
+      border-radius: 6px;
+      font-size: 13px;
+    ">
+      <strong>${escapeHtml(Name ?? registration)}</strong><br/>
+      ${rows
+        .map(
+          ([key, value]) => `${translate(key)}: ${escapeHtml(value ?? "—")}`
+        )
+        .join("<br/>")}
+    </div>
+  `;
+};
+
+// Stable defaults so effects don't re-run for omitted props
+const NO_GEOFENCES = [];
+const NO_BREACHES = new Set();
+const NO_ALERTS = new Map();
+const NO_SELECTION = [];
+
 export default function MapContainer({
   droneData,
   selectedDrone,
   setSelectedDrone,
+  selectedDrones = NO_SELECTION,
+  setSelectedDrones,
+  historyFlight = null,
+  statusTime,
+  geofences = NO_GEOFENCES,
+  breachedZones = NO_BREACHES,
+  breachedDrones = NO_BREACHES,
+  alertedDrones = NO_ALERTS,
+  matchedDrones = null,
+  geofenceEditing = {},
+  initialView = null,
+  onViewChange,
 }) {
   // Ref Management Pattern - Persistent references across re-renders
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
-  const markersRef = useRef({});
-  const isProgrammaticMove = useRef(false);
+  const pathCacheRef = useRef({});
+  const selectedFeaturesRef = useRef(new Set());
+  // Last camera target ({ mode, registration, drone, fitKey }); clock-only re-renders must not move it
+  const cameraTargetRef = useRef(null);
+  const hoverRef = useRef({ registration: null, popup: null });
+  const latestRef = useRef({ drones: new Map(), now: Date.now() });
+  // Pattern: Role-Based Access Control - Read-only users get no drawing tool or handles
+  const { can } = usePermissions();
+  const canEditGeofences = can(CAPABILITIES.EDIT_GEOFENCES);
+  const geofenceDrawMode = canEditGeofences
+    ? geofenceEditing.drawMode ?? null
+    : null;
+  // Clicks belong to the geofence drawing tool while it is active
+  const isDrawingRef = useRef(false);
+  isDrawingRef.current = Boolean(geofenceDrawMode);
+  // Read only when the map is created
+  const initialViewRef = useRef(initialView);
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  const setSelectedDronesRef = useRef(setSelectedDrones);
+  setSelectedDronesRef.current = setSelectedDrones;
+
+  // Pattern: Memoization Pattern - Lookup set and trail colors per selection
+  const selectedSet = useMemo(() => new Set(selectedDrones), [selectedDrones]);
+  const selectionColors = useMemo(
+    () =>
+      new Map(
+        selectedDrones.length > 1
+          ? selectedDrones.map((registration, index) => [
+              registration,
+              getSelectionColor(index),
+            ])
+          : []
+      ),
+    [selectedDrones]
+  );
 
-  /**
-   * Creates stable callback for resetting drone selection
-   * Pattern: Callback Pattern - Memoized event handler to prevent unnecessary re-renders
-   * Pattern: Guard Pattern - Prevents reset during programmatic map movements
-   */
-  const resetSelection = useCallback(() => {
-    // Guard clause: Don't reset if this is a programmatic move (like flyTo)
-    if (isProgrammaticMove.current) {
-      return;
-    }
-    console.log("User interaction detected - resetting selection");
-    setSelectedDrone(null);
-  }, [setSelectedDrone]);
+  // Drone sources and layers exist only once the style and marker images are loaded
+  const [isMapReady, setIsMapReady] = useState(false);
+  const { locale } = useI18n();
+
+  // Pattern: State Pattern - Camera mode, following new selections
+  const [cameraMode, setCameraMode] = useState(() =>
+    getModeForSelection(CAMERA_MODES.FREE, selectedDrones)
+  );
+  const [cameraSelection, setCameraSelection] = useState(selectedDrones);
+  if (selectedDrones !== cameraSelection) {
+    setCameraSelection(selectedDrones);
+    setCameraMode(getModeForSelection(cameraMode, selectedDrones));
+  }
+  // Read by the map's moveend listener
+  const cameraModeRef = useRef(cameraMode);
+  cameraModeRef.current = cameraMode;
 
   /**
    * Map Initialization Effect
@@ -139,19 +393,43 @@ export default function MapContainer({
     // Singleton guard: prevent multiple map instances
     if (mapRef.current) return;
 
-    // Initialize Mapbox map with configuration
-    mapRef.current = new mapboxgl.Map({
+    if (mapboxgl.getRTLTextPluginStatus() === "unavailable") {
+      mapboxgl.setRTLTextPlugin(MAP_CONFIG.RTL_TEXT_PLUGIN, null, true);
+    }
+
+    // Initialize Mapbox map with configuration (or the restored camera)
+    const view = initialViewRef.current;
+    const map = new mapboxgl.Map({
       container: mapContainerRef.current,
       style: MAP_CONFIG.STYLE,
-      center: MAP_CONFIG.CENTER,
-      zoom: MAP_CONFIG.ZOOM,
+      center: view?.center ?? MAP_CONFIG.CENTER,
+      zoom: view?.zoom ?? MAP_CONFIG.ZOOM,
+      bearing: view?.bearing ?? 0,
+      language: LOCALES[getLocale()].mapLanguage,
+    });
+    mapRef.current = map;
+
+    // Pattern: Observer Pattern - Report the camera once each move settles.
+    // Following eases the camera on every frame, so those moves are skipped
+    map.on("moveend", () => {
+      if (isFollowMode(cameraModeRef.current)) return;
+      onViewChangeRef.current?.(getCameraView(map));
     });
 
-    // Add navigation controls
-    mapRef.current.addControl(new mapboxgl.NavigationControl(), "top-right");
+    // Register marker images, then the drone sources and layers
+    map.on("load", async () => {
+      await addDroneImages(map);
+      if (mapRef.current !== map) return;
+      addGeofenceLayers(map);
+      addDroneLayers(map);
+      addGeofenceEditLayers(map);
+      setIsMapReady(true);
+    });
 
     // Cleanup function for component unmounting
     return () => {
+      hoverRef.current.popup?.remove();
+      hoverRef.current = { registration: null, popup: null };
       if (mapRef.current) {
         mapRef.current.remove();
         mapRef.current = null;
@@ -159,307 +437,568 @@ export default function MapContainer({
     };
   }, []);
 
+  /**
+   * Map Language Effect
+   * Pattern: Observer Pattern - Relabels the basemap and moves the zoom
+   * controls to the end side when the interface language changes
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const { mapLanguage } = LOCALES[locale];
+    if (map.getLanguage() !== mapLanguage) map.setLanguage(mapLanguage);
+
+    const control = new mapboxgl.NavigationControl();
+    map.addControl(control, getControlPosition(locale));
+
+    // A removed map has already dropped its controls
+    let isRemoved = false;
+    const handleRemove = () => {
+      isRemoved = true;
+    };
+    map.once("remove", handleRemove);
+
+    return () => {
+      if (isRemoved) return;
+      map.off("remove", handleRemove);
+      map.removeControl(control);
+    };
+  }, [locale]);
+
   /**
    * Map Event Listeners Setup Effect
    * Pattern: Observer Pattern - Map observes user interactions and responds accordingly
    * Pattern: Event Delegation - Multiple event types handled through common interface
    */
   useEffect(() => {
-    if (!mapRef.current) return;
+    const map = mapRef.current;
+    if (!map || !isMapReady) return;
 
     /**
-     * Event Handler Factory - Creates consistent event handlers
-     * Pattern: Factory Pattern - Standardized event handler creation
+     * User Camera Handler - Taking the camera drops back to free mode
+     * Pattern: Guard Pattern - Only events with an input event come from the
+     * operator; the camera's own flyTo/easeTo/fitBounds carry none
      */
-    const createInteractionHandler = (eventType) => () => {
-      console.log(`${eventType} interaction detected`);
-      resetSelection();
+    const handleUserCameraMove = (e) => {
+      if (!e.originalEvent) return;
+      setCameraMode(CAMERA_MODES.FREE);
     };
 
-    // Create specific event handlers
-    const handleDragStart = createInteractionHandler("Drag");
-    const handleWheel = createInteractionHandler("Wheel");
-    const handleBoxZoomStart = createInteractionHandler("BoxZoom");
-    const handleDoubleClick = createInteractionHandler("DoubleClick");
-    const handleTouchStart = createInteractionHandler("Touch");
-
     /**
      * Map Click Handler - Handles clicks on map background
-     * Pattern: Event Filtering - Distinguishes between marker and map clicks
+     * Pattern: Event Filtering - Distinguishes between drone, cluster and map clicks;
+     * modified clicks (which also end a box selection) keep the selection
      */
     const handleClick = (e) => {
-      // Check if click was on the map itself, not on a marker
-      const features = mapRef.current.queryRenderedFeatures(e.point);
-      const clickedOnMarker =
-        e.originalEvent.target.closest(".mapboxgl-marker");
-
-      if (!clickedOnMarker && features.length === 0) {
-        console.log("Map background clicked");
-        resetSelection();
+      if (isDrawingRef.current || isAdditiveSelection(e.originalEvent)) return;
+      const features = map.queryRenderedFeatures(e.point, {
+        layers: [LAYER_IDS.ICONS, LAYER_IDS.CLUSTERS],
+      });
+
+      if (features.length === 0) {
+        setSelectedDrone(null);
+      }
+    };
+
+    /**
+     * Drone Click Handler - Selects the clicked drone (toggles it when modified)
+     */
+    const handleDroneClick = (e) => {
+      if (isDrawingRef.current) return;
+      const reg = e.features[0]?.properties.registration;
+      if (!reg) return;
+      const setSelection = setSelectedDronesRef.current;
+      if (setSelection) {
+        setSelection((list) => getSelectionForClick(list, reg, e.originalEvent));
+      } else {
+        setSelectedDrone(reg);
+      }
+    };
+
+    /**
+     * Cluster Click Handler - Zooms in until the cluster breaks apart
+     */
+    const handleClusterClick = (e) => {
+      if (isDrawingRef.current) return;
+      const feature = e.features[0];
+      if (!feature) return;
+      map
+        .getSource(LAYER_IDS.DRONES_SOURCE)
+        .getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+          if (error) return;
+          map.easeTo({ center: feature.geometry.coordinates, zoom });
+        });
+    };
+
+    /**
+     * Hover Handlers - Halo via feature-state plus an information popup
+     * Pattern: State Pattern - Hover state lives on the feature, not in React
+     */
+    const setHovered = (reg) => {
+      const hover = hoverRef.current;
+      if (hover.registration === reg) return;
+
+      if (hover.registration) {
+        map.setFeatureState(
+          { source: LAYER_IDS.DRONES_SOURCE, id: hover.registration },
+          { hover: false }
+        );
       }
+      hover.popup?.remove();
+      hoverRef.current = { registration: reg, popup: null };
+      if (!reg) return;
+
+      map.setFeatureState(
+        { source: LAYER_IDS.DRONES_SOURCE, id: reg },
+        { hover: true }
+      );
+      const drone = latestRef.current.drones.get(reg);
+      if (!drone) return;
+      hoverRef.current.popup = new mapboxgl.Popup({
+        closeButton: false,
+        closeOnClick: false,
+      })
+        .setLngLat(drone.geometry.coordinates)
+        .setHTML(createPopupContent(drone, latestRef.current.now))
+        .addTo(map);
+    };
+
+    const handleDroneHover = (e) => {
+      map.getCanvas().style.cursor = "pointer";
+      setHovered(e.features[0]?.properties.registration ?? null);
+    };
+
+    const handleDroneLeave = () => {
+      map.getCanvas().style.cursor = "";
+      setHovered(null);
+    };
+
+    const setPointer = () => {
+      map.getCanvas().style.cursor = "pointer";
+    };
+    const clearPointer = () => {
+      map.getCanvas().style.cursor = "";
     };
 
     // Register event listeners using Observer pattern
     const eventHandlers = [
-      ["dragstart", handleDragStart],
-      ["wheel", handleWheel],
-      ["boxzoomstart", handleBoxZoomStart],
-      ["dblclick", handleDoubleClick],
-      ["touchstart", handleTouchStart],
+      ["dragstart", handleUserCameraMove],
+      ["rotatestart", handleUserCameraMove],
+      ["pitchstart", handleUserCameraMove],
+      ["boxzoomstart", handleUserCameraMove],
       ["click", handleClick],
     ];
+    const layerHandlers = [
+      ["click", LAYER_IDS.ICONS, handleDroneClick],
+      ["mousemove", LAYER_IDS.ICONS, handleDroneHover],
+      ["mouseleave", LAYER_IDS.ICONS, handleDroneLeave],
+      ["click", LAYER_IDS.CLUSTERS, handleClusterClick],
+      ["mouseenter", LAYER_IDS.CLUSTERS, setPointer],
+      ["mouseleave", LAYER_IDS.CLUSTERS, clearPointer],
+    ];
 
-    eventHandlers.forEach(([event, handler]) => {
-      mapRef.current.on(event, handler);
-    });
+    eventHandlers.forEach(([event, handler]) => map.on(event, handler));
+    layerHandlers.forEach(([event, layer, handler]) =>
+      map.on(event, layer, handler)
+    );
 
     // Cleanup function - removes all event listeners
     return () => {
-      if (mapRef.current) {
-        eventHandlers.forEach(([event, handler]) => {
-          mapRef.current.off(event, handler);
-        });
-      }
+      if (mapRef.current !== map) return;
+      eventHandlers.forEach(([event, handler]) => map.off(event, handler));
+      layerHandlers.forEach(([event, layer, handler]) =>
+        map.off(event, layer, handler)
+      );
     };
-  }, [resetSelection]);
+  }, [setSelectedDrone, isMapReady]);
 
   /**
-   * Determines drone status and color based on registration pattern
-   * Pattern: Strategy Pattern - Different color strategies based on drone state
-   * @param {string} registration - Drone registration number
-   * @returns {Object} Status information and color
+   * Drone Layer and Paths Update Effect
+   * Pattern: Command Pattern - One setData per source instead of per-drone DOM updates
+   * Pattern: State Synchronization - Keeps visual state in sync with data
    */
-  const getDroneStatus = (registration) => {
-    const isFlyable = registration.split("-")[1]?.startsWith("B");
-    return {
-      isFlyable,
-      color: isFlyable ? COLORS.ACTIVE : COLORS.INACTIVE,
-      status: isFlyable ? "Active" : "Inactive",
-    };
-  };
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady) return;
 
-  /**
-   * Creates drone marker element with styling and directional indicator
-   * Pattern: Factory Pattern - Creates standardized marker elements
-   * Pattern: Builder Pattern - Builds complex DOM elements step by step
-   * @param {Object} drone - Drone data object
-   * @param {string} color - Marker color
-   * @returns {HTMLElement} Configured marker element
-   */
-  const createMarkerElement = (drone, color) => {
-    // Create main marker container
-    const el = document.createElement("div");
-    el.className = "drone-marker";
-    Object.assign(el.style, {
-      width: `${DRONE_CONFIG.MARKER_SIZE}px`,
-      height: `${DRONE_CONFIG.MARKER_SIZE}px`,
-      background: color,
-      borderRadius: "50%",
-      border: `2px solid ${COLORS.BORDER}`,
-      cursor: "pointer",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      transform: `rotate(${drone.properties.yaw}deg)`,
+    const now = statusTime ?? Date.now();
+    const drones = new Map(
+      droneData.map((drone) => [drone.properties.registration, drone])
+    );
+    latestRef.current = { drones, now };
+
+    /**
+     * Drone Points - Status, heading and draw order are feature properties
+     * Pattern: Data-Driven Styling - Layer expressions pick icon and rotation
+     */
+    const droneFeatures = buildDroneFeatures(
+      droneData,
+      (drone) => ({
+        ...getDroneStatus(drone, now),
+        link: getLinkState(drone, now).state,
+      }),
+      selectedSet,
+      breachedDrones,
+      alertedDrones,
+      matchedDrones
+    );
+    map.getSource(LAYER_IDS.DRONES_SOURCE).setData(droneFeatures);
+    // Trails share the marker color (status, or geofence breach), aging and
+    // dimming; compared drones use their comparison color instead
+    const trailStyles = new Map(
+      droneFeatures.features.map(({ properties }) => [
+        properties.registration,
+        {
+          color:
+            selectionColors.get(properties.registration) ?? properties.color,
+          link: properties.link,
+          dimmed: properties.dimmed,
+          highlighted: properties.selected,
+        },
+      ])
+    );
+
+    /**
+     * Flight Paths - Smoothed incrementally, drawn from a single source
+     * Pattern: Memoization Pattern - Unchanged trails reuse their cached curve
+     */
+    let pathsChanged = false;
+    Object.keys(pathCacheRef.current).forEach((reg) => {
+      if (drones.has(reg)) return;
+      delete pathCacheRef.current[reg];
+      pathsChanged = true;
     });
 
-    // Create directional arrow indicator
-    const arrow = document.createElement("div");
-    Object.assign(arrow.style, {
-      position: "absolute",
-      width: "0",
-      height: "0",
-      borderLeft: "6px solid transparent",
-      borderRight: "6px solid transparent",
-      borderBottom: `${DRONE_CONFIG.ARROW_SIZE}px solid ${color}`,
-      top: "-14px",
-      left: "50%",
-      transform: "translateX(-50%)",
+    const pathFeatures = [];
+    droneData.forEach((drone) => {
+      if (drone.positions.length < 2) return;
+      const reg = drone.properties.registration;
+      const { coordinates, changed } = getSmoothedPath(
+        pathCacheRef.current,
+        drone
+      );
+      const { color, link, dimmed, highlighted } = trailStyles.get(reg);
+      const cached = pathCacheRef.current[reg];
+      if (
+        changed ||
+        cached.color !== color ||
+        cached.link !== link ||
+        cached.dimmed !== dimmed ||
+        cached.highlighted !== highlighted
+      ) {
+        pathsChanged = true;
+      }
+      cached.color = color;
+      cached.link = link;
+      cached.dimmed = dimmed;
+      cached.highlighted = highlighted;
+
+      pathFeatures.push({
+        type: "Feature",
+        properties: { registration: reg, color, link, dimmed, highlighted },
+        geometry: { type: "LineString", coordinates },
+      });
     });
-    el.appendChild(arrow);
 
-    // Create drone icon
-    const img = document.createElement("img");
-    Object.assign(img, {
-      src: "/drone.svg",
-      style: `width: ${DRONE_CONFIG.ICON_SIZE}px; height: ${DRONE_CONFIG.ICON_SIZE}px; pointer-events: none;`,
+    if (pathsChanged) {
+      map.getSource(LAYER_IDS.PATHS_SOURCE).setData({
+        type: "FeatureCollection",
+        features: pathFeatures,
+      });
+    }
+
+    /**
+     * Selection Halo - Moves the "selected" feature-state to the new selection
+     * Pattern: State Pattern - Different visual states based on selection
+     */
+    selectedFeaturesRef.current.forEach((reg) => {
+      if (selectedSet.has(reg) || !drones.has(reg)) return;
+      map.setFeatureState(
+        { source: LAYER_IDS.DRONES_SOURCE, id: reg },
+        { selected: false }
+      );
+    });
+    selectedFeaturesRef.current = selectedSet;
+    selectedSet.forEach((reg) => {
+      if (!drones.has(reg)) return;
+      map.setFeatureState(
+        { source: LAYER_IDS.DRONES_SOURCE, id: reg },
+        { selected: true }
+      );
     });
-    el.appendChild(img);
 
-    return el;
-  };
+    /**
+     * Hover Popup - Follows the hovered drone and refreshes its contents
+     */
+    const hover = hoverRef.current;
+    if (hover.registration && hover.popup) {
+      const drone = drones.get(hover.registration);
+      if (drone) {
+        hover.popup
+          .setLngLat(drone.geometry.coordinates)
+          .setHTML(createPopupContent(drone, now));
+      } else {
+        hover.popup.remove();
+        hoverRef.current = { registration: null, popup: null };
+      }
+    }
+  }, [
+    droneData,
+    selectedSet,
+    selectionColors,
+    statusTime,
+    breachedDrones,
+    alertedDrones,
+    matchedDrones,
+    isMapReady,
+  ]);
 
   /**
-   * Creates popup content for drone information display
-   * Pattern: Template Method - Standardized popup content generation
-   * @param {Object} drone - Drone data object
-   * @returns {mapboxgl.Popup} Configured popup instance
+   * Camera Effect
+   * Pattern: State Pattern - Each camera mode reacts to telemetry differently
+   * Pattern: Command Pattern - One fly, ease or fit per change of target
    */
-  const createDronePopup = (drone) => {
-    const { registration, Name, altitude, pilot, organization, yaw } =
-      drone.properties;
-
-    return new mapboxgl.Popup({
-      closeButton: false,
-      closeOnClick: false,
-    }).setHTML(`
-      <div style="
-        background-color: #000;
-        padding: 8px;
-        border-radius: 6px;
-        font-size: 13px;
-      ">
-        <strong>${Name}</strong><br/>
-        Registration: ${registration}<br/>
-        Altitude: ${altitude} m<br/>
-        Flight Time: ${drone.positions.length}s<br/>
-        Pilot: ${pilot}<br/>
-        Org: ${organization}<br/>
-        Yaw: ${yaw}°
-      </div>
-    `);
-  };
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady) return;
+    const previous = cameraTargetRef.current;
+
+    if (cameraMode === CAMERA_MODES.FIT_ALL) {
+      // Several selected drones narrow the fit to the selection
+      const isFittingSelection = selectedSet.size > 1;
+      const fitKey = isFittingSelection ? selectedDrones.join(",") : null;
+      const coordinates = droneData
+        .filter(
+          (drone) =>
+            !isFittingSelection ||
+            selectedSet.has(drone.properties.registration)
+        )
+        .map((drone) => drone.geometry.coordinates);
+      const bounds = getBounds(coordinates);
+      if (!bounds) return;
+      // Refit on entering the mode, then only once a drone leaves the view
+      if (
+        previous?.mode === CAMERA_MODES.FIT_ALL &&
+        previous.fitKey === fitKey
+      ) {
+        const view = map.getBounds();
+        if (
+          map.isMoving() ||
+          coordinates.every((position) => view.contains(position))
+        ) {
+          return;
+        }
+      }
+      cameraTargetRef.current = { mode: cameraMode, fitKey };
+      map.fitBounds(bounds, {
+        padding: CAMERA_CONFIG.FIT_PADDING,
+        maxZoom: CAMERA_CONFIG.FIT_MAX_ZOOM,
+        duration: CAMERA_CONFIG.FLY_DURATION,
+        essential: true,
+      });
+      return;
+    }
+
+    if (!isFollowMode(cameraMode)) {
+      // Remember the drone so following it again keeps the operator's zoom
+      cameraTargetRef.current = {
+        mode: cameraMode,
+        registration: previous?.registration,
+      };
+      // Report where following left the camera (a move in flight reports itself)
+      if (isFollowMode(previous?.mode) && !map.isMoving()) {
+        onViewChangeRef.current?.(getCameraView(map));
+      }
+      return;
+    }
+
+    // A drone from the URL or a focus request may not be reporting yet
+    const drone = droneData.find(
+      (item) => item.properties.registration === selectedDrone
+    );
+    if (!drone || drone === previous?.drone) return;
+
+    const isNewDrone = previous?.registration !== selectedDrone;
+    const isNewMode = previous?.mode !== cameraMode;
+    cameraTargetRef.current = {
+      mode: cameraMode,
+      registration: selectedDrone,
+      drone,
+    };
+    const heading =
+      cameraMode === CAMERA_MODES.FOLLOW_HEADING
+        ? getDroneMetrics(drone).heading
+        : null;
+    const camera = {
+      center: drone.geometry.coordinates,
+      ...(Number.isFinite(heading) ? { bearing: heading } : {}),
+      essential: true,
+    };
+
+    if (isNewDrone || isNewMode) {
+      map.flyTo({
+        ...camera,
+        ...(isNewDrone ? { zoom: CAMERA_CONFIG.SELECTED_ZOOM } : {}),
+        duration: CAMERA_CONFIG.FLY_DURATION,
+      });
+    } else {
+      // Pattern: Smooth Easing - Glide to the new position, keeping the zoom
+      map.easeTo({ ...camera, duration: CAMERA_CONFIG.FOLLOW_DURATION });
+    }
+  }, [
+    droneData,
+    selectedDrone,
+    selectedDrones,
+    selectedSet,
+    cameraMode,
+    isMapReady,
+  ]);
 
   /**
-   * Drone Markers and Paths Update Effect
-   * Pattern: Command Pattern - Encapsulates marker and path update operations
-   * Pattern: State Synchronization - Keeps visual state in sync with data
+   * Map Capture Effect
+   * Pattern: Mediator Pattern - Offers snapshots to the navbar capture tool.
+   * The WebGL buffer is only readable right after a frame is drawn, so the
+   * canvas is copied inside the next "render" event.
    */
   useEffect(() => {
-    if (!mapRef.current) return;
+    const map = mapRef.current;
+    if (!map || !isMapReady) return;
+
+    return registerMapCapture(
+      () =>
+        new Promise((resolve) => {
+          map.once("render", () => {
+            const source = map.getCanvas();
+            const canvas = document.createElement("canvas");
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.getContext("2d").drawImage(source, 0, 0);
+
+            const bounds = map.getBounds();
+            const center = map.getCenter();
+            const { drones, now } = latestRef.current;
+            resolve({
+              canvas,
+              pixelRatio: source.width / source.clientWidth,
+              drones: Array.from(drones.values()).filter((drone) =>
+                bounds.contains(drone.geometry.coordinates)
+              ),
+              now,
+              view: {
+                center: [center.lng, center.lat],
+                zoom: map.getZoom(),
+                bearing: map.getBearing(),
+              },
+            });
+          });
+          map.triggerRepaint();
+        })
+    );
+  }, [isMapReady]);
 
-    droneData.forEach((drone) => {
-      const reg = drone.properties.registration;
-      const coords = drone.geometry.coordinates;
-      const { color } = getDroneStatus(reg);
-
-      /**
-       * Marker Management - Update existing or create new markers
-       * Pattern: Flyweight Pattern - Reuses existing marker instances when possible
-       */
-      if (markersRef.current[reg]) {
-        // Update existing marker position and rotation
-        markersRef.current[reg].marker.setLngLat(coords);
-        markersRef.current[
-          reg
-        ].element.style.transform = `rotate(${drone.properties.yaw}deg)`;
-      } else {
-        // Create new marker with all components
-        const el = createMarkerElement(drone, color);
-        const popup = createDronePopup(drone);
-
-        // Create Mapbox marker instance
-        const marker = new mapboxgl.Marker(el)
-          .setLngLat(coords)
-          .setPopup(popup)
-          .addTo(mapRef.current);
-
-        /**
-         * Event Handlers for Marker Interactions
-         * Pattern: Event Handler Pattern - Encapsulates marker-specific interactions
-         */
-        el.addEventListener("mouseenter", () => popup.addTo(mapRef.current));
-        el.addEventListener("mouseleave", () => popup.remove());
-
-        // Handle drone click - prevent event bubbling to map
-        el.addEventListener("click", (e) => {
-          e.stopPropagation(); // Prevent map click event
-          console.log("Drone clicked:", reg);
-          setSelectedDrone(reg);
-        });
+  /**
+   * Geofence Zones Effect
+   * Pattern: Data-Driven Styling - Breached and selected zones are highlighted
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady) return;
+
+    map
+      .getSource(GEOFENCE_LAYER_IDS.SOURCE)
+      .setData(
+        buildGeofenceFeatures(
+          geofences,
+          breachedZones,
+          geofenceEditing.selectedId ?? null
+        )
+      );
+  }, [geofences, breachedZones, geofenceEditing.selectedId, isMapReady]);
+
+  // Pattern: Strategy Pattern - Box selection lives in its own hook
+  useLassoSelection(mapRef, isMapReady, {
+    enabled: Boolean(setSelectedDrones) && !geofenceDrawMode,
+    getDrones: () => latestRef.current.drones,
+    onSelect: (registrations, additive) =>
+      setSelectedDronesRef.current((list) =>
+        additive ? mergeRegistrations(list, registrations) : registrations
+      ),
+  });
+
+  // Pattern: Strategy Pattern - Drawing and handle dragging live in their own hook
+  useGeofenceEditing(mapRef, isMapReady, {
+    geofences,
+    drawMode: geofenceDrawMode,
+    selectedId: canEditGeofences ? geofenceEditing.selectedId ?? null : null,
+    onDrawComplete: geofenceEditing.onDrawComplete,
+    onCancelDraw: geofenceEditing.onCancelDraw,
+    onGeometryChange: geofenceEditing.onGeometryChange,
+  });
 
-        // Store marker reference for future updates
-        markersRef.current[reg] = { marker, element: el };
-      }
+  /**
+   * Recorded Flight Track Effect
+   * Pattern: Command Pattern - Draws (or clears) a completed flight and frames it
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
 
-      /**
-       * Visual State Update - Update marker appearance based on selection
-       * Pattern: State Pattern - Different visual states based on selection
-       */
-      if (markersRef.current[reg]) {
-        const isSelected = reg === selectedDrone;
-        const element = markersRef.current[reg].element;
-
-        element.style.boxShadow = isSelected
-          ? `0 0 20px ${COLORS.SELECTED_GLOW}`
-          : "none";
-        element.style.zIndex = isSelected ? "10" : "1";
+    return whenStyleLoaded(map, () => {
+      const { SOURCE_ID } = HISTORY_TRACK_CONFIG;
+
+      if (!historyFlight) {
+        if (map.getLayer(SOURCE_ID)) map.removeLayer(SOURCE_ID);
+        if (map.getSource(SOURCE_ID)) map.removeSource(SOURCE_ID);
+        return;
       }
 
-      /**
-       * Flight Path Rendering
-       * Pattern: Strategy Pattern - Different rendering strategies for paths
-       */
-      if (drone.positions.length > 1) {
-        const pathId = `path-${reg}`;
-        const smoothCoords = createCurvedPath(drone.positions);
-
-        // Update existing path or create new one
-        if (mapRef.current.getSource(pathId)) {
-          mapRef.current.getSource(pathId).setData({
-            type: "Feature",
-            geometry: { type: "LineString", coordinates: smoothCoords },
-          });
-        } else {
-          // Create new path source and layer
-          mapRef.current.addSource(pathId, {
-            type: "geojson",
-            data: {
-              type: "Feature",
-              geometry: { type: "LineString", coordinates: smoothCoords },
-            },
-          });
+      const coordinates = historyFlight.points.map((point) => point.coordinates);
+      const data = {
+        type: "Feature",
+        properties: { id: historyFlight.id },
+        geometry: { type: "LineString", coordinates },
+      };
 
-          mapRef.current.addLayer({
-            id: pathId,
+      if (map.getSource(SOURCE_ID)) {
+        map.getSource(SOURCE_ID).setData(data);
+      } else {
+        map.addSource(SOURCE_ID, { type: "geojson", data });
+        // Keep live drones and their trails above the recorded track
+        const beforeId = map.getLayer(LAYER_IDS.PATHS)
+          ? LAYER_IDS.PATHS
+          : undefined;
+        map.addLayer(
+          {
+            id: SOURCE_ID,
             type: "line",
-            source: pathId,
+            source: SOURCE_ID,
             paint: {
-              "line-color": color,
-              "line-width": DRONE_CONFIG.PATH_WIDTH,
-              "line-opacity": DRONE_CONFIG.PATH_OPACITY,
-            },
-            layout: {
-              "line-join": "round",
-              "line-cap": "round",
+              "line-color": COLORS.HISTORY_TRACK,
+              "line-width": HISTORY_TRACK_CONFIG.WIDTH,
+              "line-dasharray": HISTORY_TRACK_CONFIG.DASH,
             },
-          });
-        }
+            layout: { "line-join": "round", "line-cap": "round" },
+          },
+          beforeId
+        );
       }
-    });
 
-    /**
-     * Camera Control - Fly to selected drone
-     * Pattern: Command Pattern - Encapsulates camera movement command
-     */
-    if (selectedDrone && markersRef.current[selectedDrone]) {
-      const drone = droneData.find(
-        (d) => d.properties.registration === selectedDrone
-      );
-
-      if (drone) {
-        console.log("Flying to drone:", selectedDrone);
-
-        // Set flag to prevent reset during programmatic movement
-        isProgrammaticMove.current = true;
-
-        mapRef.current.flyTo({
-          center: drone.geometry.coordinates,
-          zoom: MAP_CONFIG.SELECTED_ZOOM,
-          duration: MAP_CONFIG.FLY_DURATION,
-          essential: true,
+      const bounds = getBounds(coordinates);
+      if (bounds) {
+        // The recorded track takes the camera; following would pull it away
+        setCameraMode(CAMERA_MODES.FREE);
+        map.fitBounds(bounds, {
+          padding: HISTORY_TRACK_CONFIG.FIT_PADDING,
+          maxZoom: HISTORY_TRACK_CONFIG.MAX_ZOOM,
+          duration: CAMERA_CONFIG.FLY_DURATION,
         });
-
-        // Reset flag after animation completes
-        setTimeout(() => {
-          isProgrammaticMove.current = false;
-        }, MAP_CONFIG.ANIMATION_BUFFER);
       }
-    }
-  }, [droneData, selectedDrone, setSelectedDrone]);
+    });
+  }, [historyFlight]);
 
   return (
-    <div className="flex w-full h-full">
+    <div className="relative flex w-full h-full">
       {/* Map Container */}
       {/* Pattern: Container Pattern - Encapsulates map rendering in isolated container */}
       <div
@@ -468,6 +1007,14 @@ export default function MapContainer({
         role="application"
         aria-label="Interactive drone tracking map"
       />
+
+      {/* Camera Modes */}
+      {/* Pattern: State Pattern - Free, follow, follow-with-heading, fit-all */}
+      <CameraModeControl
+        mode={cameraMode}
+        onChange={setCameraMode}
+        selectionSize={selectedDrones.length}
+      />
     </div>
   );
 }
@@ -0,0 +1,194 @@
+/**
+ * ReplayControls Component
+ *
+ * Design Patterns Used:
+ * 1. Controlled Component Pattern - All playback state lives in useReplay
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Responsive Design Pattern - Compact bar above the mobile navigation
+ * 4. Accessibility Pattern - Labelled controls and slider value text
+ *
+ * Timeline bar for replay mode: enter/exit replay, play/pause, speed
+ * multipliers, a scrubber and jump-to-time.
+ *
+ * @param {Object} replay - Object returned by useReplay
+ * @param {Function} onEnterReplay - Starts replay of the recorded buffer
+ * @param {boolean} canReplay - Whether there is recorded telemetry to replay
+ */
+
+import { useState } from "react";
+import { Pause, Play, History, Radio } from "lucide-react";
+import { REPLAY_SPEEDS } from "../hooks/useReplay";
+import useI18n from "../hooks/useI18n";
+
+// Configuration constants for the control bar
+const REPLAY_CONFIG = {
+  POSITIONING:
+    "fixed bottom-32 md:bottom-4 left-1/2 -translate-x-1/2 w-[calc(100%-1rem)] md:w-[36rem]",
+  Z_INDEX: "z-30",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-700 transition-colors",
+  SCRUB_STEP: 1000,
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  REGION: "replay.controls",
+  ENTER: "replay.enter",
+  EXIT: "replay.exit",
+  PLAY: "replay.play",
+  PAUSE: "replay.pause",
+  SPEED: "replay.speed",
+  SPEED_OPTION: "replay.speedOption",
+  SCRUBBER: "replay.timeline",
+  JUMP: "replay.jump",
+  NOTHING_RECORDED: "replay.nothingRecorded",
+};
+
+/**
+ * Formats an epoch timestamp as HH:MM:SS
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Local time string
+ */
+const formatClock = (time) =>
+  new Date(time).toLocaleTimeString(undefined, { hour12: false });
+
+/**
+ * Resolves an HH:MM[:SS] string to a timestamp on the session's day
+ * @param {string} value - Time input value
+ * @param {number} startTime - Session start (epoch milliseconds)
+ * @returns {number|null} Epoch milliseconds or null when invalid
+ */
+const parseClock = (value, startTime) => {
+  const [hours, minutes, seconds = 0] = value.split(":").map(Number);
+  if ([hours, minutes, seconds].some((part) => !Number.isFinite(part))) {
+    return null;
+  }
+  const date = new Date(startTime);
+  date.setHours(hours, minutes, seconds, 0);
+  // Sessions crossing midnight: times "before" the start belong to the next day
+  return date.getTime() < startTime - 12 * 60 * 60 * 1000
+    ? date.getTime() + 24 * 60 * 60 * 1000
+    : date.getTime();
+};
+
+const ReplayControls = ({ replay, onEnterReplay, canReplay }) => {
+  const { t } = useI18n();
+  const [jumpValue, setJumpValue] = useState("");
+
+  const containerClasses = `${REPLAY_CONFIG.POSITIONING} ${REPLAY_CONFIG.Z_INDEX} ${REPLAY_CONFIG.STYLING}`;
+
+  // Live mode: a single entry button
+  if (!replay.isActive) {
+    return (
+      <div className={`${REPLAY_CONFIG.POSITIONING} ${REPLAY_CONFIG.Z_INDEX} flex justify-center pointer-events-none`}>
+        <button
+          type="button"
+          onClick={onEnterReplay}
+          disabled={!canReplay}
+          title={canReplay ? undefined : t(LABELS.NOTHING_RECORDED)}
+          className={`${REPLAY_CONFIG.STYLING} ${REPLAY_CONFIG.BUTTON} px-3 py-2 pointer-events-auto disabled:opacity-50 disabled:cursor-not-allowed`}
+        >
+          <History size={14} />
+          {t(LABELS.ENTER)}
+        </button>
+      </div>
+    );
+  }
+
+  /**
+   * Handles the jump-to-time form
+   * @param {Event} event - Submit event
+   */
+  const handleJump = (event) => {
+    event.preventDefault();
+    const time = parseClock(jumpValue, replay.startTime);
+    if (time !== null) replay.seek(time);
+  };
+
+  return (
+    <div className={`${containerClasses} p-2 space-y-2`} role="region" aria-label={t(LABELS.REGION)}>
+      {/* Transport Row */}
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={replay.isPlaying ? replay.pause : replay.play}
+          className={REPLAY_CONFIG.BUTTON}
+          aria-label={t(replay.isPlaying ? LABELS.PAUSE : LABELS.PLAY)}
+        >
+          {replay.isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        </button>
+
+        <select
+          value={replay.speed}
+          onChange={(event) => replay.setSpeed(Number(event.target.value))}
+          aria-label={t(LABELS.SPEED)}
+          className="bg-gray-900 border border-gray-700 rounded px-1 py-1"
+        >
+          {REPLAY_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>
+              {t(LABELS.SPEED_OPTION, { speed })}
+            </option>
+          ))}
+        </select>
+
+        <span className="font-mono text-white">
+          {formatClock(replay.currentTime)}
+        </span>
+
+        {replay.label && (
+          <span className="hidden md:inline truncate text-gray-400" title={replay.label}>
+            {replay.label}
+          </span>
+        )}
+
+        <form onSubmit={handleJump} className="hidden sm:flex items-center gap-1 ms-auto">
+          <input
+            type="time"
+            step="1"
+            value={jumpValue}
+            onChange={(event) => setJumpValue(event.target.value)}
+            aria-label={t(LABELS.JUMP)}
+            className="bg-gray-900 border border-gray-700 rounded px-1 py-0.5 text-gray-200"
+          />
+          <button type="submit" className={REPLAY_CONFIG.BUTTON}>
+            {t(LABELS.JUMP)}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={replay.stop}
+          className={`${REPLAY_CONFIG.BUTTON} text-[#F9000E] sm:ms-0 ms-auto`}
+        >
+          <Radio size={14} />
+          {t(LABELS.EXIT)}
+        </button>
+      </div>
+
+      {/* Timeline Scrubber */}
+      <div className="flex items-center gap-2">
+        <span className="font-mono text-gray-400">
+          {formatClock(replay.startTime)}
+        </span>
+        <input
+          type="range"
+          min={replay.startTime}
+          max={replay.endTime}
+          step={REPLAY_CONFIG.SCRUB_STEP}
+          value={replay.currentTime}
+          onChange={(event) => replay.seek(Number(event.target.value))}
+          aria-label={t(LABELS.SCRUBBER)}
+          aria-valuetext={formatClock(replay.currentTime)}
+          className="flex-1 accent-[#F9000E]"
+        />
+        <span className="font-mono text-gray-400">
+          {formatClock(replay.endTime)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayControls;
@@ -0,0 +1,291 @@
+/**
+ * TelemetryDiagnosticsPanel Component
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to telemetry validation diagnostics
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Progressive Disclosure Pattern - Collapsed badge expands to full counters
+ * 4. Accessibility Pattern - Expandable region with proper ARIA state
+ *
+ * Shows how many telemetry frames and features were rejected by validation,
+ * broken down by reason, with the most recently quarantined payloads, and
+ * lets operators tune when silent drones are shown as stale, lost or removed
+ * and switch between the telemetry server and the local simulator.
+ */
+
+import { useState, useSyncExternalStore } from "react";
+import { ChevronDown, ChevronUp } from "lucide-react";
+import {
+  getDiagnostics,
+  resetDiagnostics,
+  subscribeToDiagnostics,
+} from "../utils/telemetryValidation";
+import {
+  getLinkThresholds,
+  subscribeToLinkThresholds,
+  updateLinkThresholds,
+} from "../utils/linkThresholds";
+import {
+  TELEMETRY_SOURCES,
+  getConnectionState,
+  subscribeToConnection,
+  updateConnectionSettings,
+} from "../utils/socket";
+import useI18n from "../hooks/useI18n";
+
+// Configuration constants for the panel
+const PANEL_CONFIG = {
+  POSITIONING: "hidden md:block fixed bottom-16 end-4",
+  Z_INDEX: "z-30",
+  WIDTH: "w-72",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs",
+  QUARANTINE_PREVIEW: 5,
+  COLORS: {
+    OK: "text-[#5CFC00]",
+    WARNING: "text-[#F9000E]",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "diagnostics.title",
+  FRAMES: "diagnostics.frames",
+  FRAMES_REJECTED: "diagnostics.framesRejected",
+  FRAMES_PARTIAL: "diagnostics.framesPartial",
+  FEATURES_ACCEPTED: "diagnostics.featuresAccepted",
+  FEATURES_REJECTED: "diagnostics.featuresRejected",
+  REASONS: "diagnostics.reasons",
+  QUARANTINE: "diagnostics.quarantine",
+  RESET: "diagnostics.reset",
+  THRESHOLDS: "diagnostics.thresholds",
+  STALE_AFTER: "diagnostics.staleAfter",
+  LOST_AFTER: "diagnostics.lostAfter",
+  RETENTION: "diagnostics.retention",
+  SOURCE: "diagnostics.source",
+  SOURCE_SOCKET: "diagnostics.source.socket",
+  SOURCE_SIMULATOR: "diagnostics.source.simulator",
+};
+
+// Editable link thresholds (stored in milliseconds, edited in seconds)
+const THRESHOLD_FIELDS = [
+  { key: "staleAfter", label: LABELS.STALE_AFTER },
+  { key: "lostAfter", label: LABELS.LOST_AFTER },
+  { key: "retention", label: LABELS.RETENTION },
+];
+
+// Selectable telemetry sources
+const SOURCE_OPTIONS = [
+  { value: TELEMETRY_SOURCES.SOCKET, label: LABELS.SOURCE_SOCKET },
+  { value: TELEMETRY_SOURCES.SIMULATOR, label: LABELS.SOURCE_SIMULATOR },
+];
+
+/**
+ * Single counter row
+ * @param {string} label - Counter label
+ * @param {number} value - Counter value
+ * @param {boolean} [highlight=false] - Highlight non-zero values as warnings
+ */
+const CounterRow = ({ label, value, highlight = false }) => (
+  <div className="flex justify-between gap-2">
+    <span className="text-gray-400">{label}</span>
+    <span
+      className={`font-mono ${
+        highlight && value > 0 ? PANEL_CONFIG.COLORS.WARNING : "text-gray-200"
+      }`}
+    >
+      {value}
+    </span>
+  </div>
+);
+
+/**
+ * Server / simulator switch
+ * Saved with the connection settings; a `telemetry` query parameter still wins.
+ */
+const TelemetrySourceField = () => {
+  const { t } = useI18n();
+  const { source } = useSyncExternalStore(
+    subscribeToConnection,
+    getConnectionState
+  );
+
+  return (
+    <label className="flex items-center justify-between gap-2">
+      <span className="text-gray-400">{t(LABELS.SOURCE)}</span>
+      <select
+        value={source ?? TELEMETRY_SOURCES.SOCKET}
+        onChange={(event) =>
+          updateConnectionSettings({ source: event.target.value })
+        }
+        className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-gray-200"
+      >
+        {SOURCE_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {t(label)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+/**
+ * Stale / lost / removal threshold inputs
+ * Values are applied when a field loses focus; the store keeps them ordered.
+ */
+const LinkThresholdFields = () => {
+  const { t } = useI18n();
+  const thresholds = useSyncExternalStore(
+    subscribeToLinkThresholds,
+    getLinkThresholds
+  );
+
+  return (
+    <div>
+      <div className="text-gray-400 mb-1">{t(LABELS.THRESHOLDS)}</div>
+      <div className="grid grid-cols-3 gap-2">
+        {THRESHOLD_FIELDS.map(({ key, label }) => (
+          <label key={key} className="block">
+            <span className="text-gray-400">{t(label)}</span>
+            <input
+              // Re-mount when the store changes so clamped values show up
+              key={thresholds[key]}
+              type="number"
+              min="1"
+              defaultValue={thresholds[key] / 1000}
+              onBlur={(event) => {
+                const seconds = Number.parseFloat(event.target.value);
+                if (seconds > 0) {
+                  updateLinkThresholds({ [key]: seconds * 1000 });
+                } else {
+                  event.target.value = thresholds[key] / 1000;
+                }
+              }}
+              className="w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 font-mono text-gray-200"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * TelemetryDiagnosticsPanel Component
+ * Pattern: Observer Pattern - Re-renders on every recorded frame
+ */
+const TelemetryDiagnosticsPanel = () => {
+  const diagnostics = useSyncExternalStore(
+    subscribeToDiagnostics,
+    getDiagnostics
+  );
+  const [expanded, setExpanded] = useState(false);
+  const { t } = useI18n();
+
+  const rejectedTotal = diagnostics.framesRejected + diagnostics.featuresRejected;
+  const reasons = Object.entries(diagnostics.reasons).sort(
+    ([, a], [, b]) => b - a
+  );
+
+  return (
+    <div
+      className={`${PANEL_CONFIG.POSITIONING} ${PANEL_CONFIG.Z_INDEX} ${PANEL_CONFIG.WIDTH} ${PANEL_CONFIG.STYLING}`}
+      role="complementary"
+      aria-label={t(LABELS.TITLE)}
+    >
+      {/* Header - always visible */}
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-3 py-2 text-gray-300 hover:text-white"
+        aria-expanded={expanded}
+      >
+        <span className="font-semibold">{t(LABELS.TITLE)}</span>
+        <span className="flex items-center gap-2">
+          <span
+            className={`font-mono ${
+              rejectedTotal > 0
+                ? PANEL_CONFIG.COLORS.WARNING
+                : PANEL_CONFIG.COLORS.OK
+            }`}
+          >
+            {rejectedTotal}
+          </span>
+          {expanded ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+        </span>
+      </button>
+
+      {/* Expanded details */}
+      {expanded && (
+        <div className="px-3 pb-3 space-y-2 border-t border-gray-700 pt-2">
+          <div className="space-y-1">
+            <CounterRow label={t(LABELS.FRAMES)} value={diagnostics.framesReceived} />
+            <CounterRow
+              label={t(LABELS.FRAMES_REJECTED)}
+              value={diagnostics.framesRejected}
+              highlight
+            />
+            <CounterRow
+              label={t(LABELS.FRAMES_PARTIAL)}
+              value={diagnostics.framesPartial}
+              highlight
+            />
+            <CounterRow
+              label={t(LABELS.FEATURES_ACCEPTED)}
+              value={diagnostics.featuresAccepted}
+            />
+            <CounterRow
+              label={t(LABELS.FEATURES_REJECTED)}
+              value={diagnostics.featuresRejected}
+              highlight
+            />
+          </div>
+
+          {reasons.length > 0 && (
+            <div>
+              <div className="text-gray-400 mb-1">{t(LABELS.REASONS)}</div>
+              {reasons.map(([reason, count]) => (
+                <CounterRow key={reason} label={reason} value={count} />
+              ))}
+            </div>
+          )}
+
+          {diagnostics.quarantine.length > 0 && (
+            <div>
+              <div className="text-gray-400 mb-1">{t(LABELS.QUARANTINE)}</div>
+              <ul className="space-y-1 max-h-32 overflow-y-auto">
+                {diagnostics.quarantine
+                  .slice(0, PANEL_CONFIG.QUARANTINE_PREVIEW)
+                  .map((entry, index) => (
+                    <li
+                      key={`${entry.receivedAt}-${index}`}
+                      className="font-mono text-[10px] text-gray-300 truncate"
+                      title={JSON.stringify(entry.payload)}
+                    >
+                      {new Date(entry.receivedAt).toLocaleTimeString()}{" "}
+                      {entry.reason}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          )}
+
+          <TelemetrySourceField />
+
+          <LinkThresholdFields />
+
+          <button
+            type="button"
+            onClick={resetDiagnostics}
+            className="text-gray-400 hover:text-white underline"
+          >
+            {t(LABELS.RESET)}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryDiagnosticsPanel;
@@ -0,0 +1,110 @@
+/**
+ * TelemetryStatusBanner Component
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Reacts to socket connection state via hook
+ * 2. Strategy Pattern - Different message and color per connection state
+ * 3. Configuration Pattern - Centralized styling and label configuration
+ * 4. Accessibility Pattern - Live region announces telemetry problems
+ *
+ * Displays a visible banner whenever live telemetry is not flowing:
+ * - Connecting / reconnecting / offline socket states
+ * - Connected socket that has not delivered a frame recently
+ * - Frames generated by the local simulator instead of the server
+ */
+
+import useConnectionStatus from "../hooks/useConnectionStatus";
+import useI18n from "../hooks/useI18n";
+import { CONNECTION_STATUS, TELEMETRY_SOURCES } from "../utils/socket";
+import { formatTimeAgo } from "../utils/format";
+
+// Configuration constants for the banner
+const BANNER_CONFIG = {
+  POSITIONING: "absolute top-4 left-1/2 -translate-x-1/2",
+  Z_INDEX: "z-20",
+  STYLING:
+    "px-4 py-2 rounded-lg shadow-xl text-xs md:text-sm font-medium backdrop-blur-sm",
+  COLORS: {
+    WARNING: "bg-yellow-500/90 text-black",
+    ERROR: "bg-[#F9000E]/90 text-white",
+    INFO: "bg-gray-800/95 text-gray-200 border border-gray-700",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  CONNECTING: "telemetryBanner.connecting",
+  RECONNECTING: "telemetryBanner.reconnecting",
+  OFFLINE: "telemetryBanner.offline",
+  OFFLINE_ERROR: "telemetryBanner.offlineError",
+  STALE: "telemetryBanner.stale",
+  STALE_WAITING: "telemetryBanner.staleWaiting",
+  SIMULATED: "telemetryBanner.simulated",
+};
+
+/**
+ * Resolves banner text and color for the current connection state
+ * Pattern: Strategy Pattern - Maps connection state to presentation
+ * @param {Object} connection - Connection state from useConnectionStatus
+ * @param {Function} t - Translation function from useI18n
+ * @returns {{message: string, color: string}|null} Banner content or null when healthy and live
+ */
+const getBannerContent = (connection, t) => {
+  switch (connection.status) {
+    case CONNECTION_STATUS.CONNECTING:
+      return {
+        message: t(LABELS.CONNECTING),
+        color: BANNER_CONFIG.COLORS.INFO,
+      };
+    case CONNECTION_STATUS.RECONNECTING:
+      return {
+        message: t(LABELS.RECONNECTING),
+        color: BANNER_CONFIG.COLORS.WARNING,
+      };
+    case CONNECTION_STATUS.OFFLINE:
+      return {
+        message: connection.error
+          ? t(LABELS.OFFLINE_ERROR, { error: connection.error })
+          : t(LABELS.OFFLINE),
+        color: BANNER_CONFIG.COLORS.ERROR,
+      };
+    default:
+      if (!connection.isStale) {
+        return connection.source === TELEMETRY_SOURCES.SIMULATOR
+          ? { message: t(LABELS.SIMULATED), color: BANNER_CONFIG.COLORS.INFO }
+          : null;
+      }
+      return {
+        message:
+          connection.messageAge !== null
+            ? t(LABELS.STALE, { time: formatTimeAgo(0, connection.messageAge) })
+            : t(LABELS.STALE_WAITING),
+        color: BANNER_CONFIG.COLORS.WARNING,
+      };
+  }
+};
+
+/**
+ * TelemetryStatusBanner Component
+ * @param {Object} props - Component props
+ * @param {number} [props.staleAfter] - Milliseconds without a frame before showing the stale banner
+ */
+const TelemetryStatusBanner = ({ staleAfter }) => {
+  const connection = useConnectionStatus({ staleAfter });
+  const { t } = useI18n();
+  const content = getBannerContent(connection, t);
+
+  if (!content) return null;
+
+  return (
+    <div
+      className={`${BANNER_CONFIG.POSITIONING} ${BANNER_CONFIG.Z_INDEX} ${BANNER_CONFIG.STYLING} ${content.color}`}
+      role="status"
+      aria-live="polite"
+    >
+      {content.message}
+    </div>
+  );
+};
+
+export default TelemetryStatusBanner;
@@ -0,0 +1,251 @@
+/**
+ * TelemetryTransferMenu Component
+ *
+ * Design Patterns Used:
+ * 1. Strategy Pattern - Export/import format chosen from the TRACK_FORMATS registry
+ * 2. Progressive Disclosure Pattern - Compact button expands into a menu
+ * 3. Configuration Pattern - Centralized styling and label configuration
+ * 4. Accessibility Pattern - Labelled controls and error announcements
+ *
+ * Exports drone tracks (all displayed drones or the selected ones) to GeoJSON,
+ * CSV, KML or GPX, and imports such files back as a static or replayable session.
+ *
+ * @param {Array} droneData - Drones currently displayed on the map
+ * @param {Array<string>} selectedDrones - Selected drone registrations
+ * @param {Function} onImportSession - Called with (entries, { label, atEnd })
+ */
+
+import { useRef, useState } from "react";
+import { ArrowLeftRight, FileDown, FileUp } from "lucide-react";
+import {
+  TRACK_FORMATS,
+  detectTrackFormat,
+  parseTracks,
+  tracksToEntries,
+} from "../utils/trackFormats";
+import { downloadDroneTracks } from "../utils/download";
+import useI18n from "../hooks/useI18n";
+
+// Configuration constants for the menu
+const TRANSFER_CONFIG = {
+  POSITIONING: "relative",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+  FILE_ACCEPT: ".geojson,.json,.csv,.kml,.gpx",
+};
+
+// Export scope options
+const SCOPES = {
+  ALL: "all",
+  SELECTED: "selected",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TOGGLE: "transfer.toggle",
+  EXPORT: "transfer.export",
+  IMPORT: "transfer.import",
+  SCOPE: "transfer.scope",
+  SCOPE_ALL: "transfer.scopeAll",
+  SCOPE_SELECTED: "transfer.scopeSelected",
+  SCOPE_SELECTED_COUNT: "transfer.scopeSelectedCount",
+  CHOOSE_FILE: "transfer.chooseFile",
+  FRAMES: "transfer.frames",
+  SHOW_STATIC: "transfer.showStatic",
+  REPLAY: "transfer.replay",
+  UNSUPPORTED: "transfer.unsupported",
+  EMPTY_FILE: "transfer.emptyFile",
+  IMPORT_FAILED: "transfer.importFailed",
+};
+
+const TelemetryTransferMenu = ({
+  droneData,
+  selectedDrones,
+  onImportSession,
+}) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [scope, setScope] = useState(SCOPES.ALL);
+  const [imported, setImported] = useState(null);
+  // { key, params } of the import error message
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const hasSelection = selectedDrones.length > 0;
+  const exportDrones =
+    scope === SCOPES.SELECTED
+      ? droneData.filter((drone) =>
+          selectedDrones.includes(drone.properties.registration)
+        )
+      : droneData;
+
+  /**
+   * Exports the chosen drones in one format
+   * Pattern: Strategy Pattern - Serializer looked up by format id
+   * @param {string} format - Key of TRACK_FORMATS
+   */
+  const handleExport = (format) => {
+    const name =
+      scope === SCOPES.SELECTED && selectedDrones.length === 1
+        ? selectedDrones[0]
+        : "drones";
+    downloadDroneTracks(exportDrones, format, name);
+  };
+
+  /**
+   * Reads and parses an imported file
+   * @param {Event} event - File input change event
+   */
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    setImported(null);
+
+    const format = detectTrackFormat(file.name);
+    if (!format) {
+      setError({ key: LABELS.UNSUPPORTED });
+      return;
+    }
+
+    try {
+      const entries = tracksToEntries(parseTracks(await file.text(), format));
+      if (entries.length === 0) {
+        setError({ key: LABELS.EMPTY_FILE });
+        return;
+      }
+      setImported({ name: file.name, entries });
+    } catch (parseError) {
+      setError({
+        key: LABELS.IMPORT_FAILED,
+        params: { error: parseError.message },
+      });
+    }
+  };
+
+  /**
+   * Hands the imported session to the map
+   * @param {boolean} atEnd - Open at the end (static) instead of the start (replay)
+   */
+  const openImported = (atEnd) => {
+    onImportSession(imported.entries, { label: imported.name, atEnd });
+    setImported(null);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className={TRANSFER_CONFIG.POSITIONING}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`${TRANSFER_CONFIG.STYLING} ${TRANSFER_CONFIG.BUTTON} px-3 py-2`}
+        aria-expanded={isOpen}
+        aria-label={t(LABELS.TOGGLE)}
+      >
+        <ArrowLeftRight size={14} />
+        <span className="hidden sm:inline">{t(LABELS.TOGGLE)}</span>
+      </button>
+
+      {isOpen && (
+        <div className={`${TRANSFER_CONFIG.STYLING} mt-2 p-3 w-64 space-y-3 absolute end-0`}>
+          {/* Export Section */}
+          <section className="space-y-2">
+            <h3 className="font-semibold text-white flex items-center gap-1">
+              <FileDown size={14} />
+              {t(LABELS.EXPORT)}
+            </h3>
+            <select
+              value={scope}
+              onChange={(event) => setScope(event.target.value)}
+              className="w-full bg-gray-900 border border-gray-700 rounded px-2 py-1"
+              aria-label={t(LABELS.SCOPE)}
+            >
+              <option value={SCOPES.ALL}>
+                {t(LABELS.SCOPE_ALL, { count: droneData.length })}
+              </option>
+              <option value={SCOPES.SELECTED} disabled={!hasSelection}>
+                {hasSelection
+                  ? t(LABELS.SCOPE_SELECTED_COUNT, {
+                      count: selectedDrones.length,
+                    })
+                  : t(LABELS.SCOPE_SELECTED)}
+              </option>
+            </select>
+            <div className="grid grid-cols-4 gap-1">
+              {Object.entries(TRACK_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => handleExport(format)}
+                  disabled={exportDrones.length === 0}
+                  className={`${TRANSFER_CONFIG.BUTTON} justify-center border border-gray-700`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </section>
+
+          {/* Import Section */}
+          <section className="space-y-2 border-t border-gray-700 pt-3">
+            <h3 className="font-semibold text-white flex items-center gap-1">
+              <FileUp size={14} />
+              {t(LABELS.IMPORT)}
+            </h3>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={TRANSFER_CONFIG.FILE_ACCEPT}
+              onChange={handleFile}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className={`${TRANSFER_CONFIG.BUTTON} w-full justify-center border border-gray-700`}
+            >
+              {t(LABELS.CHOOSE_FILE)}
+            </button>
+
+            {imported && (
+              <div className="space-y-2">
+                <div className="truncate text-gray-400" title={imported.name}>
+                  {imported.name} ·{" "}
+                  {t(LABELS.FRAMES, { count: imported.entries.length })}
+                </div>
+                <div className="grid grid-cols-2 gap-1">
+                  <button
+                    type="button"
+                    onClick={() => openImported(true)}
+                    className={`${TRANSFER_CONFIG.BUTTON} justify-center border border-gray-700`}
+                  >
+                    {t(LABELS.SHOW_STATIC)}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => openImported(false)}
+                    className={`${TRANSFER_CONFIG.BUTTON} justify-center bg-[#F9000E] text-white hover:bg-red-700`}
+                  >
+                    {t(LABELS.REPLAY)}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {error && (
+              <div className="text-[#F9000E]" role="alert">
+                {t(error.key, error.params)}
+              </div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryTransferMenu;
@@ -0,0 +1,368 @@
+/**
+ * AlertRulesPanel Component
+ *
+ * Design Patterns Used:
+ * 1. Progressive Disclosure Pattern - Compact button expands into the rule manager
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Observer Pattern - Lists rules published by the rule store
+ * 4. Accessibility Pattern - Labelled controls and toggles
+ *
+ * Lets operators create, edit, enable/disable and delete alert rules (see
+ * alertRules.js). The button turns red while any drone has an active alert.
+ * Without the MANAGE_ALERT_RULES capability the rules are listed read-only.
+ *
+ * @param {Array} rules - Current alert rules
+ * @param {number} alertedCount - Drones with at least one active alert
+ * @param {boolean} [readOnly=false] - Lists the rules without editing controls
+ */
+
+import { useState } from "react";
+import { BellRing, Plus, Trash2 } from "lucide-react";
+import {
+  ALERT_RULE_META,
+  ALERT_RULE_TYPES,
+  createAlertRule,
+  describeAlertRule,
+  removeAlertRule,
+  saveAlertRule,
+} from "../../utils/alertRules";
+import { ALERT_SEVERITIES } from "../../utils/geofenceMonitor";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the panel
+const PANEL_CONFIG = {
+  POSITIONING: "relative",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+  // Rule rows when read-only (no hover or disabled dimming)
+  ROW: "flex items-center gap-1 px-2 py-1 rounded",
+  INPUT: "w-full bg-gray-900 border border-gray-700 rounded px-2 py-1",
+  SEVERITY_COLORS: {
+    [ALERT_SEVERITIES.INFO]: "#38BDF8",
+    [ALERT_SEVERITIES.WARNING]: "#FACC15",
+    [ALERT_SEVERITIES.CRITICAL]: "#F9000E",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TOGGLE: "alertRules.toggle",
+  NEW_RULE: "alertRules.newRule",
+  EMPTY: "alertRules.empty",
+  READ_ONLY: "alertRules.readOnly",
+  NAME: "alertRules.name",
+  CONDITION: "alertRules.condition",
+  THRESHOLD: "alertRules.threshold",
+  ORGANIZATIONS: "alertRules.organizations",
+  SEVERITY: "alertRules.severity",
+  DEBOUNCE: "alertRules.debounce",
+  HYSTERESIS: "alertRules.hysteresis",
+  ENABLED: "alertRules.enabled",
+  SAVE: "alertRules.save",
+  DONE: "alertRules.done",
+  DELETE: "alertRules.delete",
+  ACTIVE: "alertRules.active",
+};
+
+/**
+ * Parses a non-negative number field
+ * @param {string} value - Field value
+ * @returns {number} Parsed number (NaN when invalid)
+ */
+const parseField = (value) => {
+  const parsed = Number.parseFloat(value);
+  return parsed >= 0 ? parsed : Number.NaN;
+};
+
+/**
+ * Rule form
+ * Keyed by rule id so the draft resets when another rule is selected.
+ * @param {Object} rule - Rule being edited (no id for a new rule)
+ * @param {Function} onClose - Ends editing
+ */
+const AlertRuleEditor = ({ rule, onClose }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(() => ({
+    ...rule,
+    threshold: String(rule.threshold),
+    organizations: rule.organizations.join(", "),
+    debounce: String(rule.debounce),
+    hysteresis: String(rule.hysteresis),
+  }));
+  const meta = ALERT_RULE_META[draft.type];
+  const isOrgRule = draft.type === ALERT_RULE_TYPES.UNKNOWN_ORG;
+
+  const parsed = {
+    threshold: isOrgRule ? 0 : parseField(draft.threshold),
+    debounce: parseField(draft.debounce),
+    hysteresis: isOrgRule ? 0 : parseField(draft.hysteresis),
+  };
+  const isValid = Object.values(parsed).every(Number.isFinite);
+
+  const update = (field) => (event) =>
+    setDraft({ ...draft, [field]: event.target.value });
+
+  /**
+   * Switches the condition, resetting threshold and margin to its defaults
+   * @param {Event} event - Select change event
+   */
+  const handleTypeChange = (event) => {
+    const defaults = createAlertRule(event.target.value);
+    // A name still matching the old condition follows the new one
+    const isDefaultName = draft.name === t(meta.label);
+    setDraft({
+      ...draft,
+      name: isDefaultName ? defaults.name : draft.name,
+      type: defaults.type,
+      threshold: String(defaults.threshold),
+      hysteresis: String(defaults.hysteresis),
+    });
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isValid) return;
+    saveAlertRule({
+      ...draft,
+      ...parsed,
+      organizations: draft.organizations.split(","),
+    });
+    onClose();
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-2 border-t border-gray-700 pt-2"
+    >
+      <label className="block">
+        <span className="text-gray-400">{t(LABELS.NAME)}</span>
+        <input
+          value={draft.name}
+          onChange={update("name")}
+          placeholder={t(meta.label)}
+          className={PANEL_CONFIG.INPUT}
+        />
+      </label>
+      <label className="block">
+        <span className="text-gray-400">{t(LABELS.CONDITION)}</span>
+        <select
+          value={draft.type}
+          onChange={handleTypeChange}
+          className={PANEL_CONFIG.INPUT}
+        >
+          {Object.values(ALERT_RULE_TYPES).map((type) => (
+            <option key={type} value={type}>
+              {t(ALERT_RULE_META[type].label)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {isOrgRule ? (
+        <label className="block">
+          <span className="text-gray-400">{t(LABELS.ORGANIZATIONS)}</span>
+          <input
+            value={draft.organizations}
+            onChange={update("organizations")}
+            className={PANEL_CONFIG.INPUT}
+          />
+        </label>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block">
+            <span className="text-gray-400">
+              {t(LABELS.THRESHOLD, { unit: t(meta.unit) })}
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.threshold}
+              onChange={update("threshold")}
+              className={PANEL_CONFIG.INPUT}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-400">{t(LABELS.HYSTERESIS)}</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.hysteresis}
+              onChange={update("hysteresis")}
+              className={PANEL_CONFIG.INPUT}
+            />
+          </label>
+        </div>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-gray-400">{t(LABELS.SEVERITY)}</span>
+          <select
+            value={draft.severity}
+            onChange={update("severity")}
+            className={PANEL_CONFIG.INPUT}
+          >
+            {Object.values(ALERT_SEVERITIES).map((severity) => (
+              <option key={severity} value={severity}>
+                {t(`severity.${severity}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-400">{t(LABELS.DEBOUNCE)}</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={draft.debounce}
+            onChange={update("debounce")}
+            className={PANEL_CONFIG.INPUT}
+          />
+        </label>
+      </div>
+      <div className="flex items-center justify-between gap-1">
+        {rule.id ? (
+          <button
+            type="button"
+            onClick={() => {
+              removeAlertRule(rule.id);
+              onClose();
+            }}
+            className={`${PANEL_CONFIG.BUTTON} text-[#F9000E]`}
+            aria-label={t(LABELS.DELETE)}
+          >
+            <Trash2 size={14} />
+          </button>
+        ) : (
+          <span />
+        )}
+        <div className="flex gap-1">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`${PANEL_CONFIG.BUTTON} border border-gray-700`}
+          >
+            {t(LABELS.DONE)}
+          </button>
+          <button
+            type="submit"
+            disabled={!isValid}
+            className={`${PANEL_CONFIG.BUTTON} bg-[#F9000E] text-white hover:bg-red-700`}
+          >
+            {t(LABELS.SAVE)}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const AlertRulesPanel = ({ rules, alertedCount, readOnly = false }) => {
+  const { locale, t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  // Rule being edited: a stored rule, a new unsaved rule, or null
+  const [editing, setEditing] = useState(null);
+
+  return (
+    <div className={PANEL_CONFIG.POSITIONING}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`${PANEL_CONFIG.STYLING} ${PANEL_CONFIG.BUTTON} px-3 py-2`}
+        aria-expanded={isOpen}
+        aria-label={t(LABELS.TOGGLE)}
+      >
+        <BellRing
+          size={14}
+          className={alertedCount > 0 ? "text-[#F9000E]" : ""}
+        />
+        <span className="hidden sm:inline">{t(LABELS.TOGGLE)}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          className={`${PANEL_CONFIG.STYLING} mt-2 p-3 w-72 space-y-3 absolute end-0`}
+        >
+          {alertedCount > 0 && (
+            <p className="text-[#F9000E]" role="status">
+              {t(LABELS.ACTIVE, { count: alertedCount })}
+            </p>
+          )}
+
+          {/* Rule List */}
+          {rules.length === 0 ? (
+            <p className="text-gray-500">{t(LABELS.EMPTY)}</p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto space-y-1">
+              {rules.map((rule) => (
+                <li key={rule.id} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={readOnly}
+                    onChange={(event) =>
+                      saveAlertRule({ ...rule, enabled: event.target.checked })
+                    }
+                    aria-label={t(LABELS.ENABLED, { name: rule.name })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setEditing(editing?.id === rule.id ? null : rule)
+                    }
+                    disabled={readOnly}
+                    className={`${
+                      readOnly ? PANEL_CONFIG.ROW : PANEL_CONFIG.BUTTON
+                    } flex-1 min-w-0 text-start ${
+                      editing?.id === rule.id ? "bg-gray-700" : ""
+                    } ${rule.enabled ? "" : "opacity-50"}`}
+                  >
+                    <span
+                      className="w-2 h-2 rounded-full shrink-0"
+                      style={{
+                        backgroundColor:
+                          PANEL_CONFIG.SEVERITY_COLORS[rule.severity],
+                      }}
+                    />
+                    <span className="min-w-0">
+                      <span className="block truncate">{rule.name}</span>
+                      <span className="block truncate text-gray-400">
+                        {describeAlertRule(rule, locale)}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Rule Editor */}
+          {readOnly ? (
+            <p className="text-gray-400">{t(LABELS.READ_ONLY)}</p>
+          ) : editing ? (
+            <AlertRuleEditor
+              key={editing.id ?? "new"}
+              rule={editing}
+              onClose={() => setEditing(null)}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setEditing(createAlertRule())}
+              className={`${PANEL_CONFIG.BUTTON} w-full justify-center border border-gray-700`}
+            >
+              <Plus size={14} />
+              {t(LABELS.NEW_RULE)}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertRulesPanel;
@@ -0,0 +1,58 @@
+/**
+ * ProtectedRoute Component
+ *
+ * Design Patterns Used:
+ * 1. Guard Pattern - Child routes render only for a signed-in session
+ * 2. Observer Pattern - Follows the session store (useAuth)
+ * 3. Role-Based Access Control Pattern - Optional capability per route
+ *
+ * Layout route wrapped around everything behind sign-in. Signed-out visitors
+ * are sent to /login, which returns them to the page (and its query state)
+ * they asked for. When the session ends the guarded pages unmount, which
+ * stops the telemetry store. With a `capability` the route also requires that
+ * permission (see permissions.js) and shows an access notice otherwise.
+ *
+ * @param {string} [capability] - CAPABILITIES value required by the child routes
+ */
+
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { ShieldOff } from "lucide-react";
+import useAuth from "../../hooks/useAuth";
+import useI18n from "../../hooks/useI18n";
+import usePermissions from "../../hooks/usePermissions";
+
+// Message keys (see src/locales)
+const LABELS = {
+  DENIED: "access.denied",
+  DENIED_DETAIL: "access.deniedDetail",
+};
+
+/**
+ * Protected Route Component
+ * Pattern: Guard Pattern - Redirects to sign-in, remembering the destination
+ */
+const ProtectedRoute = ({ capability }) => {
+  const { isAuthenticated } = useAuth();
+  const { can } = usePermissions();
+  const { t } = useI18n();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  if (capability && !can(capability)) {
+    return (
+      <div
+        className="flex-1 flex flex-col items-center justify-center gap-2 p-6 text-center text-gray-300"
+        role="alert"
+      >
+        <ShieldOff size={32} className="text-[#F9000E]" aria-hidden="true" />
+        <h1 className="text-white font-semibold">{t(LABELS.DENIED)}</h1>
+        <p className="text-sm text-gray-400">{t(LABELS.DENIED_DETAIL)}</p>
+      </div>
+    );
+  }
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
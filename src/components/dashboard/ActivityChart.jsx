@@ -0,0 +1,121 @@
+/**
+ * ActivityChart Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Pure SVG rendering of a sample series
+ * 2. Configuration Pattern - Centralized dimensions, series and colors
+ *
+ * Draws active and airborne drone counts over time as step lines on a shared
+ * zero-based axis, with the time range and peak printed underneath.
+ *
+ * @param {Array<{time: number, active: number, airborne: number}>} samples - Oldest first
+ */
+
+import useI18n from "../../hooks/useI18n";
+import { formatDate } from "../../utils/i18n";
+
+// Configuration constants for the chart
+const CHART_CONFIG = {
+  WIDTH: 480,
+  HEIGHT: 140,
+  PADDING: 4,
+  STROKE_WIDTH: 2,
+  SERIES: [
+    { key: "active", label: "activityChart.reporting", color: "#9CA3AF" },
+    { key: "airborne", label: "activityChart.airborne", color: "#5CFC00" },
+  ],
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  EMPTY: "activityChart.empty",
+  ARIA: "activityChart.label",
+  PEAK: "activityChart.peak",
+};
+
+/**
+ * Formats a sample time for the axis
+ * @param {number} time - Epoch milliseconds
+ * @param {string} locale - LOCALES key
+ * @returns {string} Local hour and minute
+ */
+const formatAxisTime = (time, locale) =>
+  formatDate(time, { hour: "2-digit", minute: "2-digit" }, locale);
+
+const ActivityChart = ({ samples }) => {
+  const { locale, t } = useI18n();
+  if (samples.length < 2) {
+    return <div className="text-xs text-gray-500 py-8">{t(LABELS.EMPTY)}</div>;
+  }
+
+  const { WIDTH, HEIGHT, PADDING } = CHART_CONFIG;
+  const peak = Math.max(1, ...samples.map((sample) => sample.active));
+  const firstTime = samples[0].time;
+  const span = samples[samples.length - 1].time - firstTime || 1;
+  const x = (time) =>
+    (PADDING + ((time - firstTime) / span) * (WIDTH - PADDING * 2)).toFixed(1);
+  const y = (count) =>
+    (HEIGHT - PADDING - (count / peak) * (HEIGHT - PADDING * 2)).toFixed(1);
+
+  // Pattern: Strategy Pattern - Counts hold until the next sample (step line)
+  const toPoints = (key) =>
+    samples
+      .flatMap((sample, index) => {
+        const next = samples[index + 1];
+        const level = y(sample[key]);
+        return next
+          ? [`${x(sample.time)},${level}`, `${x(next.time)},${level}`]
+          : [`${x(sample.time)},${level}`];
+      })
+      .join(" ");
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-36"
+        role="img"
+        aria-label={t(LABELS.ARIA)}
+      >
+        <line
+          x1={PADDING}
+          x2={WIDTH - PADDING}
+          y1={HEIGHT - PADDING}
+          y2={HEIGHT - PADDING}
+          stroke="#374151"
+          vectorEffect="non-scaling-stroke"
+        />
+        {CHART_CONFIG.SERIES.map((series) => (
+          <polyline
+            key={series.key}
+            points={toPoints(series.key)}
+            fill="none"
+            stroke={series.color}
+            strokeWidth={CHART_CONFIG.STROKE_WIDTH}
+            strokeLinejoin="round"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{formatAxisTime(firstTime, locale)}</span>
+        <span className="flex gap-3">
+          {CHART_CONFIG.SERIES.map((series) => (
+            <span key={series.key} className="flex items-center gap-1">
+              <span
+                className="w-2 h-2 rounded-full"
+                style={{ backgroundColor: series.color }}
+              />
+              {t(series.label)}
+            </span>
+          ))}
+          <span>{t(LABELS.PEAK, { count: peak })}</span>
+        </span>
+        <span>{formatAxisTime(samples[samples.length - 1].time, locale)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityChart;
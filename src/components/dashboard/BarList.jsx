@@ -0,0 +1,60 @@
+/**
+ * BarList Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Pure rendering of labelled counts
+ * 2. Configuration Pattern - Centralized styling
+ *
+ * Horizontal bar chart scaled to the largest count; used for the altitude
+ * distribution and the per-organization and per-pilot flight counts.
+ *
+ * @param {Array<{label: string, count: number}>} items - Bars in display order
+ * @param {string} ariaLabel - Accessible chart name
+ * @param {string} emptyLabel - Shown when every count is zero
+ * @param {string} [color] - Bar color
+ */
+
+// Configuration constants for the chart
+const BAR_CONFIG = {
+  DEFAULT_COLOR: "#F9000E",
+  TRACK: "bg-gray-900",
+};
+
+const BarList = ({
+  items,
+  ariaLabel,
+  emptyLabel,
+  color = BAR_CONFIG.DEFAULT_COLOR,
+}) => {
+  const max = Math.max(0, ...items.map((item) => item.count));
+  if (max === 0) {
+    return <p className="text-xs text-gray-500 py-4">{emptyLabel}</p>;
+  }
+
+  return (
+    <ul className="space-y-1.5 text-xs" aria-label={ariaLabel}>
+      {items.map((item) => (
+        <li
+          key={item.label}
+          className="grid grid-cols-[7rem_1fr_2rem] items-center gap-2"
+        >
+          <span className="truncate text-gray-300" title={item.label}>
+            {item.label}
+          </span>
+          <span className={`h-2 rounded-full ${BAR_CONFIG.TRACK}`}>
+            <span
+              className="block h-2 rounded-full"
+              style={{
+                width: `${(item.count / max) * 100}%`,
+                backgroundColor: color,
+              }}
+            />
+          </span>
+          <span className="text-right text-gray-400">{item.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BarList;
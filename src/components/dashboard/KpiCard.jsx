@@ -0,0 +1,43 @@
+/**
+ * KpiCard Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Pure rendering of one headline figure
+ * 2. Configuration Pattern - Centralized card styling
+ *
+ * @param {Function} icon - Lucide icon component
+ * @param {string} label - Figure name
+ * @param {string|number} value - Headline value
+ * @param {string} [detail] - Secondary line under the value
+ * @param {string} [accent] - Icon color
+ */
+
+// Configuration constants for the card
+const CARD_CONFIG = {
+  STYLING:
+    "bg-gray-800 bg-opacity-95 rounded-xl shadow-xl border border-gray-700 p-4",
+  DEFAULT_ACCENT: "#F9000E",
+};
+
+const KpiCard = ({
+  icon,
+  label,
+  value,
+  detail,
+  accent = CARD_CONFIG.DEFAULT_ACCENT,
+}) => {
+  const Icon = icon;
+
+  return (
+    <section className={CARD_CONFIG.STYLING} aria-label={label}>
+      <div className="flex items-center gap-2 text-xs text-gray-400">
+        <Icon size={14} style={{ color: accent }} aria-hidden="true" />
+        <span>{label}</span>
+      </div>
+      <p className="mt-2 text-2xl font-semibold text-white">{value}</p>
+      {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+    </section>
+  );
+};
+
+export default KpiCard;
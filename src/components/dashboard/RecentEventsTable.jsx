@@ -0,0 +1,109 @@
+/**
+ * RecentEventsTable Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Tabular view of the notification log
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Mediator Pattern - Drone links focus the drone on the map
+ *
+ * Lists the newest fleet events (appearances, lost links, geofence and rule
+ * alerts, connection loss) from the notification store.
+ *
+ * @param {Array} events - Notifications, newest first
+ * @param {number} now - Reference time for relative timestamps
+ * @param {Function} onFocusDrone - Called with a registration
+ */
+
+import { NOTIFICATION_SEVERITIES } from "../../utils/notifications";
+import { formatDateTime, formatTimeAgo } from "../../utils/format";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the table
+const TABLE_CONFIG = {
+  CELL: "px-3 py-2",
+  SEVERITY_COLORS: {
+    [NOTIFICATION_SEVERITIES.INFO]: "#9CA3AF",
+    [NOTIFICATION_SEVERITIES.WARNING]: "#FACC15",
+    [NOTIFICATION_SEVERITIES.CRITICAL]: "#F9000E",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  EMPTY: "recentEvents.empty",
+  TIME: "recentEvents.time",
+  EVENT: "recentEvents.event",
+  DETAILS: "recentEvents.details",
+  DRONE: "recentEvents.drone",
+  FOCUS: "recentEvents.focus",
+};
+
+const RecentEventsTable = ({ events, now, onFocusDrone }) => {
+  const { locale, t } = useI18n();
+  if (events.length === 0) {
+    return <p className="text-xs text-gray-500 py-4">{t(LABELS.EMPTY)}</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs text-start">
+        <thead className="text-gray-500 border-b border-gray-700">
+          <tr>
+            <th className={TABLE_CONFIG.CELL}>{t(LABELS.TIME)}</th>
+            <th className={TABLE_CONFIG.CELL}>{t(LABELS.EVENT)}</th>
+            <th className={`${TABLE_CONFIG.CELL} hidden sm:table-cell`}>
+              {t(LABELS.DETAILS)}
+            </th>
+            <th className={TABLE_CONFIG.CELL}>{t(LABELS.DRONE)}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700 text-gray-300">
+          {events.map((event) => (
+            <tr key={event.id}>
+              <td
+                className={`${TABLE_CONFIG.CELL} whitespace-nowrap text-gray-500`}
+                title={formatDateTime(event.time, locale)}
+              >
+                {formatTimeAgo(event.time, now, locale)}
+              </td>
+              <td className={TABLE_CONFIG.CELL}>
+                <span className="flex items-center gap-2">
+                  <span
+                    className="w-2 h-2 rounded-full shrink-0"
+                    style={{
+                      backgroundColor:
+                        TABLE_CONFIG.SEVERITY_COLORS[event.severity],
+                    }}
+                    aria-label={t(`severity.${event.severity}`)}
+                  />
+                  {event.title}
+                </span>
+              </td>
+              <td
+                className={`${TABLE_CONFIG.CELL} hidden sm:table-cell text-gray-400`}
+              >
+                {event.message}
+              </td>
+              <td className={TABLE_CONFIG.CELL}>
+                {event.registration && (
+                  <button
+                    type="button"
+                    onClick={() => onFocusDrone(event.registration)}
+                    className="text-[#F9000E] hover:underline"
+                    aria-label={t(LABELS.FOCUS, {
+                      registration: event.registration,
+                    })}
+                  >
+                    {event.registration}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RecentEventsTable;
@@ -0,0 +1,87 @@
+/**
+ * AltitudeSparkline Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Pure SVG rendering of a sample series
+ * 2. Configuration Pattern - Centralized dimensions and colors
+ *
+ * Draws recent altitude samples as a small line chart scaled to the series'
+ * own min/max, with the range printed underneath.
+ *
+ * @param {Array<{time: number, altitude: number}>} samples - Oldest first
+ */
+
+import { formatAltitude } from "../../utils/format";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the chart
+const SPARKLINE_CONFIG = {
+  WIDTH: 240,
+  HEIGHT: 48,
+  PADDING: 3,
+  STROKE: "#F9000E",
+  FILL: "rgba(249, 0, 14, 0.15)",
+  STROKE_WIDTH: 2,
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  EMPTY: "chart.collectingAltitude",
+  ARIA: "chart.altitude",
+  MIN: "chart.min",
+  MAX: "chart.max",
+};
+
+const AltitudeSparkline = ({ samples }) => {
+  const { t } = useI18n();
+  if (samples.length < 2) {
+    return <div className="text-xs text-gray-500 py-3">{t(LABELS.EMPTY)}</div>;
+  }
+
+  const { WIDTH, HEIGHT, PADDING } = SPARKLINE_CONFIG;
+  const altitudes = samples.map((sample) => sample.altitude);
+  const min = Math.min(...altitudes);
+  const max = Math.max(...altitudes);
+  const range = max - min || 1;
+  const firstTime = samples[0].time;
+  const span = samples[samples.length - 1].time - firstTime || 1;
+
+  // Pattern: Strategy Pattern - Time-proportional x axis, min/max-scaled y axis
+  const points = samples.map(({ time, altitude }) => {
+    const x = PADDING + ((time - firstTime) / span) * (WIDTH - PADDING * 2);
+    const y =
+      HEIGHT - PADDING - ((altitude - min) / range) * (HEIGHT - PADDING * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const area = `${PADDING},${HEIGHT - PADDING} ${points.join(" ")} ${
+    WIDTH - PADDING
+  },${HEIGHT - PADDING}`;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-12"
+        role="img"
+        aria-label={t(LABELS.ARIA)}
+      >
+        <polygon points={area} fill={SPARKLINE_CONFIG.FILL} />
+        <polyline
+          points={points.join(" ")}
+          fill="none"
+          stroke={SPARKLINE_CONFIG.STROKE}
+          strokeWidth={SPARKLINE_CONFIG.STROKE_WIDTH}
+          strokeLinejoin="round"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{t(LABELS.MIN, { value: formatAltitude(min) })}</span>
+        <span>{t(LABELS.MAX, { value: formatAltitude(max) })}</span>
+      </div>
+    </div>
+  );
+};
+
+export default AltitudeSparkline;
@@ -0,0 +1,218 @@
+/**
+ * DroneComparisonPanel Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Renders metrics derived from the store records
+ * 2. Configuration Pattern - Centralized styling and message keys
+ * 3. Command Pattern - Bulk actions apply to every compared drone at once
+ *
+ * Shown instead of the DroneDetailPanel while several drones are selected:
+ * live altitude and speed per drone, their recent altitude and speed profiles
+ * overlaid in the drones' comparison colors (the same colors as their trails),
+ * and bulk export and watchlist actions for the selection.
+ *
+ * @param {Array} drones - Selected drone data objects (drones not reporting are left out)
+ * @param {Array<string>} selectedDrones - Selected registrations, in selection order
+ * @param {Set<string>} watchlist - Watched registrations
+ * @param {number} [statusTime] - Clock used for status classification (replay time; defaults to now)
+ * @param {Function} onRemove - Called with a registration to drop from the selection
+ * @param {Function} onClose - Clears the selection
+ */
+
+import { Eye, EyeOff, X } from "lucide-react";
+import { getDroneStatus } from "../../utils/droneStatus";
+import {
+  getAltitudeSeries,
+  getDroneMetrics,
+  getSpeedSeries,
+} from "../../utils/droneMetrics";
+import { getSelectionColor } from "../../utils/droneSelection";
+import { addToWatchlist, removeFromWatchlist } from "../../utils/watchlist";
+import { TRACK_FORMATS } from "../../utils/trackFormats";
+import { downloadDroneTracks } from "../../utils/download";
+import { formatAltitude, formatSpeed } from "../../utils/format";
+import ProfileChart from "./ProfileChart";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the panel
+const PANEL_CONFIG = {
+  POSITIONING: "absolute top-16 start-2 end-14 md:start-auto",
+  Z_INDEX: "z-20",
+  WIDTH: "md:w-80",
+  MAX_HEIGHT: "max-h-[calc(100vh-10rem)] overflow-y-auto",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center justify-center gap-1 px-2 py-1 rounded border border-gray-700 hover:bg-gray-700 transition-colors",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "comparison.title",
+  HINT: "comparison.hint",
+  ALTITUDE_CHART: "comparison.altitudeChart",
+  SPEED_CHART: "comparison.speedChart",
+  EXPORT: "comparison.export",
+  WATCH: "comparison.watch",
+  UNWATCH: "comparison.unwatch",
+  REMOVE: "comparison.remove",
+  CLOSE: "comparison.close",
+  NOT_REPORTING: "comparison.notReporting",
+};
+
+const DroneComparisonPanel = ({
+  drones,
+  selectedDrones,
+  watchlist,
+  statusTime,
+  onRemove,
+  onClose,
+}) => {
+  const { t } = useI18n();
+  // Pattern: Derived State Pattern - Colors follow selection order, like the trails
+  const compared = drones.map((drone) => ({
+    drone,
+    color: getSelectionColor(
+      selectedDrones.indexOf(drone.properties.registration)
+    ),
+  }));
+  const isAllWatched = selectedDrones.every((registration) =>
+    watchlist.has(registration)
+  );
+
+  const altitudeSeries = compared.map(({ drone, color }) => ({
+    key: drone.properties.registration,
+    color,
+    samples: getAltitudeSeries(drone).map(({ time, altitude }) => ({
+      time,
+      value: altitude,
+    })),
+  }));
+  const speedSeries = compared.map(({ drone, color }) => ({
+    key: drone.properties.registration,
+    color,
+    samples: getSpeedSeries(drone).map(({ time, speed }) => ({
+      time,
+      value: speed,
+    })),
+  }));
+
+  return (
+    <section
+      className={`${PANEL_CONFIG.POSITIONING} ${PANEL_CONFIG.Z_INDEX} ${PANEL_CONFIG.WIDTH} ${PANEL_CONFIG.MAX_HEIGHT} ${PANEL_CONFIG.STYLING}`}
+      aria-label={t(LABELS.TITLE, { count: selectedDrones.length })}
+    >
+      {/* Header */}
+      <header className="flex items-start justify-between gap-2 px-3 pt-3">
+        <div className="min-w-0">
+          <h2 className="text-sm font-semibold text-white">
+            {t(LABELS.TITLE, { count: selectedDrones.length })}
+          </h2>
+          <div className="text-gray-400">{t(LABELS.HINT)}</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-white"
+          aria-label={t(LABELS.CLOSE)}
+        >
+          <X size={16} />
+        </button>
+      </header>
+
+      {/* Compared Drones */}
+      <ul className="px-3 py-3 space-y-1">
+        {compared.map(({ drone, color }) => {
+          const { registration, Name } = drone.properties;
+          const status = getDroneStatus(drone, statusTime);
+          const metrics = getDroneMetrics(drone);
+          return (
+            <li key={registration} className="flex items-center gap-2">
+              <span
+                className="w-3 h-1 rounded-full flex-shrink-0"
+                style={{ backgroundColor: color }}
+              />
+              <span
+                className="w-2 h-2 rounded-full flex-shrink-0"
+                style={{ backgroundColor: status.color }}
+                title={t(`status.${status.state}`)}
+              />
+              <span className="flex-1 min-w-0 truncate text-white">
+                {Name ?? registration}
+              </span>
+              <span className="font-mono">
+                {formatAltitude(metrics.altitude)}
+              </span>
+              <span className="font-mono w-16 text-end">
+                {formatSpeed(metrics.groundSpeed)}
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemove(registration)}
+                className="text-gray-400 hover:text-white"
+                aria-label={t(LABELS.REMOVE, { name: Name ?? registration })}
+              >
+                <X size={12} />
+              </button>
+            </li>
+          );
+        })}
+        {compared.length === 0 && (
+          <li className="text-gray-500">{t(LABELS.NOT_REPORTING)}</li>
+        )}
+      </ul>
+
+      {/* Profiles */}
+      <div className="px-3 pb-3 space-y-2">
+        <div>
+          <div className="text-gray-400 mb-1">{t(LABELS.ALTITUDE_CHART)}</div>
+          <ProfileChart
+            label={t(LABELS.ALTITUDE_CHART)}
+            series={altitudeSeries}
+            formatValue={formatAltitude}
+          />
+        </div>
+        <div>
+          <div className="text-gray-400 mb-1">{t(LABELS.SPEED_CHART)}</div>
+          <ProfileChart
+            label={t(LABELS.SPEED_CHART)}
+            series={speedSeries}
+            formatValue={formatSpeed}
+          />
+        </div>
+      </div>
+
+      {/* Bulk Actions */}
+      <div className="px-3 py-3 space-y-2 border-t border-gray-700">
+        <div className="flex items-center gap-1">
+          <span className="text-gray-400 me-1">{t(LABELS.EXPORT)}</span>
+          {Object.entries(TRACK_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => downloadDroneTracks(drones, format, "selection")}
+              disabled={drones.length === 0}
+              className={`${PANEL_CONFIG.BUTTON} flex-1 disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() =>
+            isAllWatched
+              ? removeFromWatchlist(selectedDrones)
+              : addToWatchlist(selectedDrones)
+          }
+          className={`${PANEL_CONFIG.BUTTON} w-full`}
+        >
+          {isAllWatched ? <EyeOff size={14} /> : <Eye size={14} />}
+          {isAllWatched ? t(LABELS.UNWATCH) : t(LABELS.WATCH)}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default DroneComparisonPanel;
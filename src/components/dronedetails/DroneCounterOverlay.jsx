@@ -9,17 +9,24 @@
  * 5. Strategy Pattern - Different display strategies for mobile/desktop
  *
  * Displays drone statistics in an overlay with:
- * - Responsive positioning (desktop: bottom-right, mobile: bottom-left)
+ * - Responsive positioning (desktop: bottom-end, mobile: bottom-start; mirrored
+ *   for right-to-left languages)
  * - Adaptive sizing and spacing
  * - Consistent styling with backdrop blur
  * - Accessibility considerations
+ * - Lost-link drone count when any drone has stopped reporting
  */
 
+import { DRONE_STATES } from "../../utils/droneStatus";
+import { formatNumber } from "../../utils/i18n";
+import useI18n from "../../hooks/useI18n";
+
 // Configuration constants for the overlay component
 const OVERLAY_CONFIG = {
   COLORS: {
     TEXT_SECONDARY: "text-gray-300",
     DRONE_ACTIVE: "text-red-400",
+    DRONE_LOST: "text-yellow-400",
     OVERLAY_BG: "bg-gray-800 bg-opacity-95",
     BORDER: "border-gray-700",
   },
@@ -32,8 +39,8 @@ const OVERLAY_CONFIG = {
       MOBILE: "space-x-1",
     },
     POSITIONING: {
-      DESKTOP: "fixed bottom-4 right-4",
-      MOBILE: "fixed bottom-20 left-2",
+      DESKTOP: "fixed bottom-4 end-4",
+      MOBILE: "fixed bottom-20 start-2",
     },
   },
   STYLING: {
@@ -43,9 +50,13 @@ const OVERLAY_CONFIG = {
   },
 };
 
-// Label constants
+// Message keys (see src/locales)
 const LABELS = {
-  DRONE_STATUS: "Drone Flying",
+  REGION: "counter.label",
+  DRONE_STATUS: "counter.flying",
+  DRONE_STATUS_COUNT: "counter.flying.ariaLabel",
+  DRONE_LOST: "counter.lost",
+  DRONE_LOST_COUNT: "counter.lost.ariaLabel",
 };
 
 /**
@@ -111,13 +122,14 @@ const getSpacingClasses = (isMobile) => {
  * Pattern: Responsive Design - Different layouts for mobile/desktop
  *
  * @param {Object} props - Component props
- * @param {Object} props.stats - Drone statistics object
- * @param {number} props.stats.active - Number of active/flying drones
- * @param {number} props.stats.inactive - Number of inactive drones
+ * @param {Object} props.stats - Drone statistics from countDronesByStatus
+ * @param {number} props.stats.airborne - Number of airborne drones
+ * @param {number} props.stats["lost-link"] - Number of drones that stopped reporting
  * @param {number} props.stats.total - Total number of drones
  * @param {boolean} [props.isMobile=false] - Whether this is mobile layout
  */
 const DroneCounterOverlay = ({ stats, isMobile = false }) => {
+  const { t } = useI18n();
   const containerClasses = getContainerClasses(isMobile);
   const contentClasses = getContentClasses();
   const paddingClasses = getPaddingClasses(isMobile);
@@ -128,21 +140,46 @@ const DroneCounterOverlay = ({ stats, isMobile = false }) => {
     <div
       className={containerClasses}
       role="complementary"
-      aria-label="Drone statistics"
+      aria-label={t(LABELS.REGION)}
     >
       <div className={`${contentClasses} ${paddingClasses}`}>
         <div className={`flex items-center ${spacingClasses}`}>
           <span
             className={`${textSizeClasses} font-semibold ${OVERLAY_CONFIG.COLORS.DRONE_ACTIVE}`}
-            aria-label={`${stats.active} active drones`}
+            aria-label={t(LABELS.DRONE_STATUS_COUNT, {
+              count: stats[DRONE_STATES.AIRBORNE],
+            })}
           >
-            {stats.active}
+            {formatNumber(stats[DRONE_STATES.AIRBORNE])}
           </span>
           <span
             className={`${textSizeClasses} ${OVERLAY_CONFIG.COLORS.TEXT_SECONDARY}`}
           >
-            {LABELS.DRONE_STATUS}
+            {t(LABELS.DRONE_STATUS)}
           </span>
+          {stats[DRONE_STATES.LOST_LINK] > 0 && (
+            <>
+              <span
+                className={`${textSizeClasses} ${OVERLAY_CONFIG.COLORS.TEXT_SECONDARY}`}
+                aria-hidden="true"
+              >
+                ·
+              </span>
+              <span
+                className={`${textSizeClasses} font-semibold ${OVERLAY_CONFIG.COLORS.DRONE_LOST}`}
+                aria-label={t(LABELS.DRONE_LOST_COUNT, {
+                  count: stats[DRONE_STATES.LOST_LINK],
+                })}
+              >
+                {formatNumber(stats[DRONE_STATES.LOST_LINK])}
+              </span>
+              <span
+                className={`${textSizeClasses} ${OVERLAY_CONFIG.COLORS.TEXT_SECONDARY}`}
+              >
+                {t(LABELS.DRONE_LOST)}
+              </span>
+            </>
+          )}
         </div>
       </div>
     </div>
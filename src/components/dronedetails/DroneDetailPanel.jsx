@@ -0,0 +1,184 @@
+/**
+ * DroneDetailPanel Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Renders metrics derived from the store record
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Observer Pattern - Re-renders whenever the selected drone's record changes
+ *
+ * Live telemetry for the selected drone: altitude, ground speed, heading,
+ * vertical rate, flight duration (from receive timestamps), distance travelled,
+ * pilot and organization, plus an altitude-over-time sparkline. React escapes
+ * every value, so server-provided strings are never interpreted as markup.
+ * The eye button adds the drone to (or removes it from) the watchlist.
+ *
+ * @param {Object|null} drone - Selected drone data object
+ * @param {number} [statusTime] - Clock used for status classification (replay time; defaults to now)
+ * @param {boolean} [isWatched=false] - Whether the drone is on the watchlist
+ * @param {Function} onClose - Clears the selection
+ */
+
+import { Eye, EyeOff, X } from "lucide-react";
+import {
+  LINK_STATES,
+  getDroneStatus,
+  getLinkState,
+} from "../../utils/droneStatus";
+import { getAltitudeSeries, getDroneMetrics } from "../../utils/droneMetrics";
+import { addToWatchlist, removeFromWatchlist } from "../../utils/watchlist";
+import {
+  formatAltitude,
+  formatDistance,
+  formatDuration,
+  formatHeading,
+  formatSpeed,
+  formatTimeAgo,
+  formatVerticalRate,
+} from "../../utils/format";
+import AltitudeSparkline from "./AltitudeSparkline";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the panel
+const PANEL_CONFIG = {
+  POSITIONING: "absolute top-16 start-2 end-14 md:start-auto",
+  Z_INDEX: "z-20",
+  WIDTH: "md:w-72",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  REGION: "droneDetail.label",
+  ALTITUDE: "droneDetail.altitude",
+  GROUND_SPEED: "droneDetail.groundSpeed",
+  HEADING: "droneDetail.heading",
+  VERTICAL_RATE: "droneDetail.verticalRate",
+  DURATION: "droneDetail.duration",
+  DISTANCE: "droneDetail.distance",
+  PILOT: "droneDetail.pilot",
+  ORGANIZATION: "droneDetail.organization",
+  SERIAL: "droneDetail.serial",
+  ALTITUDE_CHART: "droneDetail.altitudeChart",
+  CLOSE: "droneDetail.close",
+  WATCH: "droneDetail.watch",
+  UNWATCH: "droneDetail.unwatch",
+  LAST_SEEN: "droneDetail.lastSeen",
+};
+
+/**
+ * Single metric cell
+ * @param {string} label - Metric label
+ * @param {string} value - Formatted value
+ */
+const Metric = ({ label, value }) => (
+  <div>
+    <div className="text-gray-400">{label}</div>
+    <div className="font-mono text-sm text-white">{value}</div>
+  </div>
+);
+
+const DroneDetailPanel = ({
+  drone,
+  statusTime,
+  isWatched = false,
+  onClose,
+}) => {
+  const { t } = useI18n();
+  if (!drone) return null;
+
+  const { registration, Name, serial, pilot, organization } = drone.properties;
+  const status = getDroneStatus(drone, statusTime);
+  const metrics = getDroneMetrics(drone);
+  const now = statusTime ?? Date.now();
+  const isAged = getLinkState(drone, now).state !== LINK_STATES.LIVE;
+
+  return (
+    <section
+      className={`${PANEL_CONFIG.POSITIONING} ${PANEL_CONFIG.Z_INDEX} ${PANEL_CONFIG.WIDTH} ${PANEL_CONFIG.STYLING}`}
+      aria-label={t(LABELS.REGION, { name: Name ?? registration })}
+    >
+      {/* Header */}
+      <header className="flex items-start justify-between gap-2 px-3 pt-3">
+        <div className="min-w-0">
+          <h2 className="text-sm font-semibold text-white truncate">
+            {Name ?? registration}
+          </h2>
+          <div className="flex items-center gap-2 text-gray-400">
+            <span
+              className="w-2 h-2 rounded-full"
+              style={{ backgroundColor: status.color }}
+            />
+            <span>{t(`status.${status.state}`)}</span>
+            <span className="truncate">· {registration}</span>
+          </div>
+          {isAged && (
+            <div className="text-[#FACC15]">
+              {t(LABELS.LAST_SEEN, {
+                time: formatTimeAgo(metrics.lastSeen, now),
+              })}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() =>
+              isWatched
+                ? removeFromWatchlist([registration])
+                : addToWatchlist([registration])
+            }
+            className={isWatched ? "text-[#38BDF8]" : "text-gray-400 hover:text-white"}
+            aria-pressed={isWatched}
+            aria-label={t(isWatched ? LABELS.UNWATCH : LABELS.WATCH)}
+            title={t(isWatched ? LABELS.UNWATCH : LABELS.WATCH)}
+          >
+            {isWatched ? <Eye size={16} /> : <EyeOff size={16} />}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-white"
+            aria-label={t(LABELS.CLOSE)}
+          >
+            <X size={16} />
+          </button>
+        </div>
+      </header>
+
+      {/* Live Metrics */}
+      <div className="grid grid-cols-2 gap-x-3 gap-y-2 px-3 py-3">
+        <Metric label={t(LABELS.ALTITUDE)} value={formatAltitude(metrics.altitude)} />
+        <Metric
+          label={t(LABELS.GROUND_SPEED)}
+          value={formatSpeed(metrics.groundSpeed)}
+        />
+        <Metric label={t(LABELS.HEADING)} value={formatHeading(metrics.heading)} />
+        <Metric
+          label={t(LABELS.VERTICAL_RATE)}
+          value={formatVerticalRate(metrics.verticalRate)}
+        />
+        <Metric label={t(LABELS.DURATION)} value={formatDuration(metrics.duration)} />
+        <Metric label={t(LABELS.DISTANCE)} value={formatDistance(metrics.distance)} />
+      </div>
+
+      {/* Altitude Sparkline */}
+      <div className="px-3 pb-3">
+        <div className="text-gray-400 mb-1">{t(LABELS.ALTITUDE_CHART)}</div>
+        <AltitudeSparkline samples={getAltitudeSeries(drone)} />
+      </div>
+
+      {/* Operator Details */}
+      <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 px-3 py-3 border-t border-gray-700">
+        <dt className="text-gray-400">{t(LABELS.PILOT)}</dt>
+        <dd className="truncate">{pilot ?? "—"}</dd>
+        <dt className="text-gray-400">{t(LABELS.ORGANIZATION)}</dt>
+        <dd className="truncate">{organization ?? "—"}</dd>
+        <dt className="text-gray-400">{t(LABELS.SERIAL)}</dt>
+        <dd className="truncate font-mono">{serial ?? "—"}</dd>
+      </dl>
+    </section>
+  );
+};
+
+export default DroneDetailPanel;
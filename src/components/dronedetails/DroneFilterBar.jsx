@@ -0,0 +1,202 @@
+/**
+ * DroneFilterBar Component
+ *
+ * Design Patterns Used:
+ * 1. Controlled Component Pattern - Filter state is owned by the page
+ * 2. Configuration Pattern - Centralized chip styling and labels
+ * 3. Responsive Design Pattern - Compact sizing on mobile
+ *
+ * Search box, watchlist, status and organization chips and sort selector for
+ * the drone list. Chips toggle independently; within a group any selected
+ * value matches.
+ *
+ * @param {Object} filter - Current drone filter (see droneFilters.js)
+ * @param {Function} onChange - Called with the next filter
+ * @param {Array<string>} organizations - Organizations offered as chips
+ * @param {number} matchedCount - Drones matching the filter
+ * @param {number} totalCount - Drones in the list before filtering
+ * @param {boolean} [isMobile=false] - Whether this is rendered in mobile context
+ */
+
+import { Eye, X } from "lucide-react";
+import { DRONE_STATES, STATUS_META } from "../../utils/droneStatus";
+import {
+  DEFAULT_DRONE_FILTER,
+  DRONE_SORT_META,
+  isDroneFilterActive,
+} from "../../utils/droneFilters";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the filter bar
+const FILTER_CONFIG = {
+  CHIP: "flex items-center gap-1 px-2 py-0.5 rounded-full border transition-colors",
+  CHIP_ACTIVE: "border-[#F9000E] bg-[#F9000E] bg-opacity-20 text-white",
+  CHIP_INACTIVE: "border-gray-700 text-gray-400 hover:text-white",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  SEARCH: "droneFilter.search",
+  SORT: "droneFilter.sort",
+  STATUS: "droneFilter.status",
+  WATCHED: "droneFilter.watched",
+  ORGANIZATION: "droneFilter.organization",
+  COUNT: "droneFilter.count",
+  RESET: "droneFilter.reset",
+};
+
+/**
+ * Adds or removes a value from a list
+ * @param {Array} list - Current values
+ * @param {string} value - Value to toggle
+ * @returns {Array} New list
+ */
+const toggleValue = (list, value) =>
+  list.includes(value)
+    ? list.filter((item) => item !== value)
+    : [...list, value];
+
+/**
+ * Toggleable filter chip
+ * @param {boolean} active - Whether the chip is selected
+ * @param {Function} onToggle - Click handler
+ * @param {string} [color] - Status dot color
+ * @param {React.ReactNode} children - Chip label
+ */
+const FilterChip = ({ active, onToggle, color, children }) => (
+  <button
+    type="button"
+    onClick={onToggle}
+    aria-pressed={active}
+    className={`${FILTER_CONFIG.CHIP} ${
+      active ? FILTER_CONFIG.CHIP_ACTIVE : FILTER_CONFIG.CHIP_INACTIVE
+    }`}
+  >
+    {color && (
+      <span
+        className="w-2 h-2 rounded-full"
+        style={{ backgroundColor: color }}
+        aria-hidden="true"
+      />
+    )}
+    {children}
+  </button>
+);
+
+const DroneFilterBar = ({
+  filter,
+  onChange,
+  organizations,
+  matchedCount,
+  totalCount,
+  isMobile = false,
+}) => {
+  const { t } = useI18n();
+  const detailTextSize = isMobile ? "text-[10px]" : "text-xs";
+  const isActive = isDroneFilterActive(filter);
+  const update = (patch) => onChange({ ...filter, ...patch });
+
+  return (
+    <div
+      className={`space-y-2 ${isMobile ? "px-3" : "px-4"} py-2 border-b border-gray-700 ${detailTextSize}`}
+    >
+      {/* Search and Sort Controls */}
+      <div className="flex gap-2">
+        <input
+          type="search"
+          value={filter.query}
+          onChange={(event) => update({ query: event.target.value })}
+          placeholder={t(LABELS.SEARCH)}
+          aria-label={t(LABELS.SEARCH)}
+          className="flex-1 min-w-0 bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white focus:outline-none focus:border-[#F9000E]"
+        />
+        <select
+          value={filter.sort}
+          onChange={(event) => update({ sort: event.target.value })}
+          aria-label={t(LABELS.SORT)}
+          className="bg-gray-900 border border-gray-700 rounded px-1 py-1 text-gray-300"
+        >
+          {Object.keys(DRONE_SORT_META).map((key) => (
+            <option key={key} value={key}>
+              {t(`droneSort.${key}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Watchlist and Status Chips */}
+      <div
+        className="flex flex-wrap gap-1"
+        role="group"
+        aria-label={t(LABELS.STATUS)}
+      >
+        <FilterChip
+          active={filter.watchedOnly}
+          onToggle={() => update({ watchedOnly: !filter.watchedOnly })}
+        >
+          <Eye size={12} aria-hidden="true" />
+          {t(LABELS.WATCHED)}
+        </FilterChip>
+        {Object.values(DRONE_STATES).map((state) => (
+          <FilterChip
+            key={state}
+            active={filter.statuses.includes(state)}
+            onToggle={() =>
+              update({ statuses: toggleValue(filter.statuses, state) })
+            }
+            color={STATUS_META[state].color}
+          >
+            {t(`status.${state}`)}
+          </FilterChip>
+        ))}
+      </div>
+
+      {/* Organization Chips */}
+      {organizations.length > 0 && (
+        <div
+          className="flex flex-wrap gap-1 max-h-16 overflow-y-auto"
+          role="group"
+          aria-label={t(LABELS.ORGANIZATION)}
+        >
+          {organizations.map((organization) => (
+            <FilterChip
+              key={organization}
+              active={filter.organizations.includes(organization)}
+              onToggle={() =>
+                update({
+                  organizations: toggleValue(
+                    filter.organizations,
+                    organization
+                  ),
+                })
+              }
+            >
+              {organization}
+            </FilterChip>
+          ))}
+        </div>
+      )}
+
+      {/* Result Count */}
+      {isActive && (
+        <div className="flex items-center justify-between text-gray-400">
+          <span role="status">
+            {t(LABELS.COUNT, { matched: matchedCount, total: totalCount })}
+          </span>
+          <button
+            type="button"
+            onClick={() =>
+              onChange({ ...DEFAULT_DRONE_FILTER, sort: filter.sort })
+            }
+            className="flex items-center gap-1 hover:text-white"
+          >
+            <X size={12} />
+            {t(LABELS.RESET)}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DroneFilterBar;
@@ -0,0 +1,152 @@
+/**
+ * DroneItem Component
+ *
+ * Design Patterns Used:
+ * 1. Memoization Pattern - Re-renders only when its own props change
+ * 2. Presentational Component Pattern - Status and link state are derived by the list
+ * 3. Responsive Design Pattern - Compact sizing on mobile
+ *
+ * One row of the drone list. Drone objects keep their identity until the drone
+ * reports again (see droneStore.js), and the list passes status, link state
+ * and "last seen" text as primitives, so a frame only re-renders the rows of
+ * drones that changed. Rows also re-render when the language changes.
+ *
+ * @param {string} id - Element id (referenced by the list's aria-activedescendant)
+ * @param {Object} drone - Drone data object
+ * @param {string} status - DRONE_STATES value
+ * @param {string} linkState - LINK_STATES value
+ * @param {string|null} lastSeen - "Last seen" text for aged drones
+ * @param {boolean} isSelected - Whether the drone is selected
+ * @param {boolean} [isWatched=false] - Whether the drone is on the watchlist
+ * @param {boolean} isActive - Whether the row has keyboard focus
+ * @param {number} height - Fixed row height in pixels
+ * @param {Function} onSelect - Called with the drone registration and the click event
+ * @param {boolean} [isMobile=false] - Whether this is rendered in mobile context
+ */
+
+import { memo } from "react";
+import { Eye } from "lucide-react";
+import { LINK_STATES, STATUS_META } from "../../utils/droneStatus";
+import useI18n from "../../hooks/useI18n";
+
+/**
+ * Row background and focus classes
+ * Pattern: Factory Pattern - Creates consistent styling based on row state
+ * @param {boolean} isSelected - Whether the drone is selected
+ * @param {boolean} isActive - Whether the row has keyboard focus
+ * @returns {string} Combined CSS classes
+ */
+const getDroneItemClasses = (isSelected, isActive) =>
+  `border-b border-gray-700 cursor-pointer transition-colors overflow-hidden ${
+    isSelected ? "bg-gray-600" : "hover:bg-gray-700"
+  } ${isActive ? "ring-1 ring-inset ring-[#F9000E]" : ""}`;
+
+// Fading per link state
+const LINK_OPACITY = {
+  [LINK_STATES.LIVE]: "",
+  [LINK_STATES.STALE]: "opacity-70",
+  [LINK_STATES.LOST]: "opacity-40",
+};
+
+const DroneItem = ({
+  id,
+  drone,
+  status,
+  linkState,
+  lastSeen,
+  isSelected,
+  isWatched = false,
+  isActive,
+  height,
+  onSelect,
+  isMobile = false,
+}) => {
+  const { registration, Name, serial, pilot, organization } = drone.properties;
+  const { t } = useI18n();
+  const { color } = STATUS_META[status];
+  const label = t(`status.${status}`);
+  const textSizes = isMobile ? "text-xs" : "text-sm";
+  const detailTextSize = isMobile ? "text-[10px]" : "text-xs";
+  const padding = isMobile ? "p-3" : "p-4";
+
+  return (
+    <div
+      id={id}
+      role="option"
+      aria-selected={isSelected}
+      onClick={(event) => onSelect(registration, event)}
+      style={{ height }}
+      className={`${getDroneItemClasses(
+        isSelected,
+        isActive
+      )} ${padding} ${LINK_OPACITY[linkState]}`}
+    >
+      {/* Drone Header with Name and Status */}
+      <div className="flex items-start justify-between mb-2">
+        <h3
+          className={`flex items-center gap-1.5 min-w-0 text-white font-medium ${textSizes} pe-2`}
+        >
+          {isWatched && (
+            <Eye
+              size={12}
+              className="flex-shrink-0 text-[#38BDF8]"
+              aria-label={t("droneItem.watched")}
+            />
+          )}
+          <span className="truncate">{Name}</span>
+        </h3>
+        <div
+          className="w-2 h-2 rounded-full mt-0.5 flex-shrink-0"
+          style={{ backgroundColor: color }}
+          title={label}
+          aria-label={t("droneItem.status", { status: label })}
+        />
+      </div>
+
+      {/* Drone Details */}
+      <div className={`space-y-1 ${detailTextSize}`}>
+        {lastSeen && (
+          <div className="text-[#FACC15]">
+            {t("droneItem.lastSeen", { time: lastSeen })}
+          </div>
+        )}
+        <div className="flex justify-between gap-2">
+          <span className="text-gray-400">{t("droneItem.serial")}</span>
+          <span
+            className={`text-gray-300 font-mono truncate ${detailTextSize}`}
+          >
+            {serial}
+          </span>
+        </div>
+        <div className="flex justify-between gap-2">
+          <span className="text-gray-400">
+            {t(
+              isMobile
+                ? "droneItem.registrationShort"
+                : "droneItem.registration"
+            )}
+          </span>
+          <span
+            className={`text-gray-300 font-mono truncate ${detailTextSize}`}
+          >
+            {registration}
+          </span>
+        </div>
+        <div className="flex justify-between gap-2">
+          <span className="text-gray-400">{t("droneItem.pilot")}</span>
+          <span className={`text-gray-300 truncate ${detailTextSize}`}>
+            {pilot}
+          </span>
+        </div>
+        {!isMobile && organization && (
+          <div className="flex justify-between gap-2">
+            <span className="text-gray-400">{t("droneItem.organization")}</span>
+            <span className="text-gray-300 truncate">{organization}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(DroneItem);
@@ -0,0 +1,238 @@
+/**
+ * DroneList Component
+ *
+ * Design Patterns Used:
+ * 1. Windowing Pattern - Only visible rows are mounted (useVirtualList)
+ * 2. Memoization Pattern - Rows are memoized DroneItems fed primitive props
+ * 3. Keyboard Navigation Pattern - Listbox with an active descendant
+ * 4. Configuration Pattern - Centralized row heights and labels
+ *
+ * Scrollable, windowed list of the filtered drones for the DroneMenu. Arrow
+ * keys, Home and End move the keyboard cursor and Enter selects; shift, ctrl
+ * or cmd with a click or Enter adds the drone to the selection. A drone
+ * selected elsewhere (map, notifications, dashboard) is scrolled into view.
+ *
+ * @param {Array} drones - Drones to list, in display order
+ * @param {number} totalCount - Drones before filtering (for the empty message)
+ * @param {string|null} selectedDrone - Primary selected drone registration
+ * @param {Array<string>} [selectedDrones] - Every selected registration
+ * @param {Set<string>} [watchlist] - Watched registrations (marked in the rows)
+ * @param {Function} onSelect - Called with a drone registration and the input event
+ * @param {number} [statusTime] - Clock used for status classification (replay time; defaults to now)
+ * @param {boolean} [isMobile=false] - Whether this is rendered in mobile context
+ */
+
+import { useCallback, useEffect, useId, useRef, useState } from "react";
+import DroneItem from "./DroneItem";
+import useVirtualList from "../../hooks/useVirtualList";
+import useI18n from "../../hooks/useI18n";
+import {
+  LINK_STATES,
+  getDroneStatus,
+  getLastSeen,
+  getLinkState,
+} from "../../utils/droneStatus";
+import { formatTimeAgo } from "../../utils/format";
+
+// Configuration constants for the list
+const DRONE_LIST_CONFIG = {
+  // Rows have a fixed height so the window can be computed without measuring
+  ROW_HEIGHT: {
+    MOBILE: 124,
+    DESKTOP: 160,
+  },
+};
+
+const NO_SELECTION = [];
+const NO_WATCHLIST = new Set();
+
+// Message keys (see src/locales)
+const LABELS = {
+  LIST: "droneList.label",
+  EMPTY: "droneList.empty",
+};
+
+/**
+ * Index the keyboard cursor moves to
+ * @param {string} key - KeyboardEvent key
+ * @param {number} index - Current cursor index (-1 when none)
+ * @param {number} count - Number of rows
+ * @param {number} pageSize - Rows per viewport
+ * @returns {number|null} Next index, or null for keys the list ignores
+ */
+const getNextIndex = (key, index, count, pageSize) => {
+  switch (key) {
+    case "ArrowDown":
+      return Math.min(count - 1, index + 1);
+    case "ArrowUp":
+      return Math.max(0, index - 1);
+    case "PageDown":
+      return Math.min(count - 1, Math.max(0, index) + pageSize);
+    case "PageUp":
+      return Math.max(0, index - pageSize);
+    case "Home":
+      return 0;
+    case "End":
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+const DroneList = ({
+  drones,
+  totalCount,
+  selectedDrone,
+  selectedDrones = NO_SELECTION,
+  watchlist = NO_WATCHLIST,
+  onSelect,
+  statusTime,
+  isMobile = false,
+}) => {
+  const idPrefix = useId();
+  const { t } = useI18n();
+  const rowHeight = isMobile
+    ? DRONE_LIST_CONFIG.ROW_HEIGHT.MOBILE
+    : DRONE_LIST_CONFIG.ROW_HEIGHT.DESKTOP;
+  const {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    offset,
+    totalHeight,
+    scrollToIndex,
+  } = useVirtualList(drones.length, rowHeight);
+  const [isFocused, setIsFocused] = useState(false);
+  // Keyboard cursor, tracked by registration so re-sorting keeps it on the drone
+  const [activeRegistration, setActiveRegistration] = useState(selectedDrone);
+  const [previousSelection, setPreviousSelection] = useState(selectedDrone);
+  const scrolledSelectionRef = useRef(null);
+
+  // Pattern: Derived State Pattern - A new selection moves the cursor to it
+  if (selectedDrone !== previousSelection) {
+    setPreviousSelection(selectedDrone);
+    if (selectedDrone) setActiveRegistration(selectedDrone);
+  }
+
+  const activeIndex = drones.findIndex(
+    (drone) => drone.properties.registration === activeRegistration
+  );
+  const getRowId = useCallback(
+    (registration) => `${idPrefix}-${registration}`,
+    [idPrefix]
+  );
+
+  /**
+   * Scroll Into View Effect
+   * Pattern: Observer Pattern - Follows selections made outside the list;
+   * waits until the selected drone is listed, then scrolls once
+   */
+  useEffect(() => {
+    if (!selectedDrone) {
+      scrolledSelectionRef.current = null;
+      return;
+    }
+    if (scrolledSelectionRef.current === selectedDrone) return;
+    const index = drones.findIndex(
+      (drone) => drone.properties.registration === selectedDrone
+    );
+    if (index < 0) return;
+    scrolledSelectionRef.current = selectedDrone;
+    scrollToIndex(index);
+  }, [selectedDrone, drones, scrollToIndex]);
+
+  /**
+   * Keyboard handler
+   * Pattern: Event Handler Pattern - Moves the cursor and selects on Enter
+   * @param {KeyboardEvent} event - Key event on the list
+   */
+  const handleKeyDown = (event) => {
+    if (drones.length === 0) return;
+    if (event.key === "Enter" || event.key === " ") {
+      if (activeIndex < 0) return;
+      event.preventDefault();
+      onSelect(activeRegistration, event);
+      return;
+    }
+    const pageSize = Math.max(
+      1,
+      Math.floor(containerRef.current.clientHeight / rowHeight)
+    );
+    const nextIndex = getNextIndex(
+      event.key,
+      activeIndex,
+      drones.length,
+      pageSize
+    );
+    if (nextIndex === null) return;
+    event.preventDefault();
+    setActiveRegistration(drones[nextIndex].properties.registration);
+    scrollToIndex(nextIndex);
+  };
+
+  const now = statusTime ?? Date.now();
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={onScroll}
+      onKeyDown={handleKeyDown}
+      onFocus={() => setIsFocused(true)}
+      onBlur={() => setIsFocused(false)}
+      tabIndex={0}
+      role="listbox"
+      aria-label={t(LABELS.LIST)}
+      aria-activedescendant={
+        activeIndex >= 0 ? getRowId(activeRegistration) : undefined
+      }
+      className="flex-1 min-h-0 overflow-y-auto focus:outline-none"
+    >
+      {drones.length === 0 && totalCount > 0 && (
+        <div
+          className={`${isMobile ? "p-3 text-xs" : "p-4 text-sm"} text-gray-400`}
+        >
+          {t(LABELS.EMPTY)}
+        </div>
+      )}
+
+      {/* Pattern: Windowing Pattern - Full-height spacer, visible rows translated into place */}
+      <div className="relative" style={{ height: totalHeight }}>
+        <div
+          className="absolute inset-x-0 top-0"
+          style={{ transform: `translateY(${offset}px)` }}
+        >
+          {drones.slice(start, end).map((drone, index) => {
+            const { registration } = drone.properties;
+            const link = getLinkState(drone, now);
+            return (
+              <DroneItem
+                key={registration}
+                id={getRowId(registration)}
+                drone={drone}
+                status={getDroneStatus(drone, statusTime).state}
+                linkState={link.state}
+                lastSeen={
+                  link.state === LINK_STATES.LIVE
+                    ? null
+                    : formatTimeAgo(getLastSeen(drone), now)
+                }
+                isSelected={
+                  registration === selectedDrone ||
+                  selectedDrones.includes(registration)
+                }
+                isWatched={watchlist.has(registration)}
+                isActive={isFocused && start + index === activeIndex}
+                height={rowHeight}
+                onSelect={onSelect}
+                isMobile={isMobile}
+              />
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DroneList;
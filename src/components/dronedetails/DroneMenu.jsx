@@ -1,5 +1,17 @@
-import { useState } from "react";
+import { useCallback, useState } from "react";
 import { ChevronsUp, ChevronsDown, X } from "lucide-react";
+import { getOrganizations } from "../../utils/droneFilters";
+import {
+  getSelectionForClick,
+  isAdditiveSelection,
+} from "../../utils/droneSelection";
+import { DRONE_MENU_TABS as TABS } from "../../utils/mapUrlState";
+import FlightHistoryList from "./FlightHistoryList";
+import DroneFilterBar from "./DroneFilterBar";
+import DroneList from "./DroneList";
+import useI18n from "../../hooks/useI18n";
+import usePermissions from "../../hooks/usePermissions";
+import { CAPABILITIES } from "../../utils/permissions";
 
 /**
  * DroneMenu Component
@@ -12,22 +24,50 @@ import { ChevronsUp, ChevronsDown, X } from "lucide-react";
  * 5. Event Handler Pattern - Encapsulates user interactions
  * 6. Separation of Concerns - Separates mobile and desktop UI logic
  *
+ * The desktop panel docks beside the tab sidebar on the start side, so it
+ * moves to the right with the sidebar for right-to-left languages.
+ * The flights history tab needs the VIEW_FLIGHT_HISTORY capability, and
+ * organization chips are only offered to users who see every organization.
+ *
  * @param {Array} droneData - Array of drone objects with properties
- * @param {string} selectedDrone - Currently selected drone registration
- * @param {Function} setSelectedDrone - Function to update selected drone
+ * @param {Array} filteredDrones - Drones matching the filter, in display order
+ * @param {Object} droneFilter - Search, chip and sort state (see droneFilters.js)
+ * @param {Function} onDroneFilterChange - Called with the next filter
+ * @param {string} selectedDrone - Primary selected drone registration
+ * @param {Array<string>} selectedDrones - Every selected registration
+ * @param {Function} setSelectedDrones - Replaces the selection (list or updater)
+ * @param {Set<string>} watchlist - Watched registrations (marked in the list)
+ * @param {string|null} selectedFlightId - Recorded flight whose track is shown
+ * @param {Function} onSelectFlight - Called with a recorded flight (or null) to show its track
+ * @param {number} [statusTime] - Clock used for status classification (replay time; defaults to now)
+ * @param {string} activeTab - Open tab (DRONE_MENU_TABS value, kept in the URL)
+ * @param {Function} onTabChange - Called with the tab to open
  */
-const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
+const DroneMenu = ({
+  droneData,
+  filteredDrones,
+  droneFilter,
+  onDroneFilterChange,
+  selectedDrone,
+  selectedDrones,
+  setSelectedDrones,
+  watchlist,
+  selectedFlightId,
+  onSelectFlight,
+  statusTime,
+  activeTab: requestedTab,
+  onTabChange,
+}) => {
+  const { t } = useI18n();
+  const { can } = usePermissions();
+  // Pattern: Role-Based Access Control - A shared history link falls back to drones
+  const canViewHistory = can(CAPABILITIES.VIEW_FLIGHT_HISTORY);
+  const activeTab = canViewHistory ? requestedTab : TABS.DRONES;
+
   // UI State Management
   const [collapsed, setCollapsed] = useState(false);
-  const [activeTab, setActiveTab] = useState("drones");
   const [isOpen, setIsOpen] = useState(false);
 
-  // Constants for better maintainability
-  const TABS = {
-    DRONES: "drones",
-    HISTORY: "history",
-  };
-
   const COLORS = {
     PRIMARY: "#F9000E",
     SUCCESS: "#5CFC00",
@@ -35,6 +75,17 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
     GRAY: "gray",
   };
 
+  // Selected organizations stay offered even after their drones leave; users
+  // restricted to their own organization only get chips to clear a shared filter
+  const organizations = Array.from(
+    new Set([
+      ...(can(CAPABILITIES.VIEW_ALL_ORGANIZATIONS)
+        ? getOrganizations(droneData)
+        : []),
+      ...droneFilter.organizations,
+    ])
+  ).sort((a, b) => a.localeCompare(b));
+
   /**
    * Mobile Modal Overlay Component
    * Pattern: Render Prop / Function Component
@@ -46,31 +97,39 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
       onClick={() => setIsOpen(false)}
       role="button"
       tabIndex={0}
-      aria-label="Close drone menu"
+      aria-label={t("droneMenu.close")}
     />
   );
 
   /**
-   * Determines status color based on drone registration pattern
-   * Pattern: Strategy Pattern - Different color strategies based on registration prefix
-   * @param {string} registration - Drone registration number
-   * @returns {string} CSS class for status indicator color
+   * Handle drone selection from the list
+   * Pattern: Event Handler Pattern - Modified clicks toggle the drone in the
+   * selection; stable so memoized rows are not re-rendered by a new callback
+   * @param {string} registration - Drone registration to select
+   * @param {Event} event - Click or key event
    */
-  const getStatusColor = (registration) => {
-    const prefix = registration.split("-")[1]?.startsWith("B");
-    return prefix ? "bg-[#5CFC00]" : "bg-[#F9000E]";
-  };
+  const handleDroneSelect = useCallback(
+    (registration, event) => {
+      setSelectedDrones((list) =>
+        getSelectionForClick(list, registration, event)
+      );
+    },
+    [setSelectedDrones]
+  );
 
   /**
-   * Handle drone selection with callback
-   * Pattern: Event Handler Pattern - Encapsulates selection logic
+   * Handle drone selection from the mobile sheet
+   * Pattern: Event Handler Pattern - A plain selection also closes the modal
    * @param {string} registration - Drone registration to select
-   * @param {boolean} closeModal - Whether to close mobile modal after selection
+   * @param {Event} event - Click or key event
    */
-  const handleDroneSelect = (registration, closeModal = false) => {
-    setSelectedDrone(registration);
-    if (closeModal) setIsOpen(false);
-  };
+  const handleMobileDroneSelect = useCallback(
+    (registration, event) => {
+      handleDroneSelect(registration, event);
+      if (!isAdditiveSelection(event)) setIsOpen(false);
+    },
+    [handleDroneSelect]
+  );
 
   /**
    * Generates common tab button classes
@@ -88,91 +147,6 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
     }`;
   };
 
-  /**
-   * Generates common drone item classes
-   * Pattern: Factory Pattern - Creates consistent styling based on selection state
-   * @param {string} registration - Drone registration
-   * @returns {string} Combined CSS classes
-   */
-  const getDroneItemClasses = (registration) => {
-    const isSelected = selectedDrone === registration;
-    return `border-b border-gray-700 cursor-pointer transition-colors ${
-      isSelected ? "bg-gray-600" : "hover:bg-gray-700"
-    }`;
-  };
-
-  /**
-   * Drone Item Component
-   * Pattern: Component Composition - Reusable drone display component
-   * @param {Object} drone - Drone data object
-   * @param {boolean} isMobile - Whether this is rendered in mobile context
-   */
-  const DroneItem = ({ drone, isMobile = false }) => {
-    const { registration, Name, serial, pilot, organization } =
-      drone.properties;
-    const textSizes = isMobile ? "text-xs" : "text-sm";
-    const detailTextSize = isMobile ? "text-[10px]" : "text-xs";
-    const padding = isMobile ? "p-3" : "p-4";
-
-    return (
-      <div
-        onClick={() => handleDroneSelect(registration, isMobile)}
-        className={`${getDroneItemClasses(registration)} ${padding}`}
-      >
-        {/* Drone Header with Name and Status */}
-        <div className="flex items-start justify-between mb-2">
-          <h3 className={`text-white font-medium ${textSizes} truncate pr-2`}>
-            {Name}
-          </h3>
-          <div
-            className={`w-2 h-2 rounded-full mt-0.5 flex-shrink-0 ${getStatusColor(
-              registration
-            )}`}
-            aria-label={`Drone status: ${
-              registration.split("-")[1]?.startsWith("B")
-                ? "Active"
-                : "Inactive"
-            }`}
-          />
-        </div>
-
-        {/* Drone Details */}
-        <div className={`space-y-1 ${detailTextSize}`}>
-          <div className="flex justify-between gap-2">
-            <span className="text-gray-400">Serial #</span>
-            <span
-              className={`text-gray-300 font-mono truncate ${detailTextSize}`}
-            >
-              {serial}
-            </span>
-          </div>
-          <div className="flex justify-between gap-2">
-            <span className="text-gray-400">
-              Registration{isMobile ? "" : " #"}
-            </span>
-            <span
-              className={`text-gray-300 font-mono truncate ${detailTextSize}`}
-            >
-              {registration}
-            </span>
-          </div>
-          <div className="flex justify-between gap-2">
-            <span className="text-gray-400">Pilot</span>
-            <span className={`text-gray-300 truncate ${detailTextSize}`}>
-              {pilot}
-            </span>
-          </div>
-          {!isMobile && organization && (
-            <div className="flex justify-between gap-2">
-              <span className="text-gray-400">Organization</span>
-              <span className="text-gray-300 truncate">{organization}</span>
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  };
-
   /**
    * Tab Button Component
    * Pattern: Component Composition - Reusable tab button
@@ -182,9 +156,9 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
    */
   const TabButton = ({ tabId, label, isMobile = false }) => (
     <button
-      onClick={() => setActiveTab(tabId)}
+      onClick={() => onTabChange(tabId)}
       className={`${getTabClasses(tabId, isMobile ? "text-xs" : "text-sm")} ${
-        tabId === TABS.HISTORY ? "ml-4" : ""
+        tabId === TABS.HISTORY ? "ms-4" : ""
       }`}
     >
       {label}
@@ -200,7 +174,7 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
     <button
       onClick={() => setCollapsed(!collapsed)}
       className="text-gray-400 hover:text-white transition-colors p-1"
-      aria-label={collapsed ? "Expand menu" : "Collapse menu"}
+      aria-label={t(collapsed ? "droneMenu.expand" : "droneMenu.collapse")}
     >
       {isMobile ? (
         collapsed ? (
@@ -222,10 +196,10 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
       {/* Pattern: Conditional Rendering - Only show on mobile when menu is closed */}
       <button
         onClick={() => setIsOpen(true)}
-        className={`md:hidden fixed right-4 bottom-20 z-30 bg-black text-white p-3 rounded-full shadow-lg hover:bg-[#F9000E] transition-all ${
+        className={`md:hidden fixed end-4 bottom-20 z-30 bg-black text-white p-3 rounded-full shadow-lg hover:bg-[#F9000E] transition-all ${
           isOpen ? "hidden" : "block"
         }`}
-        aria-label="Open drone menu"
+        aria-label={t("droneMenu.open")}
       >
         <svg
           width="20"
@@ -259,13 +233,15 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
         {/* Mobile Header with close button */}
         {/* Pattern: Header Pattern - Consistent header across all views */}
         <div className="flex items-center justify-between p-4 border-b border-gray-700 flex-shrink-0">
-          <h2 className="text-white font-semibold text-sm">DRONE FLYING</h2>
+          <h2 className="text-white font-semibold text-sm">
+            {t("droneMenu.title")}
+          </h2>
           <div className="flex items-center space-x-2">
             <CollapseButton size={18} isMobile={true} />
             <button
               onClick={() => setIsOpen(false)}
               className="text-gray-400 hover:text-white transition-colors p-1"
-              aria-label="Close drone menu"
+              aria-label={t("droneMenu.close")}
             >
               <X size={18} />
             </button>
@@ -279,35 +255,59 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
             {/* Tab Navigation */}
             {/* Pattern: Tab Pattern - Consistent tab navigation */}
             <div className="flex px-4 pb-2 border-b border-gray-700">
-              <TabButton tabId={TABS.DRONES} label="Drones" isMobile={true} />
               <TabButton
-                tabId={TABS.HISTORY}
-                label="Flights History"
+                tabId={TABS.DRONES}
+                label={t("droneMenu.drones")}
                 isMobile={true}
               />
+              {canViewHistory && (
+                <TabButton
+                  tabId={TABS.HISTORY}
+                  label={t("droneMenu.history")}
+                  isMobile={true}
+                />
+              )}
             </div>
 
+            {/* Search, Filter Chips and Sort */}
+            {activeTab === TABS.DRONES && (
+              <DroneFilterBar
+                filter={droneFilter}
+                onChange={onDroneFilterChange}
+                organizations={organizations}
+                matchedCount={filteredDrones.length}
+                totalCount={droneData.length}
+                isMobile={true}
+              />
+            )}
+
             {/* Tab Content */}
             {/* Pattern: Content Switching - Display different content based on active tab */}
-            <div className="flex-1 overflow-y-auto">
-              {activeTab === TABS.DRONES && (
-                <div className="pb-2">
-                  {droneData.map((drone) => (
-                    <DroneItem
-                      key={drone.properties.registration}
-                      drone={drone}
-                      isMobile={true}
-                    />
-                  ))}
-                </div>
-              )}
+            {activeTab === TABS.DRONES && (
+              <DroneList
+                drones={filteredDrones}
+                totalCount={droneData.length}
+                selectedDrone={selectedDrone}
+                selectedDrones={selectedDrones}
+                watchlist={watchlist}
+                onSelect={handleMobileDroneSelect}
+                statusTime={statusTime}
+                isMobile={true}
+              />
+            )}
 
-              {activeTab === TABS.HISTORY && (
-                <div className="p-4 text-gray-400 text-xs">
-                  No flights history available.
-                </div>
-              )}
-            </div>
+            {activeTab === TABS.HISTORY && (
+              <div className="flex-1 overflow-y-auto">
+                <FlightHistoryList
+                  selectedFlightId={selectedFlightId}
+                  onSelectFlight={(flight) => {
+                    onSelectFlight(flight);
+                    if (flight) setIsOpen(false);
+                  }}
+                  isMobile={true}
+                />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -317,9 +317,9 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
       <div
         className={`
           hidden md:block fixed z-10 bg-black border border-gray-700 overflow-hidden transition-all duration-300
-          md:w-80 md:left-[80px] md:top-16
-          lg:w-80 lg:left-[96px] lg:top-16
-          xl:w-96 xl:left-[112px] xl:top-16
+          md:w-80 md:start-[80px] md:top-16
+          lg:w-80 lg:start-[96px] lg:top-16
+          xl:w-96 xl:start-[112px] xl:top-16
           ${collapsed ? "h-[50px]" : "md:h-[calc(100vh-4rem)]"}
           shadow-xl
         `}
@@ -327,7 +327,7 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
         {/* Desktop Header */}
         {/* Pattern: Header Pattern - Consistent header design */}
         <div className="flex items-center justify-between p-4 border-b border-gray-700 cursor-pointer">
-          <h2 className="text-white font-semibold">DRONE FLYING</h2>
+          <h2 className="text-white font-semibold">{t("droneMenu.title")}</h2>
           <CollapseButton size={20} isMobile={false} />
         </div>
 
@@ -338,31 +338,48 @@ const DroneMenu = ({ droneData, selectedDrone, setSelectedDrone }) => {
             {/* Tab Navigation */}
             {/* Pattern: Tab Pattern - Consistent tab navigation for desktop */}
             <div className="flex px-4 pb-2 border-b border-gray-700">
-              <TabButton tabId={TABS.DRONES} label="Drones" />
-              <TabButton tabId={TABS.HISTORY} label="Flights History" />
+              <TabButton tabId={TABS.DRONES} label={t("droneMenu.drones")} />
+              {canViewHistory && (
+                <TabButton
+                  tabId={TABS.HISTORY}
+                  label={t("droneMenu.history")}
+                />
+              )}
             </div>
 
+            {/* Search, Filter Chips and Sort */}
+            {activeTab === TABS.DRONES && (
+              <DroneFilterBar
+                filter={droneFilter}
+                onChange={onDroneFilterChange}
+                organizations={organizations}
+                matchedCount={filteredDrones.length}
+                totalCount={droneData.length}
+              />
+            )}
+
             {/* Tab Content */}
             {/* Pattern: Content Switching - Display different content based on active tab */}
-            <div className="flex-1 overflow-y-auto min-h-0">
-              {activeTab === TABS.DRONES && (
-                <div className="pb-2">
-                  {droneData.map((drone) => (
-                    <DroneItem
-                      key={drone.properties.registration}
-                      drone={drone}
-                      isMobile={false}
-                    />
-                  ))}
-                </div>
-              )}
+            {activeTab === TABS.DRONES && (
+              <DroneList
+                drones={filteredDrones}
+                totalCount={droneData.length}
+                selectedDrone={selectedDrone}
+                selectedDrones={selectedDrones}
+                watchlist={watchlist}
+                onSelect={handleDroneSelect}
+                statusTime={statusTime}
+              />
+            )}
 
-              {activeTab === TABS.HISTORY && (
-                <div className="p-4 text-gray-400 text-sm">
-                  No flights history available.
-                </div>
-              )}
-            </div>
+            {activeTab === TABS.HISTORY && (
+              <div className="flex-1 overflow-y-auto min-h-0">
+                <FlightHistoryList
+                  selectedFlightId={selectedFlightId}
+                  onSelectFlight={onSelectFlight}
+                />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,225 @@
+/**
+ * FlightHistoryList Component
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Reads recorded flights through useFlightHistory
+ * 2. Strategy Pattern - Interchangeable sort comparators
+ * 3. Filter Pattern - Free-text search over flight details
+ * 4. Responsive Design Pattern - Compact sizing on mobile
+ *
+ * Lists completed flights with search and sort; clicking a flight asks the
+ * map to redraw its track.
+ *
+ * @param {string|null} selectedFlightId - Flight whose track is shown on the map
+ * @param {Function} onSelectFlight - Called with a flight record (or null to clear)
+ * @param {boolean} [isMobile=false] - Whether this is rendered in mobile context
+ */
+
+import { useMemo, useState } from "react";
+import useFlightHistory from "../../hooks/useFlightHistory";
+import useI18n from "../../hooks/useI18n";
+import {
+  formatAltitude,
+  formatDateTime,
+  formatDistance,
+  formatDuration,
+} from "../../utils/format";
+
+// Sort strategies (labels are message keys, see src/locales)
+const SORT_OPTIONS = {
+  NEWEST: {
+    label: "flightHistory.sort.newest",
+    compare: (a, b) => b.startTime - a.startTime,
+  },
+  OLDEST: {
+    label: "flightHistory.sort.oldest",
+    compare: (a, b) => a.startTime - b.startTime,
+  },
+  LONGEST: {
+    label: "flightHistory.sort.longest",
+    compare: (a, b) => b.duration - a.duration,
+  },
+  DISTANCE: {
+    label: "flightHistory.sort.distance",
+    compare: (a, b) => b.distance - a.distance,
+  },
+  ALTITUDE: {
+    label: "flightHistory.sort.altitude",
+    compare: (a, b) => b.maxAltitude - a.maxAltitude,
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  SEARCH: "flightHistory.search",
+  SORT: "flightHistory.sort",
+  EMPTY: "flightHistory.empty",
+  NO_MATCH: "flightHistory.noMatch",
+  HIDE_TRACK: "flightHistory.hideTrack",
+  REGISTRATION: "flightHistory.registration",
+  DURATION: "flightHistory.duration",
+  DISTANCE: "flightHistory.distance",
+  MAX_ALTITUDE: "flightHistory.maxAltitude",
+  PILOT: "flightHistory.pilot",
+  ORGANIZATION: "flightHistory.organization",
+};
+
+const SEARCH_FIELDS = ["registration", "name", "serial", "pilot", "organization"];
+
+/**
+ * Checks whether a flight matches a search query
+ * Pattern: Filter Pattern - Case-insensitive substring match across fields
+ * @param {Object} flight - Flight record
+ * @param {string} query - Lower-cased search query
+ * @returns {boolean} Whether the flight matches
+ */
+const matchesQuery = (flight, query) =>
+  !query ||
+  SEARCH_FIELDS.some((field) =>
+    String(flight[field] ?? "")
+      .toLowerCase()
+      .includes(query)
+  );
+
+const FlightHistoryList = ({
+  selectedFlightId,
+  onSelectFlight,
+  isMobile = false,
+}) => {
+  const flights = useFlightHistory();
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [sortKey, setSortKey] = useState("NEWEST");
+
+  // Pattern: Memoization - Filter and sort only when inputs change
+  const visibleFlights = useMemo(() => {
+    const normalized = query.trim().toLowerCase();
+    return flights
+      .filter((flight) => matchesQuery(flight, normalized))
+      .sort(SORT_OPTIONS[sortKey].compare);
+  }, [flights, query, sortKey]);
+
+  const textSize = isMobile ? "text-xs" : "text-sm";
+  const detailTextSize = isMobile ? "text-[10px]" : "text-xs";
+  const padding = isMobile ? "p-3" : "p-4";
+
+  if (flights.length === 0) {
+    return <div className={`${padding} text-gray-400 ${textSize}`}>{t(LABELS.EMPTY)}</div>;
+  }
+
+  return (
+    <div className="pb-2">
+      {/* Search and Sort Controls */}
+      <div className={`flex gap-2 ${isMobile ? "px-3" : "px-4"} py-2`}>
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder={t(LABELS.SEARCH)}
+          aria-label={t(LABELS.SEARCH)}
+          className={`flex-1 min-w-0 bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white ${detailTextSize} focus:outline-none focus:border-[#F9000E]`}
+        />
+        <select
+          value={sortKey}
+          onChange={(event) => setSortKey(event.target.value)}
+          aria-label={t(LABELS.SORT)}
+          className={`bg-gray-900 border border-gray-700 rounded px-1 py-1 text-gray-300 ${detailTextSize}`}
+        >
+          {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+            <option key={key} value={key}>
+              {t(option.label)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selectedFlightId && (
+        <button
+          type="button"
+          onClick={() => onSelectFlight(null)}
+          className={`${isMobile ? "px-3" : "px-4"} pb-2 text-[#F9000E] hover:text-white ${detailTextSize}`}
+        >
+          {t(LABELS.HIDE_TRACK)}
+        </button>
+      )}
+
+      {visibleFlights.length === 0 && (
+        <div className={`${padding} text-gray-400 ${textSize}`}>
+          {t(LABELS.NO_MATCH)}
+        </div>
+      )}
+
+      {/* Flight Items */}
+      {visibleFlights.map((flight) => {
+        const isSelected = flight.id === selectedFlightId;
+        return (
+          <div
+            key={flight.id}
+            onClick={() => onSelectFlight(isSelected ? null : flight)}
+            className={`border-b border-gray-700 cursor-pointer transition-colors ${padding} ${
+              isSelected ? "bg-gray-600" : "hover:bg-gray-700"
+            }`}
+            role="button"
+            aria-pressed={isSelected}
+          >
+            <div className="flex items-start justify-between mb-2 gap-2">
+              <h3 className={`text-white font-medium ${textSize} truncate`}>
+                {flight.name || flight.registration}
+              </h3>
+              <span className={`text-gray-400 flex-shrink-0 ${detailTextSize}`}>
+                {formatDateTime(flight.startTime)}
+              </span>
+            </div>
+
+            <div className={`space-y-1 ${detailTextSize}`}>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-400">
+                  {t(LABELS.REGISTRATION)}
+                </span>
+                <span className="text-gray-300 font-mono truncate">
+                  {flight.registration}
+                </span>
+              </div>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-400">{t(LABELS.DURATION)}</span>
+                <span className="text-gray-300">
+                  {formatDuration(flight.duration)}
+                </span>
+              </div>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-400">{t(LABELS.DISTANCE)}</span>
+                <span className="text-gray-300">
+                  {formatDistance(flight.distance)}
+                </span>
+              </div>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-400">
+                  {t(LABELS.MAX_ALTITUDE)}
+                </span>
+                <span className="text-gray-300">
+                  {formatAltitude(flight.maxAltitude)}
+                </span>
+              </div>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-400">{t(LABELS.PILOT)}</span>
+                <span className="text-gray-300 truncate">{flight.pilot}</span>
+              </div>
+              {!isMobile && flight.organization && (
+                <div className="flex justify-between gap-2">
+                  <span className="text-gray-400">
+                    {t(LABELS.ORGANIZATION)}
+                  </span>
+                  <span className="text-gray-300 truncate">
+                    {flight.organization}
+                  </span>
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FlightHistoryList;
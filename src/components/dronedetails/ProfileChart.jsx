@@ -0,0 +1,92 @@
+/**
+ * ProfileChart Component
+ *
+ * Design Patterns Used:
+ * 1. Presentational Component Pattern - Pure SVG rendering of sample series
+ * 2. Configuration Pattern - Centralized dimensions
+ *
+ * Overlays one line per drone on a shared time axis and value range, so the
+ * profiles of compared drones can be read against each other. The range is
+ * printed underneath.
+ *
+ * @param {string} label - Accessible chart name
+ * @param {Array<{key: string, color: string, samples: Array<{time: number, value: number}>}>} series
+ *   - One entry per drone, samples oldest first
+ * @param {Function} formatValue - Formats the min/max values
+ */
+
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the chart
+const PROFILE_CONFIG = {
+  WIDTH: 320,
+  HEIGHT: 64,
+  PADDING: 3,
+  STROKE_WIDTH: 2,
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  EMPTY: "chart.collecting",
+  MIN: "chart.min",
+  MAX: "chart.max",
+};
+
+const ProfileChart = ({ label, series, formatValue }) => {
+  const { t } = useI18n();
+  const drawn = series.filter((item) => item.samples.length >= 2);
+  if (drawn.length === 0) {
+    return <div className="text-xs text-gray-500 py-3">{t(LABELS.EMPTY)}</div>;
+  }
+
+  const { WIDTH, HEIGHT, PADDING } = PROFILE_CONFIG;
+  const samples = drawn.flatMap((item) => item.samples);
+  const values = samples.map((sample) => sample.value);
+  const times = samples.map((sample) => sample.time);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const firstTime = Math.min(...times);
+  const span = Math.max(...times) - firstTime || 1;
+
+  // Pattern: Strategy Pattern - Shared time-proportional x and min/max-scaled y axes
+  const toPoints = (items) =>
+    items
+      .map(({ time, value }) => {
+        const x = PADDING + ((time - firstTime) / span) * (WIDTH - PADDING * 2);
+        const y =
+          HEIGHT - PADDING - ((value - min) / range) * (HEIGHT - PADDING * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-16"
+        role="img"
+        aria-label={label}
+      >
+        {drawn.map((item) => (
+          <polyline
+            key={item.key}
+            points={toPoints(item.samples)}
+            fill="none"
+            stroke={item.color}
+            strokeWidth={PROFILE_CONFIG.STROKE_WIDTH}
+            strokeLinejoin="round"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{t(LABELS.MIN, { value: formatValue(min) })}</span>
+        <span>{t(LABELS.MAX, { value: formatValue(max) })}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileChart;
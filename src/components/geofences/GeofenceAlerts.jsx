@@ -0,0 +1,100 @@
+/**
+ * GeofenceAlerts Component
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Renders alerts raised by the geofence monitor
+ * 2. Configuration Pattern - Centralized styling, limits and timing
+ * 3. Accessibility Pattern - Alerts announced through a live region
+ *
+ * Toast stack for geofence entries, exits and ceiling breaches. The newest
+ * alerts are shown first; each disappears after a while or when dismissed, and
+ * clicking one selects the drone involved.
+ *
+ * @param {Array} alerts - Alerts, newest first ({ id, type, severity, registration, time, ... })
+ * @param {Function} onDismiss - Called with an alert id
+ * @param {Function} onFocusDrone - Called with a drone registration
+ */
+
+import { useEffect } from "react";
+import { X } from "lucide-react";
+import {
+  ALERT_SEVERITIES,
+  describeGeofenceEvent,
+} from "../../utils/geofenceMonitor";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the toasts
+const ALERTS_CONFIG = {
+  POSITIONING: "absolute top-16 left-1/2 -translate-x-1/2",
+  Z_INDEX: "z-30",
+  WIDTH: "w-[calc(100%-1rem)] max-w-sm",
+  STYLING:
+    "bg-gray-900 bg-opacity-95 backdrop-blur-sm rounded-lg shadow-xl border text-xs text-gray-100",
+  VISIBLE: 3,
+  LIFETIME: 15000,
+  SEVERITY_BORDERS: {
+    [ALERT_SEVERITIES.INFO]: "border-gray-600",
+    [ALERT_SEVERITIES.WARNING]: "border-[#FACC15]",
+    [ALERT_SEVERITIES.CRITICAL]: "border-[#F9000E]",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  DISMISS: "geofenceAlerts.dismiss",
+};
+
+const GeofenceAlerts = ({ alerts, onDismiss, onFocusDrone }) => {
+  const { locale, t } = useI18n();
+  const oldest = alerts[alerts.length - 1];
+
+  /**
+   * Expiry Effect
+   * Pattern: Timer Pattern - Dismisses the oldest alert once its lifetime ends
+   */
+  useEffect(() => {
+    if (!oldest) return;
+    const remaining = oldest.receivedAt + ALERTS_CONFIG.LIFETIME - Date.now();
+    const timer = setTimeout(() => onDismiss(oldest.id), Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [oldest, onDismiss]);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <ul
+      className={`${ALERTS_CONFIG.POSITIONING} ${ALERTS_CONFIG.Z_INDEX} ${ALERTS_CONFIG.WIDTH} space-y-2`}
+      aria-live="assertive"
+    >
+      {alerts.slice(0, ALERTS_CONFIG.VISIBLE).map((alert) => (
+        <li
+          key={alert.id}
+          className={`${ALERTS_CONFIG.STYLING} ${
+            ALERTS_CONFIG.SEVERITY_BORDERS[alert.severity]
+          } flex items-start gap-2 px-3 py-2`}
+        >
+          <button
+            type="button"
+            onClick={() => onFocusDrone(alert.registration)}
+            className="flex-1 text-start hover:text-white"
+          >
+            <div>{describeGeofenceEvent(alert, locale)}</div>
+            <div className="text-gray-500">
+              {new Date(alert.time).toLocaleTimeString()}
+            </div>
+          </button>
+          <button
+            type="button"
+            onClick={() => onDismiss(alert.id)}
+            className="text-gray-400 hover:text-white"
+            aria-label={t(LABELS.DISMISS)}
+          >
+            <X size={14} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GeofenceAlerts;
@@ -0,0 +1,396 @@
+/**
+ * GeofencePanel Component
+ *
+ * Design Patterns Used:
+ * 1. Progressive Disclosure Pattern - Compact button expands into the zone manager
+ * 2. Configuration Pattern - Centralized styling and label configuration
+ * 3. Observer Pattern - Lists zones and breach state published by the stores
+ * 4. Accessibility Pattern - Labelled controls and error announcements
+ *
+ * Lets operators draw polygon or circle geofences on the map, name them, set an
+ * altitude ceiling (or make them no-fly zones), delete them, and import/export
+ * them as GeoJSON. Drawing itself happens on the map (see useGeofenceEditing).
+ * Read-only users (no EDIT_GEOFENCES capability) can list, highlight and export
+ * zones but not draw, edit, delete or import them.
+ *
+ * @param {Array} geofences - Current geofences
+ * @param {Set} breachedZones - Ids of zones with a drone in breach
+ * @param {string|null} drawMode - Shape being drawn, or null
+ * @param {Function} onStartDraw - Called with a GEOFENCE_SHAPES value
+ * @param {Function} onCancelDraw - Stops drawing
+ * @param {string|null} selectedId - Zone being edited
+ * @param {Function} onSelect - Called with a zone id (or null)
+ * @param {boolean} [readOnly=false] - Hides the drawing and editing tools
+ */
+
+import { useRef, useState } from "react";
+import {
+  Circle,
+  Download,
+  Hexagon,
+  ShieldAlert,
+  Trash2,
+  Upload,
+} from "lucide-react";
+import {
+  GEOFENCE_CONFIG,
+  GEOFENCE_SHAPES,
+  geofencesToGeoJSON,
+  importGeofences,
+  isNoFlyZone,
+  removeGeofence,
+  saveGeofence,
+} from "../../utils/geofences";
+import { downloadText, fileTimestamp } from "../../utils/download";
+import { formatAltitude } from "../../utils/format";
+import useI18n from "../../hooks/useI18n";
+
+// Configuration constants for the panel
+const PANEL_CONFIG = {
+  POSITIONING: "relative",
+  STYLING:
+    "bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+  INPUT: "w-full bg-gray-900 border border-gray-700 rounded px-2 py-1",
+  FILE_ACCEPT: ".geojson,.json",
+  COLORS: {
+    NO_FLY: "#F9000E",
+    CEILING: "#FACC15",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TOGGLE: "geofences.toggle",
+  DRAW_POLYGON: "geofences.drawPolygon",
+  DRAW_CIRCLE: "geofences.drawCircle",
+  HINT_POLYGON: "geofences.hintPolygon",
+  HINT_CIRCLE: "geofences.hintCircle",
+  CANCEL: "geofences.cancel",
+  EMPTY: "geofences.empty",
+  EMPTY_READ_ONLY: "geofences.emptyReadOnly",
+  READ_ONLY: "geofences.readOnly",
+  NAME: "geofences.name",
+  CEILING: "geofences.ceiling",
+  CEILING_VALUE: "geofences.ceilingValue",
+  NO_FLY: "geofences.noFly",
+  SAVE: "geofences.save",
+  DELETE: "geofences.delete",
+  DONE: "geofences.done",
+  EDIT_HINT: "geofences.editHint",
+  IMPORT: "geofences.import",
+  IMPORT_FAILED: "geofences.importFailed",
+  EXPORT: "geofences.export",
+  BREACH: "geofences.breach",
+};
+
+/**
+ * Name and ceiling form for the selected zone
+ * Keyed by zone id so the draft resets when another zone is selected.
+ * @param {Object} geofence - Zone being edited
+ * @param {Function} onClose - Ends editing
+ */
+const GeofenceEditor = ({ geofence, onClose }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState(geofence.name);
+  const [noFly, setNoFly] = useState(isNoFlyZone(geofence));
+  const [ceiling, setCeiling] = useState(
+    isNoFlyZone(geofence)
+      ? String(GEOFENCE_CONFIG.DEFAULT_MAX_ALTITUDE)
+      : String(geofence.maxAltitude)
+  );
+
+  const parsedCeiling = Number.parseFloat(ceiling);
+  const isValid =
+    noFly || (Number.isFinite(parsedCeiling) && parsedCeiling >= 0);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isValid) return;
+    saveGeofence({
+      ...geofence,
+      name,
+      maxAltitude: noFly ? null : parsedCeiling,
+    });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-2 border-t border-gray-700 pt-2"
+    >
+      <label className="block">
+        <span className="text-gray-400">{t(LABELS.NAME)}</span>
+        <input
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          className={PANEL_CONFIG.INPUT}
+        />
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={noFly}
+          onChange={(event) => setNoFly(event.target.checked)}
+        />
+        {t(LABELS.NO_FLY)}
+      </label>
+      {!noFly && (
+        <label className="block">
+          <span className="text-gray-400">{t(LABELS.CEILING)}</span>
+          <input
+            type="number"
+            min="0"
+            value={ceiling}
+            onChange={(event) => setCeiling(event.target.value)}
+            className={PANEL_CONFIG.INPUT}
+          />
+        </label>
+      )}
+      <p className="text-gray-500">{t(LABELS.EDIT_HINT)}</p>
+      <div className="flex items-center justify-between gap-1">
+        <button
+          type="button"
+          onClick={() => {
+            removeGeofence(geofence.id);
+            onClose();
+          }}
+          className={`${PANEL_CONFIG.BUTTON} text-[#F9000E]`}
+          aria-label={t(LABELS.DELETE)}
+        >
+          <Trash2 size={14} />
+        </button>
+        <div className="flex gap-1">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`${PANEL_CONFIG.BUTTON} border border-gray-700`}
+          >
+            {t(LABELS.DONE)}
+          </button>
+          <button
+            type="submit"
+            disabled={!isValid}
+            className={`${PANEL_CONFIG.BUTTON} bg-[#F9000E] text-white hover:bg-red-700`}
+          >
+            {t(LABELS.SAVE)}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const GeofencePanel = ({
+  geofences,
+  breachedZones,
+  drawMode,
+  onStartDraw,
+  onCancelDraw,
+  selectedId,
+  onSelect,
+  readOnly = false,
+}) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  // { key, params } of the import error message
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const selectedGeofence =
+    geofences.find((geofence) => geofence.id === selectedId) ?? null;
+
+  /**
+   * Downloads every zone as GeoJSON
+   */
+  const handleExport = () => {
+    downloadText(
+      JSON.stringify(geofencesToGeoJSON(geofences), null, 2),
+      `sager-geofences-${fileTimestamp()}.geojson`,
+      "application/geo+json"
+    );
+  };
+
+  /**
+   * Imports zones from a GeoJSON file
+   * @param {Event} event - File input change event
+   */
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    try {
+      importGeofences(await file.text());
+    } catch (importError) {
+      setError({
+        key: LABELS.IMPORT_FAILED,
+        params: { error: importError.message },
+      });
+    }
+  };
+
+  return (
+    <div className={PANEL_CONFIG.POSITIONING}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`${PANEL_CONFIG.STYLING} ${PANEL_CONFIG.BUTTON} px-3 py-2`}
+        aria-expanded={isOpen}
+        aria-label={t(LABELS.TOGGLE)}
+      >
+        <ShieldAlert
+          size={14}
+          className={breachedZones.size > 0 ? "text-[#F9000E]" : ""}
+        />
+        <span className="hidden sm:inline">{t(LABELS.TOGGLE)}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          className={`${PANEL_CONFIG.STYLING} mt-2 p-3 w-64 space-y-3 absolute end-0`}
+        >
+          {/* Draw Tools */}
+          {readOnly ? (
+            <p className="text-gray-400">{t(LABELS.READ_ONLY)}</p>
+          ) : drawMode ? (
+            <div className="space-y-2">
+              <p>
+                {t(
+                  drawMode === GEOFENCE_SHAPES.CIRCLE
+                    ? LABELS.HINT_CIRCLE
+                    : LABELS.HINT_POLYGON
+                )}
+              </p>
+              <button
+                type="button"
+                onClick={onCancelDraw}
+                className={`${PANEL_CONFIG.BUTTON} w-full justify-center border border-gray-700`}
+              >
+                {t(LABELS.CANCEL)}
+              </button>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-1">
+              <button
+                type="button"
+                onClick={() => onStartDraw(GEOFENCE_SHAPES.POLYGON)}
+                className={`${PANEL_CONFIG.BUTTON} justify-center border border-gray-700`}
+              >
+                <Hexagon size={14} />
+                {t(LABELS.DRAW_POLYGON)}
+              </button>
+              <button
+                type="button"
+                onClick={() => onStartDraw(GEOFENCE_SHAPES.CIRCLE)}
+                className={`${PANEL_CONFIG.BUTTON} justify-center border border-gray-700`}
+              >
+                <Circle size={14} />
+                {t(LABELS.DRAW_CIRCLE)}
+              </button>
+            </div>
+          )}
+
+          {/* Zone List */}
+          {geofences.length === 0 ? (
+            <p className="text-gray-500">
+              {t(readOnly ? LABELS.EMPTY_READ_ONLY : LABELS.EMPTY)}
+            </p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto space-y-1">
+              {geofences.map((geofence) => (
+                <li key={geofence.id}>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      onSelect(geofence.id === selectedId ? null : geofence.id)
+                    }
+                    className={`${PANEL_CONFIG.BUTTON} w-full justify-between ${
+                      geofence.id === selectedId ? "bg-gray-700" : ""
+                    }`}
+                  >
+                    <span className="flex items-center gap-2 min-w-0">
+                      <span
+                        className="w-2 h-2 rounded-full shrink-0"
+                        style={{
+                          backgroundColor: isNoFlyZone(geofence)
+                            ? PANEL_CONFIG.COLORS.NO_FLY
+                            : PANEL_CONFIG.COLORS.CEILING,
+                        }}
+                      />
+                      <span className="truncate">{geofence.name}</span>
+                    </span>
+                    <span className="text-gray-400 shrink-0">
+                      {breachedZones.has(geofence.id) ? (
+                        <span className="text-[#F9000E]">
+                          {t(LABELS.BREACH)}
+                        </span>
+                      ) : isNoFlyZone(geofence) ? (
+                        t(LABELS.NO_FLY)
+                      ) : (
+                        t(LABELS.CEILING_VALUE, {
+                          altitude: formatAltitude(geofence.maxAltitude),
+                        })
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Selected Zone Editor */}
+          {selectedGeofence && !drawMode && !readOnly && (
+            <GeofenceEditor
+              key={selectedGeofence.id}
+              geofence={selectedGeofence}
+              onClose={() => onSelect(null)}
+            />
+          )}
+
+          {/* Import / Export */}
+          <div className="grid grid-cols-2 gap-1 border-t border-gray-700 pt-3">
+            {!readOnly && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={PANEL_CONFIG.FILE_ACCEPT}
+                  onChange={handleFile}
+                  className="hidden"
+                />
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className={`${PANEL_CONFIG.BUTTON} justify-center border border-gray-700`}
+                >
+                  <Upload size={14} />
+                  {t(LABELS.IMPORT)}
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={geofences.length === 0}
+              className={`${PANEL_CONFIG.BUTTON} justify-center border border-gray-700`}
+            >
+              <Download size={14} />
+              {t(LABELS.EXPORT)}
+            </button>
+          </div>
+
+          {error && (
+            <div className="text-[#F9000E]" role="alert">
+              {t(error.key, error.params)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GeofencePanel;
@@ -12,7 +12,8 @@
  *
  * Main navigation header that orchestrates:
  * - Brand logo component
- * - Action buttons with notifications
+ * - Action buttons with notifications (only those the user's role allows)
+ * - Language switching (the layout mirrors for right-to-left languages)
  * - User information display
  * - Responsive layout management
  */
@@ -21,8 +22,20 @@
 import BrandLogo from "./navbar/BrandLogo";
 import ActionButton from "./navbar/ActionButton";
 import UserInfo from "./navbar/UserInfo";
+import NotificationsMenu from "./navbar/NotificationsMenu";
+import CaptureMenu from "./navbar/CaptureMenu";
+import LanguageMenu from "./navbar/LanguageMenu";
+import useI18n from "../../hooks/useI18n";
+import usePermissions from "../../hooks/usePermissions";
 import { NAVBAR_CONFIG, ACTION_BUTTONS } from "./navbar/navbarConfig";
 
+// Buttons that open a menu render their menu component instead of ActionButton
+const MENU_COMPONENTS = {
+  capture: CaptureMenu,
+  language: LanguageMenu,
+  notifications: NotificationsMenu,
+};
+
 /**
  * Main Navbar Component
  * Pattern: Facade Pattern - Simplifies complex navigation header interface
@@ -32,6 +45,13 @@ import { NAVBAR_CONFIG, ACTION_BUTTONS } from "./navbar/navbarConfig";
  * Renders a responsive navigation header with brand, actions, and user info
  */
 export default function Navbar() {
+  const { t } = useI18n();
+  const { can } = usePermissions();
+  // Pattern: Role-Based Access Control - Buttons without a capability are for everyone
+  const actionButtons = ACTION_BUTTONS.filter(
+    (config) => !config.capability || can(config.capability)
+  );
+
   return (
     <header
       className={`flex sticky top-0 z-${NAVBAR_CONFIG.LAYOUT.Z_INDEX} justify-between items-center ${NAVBAR_CONFIG.COLORS.BACKGROUND} ${NAVBAR_CONFIG.LAYOUT.PADDING.CONTAINER}`}
@@ -53,9 +73,19 @@ export default function Navbar() {
         <div
           className={`flex items-center ${NAVBAR_CONFIG.LAYOUT.SPACING.MOBILE} sm:${NAVBAR_CONFIG.LAYOUT.SPACING.TABLET} md:${NAVBAR_CONFIG.LAYOUT.SPACING.DESKTOP}`}
         >
-          {ACTION_BUTTONS.map((button) => (
-            <ActionButton key={button.id} button={button} />
-          ))}
+          {actionButtons.map((config) => {
+            const Menu = MENU_COMPONENTS[config.menu];
+            const button = {
+              ...config,
+              alt: t(`${config.messageKey}.alt`),
+              ariaLabel: t(`${config.messageKey}.ariaLabel`),
+            };
+            return Menu ? (
+              <Menu key={button.id} button={button} />
+            ) : (
+              <ActionButton key={button.id} button={button} />
+            );
+          })}
         </div>
 
         {/* User Information */}
@@ -1,4 +1,7 @@
 import { useLocation, useNavigate } from "react-router-dom";
+import useI18n from "../../hooks/useI18n";
+import usePermissions from "../../hooks/usePermissions";
+import { CAPABILITIES } from "../../utils/permissions";
 
 /**
  * TabNavigation Component
@@ -14,7 +17,9 @@ import { useLocation, useNavigate } from "react-router-dom";
  *
  * Provides navigation interface that adapts between:
  * - Mobile: Bottom navigation bar
- * - Desktop: Side navigation panel
+ * - Desktop: Side navigation panel (on the right for right-to-left languages)
+ *
+ * Tabs whose capability the user lacks are hidden (see permissions.js).
  */
 
 // Configuration constants for maintainability
@@ -23,21 +28,23 @@ const NAVIGATION_CONFIG = {
   TRANSITION_DURATION: "200ms",
 };
 
-// Tab configuration - easily extensible
+// Tab configuration - easily extensible (labels are message keys, see src/locales)
 const TAB_CONFIG = [
   {
     id: "dashboard",
     path: "/",
     icon: "/dashboard-svgrepo-com-2.svg",
-    label: "DASHBOARD",
-    ariaLabel: "Navigate to dashboard",
+    label: "tabs.dashboard",
+    ariaLabel: "tabs.dashboard.ariaLabel",
+    capability: CAPABILITIES.VIEW_DASHBOARD,
   },
   {
     id: "map",
     path: "/map",
     icon: "/location-svgrepo-com-2.svg",
-    label: "MAP",
-    ariaLabel: "Navigate to map view",
+    label: "tabs.map",
+    ariaLabel: "tabs.map.ariaLabel",
+    capability: CAPABILITIES.VIEW_MAP,
   },
 ];
 
@@ -49,6 +56,9 @@ const TabNavigation = () => {
   // Router hooks for navigation state management
   const location = useLocation();
   const navigate = useNavigate();
+  const { t } = useI18n();
+  const { can } = usePermissions();
+  const tabs = TAB_CONFIG.filter((tab) => can(tab.capability));
 
   /**
    * Determines if a tab is currently active based on route
@@ -139,7 +149,7 @@ const TabNavigation = () => {
       <button
         onClick={() => handleTabNavigation(tab.path)}
         className={getTabButtonClasses(isActive, true)}
-        aria-label={tab.ariaLabel}
+        aria-label={t(tab.ariaLabel)}
         aria-current={isActive ? "page" : undefined}
       >
         {/* Active indicator bar */}
@@ -160,7 +170,7 @@ const TabNavigation = () => {
         />
 
         {/* Tab label */}
-        <span className={getLabelClasses(isActive, true)}>{tab.label}</span>
+        <span className={getLabelClasses(isActive, true)}>{t(tab.label)}</span>
       </button>
     );
   };
@@ -177,13 +187,13 @@ const TabNavigation = () => {
       <button
         onClick={() => handleTabNavigation(tab.path)}
         className={getTabButtonClasses(isActive, false)}
-        aria-label={tab.ariaLabel}
+        aria-label={t(tab.ariaLabel)}
         aria-current={isActive ? "page" : undefined}
       >
         {/* Active indicator line */}
         {isActive && (
           <div
-            className="absolute left-0 top-0 bottom-0 w-0.5 lg:w-1"
+            className="absolute start-0 top-0 bottom-0 w-0.5 lg:w-1"
             style={{ backgroundColor: NAVIGATION_CONFIG.BRAND_COLOR }}
             aria-hidden="true"
           />
@@ -198,7 +208,7 @@ const TabNavigation = () => {
         />
 
         {/* Tab label */}
-        <span className={getLabelClasses(isActive, false)}>{tab.label}</span>
+        <span className={getLabelClasses(isActive, false)}>{t(tab.label)}</span>
       </button>
     );
   };
@@ -210,10 +220,10 @@ const TabNavigation = () => {
       <nav
         className="md:hidden fixed bottom-0 left-0 right-0 z-40 bg-black border-t border-gray-800"
         role="navigation"
-        aria-label="Main navigation"
+        aria-label={t("tabs.navigation")}
       >
         <div className="flex justify-around">
-          {TAB_CONFIG.map((tab) => (
+          {tabs.map((tab) => (
             <MobileTabButton key={tab.id} tab={tab} />
           ))}
         </div>
@@ -224,10 +234,10 @@ const TabNavigation = () => {
       <nav
         className="hidden md:flex flex-col h-full w-20 lg:w-24 xl:w-28 bg-black"
         role="navigation"
-        aria-label="Main navigation"
+        aria-label={t("tabs.navigation")}
       >
         <div className="flex flex-col">
-          {TAB_CONFIG.map((tab) => (
+          {tabs.map((tab) => (
             <DesktopTabButton key={tab.id} tab={tab} />
           ))}
         </div>
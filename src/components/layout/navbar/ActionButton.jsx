@@ -25,7 +25,7 @@ const getIconSizeClasses = () => "h-4 w-4 sm:h-5 sm:w-5";
  * @returns {string} Combined CSS classes for notification badge
  */
 const getBadgeClasses = () =>
-  "absolute -top-0.5 -right-0.5 sm:-top-1 sm:-right-1 text-[10px] sm:text-xs rounded-full w-3.5 h-3.5 sm:w-5 sm:h-5 flex items-center justify-center font-semibold";
+  "absolute -top-0.5 -end-0.5 sm:-top-1 sm:-end-1 text-[10px] sm:text-xs rounded-full w-3.5 h-3.5 sm:w-5 sm:h-5 flex items-center justify-center font-semibold";
 
 /**
  * Action Button Component
@@ -37,10 +37,11 @@ const getBadgeClasses = () =>
  * @param {string} props.button.ariaLabel - ARIA label for accessibility
  * @param {Function} props.button.action - Click handler function
  * @param {Object} [props.button.badge] - Optional badge configuration
- * @param {number} props.button.badge.count - Badge count number
+ * @param {number|string} props.button.badge.count - Badge count number
  * @param {string} props.button.badge.ariaLabel - ARIA label for badge
+ * @param {boolean} [props.expanded] - Expanded state when the button opens a menu
  */
-const ActionButton = ({ button }) => {
+const ActionButton = ({ button, expanded }) => {
   const { icon, alt, ariaLabel, action, badge } = button;
 
   return (
@@ -48,6 +49,7 @@ const ActionButton = ({ button }) => {
       onClick={action}
       className={`relative ${NAVBAR_CONFIG.LAYOUT.PADDING.BUTTON} ${NAVBAR_CONFIG.COLORS.TEXT_SECONDARY} ${NAVBAR_CONFIG.COLORS.HOVER_TRANSITION}`}
       aria-label={ariaLabel}
+      aria-expanded={expanded}
       type="button"
     >
       <img
@@ -0,0 +1,260 @@
+/**
+ * CaptureMenu Component
+ *
+ * Design Patterns Used:
+ * 1. Progressive Disclosure Pattern - Capture button expands into actions and gallery
+ * 2. Mediator Pattern - Captures whichever map is mounted (see mapCapture.js)
+ * 3. Observer Pattern - Availability and gallery follow their stores
+ * 4. Configuration Pattern - Centralized styling and label configuration
+ *
+ * Replaces the navbar capture button's placeholder action. Saves a PNG
+ * snapshot of the current map view (markers, trails, geofences, legend,
+ * timestamp and attribution) or a PDF incident report that adds a table of the
+ * visible drones. Every capture is kept in the gallery (IndexedDB), from which
+ * its PNG or PDF can be downloaded again.
+ */
+
+import { useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { FileText, Image, Trash2 } from "lucide-react";
+import ActionButton from "./ActionButton";
+import useCaptures from "../../../hooks/useCaptures";
+import useI18n from "../../../hooks/useI18n";
+import {
+  captureMap,
+  describeCapture,
+  isMapCaptureAvailable,
+  subscribeToMapCapture,
+} from "../../map/mapCapture";
+import { addCapture, removeCapture } from "../../../utils/captures";
+import { buildIncidentReport } from "../../../utils/pdfReport";
+import { downloadBlob, fileTimestamp } from "../../../utils/download";
+import { formatDateTime } from "../../../utils/format";
+
+// Configuration constants for the dropdown
+const MENU_CONFIG = {
+  STYLING:
+    "absolute end-0 mt-2 w-80 max-w-[calc(100vw-1.5rem)] bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "flex items-center justify-center gap-1 px-2 py-1 rounded border border-gray-700 hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+  ICON_BUTTON:
+    "p-1 rounded text-gray-400 hover:text-white hover:bg-gray-700 transition-colors disabled:opacity-50",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "capture.title",
+  SNAPSHOT: "capture.snapshot",
+  REPORT: "capture.report",
+  WORKING: "capture.working",
+  UNAVAILABLE: "capture.unavailable",
+  GALLERY: "capture.gallery",
+  EMPTY: "capture.empty",
+  DOWNLOAD_PNG: "capture.downloadPng",
+  DOWNLOAD_PDF: "capture.downloadPdf",
+  DELETE: "capture.delete",
+};
+
+/**
+ * File name for a capture download
+ * @param {Object} capture - Capture record
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+const getFileName = (capture, extension) =>
+  `sager-capture-${fileTimestamp(capture.createdAt)}.${extension}`;
+
+/**
+ * Downloads a capture's PNG snapshot
+ * @param {Object} capture - Capture record
+ */
+const downloadSnapshot = (capture) =>
+  downloadBlob(capture.image, getFileName(capture, "png"));
+
+/**
+ * Builds and downloads a capture's PDF report
+ * @param {Object} capture - Capture record
+ * @returns {Promise} Resolves once the download started
+ */
+const downloadReport = async (capture) =>
+  downloadBlob(await buildIncidentReport(capture), getFileName(capture, "pdf"));
+
+/**
+ * Saved captures, newest first
+ * Pattern: Lazy Loading Pattern - Mounted (and loaded from IndexedDB) only
+ * while the menu is open
+ * @param {Function} onError - Called with a failure message
+ */
+const CaptureGallery = ({ onError }) => {
+  const captures = useCaptures();
+  const { t } = useI18n();
+
+  if (captures.length === 0) {
+    return (
+      <p className="px-3 py-4 text-center text-gray-500">{t(LABELS.EMPTY)}</p>
+    );
+  }
+
+  return (
+    <ul className="max-h-96 overflow-y-auto divide-y divide-gray-700">
+      {captures.map((capture) => (
+        <li key={capture.id} className="flex items-center gap-2 px-3 py-2">
+          <img
+            src={capture.thumbnail}
+            alt=""
+            className="w-20 h-12 object-cover rounded border border-gray-700 shrink-0"
+          />
+          <div className="min-w-0 flex-1">
+            <div className="text-white">
+              {formatDateTime(capture.createdAt)}
+            </div>
+            <div className="truncate text-gray-400">
+              {describeCapture(capture)}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => downloadSnapshot(capture)}
+            className={MENU_CONFIG.ICON_BUTTON}
+            aria-label={t(LABELS.DOWNLOAD_PNG)}
+            title={t(LABELS.DOWNLOAD_PNG)}
+          >
+            <Image size={14} />
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              downloadReport(capture).catch((error) => onError(error.message))
+            }
+            className={MENU_CONFIG.ICON_BUTTON}
+            aria-label={t(LABELS.DOWNLOAD_PDF)}
+            title={t(LABELS.DOWNLOAD_PDF)}
+          >
+            <FileText size={14} />
+          </button>
+          <button
+            type="button"
+            onClick={() => removeCapture(capture.id)}
+            className={MENU_CONFIG.ICON_BUTTON}
+            aria-label={t(LABELS.DELETE)}
+            title={t(LABELS.DELETE)}
+          >
+            <Trash2 size={14} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Capture Menu Component
+ * @param {Object} props - Component props
+ * @param {Object} props.button - Action button configuration (icon, alt, ariaLabel)
+ */
+const CaptureMenu = ({ button }) => {
+  const isAvailable = useSyncExternalStore(
+    subscribeToMapCapture,
+    isMapCaptureAvailable
+  );
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  /**
+   * Open Menu Effect
+   * Pattern: Observer Pattern - Outside clicks and Escape close the menu
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  /**
+   * Captures the map, saves it to the gallery and downloads it
+   * Pattern: Command Pattern - PNG and PDF share the capture and save steps
+   * @param {Function} download - downloadSnapshot or downloadReport
+   */
+  const handleCapture = async (download) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const capture = await captureMap();
+      addCapture(capture);
+      await download(capture);
+    } catch (captureError) {
+      setError(captureError.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <ActionButton
+        expanded={isOpen}
+        button={{ ...button, action: () => setIsOpen(!isOpen) }}
+      />
+
+      {isOpen && (
+        <div className={MENU_CONFIG.STYLING}>
+          {/* Capture Actions */}
+          <section className="px-3 py-2 space-y-2 border-b border-gray-700">
+            <h3 className="font-semibold text-white">{t(LABELS.TITLE)}</h3>
+            <div className="grid grid-cols-2 gap-1">
+              <button
+                type="button"
+                onClick={() => handleCapture(downloadSnapshot)}
+                disabled={!isAvailable || isWorking}
+                className={MENU_CONFIG.BUTTON}
+              >
+                <Image size={14} />
+                {t(LABELS.SNAPSHOT)}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleCapture(downloadReport)}
+                disabled={!isAvailable || isWorking}
+                className={MENU_CONFIG.BUTTON}
+              >
+                <FileText size={14} />
+                {t(LABELS.REPORT)}
+              </button>
+            </div>
+            {!isAvailable && (
+              <p className="text-gray-400">{t(LABELS.UNAVAILABLE)}</p>
+            )}
+            {isWorking && <p className="text-gray-400">{t(LABELS.WORKING)}</p>}
+            {error && (
+              <p className="text-[#F9000E]" role="alert">
+                {error}
+              </p>
+            )}
+          </section>
+
+          {/* Gallery */}
+          <div className="px-3 pt-2 font-semibold text-white">
+            {t(LABELS.GALLERY)}
+          </div>
+          <CaptureGallery onError={setError} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptureMenu;
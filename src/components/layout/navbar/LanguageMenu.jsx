@@ -0,0 +1,115 @@
+/**
+ * LanguageMenu Component
+ *
+ * Design Patterns Used:
+ * 1. Progressive Disclosure Pattern - Language button expands into the choices
+ * 2. Observer Pattern - Follows the active locale (see i18n.js)
+ * 3. Configuration Pattern - Choices generated from LOCALES
+ *
+ * Replaces the navbar language button's placeholder action. Picking a
+ * language translates the interface, switches the page direction (Arabic is
+ * right-to-left) and relabels the map; the choice is remembered.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Check } from "lucide-react";
+import ActionButton from "./ActionButton";
+import useI18n from "../../../hooks/useI18n";
+import { LOCALES } from "../../../utils/i18n";
+
+// Configuration constants for the dropdown
+const MENU_CONFIG = {
+  STYLING:
+    "absolute end-0 mt-2 w-44 bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200 py-1",
+  OPTION:
+    "w-full flex items-center justify-between gap-2 px-3 py-2 text-start hover:bg-gray-700 transition-colors",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "language.title",
+};
+
+/**
+ * Language Menu Component
+ * @param {Object} props - Component props
+ * @param {Object} props.button - Action button configuration (icon, alt, ariaLabel)
+ */
+const LanguageMenu = ({ button }) => {
+  const { locale, setLocale, t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  /**
+   * Open Menu Effect
+   * Pattern: Observer Pattern - Outside clicks and Escape close the menu
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  /**
+   * Switches language and closes the menu
+   * @param {string} code - LOCALES key
+   */
+  const handleSelect = (code) => {
+    setLocale(code);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <ActionButton
+        expanded={isOpen}
+        button={{ ...button, action: () => setIsOpen(!isOpen) }}
+      />
+
+      {isOpen && (
+        <div
+          className={MENU_CONFIG.STYLING}
+          role="menu"
+          aria-label={t(LABELS.TITLE)}
+        >
+          {Object.entries(LOCALES).map(([code, meta]) => (
+            <button
+              key={code}
+              type="button"
+              role="menuitemradio"
+              aria-checked={code === locale}
+              onClick={() => handleSelect(code)}
+              className={MENU_CONFIG.OPTION}
+              lang={code}
+            >
+              <span className={code === locale ? "text-white" : ""}>
+                {meta.label}
+              </span>
+              {code === locale && (
+                <Check
+                  size={14}
+                  className="text-[#5CFC00]"
+                  aria-hidden="true"
+                />
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LanguageMenu;
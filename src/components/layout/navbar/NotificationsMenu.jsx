@@ -0,0 +1,273 @@
+/**
+ * NotificationsMenu Component
+ *
+ * Design Patterns Used:
+ * 1. Progressive Disclosure Pattern - Bell button expands into the notification list
+ * 2. Observer Pattern - Badge and list follow the notification store
+ * 3. Configuration Pattern - Centralized styling and label configuration
+ * 4. Accessibility Pattern - Labelled badge, expanded state and Escape to close
+ *
+ * Replaces the navbar bell's static badge with the live unread count and a
+ * dropdown of grouped notifications. Clicking a notification about a drone
+ * marks it read, switches to the map and focuses that drone.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { Bell, BellRing, Plane, ShieldAlert, WifiOff } from "lucide-react";
+import ActionButton from "./ActionButton";
+import useNotifications from "../../../hooks/useNotifications";
+import useI18n from "../../../hooks/useI18n";
+import {
+  NOTIFICATION_SEVERITIES,
+  NOTIFICATION_TYPES,
+  clearNotifications,
+  groupNotifications,
+  markAllNotificationsRead,
+  markNotificationsRead,
+} from "../../../utils/notifications";
+import { requestDroneFocus } from "../../../utils/droneFocus";
+import { formatTimeAgo } from "../../../utils/format";
+import { formatDate } from "../../../utils/i18n";
+
+// Configuration constants for the dropdown
+const MENU_CONFIG = {
+  MAX_BADGE_COUNT: 9,
+  CLOCK_INTERVAL: 30 * 1000,
+  MAP_PATH: "/map",
+  STYLING:
+    "absolute end-0 mt-2 w-80 max-w-[calc(100vw-1.5rem)] bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  BUTTON:
+    "px-2 py-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+  SEVERITY_COLORS: {
+    [NOTIFICATION_SEVERITIES.INFO]: "#9CA3AF",
+    [NOTIFICATION_SEVERITIES.WARNING]: "#FACC15",
+    [NOTIFICATION_SEVERITIES.CRITICAL]: "#F9000E",
+  },
+};
+
+// Icon per notification type
+const TYPE_ICONS = {
+  [NOTIFICATION_TYPES.DRONE_APPEARED]: Plane,
+  [NOTIFICATION_TYPES.DRONE_LOST_LINK]: WifiOff,
+  [NOTIFICATION_TYPES.GEOFENCE]: ShieldAlert,
+  [NOTIFICATION_TYPES.ALERT_RULE]: BellRing,
+  [NOTIFICATION_TYPES.CONNECTION]: WifiOff,
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "notifications.title",
+  EMPTY: "notifications.empty",
+  MARK_ALL_READ: "notifications.markAllRead",
+  CLEAR: "notifications.clear",
+  UNREAD: "notifications.unread",
+};
+
+/**
+ * Badge text for an unread count
+ * @param {number} count - Unread notifications
+ * @returns {string|null} Badge text, or null to hide the badge
+ */
+const getBadgeCount = (count) => {
+  if (count === 0) return null;
+  return count > MENU_CONFIG.MAX_BADGE_COUNT
+    ? `${MENU_CONFIG.MAX_BADGE_COUNT}+`
+    : String(count);
+};
+
+/**
+ * One grouped notification row
+ * @param {Object} group - Group from groupNotifications
+ * @param {number} now - Reference time for relative timestamps
+ * @param {Function} onSelect - Called with the group
+ */
+const NotificationRow = ({ group, now, onSelect }) => {
+  const { latest, items, unread } = group;
+  const Icon = TYPE_ICONS[latest.type] ?? Bell;
+
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => onSelect(group)}
+        className={`w-full flex gap-2 px-3 py-2 text-start hover:bg-gray-700 transition-colors ${
+          unread > 0 ? "bg-gray-700 bg-opacity-40" : ""
+        }`}
+      >
+        <Icon
+          size={14}
+          className="mt-0.5 shrink-0"
+          style={{ color: MENU_CONFIG.SEVERITY_COLORS[latest.severity] }}
+        />
+        <span className="min-w-0 flex-1">
+          <span className="flex items-center justify-between gap-2">
+            <span
+              className={`truncate ${
+                unread > 0 ? "font-semibold text-white" : ""
+              }`}
+            >
+              {latest.title}
+            </span>
+            {items.length > 1 && (
+              <span className="shrink-0 rounded-full bg-gray-600 px-1.5">
+                ×{items.length}
+              </span>
+            )}
+          </span>
+          {latest.message && (
+            <span className="block truncate text-gray-400">
+              {latest.message}
+            </span>
+          )}
+          <span
+            className="block text-gray-500"
+            title={formatDate(latest.time, {
+              dateStyle: "medium",
+              timeStyle: "medium",
+            })}
+          >
+            {formatTimeAgo(latest.time, now)}
+          </span>
+        </span>
+        {unread > 0 && (
+          <span
+            className="mt-1 w-2 h-2 rounded-full bg-[#F9000E] shrink-0"
+            aria-hidden="true"
+          />
+        )}
+      </button>
+    </li>
+  );
+};
+
+/**
+ * Notifications Menu Component
+ * @param {Object} props - Component props
+ * @param {Object} props.button - Action button configuration (icon, alt, ariaLabel)
+ */
+const NotificationsMenu = ({ button }) => {
+  const notifications = useNotifications();
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const unreadCount = notifications.filter((item) => !item.read).length;
+  const badgeCount = getBadgeCount(unreadCount);
+  const groups = isOpen ? groupNotifications(notifications) : [];
+
+  /**
+   * Open Menu Effect
+   * Pattern: Observer Pattern - Outside clicks and Escape close the menu;
+   * relative timestamps refresh while it is open
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+    const clock = setInterval(
+      () => setNow(Date.now()),
+      MENU_CONFIG.CLOCK_INTERVAL
+    );
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+      clearInterval(clock);
+    };
+  }, [isOpen]);
+
+  const toggle = () => {
+    setNow(Date.now());
+    setIsOpen(!isOpen);
+  };
+
+  /**
+   * Marks a group read and focuses its drone on the map
+   * @param {Object} group - Selected group
+   */
+  const handleSelect = (group) => {
+    markNotificationsRead(group.items.map((item) => item.id));
+    const { registration } = group.latest;
+    if (!registration) return;
+    setIsOpen(false);
+    // On the map already: keep its URL state (camera, filters) and just select
+    if (location.pathname !== MENU_CONFIG.MAP_PATH) {
+      navigate(MENU_CONFIG.MAP_PATH);
+    }
+    requestDroneFocus(registration);
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <ActionButton
+        expanded={isOpen}
+        button={{
+          ...button,
+          action: toggle,
+          badge: badgeCount && {
+            count: badgeCount,
+            ariaLabel: t(LABELS.UNREAD, { count: unreadCount }),
+          },
+        }}
+      />
+
+      {isOpen && (
+        <div className={MENU_CONFIG.STYLING}>
+          {/* Header */}
+          <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-gray-700">
+            <span className="font-semibold text-white">{t(LABELS.TITLE)}</span>
+            <div className="flex gap-1">
+              <button
+                type="button"
+                onClick={markAllNotificationsRead}
+                disabled={unreadCount === 0}
+                className={MENU_CONFIG.BUTTON}
+              >
+                {t(LABELS.MARK_ALL_READ)}
+              </button>
+              <button
+                type="button"
+                onClick={clearNotifications}
+                disabled={notifications.length === 0}
+                className={MENU_CONFIG.BUTTON}
+              >
+                {t(LABELS.CLEAR)}
+              </button>
+            </div>
+          </div>
+
+          {/* Notification List */}
+          {groups.length === 0 ? (
+            <p className="px-3 py-4 text-center text-gray-500">
+              {t(LABELS.EMPTY)}
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-700">
+              {groups.map((group) => (
+                <NotificationRow
+                  key={group.key}
+                  group={group}
+                  now={now}
+                  onSelect={handleSelect}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsMenu;
@@ -6,11 +6,41 @@
  * 2. Responsive Design Pattern - Different layouts for mobile/desktop
  * 3. Strategy Pattern - Different display strategies based on screen size
  * 4. Accessibility Pattern - ARIA labels for screen readers
+ * 5. Progressive Disclosure Pattern - Name expands into the profile and sign-out
+ * 6. Observer Pattern - Follows the signed-in session (useAuth)
  *
- * Displays user information with adaptive layout for different screen sizes
+ * Displays the signed-in user with adaptive layout for different screen sizes.
+ * Opening it shows the profile (email, role, organization, session expiry)
+ * and a sign-out button; signing out closes the telemetry stream.
  */
 
-import { NAVBAR_CONFIG, USER_INFO } from "./navbarConfig";
+import { useEffect, useRef, useState } from "react";
+import { ChevronDown, LogOut } from "lucide-react";
+import { NAVBAR_CONFIG } from "./navbarConfig";
+import useAuth from "../../../hooks/useAuth";
+import useI18n from "../../../hooks/useI18n";
+import { formatDateTime } from "../../../utils/format";
+import { ROLES } from "../../../utils/permissions";
+
+// Configuration constants for the dropdown
+const MENU_CONFIG = {
+  STYLING:
+    "absolute end-0 mt-2 w-64 bg-gray-800 bg-opacity-95 backdrop-blur-sm rounded-xl shadow-xl border border-gray-700 text-xs text-gray-200",
+  SIGN_OUT:
+    "w-full flex items-center gap-2 px-3 py-2 text-start text-red-300 hover:bg-gray-700 rounded-b-xl transition-colors",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  GREETING: "navbar.greeting",
+  USER: "navbar.user",
+  MENU: "userMenu.title",
+  EMAIL: "userMenu.email",
+  ROLE: "userMenu.role",
+  ORGANIZATION: "userMenu.organization",
+  EXPIRES: "userMenu.expires",
+  SIGN_OUT: "userMenu.signOut",
+};
 
 /**
  * User Info Component
@@ -21,36 +51,123 @@ import { NAVBAR_CONFIG, USER_INFO } from "./navbarConfig";
  * - Mobile: Condensed name display
  * - Desktop: Full greeting with name and title
  */
-const UserInfo = () => (
-  <div className={NAVBAR_CONFIG.COLORS.TEXT_PRIMARY}>
-    {/* Mobile: Condensed name display */}
-    <div className="sm:hidden text-xs">
-      <span
-        className="font-semibold"
-        aria-label={`User: ${USER_INFO.fullName}`}
+const UserInfo = () => {
+  const { user, expiresAt, logout } = useAuth();
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  /**
+   * Open Menu Effect
+   * Pattern: Observer Pattern - Outside clicks and Escape close the menu
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  if (!user) return null;
+
+  const profile = [
+    { label: LABELS.EMAIL, value: user.email },
+    user.role && {
+      label: LABELS.ROLE,
+      // Roles unknown to the permission model are shown as sent
+      value: Object.values(ROLES).includes(user.role)
+        ? t(`roles.${user.role}`)
+        : user.role,
+    },
+    user.organization && {
+      label: LABELS.ORGANIZATION,
+      value: user.organization,
+    },
+    { label: LABELS.EXPIRES, value: formatDateTime(expiresAt) },
+  ].filter(Boolean);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative ${NAVBAR_CONFIG.COLORS.TEXT_PRIMARY}`}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label={t(LABELS.USER, { name: user.fullName })}
+        className="flex items-center gap-1 text-start"
       >
-        {USER_INFO.fullName}
-      </span>
-    </div>
+        {/* Mobile: Condensed name display */}
+        <div className="sm:hidden text-xs">
+          <span className="font-semibold">{user.fullName}</span>
+        </div>
 
-    {/* Desktop: Full user information */}
-    <div className="hidden sm:block">
-      <div className="text-xs md:text-sm">
-        Hello,{" "}
-        <span
-          className="font-semibold"
-          aria-label={`User: ${USER_INFO.fullName}`}
+        {/* Desktop: Full user information */}
+        <div className="hidden sm:block">
+          <div className="text-xs md:text-sm">
+            {t(LABELS.GREETING)}{" "}
+            <span className="font-semibold">{user.fullName}</span>
+          </div>
+          <div
+            className={`text-[10px] md:text-xs ${NAVBAR_CONFIG.COLORS.TEXT_SECONDARY}`}
+          >
+            {user.title}
+          </div>
+        </div>
+
+        <ChevronDown
+          size={14}
+          className={NAVBAR_CONFIG.COLORS.TEXT_SECONDARY}
+          aria-hidden="true"
+        />
+      </button>
+
+      {isOpen && (
+        <div
+          className={MENU_CONFIG.STYLING}
+          role="menu"
+          aria-label={t(LABELS.MENU)}
         >
-          {USER_INFO.fullName}
-        </span>
-      </div>
-      <div
-        className={`text-[10px] md:text-xs ${NAVBAR_CONFIG.COLORS.TEXT_SECONDARY}`}
-      >
-        {USER_INFO.title}
-      </div>
+          <div className="px-3 py-2 border-b border-gray-700">
+            <div className="text-sm font-semibold text-white">
+              {user.fullName}
+            </div>
+            {user.title && <div className="text-gray-400">{user.title}</div>}
+          </div>
+          <dl className="px-3 py-2 space-y-1 border-b border-gray-700">
+            {profile.map(({ label, value }) => (
+              <div key={label} className="flex justify-between gap-2">
+                <dt className="text-gray-400">{t(label)}</dt>
+                <dd className="truncate">{value}</dd>
+              </div>
+            ))}
+          </dl>
+          <button
+            type="button"
+            role="menuitem"
+            onClick={logout}
+            className={MENU_CONFIG.SIGN_OUT}
+          >
+            <LogOut size={14} aria-hidden="true" />
+            {t(LABELS.SIGN_OUT)}
+          </button>
+        </div>
+      )}
     </div>
-  </div>
-);
+  );
+};
 
 export default UserInfo;
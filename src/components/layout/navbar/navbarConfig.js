@@ -11,9 +11,12 @@
  * - Color schemes and theming
  * - Brand information
  * - Action button configurations
- * - User information
+ *
+ * The signed-in user comes from the session (see utils/auth.js).
  */
 
+import { CAPABILITIES } from "../../../utils/permissions";
+
 // Configuration constants for better maintainability
 export const NAVBAR_CONFIG = {
   BRAND: {
@@ -46,36 +49,36 @@ export const NAVBAR_CONFIG = {
 };
 
 // Action buttons configuration - easily extensible
+// alt and ariaLabel are English defaults; Navbar swaps in the translations
+// under `messageKey` (see src/locales). Buttons with a `capability` are only
+// shown to users holding it (see utils/permissions.js)
 export const ACTION_BUTTONS = [
   {
     id: "capture",
+    messageKey: "navbar.capture",
     icon: "/capture-svgrepo-com.svg",
     alt: "Capture",
     ariaLabel: "Open capture tool",
-    action: () => console.log("Capture clicked"),
+    // Rendered by the CaptureMenu dropdown (map snapshot, PDF report, gallery)
+    menu: "capture",
+    capability: CAPABILITIES.CAPTURE_MAP,
   },
   {
     id: "language",
+    messageKey: "navbar.language",
     icon: "/language-svgrepo-com.svg",
     alt: "Language",
     ariaLabel: "Change language settings",
-    action: () => console.log("Language clicked"),
+    // Rendered by the LanguageMenu dropdown (English / Arabic)
+    menu: "language",
   },
   {
     id: "notifications",
+    messageKey: "navbar.notifications",
     icon: "/bell.svg",
     alt: "Notifications",
     ariaLabel: "View notifications",
-    action: () => console.log("Notifications clicked"),
-    badge: {
-      count: 1,
-      ariaLabel: "1 unread notification",
-    },
+    // Rendered by the NotificationsMenu dropdown with a live unread badge
+    menu: "notifications",
   },
 ];
-
-// User information configuration
-export const USER_INFO = {
-  fullName: "Hazem Odeh",
-  title: "Frontend Engineer",
-};
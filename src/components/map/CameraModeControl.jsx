@@ -0,0 +1,82 @@
+/**
+ * CameraModeControl Component
+ *
+ * Design Patterns Used:
+ * 1. Controlled Component Pattern - The map owns the active mode
+ * 2. Configuration Pattern - Buttons generated from CAMERA_MODE_META
+ *
+ * Vertical button group under the map's navigation control for switching
+ * between free, follow, follow-with-heading and fit-all camera modes. Follow
+ * modes are disabled until a drone is selected; with several drones selected
+ * fit-all fits only those.
+ *
+ * @param {string} mode - Active CAMERA_MODES value
+ * @param {Function} onChange - Called with the chosen mode
+ * @param {number} selectionSize - Number of selected drones
+ */
+
+import { Compass, Crosshair, Hand, Maximize } from "lucide-react";
+import { CAMERA_MODES, CAMERA_MODE_META } from "./cameraModes";
+import useI18n from "../../hooks/useI18n";
+
+// Icon per camera mode
+const MODE_ICONS = {
+  [CAMERA_MODES.FREE]: Hand,
+  [CAMERA_MODES.FOLLOW]: Crosshair,
+  [CAMERA_MODES.FOLLOW_HEADING]: Compass,
+  [CAMERA_MODES.FIT_ALL]: Maximize,
+};
+
+// Configuration constants for the control
+const CONTROL_CONFIG = {
+  POSITIONING: "absolute top-[108px] end-[10px] z-10",
+  ICON_SIZE: 16,
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  GROUP: "cameraMode.label",
+  FIT_SELECTED: "cameraMode.fit-selected",
+};
+
+const CameraModeControl = ({ mode, onChange, selectionSize }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      className={`${CONTROL_CONFIG.POSITIONING} flex flex-col bg-black border border-gray-700 rounded shadow-lg overflow-hidden`}
+      role="group"
+      aria-label={t(LABELS.GROUP)}
+    >
+      {Object.entries(CAMERA_MODE_META).map(([value, meta]) => {
+        const Icon = MODE_ICONS[value];
+        const isActive = mode === value;
+        const isDisabled = meta.needsSelection && selectionSize === 0;
+        const label =
+          selectionSize > 1 && meta.fitsSelection
+            ? t(LABELS.FIT_SELECTED)
+            : t(`cameraMode.${value}`);
+        return (
+          <button
+            key={value}
+            type="button"
+            onClick={() => onChange(value)}
+            disabled={isDisabled}
+            aria-pressed={isActive}
+            aria-label={label}
+            title={label}
+            className={`p-1.5 transition-colors ${
+              isActive
+                ? "bg-[#F9000E] text-white"
+                : "text-gray-400 hover:text-white disabled:opacity-40 disabled:hover:text-gray-400"
+            }`}
+          >
+            <Icon size={CONTROL_CONFIG.ICON_SIZE} />
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CameraModeControl;
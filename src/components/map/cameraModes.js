@@ -0,0 +1,70 @@
+/**
+ * Map Camera Modes
+ *
+ * Design Patterns Used:
+ * 1. State Pattern - The camera mode decides how the map reacts to telemetry
+ * 2. Configuration Pattern - Mode options and animation timings in one place
+ *
+ * - free: the camera only moves when the operator moves it
+ * - follow: the selected drone is kept centered, eased on every update
+ * - follow-heading: as follow, with the map rotated to the drone's heading
+ * - fit-all: every drone is kept in view; the map refits when one leaves it.
+ *   With several drones selected only those are kept in view.
+ *
+ * Selecting a drone starts following it; adding drones to the selection keeps
+ * the current mode. Dragging, rotating or box-zooming the map drops back to
+ * free without clearing the selection.
+ */
+
+// Camera mode identifiers
+export const CAMERA_MODES = {
+  FREE: "free",
+  FOLLOW: "follow",
+  FOLLOW_HEADING: "follow-heading",
+  FIT_ALL: "fit-all",
+};
+
+// Display metadata per mode (in control order); labels are the
+// cameraMode.<mode> message keys (see src/locales)
+export const CAMERA_MODE_META = {
+  [CAMERA_MODES.FREE]: { needsSelection: false },
+  [CAMERA_MODES.FOLLOW]: { needsSelection: true },
+  [CAMERA_MODES.FOLLOW_HEADING]: { needsSelection: true },
+  // Labelled cameraMode.fit-selected while several drones are selected
+  [CAMERA_MODES.FIT_ALL]: { needsSelection: false, fitsSelection: true },
+};
+
+// Camera animation configuration
+export const CAMERA_CONFIG = {
+  SELECTED_ZOOM: 15,
+  FLY_DURATION: 1000,
+  // Roughly one telemetry interval, so consecutive eases blend into a glide
+  FOLLOW_DURATION: 900,
+  FIT_PADDING: 80,
+  FIT_MAX_ZOOM: 15,
+};
+
+/**
+ * Whether a mode tracks the selected drone
+ * @param {string} mode - CAMERA_MODES value
+ * @returns {boolean} True for follow and follow-heading
+ */
+export const isFollowMode = (mode) =>
+  mode === CAMERA_MODES.FOLLOW || mode === CAMERA_MODES.FOLLOW_HEADING;
+
+/**
+ * Mode to use after the selection changes
+ * A single selected drone is followed (keeping follow-heading if active);
+ * a multi-drone selection keeps the mode; clearing the selection leaves
+ * follow modes for free.
+ * @param {string} mode - Current CAMERA_MODES value
+ * @param {Array<string>} selectedDrones - New selection
+ * @returns {string} Next CAMERA_MODES value
+ */
+export const getModeForSelection = (mode, selectedDrones) => {
+  if (selectedDrones.length === 0) {
+    return isFollowMode(mode) ? CAMERA_MODES.FREE : mode;
+  }
+  if (selectedDrones.length > 1) return mode;
+  return mode === CAMERA_MODES.FOLLOW_HEADING ? mode : CAMERA_MODES.FOLLOW;
+};
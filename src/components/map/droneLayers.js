@@ -0,0 +1,387 @@
+/**
+ * Drone Map Layers
+ *
+ * Design Patterns Used:
+ * 1. Configuration Pattern - Layer ids, sizes and paint settings in one place
+ * 2. Factory Pattern - Status-colored marker images generated on a canvas
+ * 3. Data-Driven Styling - Rotation, color and halo come from feature properties/state
+ *
+ * GPU-rendered replacement for per-drone DOM markers:
+ * - "drones" GeoJSON source (clustered at low zoom, ids promoted from registration)
+ * - halo circle layer driven by feature-state (selected / hover)
+ * - alert ring colored by the highest active alert rule severity
+ * - symbol layer with one pre-rendered marker image per drone status, rotated by yaw
+ * - cluster circles with counts
+ * - a single "drone-paths" line source holding every trail
+ *
+ * Drones violating a geofence use a dedicated orange marker regardless of status.
+ * Drones that stopped reporting fade (stale, then lost) and their trails turn
+ * dashed. Drones outside the drone list filter are dimmed, trails included.
+ * Trails of selected drones are drawn wider and fully opaque.
+ */
+
+import {
+  DRONE_STATES,
+  LINK_STATES,
+  STATUS_META,
+} from "../../utils/droneStatus";
+import { ALERT_SEVERITIES } from "../../utils/geofenceMonitor";
+
+// Source and layer identifiers
+export const LAYER_IDS = {
+  DRONES_SOURCE: "drones",
+  PATHS_SOURCE: "drone-paths",
+  PATHS: "drone-paths",
+  PATHS_AGED: "drone-paths-aged",
+  HALO: "drone-halo",
+  ALERT_RING: "drone-alert-ring",
+  ICONS: "drone-icons",
+  CLUSTERS: "drone-clusters",
+  CLUSTER_COUNT: "drone-cluster-count",
+};
+
+// Marker rendering configuration
+export const DRONE_LAYER_CONFIG = {
+  IMAGE_PREFIX: "drone-marker-",
+  IMAGE_SIZE: 64,
+  MARKER_RADIUS: 20,
+  ICON_SIZE: 24,
+  ARROW_SIZE: 12,
+  BORDER_WIDTH: 2,
+  BORDER_COLOR: "white",
+  ICON_SRC: "/drone.svg",
+  PIXEL_RATIO: 2,
+  HALO_RADIUS: 26,
+  HALO_COLOR: "rgba(255, 255, 255, 0.8)",
+  CLUSTER_MAX_ZOOM: 10,
+  CLUSTER_RADIUS: 50,
+  CLUSTER_COLOR: "#F9000E",
+  PATH_WIDTH: 3,
+  PATH_OPACITY: 0.8,
+  // Trails of selected drones
+  HIGHLIGHTED_PATH_WIDTH: 5,
+  HIGHLIGHTED_PATH_OPACITY: 1,
+  // Aging of drones that stopped reporting
+  AGED_PATH_OPACITY: 0.5,
+  AGED_PATH_DASH: [2, 2],
+  LINK_OPACITY: {
+    [LINK_STATES.STALE]: 0.6,
+    [LINK_STATES.LOST]: 0.35,
+  },
+  // Opacity factor for drones not matching the drone list filter
+  DIMMED_OPACITY: 0.25,
+  // Marker state used while a drone violates a geofence (overrides its status)
+  BREACH_STATE: "geofence-breach",
+  BREACH_COLOR: "#F97316",
+  // Ring drawn around drones with an active alert rule, by severity
+  ALERT_RING_RADIUS: 22,
+  ALERT_RING_WIDTH: 3,
+  ALERT_COLORS: {
+    [ALERT_SEVERITIES.INFO]: "#38BDF8",
+    [ALERT_SEVERITIES.WARNING]: "#FACC15",
+    [ALERT_SEVERITIES.CRITICAL]: "#F9000E",
+  },
+};
+
+/**
+ * Loads the drone glyph used inside every marker
+ * @returns {Promise<HTMLImageElement|null>} Loaded image or null on failure
+ */
+const loadDroneGlyph = () =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = DRONE_LAYER_CONFIG.ICON_SRC;
+  });
+
+/**
+ * Draws one marker image: colored disc, white border, heading arrow and glyph
+ * Pattern: Factory Pattern - Same look as the former DOM marker
+ * @param {string} color - Status color
+ * @param {HTMLImageElement|null} glyph - Drone glyph
+ * @returns {ImageData} Marker bitmap
+ */
+const drawMarker = (color, glyph) => {
+  const {
+    IMAGE_SIZE,
+    MARKER_RADIUS,
+    ICON_SIZE,
+    ARROW_SIZE,
+    BORDER_WIDTH,
+    BORDER_COLOR,
+    PIXEL_RATIO,
+  } = DRONE_LAYER_CONFIG;
+  const size = IMAGE_SIZE * PIXEL_RATIO;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+  context.scale(PIXEL_RATIO, PIXEL_RATIO);
+
+  const center = IMAGE_SIZE / 2;
+
+  // Heading arrow above the disc (image "up" is rotated to the drone's yaw)
+  context.fillStyle = color;
+  context.beginPath();
+  context.moveTo(center, center - MARKER_RADIUS - ARROW_SIZE + 2);
+  context.lineTo(center - 6, center - MARKER_RADIUS + 2);
+  context.lineTo(center + 6, center - MARKER_RADIUS + 2);
+  context.closePath();
+  context.fill();
+
+  // Disc with border
+  context.beginPath();
+  context.arc(
+    center,
+    center,
+    MARKER_RADIUS - BORDER_WIDTH / 2,
+    0,
+    Math.PI * 2
+  );
+  context.fill();
+  context.lineWidth = BORDER_WIDTH;
+  context.strokeStyle = BORDER_COLOR;
+  context.stroke();
+
+  if (glyph) {
+    context.drawImage(
+      glyph,
+      center - ICON_SIZE / 2,
+      center - ICON_SIZE / 2,
+      ICON_SIZE,
+      ICON_SIZE
+    );
+  }
+
+  return context.getImageData(0, 0, size, size);
+};
+
+/**
+ * Registers one marker image per drone status
+ * @param {mapboxgl.Map} map - Map instance
+ * @returns {Promise} Resolves once every image is registered
+ */
+export const addDroneImages = async (map) => {
+  const glyph = await loadDroneGlyph();
+  const colors = Object.values(DRONE_STATES).map((state) => [
+    state,
+    STATUS_META[state].color,
+  ]);
+  colors.push([DRONE_LAYER_CONFIG.BREACH_STATE, DRONE_LAYER_CONFIG.BREACH_COLOR]);
+
+  colors.forEach(([state, color]) => {
+    const id = `${DRONE_LAYER_CONFIG.IMAGE_PREFIX}${state}`;
+    if (map.hasImage(id)) return;
+    map.addImage(id, drawMarker(color, glyph), {
+      pixelRatio: DRONE_LAYER_CONFIG.PIXEL_RATIO,
+    });
+  });
+};
+
+const EMPTY_COLLECTION = { type: "FeatureCollection", features: [] };
+
+/**
+ * Adds drone and path sources plus their layers
+ * Pattern: Data-Driven Styling - Expressions read properties and feature-state
+ * @param {mapboxgl.Map} map - Map instance
+ */
+export const addDroneLayers = (map) => {
+  const config = DRONE_LAYER_CONFIG;
+  const isSelected = ["boolean", ["feature-state", "selected"], false];
+  const isHovered = ["boolean", ["feature-state", "hover"], false];
+  const dimFactor = [
+    "case",
+    ["boolean", ["get", "dimmed"], false],
+    config.DIMMED_OPACITY,
+    1,
+  ];
+  const isHighlighted = ["boolean", ["get", "highlighted"], false];
+  const pathWidth = [
+    "case",
+    isHighlighted,
+    config.HIGHLIGHTED_PATH_WIDTH,
+    config.PATH_WIDTH,
+  ];
+
+  map.addSource(LAYER_IDS.PATHS_SOURCE, {
+    type: "geojson",
+    data: EMPTY_COLLECTION,
+  });
+  const isLive = ["==", ["get", "link"], LINK_STATES.LIVE];
+  map.addLayer({
+    id: LAYER_IDS.PATHS,
+    type: "line",
+    source: LAYER_IDS.PATHS_SOURCE,
+    filter: isLive,
+    paint: {
+      "line-color": ["get", "color"],
+      "line-width": pathWidth,
+      "line-opacity": [
+        "*",
+        [
+          "case",
+          isHighlighted,
+          config.HIGHLIGHTED_PATH_OPACITY,
+          config.PATH_OPACITY,
+        ],
+        dimFactor,
+      ],
+    },
+    layout: { "line-join": "round", "line-cap": "round" },
+  });
+  // Dash arrays cannot be data-driven, so aged trails get their own layer
+  map.addLayer({
+    id: LAYER_IDS.PATHS_AGED,
+    type: "line",
+    source: LAYER_IDS.PATHS_SOURCE,
+    filter: ["!", isLive],
+    paint: {
+      "line-color": ["get", "color"],
+      "line-width": pathWidth,
+      "line-opacity": ["*", config.AGED_PATH_OPACITY, dimFactor],
+      "line-dasharray": config.AGED_PATH_DASH,
+    },
+    layout: { "line-join": "round" },
+  });
+
+  map.addSource(LAYER_IDS.DRONES_SOURCE, {
+    type: "geojson",
+    data: EMPTY_COLLECTION,
+    promoteId: "registration",
+    cluster: true,
+    clusterMaxZoom: config.CLUSTER_MAX_ZOOM,
+    clusterRadius: config.CLUSTER_RADIUS,
+  });
+
+  map.addLayer({
+    id: LAYER_IDS.CLUSTERS,
+    type: "circle",
+    source: LAYER_IDS.DRONES_SOURCE,
+    filter: ["has", "point_count"],
+    paint: {
+      "circle-color": config.CLUSTER_COLOR,
+      "circle-opacity": 0.85,
+      "circle-stroke-color": config.BORDER_COLOR,
+      "circle-stroke-width": 2,
+      "circle-radius": ["step", ["get", "point_count"], 16, 10, 20, 100, 26],
+    },
+  });
+  map.addLayer({
+    id: LAYER_IDS.CLUSTER_COUNT,
+    type: "symbol",
+    source: LAYER_IDS.DRONES_SOURCE,
+    filter: ["has", "point_count"],
+    layout: {
+      "text-field": ["get", "point_count_abbreviated"],
+      "text-size": 12,
+      "text-allow-overlap": true,
+    },
+    paint: { "text-color": "#ffffff" },
+  });
+
+  map.addLayer({
+    id: LAYER_IDS.HALO,
+    type: "circle",
+    source: LAYER_IDS.DRONES_SOURCE,
+    filter: ["!", ["has", "point_count"]],
+    paint: {
+      "circle-radius": config.HALO_RADIUS,
+      "circle-color": config.HALO_COLOR,
+      "circle-blur": 0.6,
+      "circle-opacity": ["case", isSelected, 0.9, isHovered, 0.4, 0],
+    },
+  });
+  map.addLayer({
+    id: LAYER_IDS.ALERT_RING,
+    type: "circle",
+    source: LAYER_IDS.DRONES_SOURCE,
+    filter: ["all", ["!", ["has", "point_count"]], ["has", "alert"]],
+    paint: {
+      "circle-radius": config.ALERT_RING_RADIUS,
+      "circle-color": "rgba(0, 0, 0, 0)",
+      "circle-stroke-width": config.ALERT_RING_WIDTH,
+      "circle-stroke-opacity": dimFactor,
+      "circle-stroke-color": [
+        "match",
+        ["get", "alert"],
+        ...Object.entries(config.ALERT_COLORS).flat(),
+        config.ALERT_COLORS[ALERT_SEVERITIES.WARNING],
+      ],
+    },
+  });
+  map.addLayer({
+    id: LAYER_IDS.ICONS,
+    type: "symbol",
+    source: LAYER_IDS.DRONES_SOURCE,
+    filter: ["!", ["has", "point_count"]],
+    layout: {
+      "icon-image": ["concat", config.IMAGE_PREFIX, ["get", "state"]],
+      "icon-rotate": ["get", "yaw"],
+      "icon-rotation-alignment": "map",
+      "icon-allow-overlap": true,
+      "icon-ignore-placement": true,
+      "symbol-sort-key": ["get", "sortKey"],
+    },
+    paint: {
+      "icon-opacity": [
+        "*",
+        [
+          "match",
+          ["get", "link"],
+          ...Object.entries(config.LINK_OPACITY).flat(),
+          1,
+        ],
+        dimFactor,
+      ],
+    },
+  });
+};
+
+/**
+ * Builds the point collection for the drones source
+ * @param {Array} droneData - Drone data objects
+ * @param {Function} getStatus - (drone) => { state, color, link }
+ * @param {Set<string>} selectedDrones - Selected registrations (drawn on top)
+ * @param {Set} [breachedDrones] - Registrations currently violating a geofence
+ * @param {Map} [alertedDrones] - Registration -> highest active alert severity
+ * @param {Set|null} [matchedDrones] - Registrations matching the list filter
+ *   (null when nothing is filtered); the rest are marked dimmed
+ * @returns {Object} FeatureCollection
+ */
+export const buildDroneFeatures = (
+  droneData,
+  getStatus,
+  selectedDrones,
+  breachedDrones = new Set(),
+  alertedDrones = new Map(),
+  matchedDrones = null
+) => ({
+  type: "FeatureCollection",
+  features: droneData.map((drone) => {
+    const { registration, yaw } = drone.properties;
+    const status = getStatus(drone);
+    const isBreached = breachedDrones.has(registration);
+    const state = isBreached ? DRONE_LAYER_CONFIG.BREACH_STATE : status.state;
+    const color = isBreached ? DRONE_LAYER_CONFIG.BREACH_COLOR : status.color;
+    const isSelected = selectedDrones.has(registration);
+    const properties = {
+      registration,
+      yaw,
+      state,
+      color,
+      link: status.link ?? LINK_STATES.LIVE,
+      sortKey: isSelected ? 1 : 0,
+      selected: isSelected,
+      // Selected drones stay fully visible even when filtered out
+      dimmed:
+        Boolean(matchedDrones) &&
+        !matchedDrones.has(registration) &&
+        !isSelected,
+    };
+    // Only alerted drones carry the property, which the ring layer filters on
+    const alert = alertedDrones.get(registration);
+    if (alert) properties.alert = alert;
+    return { type: "Feature", geometry: drone.geometry, properties };
+  }),
+});
@@ -0,0 +1,269 @@
+/**
+ * Geofence Map Layers
+ *
+ * Design Patterns Used:
+ * 1. Configuration Pattern - Layer ids and zone styling in one place
+ * 2. Data-Driven Styling - Zone kind, breach and selection come from feature properties
+ * 3. Adapter Pattern - Geofences, drafts and edit handles converted to GeoJSON
+ *
+ * Zones are drawn under the drone trails: a fill and an outline per zone
+ * (red for no-fly zones, amber for altitude ceilings, brighter while a drone is
+ * in breach) plus a name label. Drawing drafts and vertex handles for the zone
+ * being edited sit on top of everything so they stay grabbable.
+ */
+
+import {
+  GEOFENCE_SHAPES,
+  getGeofenceRing,
+  isNoFlyZone,
+} from "../../utils/geofences";
+import { destinationPoint } from "../../utils/geo";
+
+// Source and layer identifiers
+export const GEOFENCE_LAYER_IDS = {
+  SOURCE: "geofences",
+  FILL: "geofence-fill",
+  OUTLINE: "geofence-outline",
+  LABEL: "geofence-label",
+  DRAFT_SOURCE: "geofence-draft",
+  DRAFT_FILL: "geofence-draft-fill",
+  DRAFT_LINE: "geofence-draft-line",
+  HANDLES_SOURCE: "geofence-handles",
+  HANDLES: "geofence-handles",
+};
+
+// Zone styling configuration
+export const GEOFENCE_LAYER_CONFIG = {
+  NO_FLY_COLOR: "#F9000E",
+  CEILING_COLOR: "#FACC15",
+  SELECTED_COLOR: "#FFFFFF",
+  DRAFT_COLOR: "#38BDF8",
+  FILL_OPACITY: 0.12,
+  BREACH_FILL_OPACITY: 0.4,
+  OUTLINE_WIDTH: 2,
+  BREACH_OUTLINE_WIDTH: 4,
+  HANDLE_RADIUS: 6,
+};
+
+const EMPTY_COLLECTION = { type: "FeatureCollection", features: [] };
+
+/**
+ * Adds the zone source and its fill, outline and label layers
+ * Call before the drone layers so zones render underneath drones and trails.
+ * @param {mapboxgl.Map} map - Map instance
+ */
+export const addGeofenceLayers = (map) => {
+  const config = GEOFENCE_LAYER_CONFIG;
+  const zoneColor = [
+    "case",
+    ["get", "selected"],
+    config.SELECTED_COLOR,
+    ["get", "noFly"],
+    config.NO_FLY_COLOR,
+    config.CEILING_COLOR,
+  ];
+
+  map.addSource(GEOFENCE_LAYER_IDS.SOURCE, {
+    type: "geojson",
+    data: EMPTY_COLLECTION,
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.FILL,
+    type: "fill",
+    source: GEOFENCE_LAYER_IDS.SOURCE,
+    paint: {
+      "fill-color": [
+        "case",
+        ["get", "noFly"],
+        config.NO_FLY_COLOR,
+        config.CEILING_COLOR,
+      ],
+      "fill-opacity": [
+        "case",
+        ["get", "breached"],
+        config.BREACH_FILL_OPACITY,
+        config.FILL_OPACITY,
+      ],
+    },
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.OUTLINE,
+    type: "line",
+    source: GEOFENCE_LAYER_IDS.SOURCE,
+    paint: {
+      "line-color": zoneColor,
+      "line-width": [
+        "case",
+        ["get", "breached"],
+        config.BREACH_OUTLINE_WIDTH,
+        config.OUTLINE_WIDTH,
+      ],
+    },
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.LABEL,
+    type: "symbol",
+    source: GEOFENCE_LAYER_IDS.SOURCE,
+    layout: {
+      "text-field": ["get", "label"],
+      "text-size": 12,
+    },
+    paint: {
+      "text-color": "#ffffff",
+      "text-halo-color": "#000000",
+      "text-halo-width": 1,
+    },
+  });
+};
+
+/**
+ * Adds the drawing draft and edit handle layers
+ * Call after the drone layers so handles stay on top.
+ * @param {mapboxgl.Map} map - Map instance
+ */
+export const addGeofenceEditLayers = (map) => {
+  const config = GEOFENCE_LAYER_CONFIG;
+
+  map.addSource(GEOFENCE_LAYER_IDS.DRAFT_SOURCE, {
+    type: "geojson",
+    data: EMPTY_COLLECTION,
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.DRAFT_FILL,
+    type: "fill",
+    source: GEOFENCE_LAYER_IDS.DRAFT_SOURCE,
+    filter: ["==", ["geometry-type"], "Polygon"],
+    paint: { "fill-color": config.DRAFT_COLOR, "fill-opacity": 0.15 },
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.DRAFT_LINE,
+    type: "line",
+    source: GEOFENCE_LAYER_IDS.DRAFT_SOURCE,
+    paint: {
+      "line-color": config.DRAFT_COLOR,
+      "line-width": 2,
+      "line-dasharray": [2, 1],
+    },
+  });
+
+  map.addSource(GEOFENCE_LAYER_IDS.HANDLES_SOURCE, {
+    type: "geojson",
+    data: EMPTY_COLLECTION,
+  });
+  map.addLayer({
+    id: GEOFENCE_LAYER_IDS.HANDLES,
+    type: "circle",
+    source: GEOFENCE_LAYER_IDS.HANDLES_SOURCE,
+    paint: {
+      "circle-radius": config.HANDLE_RADIUS,
+      "circle-color": config.DRAFT_COLOR,
+      "circle-stroke-color": "#ffffff",
+      "circle-stroke-width": 2,
+    },
+  });
+};
+
+/**
+ * Label shown on a zone
+ * @param {Object} geofence - Geofence
+ * @returns {string} Name and ceiling
+ */
+const getZoneLabel = (geofence) =>
+  isNoFlyZone(geofence)
+    ? `${geofence.name} · No-fly`
+    : `${geofence.name} · ≤ ${geofence.maxAltitude} m`;
+
+/**
+ * Builds the zone collection
+ * @param {Array} geofences - Geofences
+ * @param {Set} breachedZones - Ids of zones currently in breach
+ * @param {string|null} selectedId - Zone being edited
+ * @returns {Object} FeatureCollection
+ */
+export const buildGeofenceFeatures = (geofences, breachedZones, selectedId) => ({
+  type: "FeatureCollection",
+  features: geofences.map((geofence) => ({
+    type: "Feature",
+    properties: {
+      id: geofence.id,
+      label: getZoneLabel(geofence),
+      noFly: isNoFlyZone(geofence),
+      breached: breachedZones.has(geofence.id),
+      selected: geofence.id === selectedId,
+    },
+    geometry: { type: "Polygon", coordinates: [getGeofenceRing(geofence)] },
+  })),
+});
+
+/**
+ * Builds the draft preview for a shape being drawn or dragged
+ * @param {Object|null} shape - { shape, coordinates } or { shape, center, radius }
+ * @returns {Object} FeatureCollection
+ */
+export const buildDraftFeatures = (shape) => {
+  if (!shape) return EMPTY_COLLECTION;
+
+  if (shape.shape === GEOFENCE_SHAPES.CIRCLE) {
+    if (!shape.center || !(shape.radius > 0)) return EMPTY_COLLECTION;
+    return {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: {},
+          geometry: { type: "Polygon", coordinates: [getGeofenceRing(shape)] },
+        },
+      ],
+    };
+  }
+
+  const points = shape.coordinates;
+  if (points.length < 2) return EMPTY_COLLECTION;
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: {},
+        geometry:
+          points.length >= 3
+            ? { type: "Polygon", coordinates: [[...points, points[0]]] }
+            : { type: "LineString", coordinates: points },
+      },
+    ],
+  };
+};
+
+/**
+ * Builds the drag handles for a shape
+ * Polygons get one handle per vertex; circles a center and a radius handle.
+ * @param {Object|null} shape - Geofence or draft shape
+ * @returns {Object} FeatureCollection of points with { role, index }
+ */
+export const buildHandleFeatures = (shape) => {
+  if (!shape) return EMPTY_COLLECTION;
+
+  const handle = (coordinates, role, index = 0) => ({
+    type: "Feature",
+    properties: { role, index },
+    geometry: { type: "Point", coordinates },
+  });
+
+  if (shape.shape === GEOFENCE_SHAPES.CIRCLE) {
+    if (!shape.center) return EMPTY_COLLECTION;
+    const features = [handle(shape.center, "center")];
+    if (shape.radius > 0) {
+      features.push(
+        handle(destinationPoint(shape.center, shape.radius, 90), "radius")
+      );
+    }
+    return { type: "FeatureCollection", features };
+  }
+
+  return {
+    type: "FeatureCollection",
+    features: shape.coordinates.map((point, index) =>
+      handle(point, "vertex", index)
+    ),
+  };
+};
@@ -0,0 +1,249 @@
+/**
+ * Map Capture
+ *
+ * Design Patterns Used:
+ * 1. Mediator Pattern - The navbar capture menu asks whichever map is mounted
+ *    for a snapshot
+ * 2. Observer Pattern - Capture availability published to subscribers
+ * 3. Template Method Pattern - Every snapshot gets the same legend, timestamp
+ *    and attribution overlay
+ *
+ * The map registers a provider that grabs its WebGL canvas (drones, trails and
+ * geofences are all map layers) plus the drones inside the view. This module
+ * draws the overlay on top and turns the result into a capture record for the
+ * captures gallery (see utils/captures.js).
+ */
+
+import {
+  DRONE_STATES,
+  STATUS_META,
+  getDroneStatus,
+} from "../../utils/droneStatus";
+import { getDroneMetrics } from "../../utils/droneMetrics";
+import { formatAltitude } from "../../utils/format";
+import { translate } from "../../utils/i18n";
+import { canvasToBlob } from "../../utils/download";
+import { DRONE_LAYER_CONFIG } from "./droneLayers";
+import { GEOFENCE_LAYER_CONFIG } from "./geofenceLayers";
+
+// Capture configuration
+export const CAPTURE_CONFIG = {
+  TITLE: "Sager",
+  ATTRIBUTION: "© Mapbox © OpenStreetMap",
+  THUMBNAIL_WIDTH: 240,
+  THUMBNAIL_QUALITY: 0.7,
+  // Overlay metrics in CSS pixels (scaled by the map's pixel ratio)
+  OVERLAY: {
+    MARGIN: 12,
+    PADDING: 8,
+    LINE_HEIGHT: 16,
+    SWATCH: 10,
+    FONT: "12px sans-serif",
+    TITLE_FONT: "bold 13px sans-serif",
+    BACKGROUND: "rgba(0, 0, 0, 0.7)",
+    TEXT: "#FFFFFF",
+    MUTED: "#9CA3AF",
+  },
+};
+
+// Legend rows (message keys, see src/locales): drone states, geofence breach
+// and zone kinds
+const LEGEND = [
+  ...Object.values(DRONE_STATES).map((state) => ({
+    label: `status.${state}`,
+    color: STATUS_META[state].color,
+  })),
+  { label: "capture.legend.breach", color: DRONE_LAYER_CONFIG.BREACH_COLOR },
+  { label: "capture.legend.noFly", color: GEOFENCE_LAYER_CONFIG.NO_FLY_COLOR },
+  {
+    label: "capture.legend.ceiling",
+    color: GEOFENCE_LAYER_CONFIG.CEILING_COLOR,
+  },
+];
+
+let provider = null;
+const listeners = new Set();
+
+/**
+ * Registers the mounted map as the capture source
+ * @param {Function} captureProvider - Resolves with { canvas, pixelRatio,
+ *   drones (inside the view), now (status clock; replay time while replaying),
+ *   view ({ center, zoom, bearing }) }
+ * @returns {Function} Unregister function
+ */
+export const registerMapCapture = (captureProvider) => {
+  provider = captureProvider;
+  listeners.forEach((listener) => listener());
+  return () => {
+    if (provider !== captureProvider) return;
+    provider = null;
+    listeners.forEach((listener) => listener());
+  };
+};
+
+/**
+ * Subscribes to capture availability changes
+ * @param {Function} listener - Called when a map mounts or unmounts
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMapCapture = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Whether a map is mounted and can be captured
+ * @returns {boolean} True while the map page is open
+ */
+export const isMapCaptureAvailable = () => provider !== null;
+
+/**
+ * Draws the legend, timestamp and attribution over the map image
+ * Pattern: Template Method Pattern - Fixed overlay layout in CSS pixels
+ * @param {CanvasRenderingContext2D} context - Target context, scaled to CSS pixels
+ * @param {number} width - Image width in CSS pixels
+ * @param {number} height - Image height in CSS pixels
+ * @param {number} time - Telemetry time shown (epoch milliseconds)
+ */
+const drawOverlay = (context, width, height, time) => {
+  const { MARGIN, PADDING, LINE_HEIGHT, SWATCH } = CAPTURE_CONFIG.OVERLAY;
+  const overlay = CAPTURE_CONFIG.OVERLAY;
+  const legend = LEGEND.map((row) => ({ ...row, label: translate(row.label) }));
+  context.textBaseline = "middle";
+
+  // Legend box (top left)
+  context.font = overlay.FONT;
+  const legendWidth =
+    PADDING * 3 +
+    SWATCH +
+    Math.max(...legend.map((row) => context.measureText(row.label).width));
+  const legendHeight = PADDING * 2 + LINE_HEIGHT * (legend.length + 1);
+  context.fillStyle = overlay.BACKGROUND;
+  context.fillRect(MARGIN, MARGIN, legendWidth, legendHeight);
+
+  context.font = overlay.TITLE_FONT;
+  context.fillStyle = overlay.TEXT;
+  context.fillText(
+    CAPTURE_CONFIG.TITLE,
+    MARGIN + PADDING,
+    MARGIN + PADDING + LINE_HEIGHT / 2
+  );
+  context.font = overlay.FONT;
+  legend.forEach((row, index) => {
+    const y = MARGIN + PADDING + LINE_HEIGHT * (index + 1.5);
+    context.fillStyle = row.color;
+    context.fillRect(MARGIN + PADDING, y - SWATCH / 2, SWATCH, SWATCH);
+    context.fillStyle = overlay.TEXT;
+    context.fillText(row.label, MARGIN + PADDING * 2 + SWATCH, y);
+  });
+
+  // Timestamp and attribution strip (bottom right)
+  const footer = `${new Date(time).toLocaleString()} · ${
+    CAPTURE_CONFIG.ATTRIBUTION
+  }`;
+  const footerWidth = context.measureText(footer).width + PADDING * 2;
+  const footerTop = height - MARGIN - LINE_HEIGHT - PADDING;
+  context.fillStyle = overlay.BACKGROUND;
+  context.fillRect(
+    width - MARGIN - footerWidth,
+    footerTop,
+    footerWidth,
+    LINE_HEIGHT + PADDING
+  );
+  context.fillStyle = overlay.MUTED;
+  context.fillText(
+    footer,
+    width - MARGIN - footerWidth + PADDING,
+    footerTop + (LINE_HEIGHT + PADDING) / 2
+  );
+};
+
+/**
+ * Telemetry row for a drone at capture time
+ * @param {Object} drone - Drone data object
+ * @param {number} now - Capture time
+ * @returns {Object} Raw values (formatted when displayed)
+ */
+const toDroneRow = (drone, now) => {
+  const { registration, Name, pilot, organization } = drone.properties;
+  const metrics = getDroneMetrics(drone);
+  return {
+    registration,
+    name: Name ?? registration,
+    status: translate(`status.${getDroneStatus(drone, now).state}`),
+    altitude: metrics.altitude,
+    speed: metrics.groundSpeed,
+    heading: metrics.heading,
+    coordinates: drone.geometry.coordinates,
+    pilot: pilot ?? null,
+    organization: organization ?? null,
+  };
+};
+
+/**
+ * Captures the mounted map with its overlay
+ * @returns {Promise<Object>} Capture record: { id, createdAt, telemetryTime,
+ *   image (PNG Blob), thumbnail (data URL), width, height, view, drones }
+ */
+export const captureMap = async () => {
+  if (!provider) throw new Error("Open the map to capture it");
+  const { canvas: mapCanvas, pixelRatio, drones, now, view } = await provider();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = mapCanvas.width;
+  canvas.height = mapCanvas.height;
+  const context = canvas.getContext("2d");
+  context.drawImage(mapCanvas, 0, 0);
+  context.scale(pixelRatio, pixelRatio);
+  drawOverlay(
+    context,
+    canvas.width / pixelRatio,
+    canvas.height / pixelRatio,
+    now
+  );
+
+  const thumbnail = document.createElement("canvas");
+  thumbnail.width = CAPTURE_CONFIG.THUMBNAIL_WIDTH;
+  thumbnail.height = Math.round(
+    (canvas.height / canvas.width) * CAPTURE_CONFIG.THUMBNAIL_WIDTH
+  );
+  thumbnail
+    .getContext("2d")
+    .drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+
+  const createdAt = Date.now();
+  return {
+    id: `capture-${createdAt}`,
+    createdAt,
+    telemetryTime: now,
+    image: await canvasToBlob(canvas, "image/png"),
+    thumbnail: thumbnail.toDataURL(
+      "image/jpeg",
+      CAPTURE_CONFIG.THUMBNAIL_QUALITY
+    ),
+    width: canvas.width,
+    height: canvas.height,
+    view,
+    drones: drones
+      .map((drone) => toDroneRow(drone, now))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+/**
+ * Short description of a capture for the gallery, in the active language
+ * @param {Object} capture - Capture record
+ * @returns {string} e.g. "12 drones · max 118 m"
+ */
+export const describeCapture = (capture) => {
+  const count = capture.drones.length;
+  const altitudes = capture.drones
+    .map((drone) => drone.altitude)
+    .filter(Number.isFinite);
+  const drones = translate("capture.drones", { count });
+  return altitudes.length > 0
+    ? `${drones} · ${translate("capture.maxAltitude", {
+        altitude: formatAltitude(Math.max(...altitudes)),
+      })}`
+    : drones;
+};
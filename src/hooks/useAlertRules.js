@@ -0,0 +1,15 @@
+/**
+ * useAlertRules Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the alert rule store
+ *
+ * @returns {Array} Current alert rules
+ */
+
+import { useSyncExternalStore } from "react";
+import { getAlertRules, subscribeToAlertRules } from "../utils/alertRules";
+
+export default function useAlertRules() {
+  return useSyncExternalStore(subscribeToAlertRules, getAlertRules);
+}
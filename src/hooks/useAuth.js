@@ -0,0 +1,26 @@
+/**
+ * useAuth Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the session store
+ * 2. Facade Pattern - Bundles the session with login and logout
+ *
+ * @returns {Object} { token, user, expiresAt, endReason, isAuthenticated, login, logout }
+ */
+
+import { useMemo, useSyncExternalStore } from "react";
+import { getAuthState, login, logout, subscribeToAuth } from "../utils/auth";
+
+export default function useAuth() {
+  const session = useSyncExternalStore(subscribeToAuth, getAuthState);
+
+  return useMemo(
+    () => ({
+      ...session,
+      isAuthenticated: Boolean(session.token),
+      login,
+      logout,
+    }),
+    [session]
+  );
+}
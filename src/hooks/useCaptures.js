@@ -0,0 +1,24 @@
+/**
+ * useCaptures Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the captures store
+ * 2. Lazy Loading Pattern - Triggers the IndexedDB load on first use
+ *
+ * @returns {Array} Map captures, newest first
+ */
+
+import { useEffect, useSyncExternalStore } from "react";
+import {
+  getCaptures,
+  loadCaptures,
+  subscribeToCaptures,
+} from "../utils/captures";
+
+export default function useCaptures() {
+  useEffect(() => {
+    loadCaptures();
+  }, []);
+
+  return useSyncExternalStore(subscribeToCaptures, getCaptures);
+}
@@ -0,0 +1,56 @@
+/**
+ * useConnectionStatus Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the socket connection manager
+ * 2. Adapter Pattern - Exposes the external store to React via useSyncExternalStore
+ * 3. Derived State Pattern - Computes message age and staleness on a timer
+ *
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.staleAfter] - Milliseconds without a frame before telemetry is stale
+ * @returns {Object} Connection state plus messageAge and isStale
+ */
+
+import { useEffect, useState, useSyncExternalStore } from "react";
+import {
+  CONNECTION_STATUS,
+  getConnectionState,
+  subscribeToConnection,
+} from "../utils/socket";
+
+// Staleness configuration
+const STATUS_CONFIG = {
+  STALE_AFTER: 5000,
+  TICK_INTERVAL: 1000,
+};
+
+export default function useConnectionStatus({
+  staleAfter = STATUS_CONFIG.STALE_AFTER,
+} = {}) {
+  const connection = useSyncExternalStore(
+    subscribeToConnection,
+    getConnectionState
+  );
+  const [now, setNow] = useState(() => Date.now());
+
+  // Pattern: Timer Pattern - Re-evaluate message age once per tick
+  useEffect(() => {
+    const timer = setInterval(
+      () => setNow(Date.now()),
+      STATUS_CONFIG.TICK_INTERVAL
+    );
+    return () => clearInterval(timer);
+  }, []);
+
+  const messageAge =
+    connection.lastMessageAt !== null
+      ? Math.max(0, now - connection.lastMessageAt)
+      : null;
+
+  const isStale =
+    connection.status !== CONNECTION_STATUS.CONNECTED ||
+    messageAge === null ||
+    messageAge > staleAfter;
+
+  return { ...connection, messageAge, isStale };
+}
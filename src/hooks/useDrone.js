@@ -0,0 +1,21 @@
+/**
+ * useDrone Hook
+ *
+ * Design Patterns Used:
+ * 1. Selector Pattern - Subscribes to a single drone of the live fleet
+ *
+ * Re-renders only when that drone reports (or disappears), not on every
+ * frame of the fleet.
+ *
+ * @param {string|null} registration - Drone registration
+ * @returns {Object|null} Live drone, or null when unknown
+ */
+
+import useTelemetryStore from "./useTelemetryStore";
+import { getLiveDrone } from "../utils/telemetryStore";
+
+export default function useDrone(registration) {
+  return useTelemetryStore(() =>
+    registration ? getLiveDrone(registration) : null
+  );
+}
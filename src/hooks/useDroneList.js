@@ -0,0 +1,24 @@
+/**
+ * useDroneList Hook
+ *
+ * Design Patterns Used:
+ * 1. Selector Pattern - Subscribes to the (optionally filtered) live fleet
+ * 2. Memoization Pattern - The list keeps its identity while its drones do
+ *
+ * @param {Function} [filter] - Predicate receiving each drone; omit for all drones.
+ *   Pass a stable function (module level or useCallback) to avoid re-filtering
+ *   on every render.
+ * @returns {Array} Live drones, in store order
+ */
+
+import { useCallback } from "react";
+import useTelemetryStore, { shallowEqual } from "./useTelemetryStore";
+
+export default function useDroneList(filter) {
+  const selector = useCallback(
+    (state) => (filter ? state.drones.filter(filter) : state.drones),
+    [filter]
+  );
+
+  return useTelemetryStore(selector, shallowEqual);
+}
@@ -0,0 +1,20 @@
+/**
+ * useFleetStats Hook
+ *
+ * Design Patterns Used:
+ * 1. Selector Pattern - Subscribes to the live fleet's status counts
+ *
+ * Counts are refreshed by the telemetry store on every frame and whenever a
+ * drone's status changes between frames; the component re-renders only when
+ * a count changes.
+ *
+ * @returns {Object} Drone count per DRONE_STATES value, plus total
+ */
+
+import useTelemetryStore, { shallowEqual } from "./useTelemetryStore";
+
+const selectStats = (state) => state.stats;
+
+export default function useFleetStats() {
+  return useTelemetryStore(selectStats, shallowEqual);
+}
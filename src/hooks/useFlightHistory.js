@@ -0,0 +1,39 @@
+/**
+ * useFlightHistory Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the flight history store
+ * 2. Lazy Loading Pattern - Triggers the IndexedDB load on first use
+ * 3. Access Control Pattern - Hides flights of organizations the user may not see
+ *
+ * The history is stored per browser, so flights recorded in another user's
+ * session are filtered by their organization (see permissions.js).
+ *
+ * @returns {Array} Recorded flights, newest first
+ */
+
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+import usePermissions from "./usePermissions";
+import {
+  getFlightHistory,
+  loadFlightHistory,
+  subscribeToFlightHistory,
+} from "../utils/flightHistory";
+
+export default function useFlightHistory() {
+  const { canSeeOrganization } = usePermissions();
+
+  useEffect(() => {
+    loadFlightHistory();
+  }, []);
+
+  const flights = useSyncExternalStore(
+    subscribeToFlightHistory,
+    getFlightHistory
+  );
+
+  return useMemo(
+    () => flights.filter((flight) => canSeeOrganization(flight.organization)),
+    [flights, canSeeOrganization]
+  );
+}
@@ -0,0 +1,278 @@
+/**
+ * useGeofenceEditing Hook
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - idle -> drawing (polygon | circle) -> complete
+ * 2. Observer Pattern - Map pointer events drive the draft shape
+ * 3. Ref Management Pattern - Latest callbacks read through a ref so listeners
+ *    are registered once per mode instead of on every render
+ *
+ * Adds geofence drawing and editing to a Mapbox map:
+ * - polygon: click to add vertices; click the first vertex or double-click to close
+ * - circle: click the center, then click again to set the radius
+ * - Escape cancels drawing
+ * - the selected zone shows drag handles (vertices, or center and radius);
+ *   releasing a handle commits the new geometry
+ *
+ * @param {Object} mapRef - Ref holding the mapboxgl.Map
+ * @param {boolean} isMapReady - Whether the geofence layers exist
+ * @param {Object} options - Editing state and callbacks
+ * @param {Array} options.geofences - Current geofences
+ * @param {string|null} options.drawMode - GEOFENCE_SHAPES value while drawing, else null
+ * @param {string|null} options.selectedId - Zone whose handles are shown
+ * @param {Function} options.onDrawComplete - Called with the drawn shape
+ * @param {Function} options.onCancelDraw - Called when drawing is cancelled
+ * @param {Function} options.onGeometryChange - Called with (id, geometry patch)
+ */
+
+import { useEffect, useRef } from "react";
+import { GEOFENCE_SHAPES } from "../utils/geofences";
+import { haversineDistance } from "../utils/geo";
+import {
+  GEOFENCE_LAYER_IDS,
+  buildDraftFeatures,
+  buildHandleFeatures,
+} from "../components/map/geofenceLayers";
+
+// Pointer tolerance for closing a polygon and ignoring double-click duplicates
+const SNAP_PIXELS = 10;
+
+/**
+ * Converts a Mapbox event position to [lng, lat]
+ * @param {Object} event - Mapbox mouse/touch event
+ * @returns {Array} [lng, lat]
+ */
+const toCoordinates = (event) => [event.lngLat.lng, event.lngLat.lat];
+
+/**
+ * Tracks whether the map has been removed (its cleanup then has nothing to undo)
+ * @param {mapboxgl.Map} map - Map instance
+ * @returns {{isRemoved: Function, release: Function}} Removal probe
+ */
+const watchRemoval = (map) => {
+  let removed = false;
+  const handleRemove = () => {
+    removed = true;
+  };
+  map.once("remove", handleRemove);
+  return {
+    isRemoved: () => removed,
+    release: () => map.off("remove", handleRemove),
+  };
+};
+
+export default function useGeofenceEditing(
+  mapRef,
+  isMapReady,
+  {
+    geofences,
+    drawMode,
+    selectedId,
+    onDrawComplete,
+    onCancelDraw,
+    onGeometryChange,
+  }
+) {
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onDrawComplete, onCancelDraw, onGeometryChange };
+
+  const selectedGeofence = selectedId
+    ? geofences.find((geofence) => geofence.id === selectedId) ?? null
+    : null;
+
+  /**
+   * Drawing Effect
+   * Pattern: State Machine Pattern - Collects points until the shape is complete
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady || !drawMode) return;
+
+    const draftSource = map.getSource(GEOFENCE_LAYER_IDS.DRAFT_SOURCE);
+    const handlesSource = map.getSource(GEOFENCE_LAYER_IDS.HANDLES_SOURCE);
+    const isCircle = drawMode === GEOFENCE_SHAPES.CIRCLE;
+    const draft = isCircle
+      ? { shape: GEOFENCE_SHAPES.CIRCLE, center: null, radius: 0 }
+      : { shape: GEOFENCE_SHAPES.POLYGON, coordinates: [] };
+    let cursor = null;
+
+    const render = () => {
+      const preview =
+        !isCircle && cursor
+          ? { ...draft, coordinates: [...draft.coordinates, cursor] }
+          : draft;
+      draftSource.setData(buildDraftFeatures(preview));
+      handlesSource.setData(buildHandleFeatures(draft));
+    };
+
+    const isNear = (point, coordinates) => {
+      const projected = map.project(coordinates);
+      return (
+        Math.hypot(projected.x - point.x, projected.y - point.y) < SNAP_PIXELS
+      );
+    };
+
+    const finish = () => {
+      const shape = isCircle
+        ? { shape: draft.shape, center: draft.center, radius: draft.radius }
+        : { shape: draft.shape, coordinates: draft.coordinates };
+      callbacksRef.current.onDrawComplete(shape);
+    };
+
+    const handleClick = (e) => {
+      const coordinates = toCoordinates(e);
+
+      if (isCircle) {
+        if (!draft.center) {
+          draft.center = coordinates;
+        } else {
+          draft.radius = haversineDistance(draft.center, coordinates);
+          finish();
+          return;
+        }
+      } else {
+        const points = draft.coordinates;
+        if (points.length >= 3 && isNear(e.point, points[0])) {
+          finish();
+          return;
+        }
+        const last = points[points.length - 1];
+        if (last && isNear(e.point, last)) return;
+        points.push(coordinates);
+      }
+      render();
+    };
+
+    const handleDoubleClick = (e) => {
+      // Keep double-click zoom from firing while drawing
+      e.preventDefault();
+      if (!isCircle && draft.coordinates.length >= 3) finish();
+    };
+
+    const handleMouseMove = (e) => {
+      cursor = toCoordinates(e);
+      if (isCircle && draft.center) {
+        draft.radius = haversineDistance(draft.center, cursor);
+      }
+      render();
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") callbacksRef.current.onCancelDraw();
+    };
+
+    const handlers = [
+      ["click", handleClick],
+      ["dblclick", handleDoubleClick],
+      ["mousemove", handleMouseMove],
+    ];
+    handlers.forEach(([event, handler]) => map.on(event, handler));
+    window.addEventListener("keydown", handleKeyDown);
+    map.getCanvas().style.cursor = "crosshair";
+    const removal = watchRemoval(map);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      if (removal.isRemoved()) return;
+      removal.release();
+      handlers.forEach(([event, handler]) => map.off(event, handler));
+      map.getCanvas().style.cursor = "";
+      draftSource.setData(buildDraftFeatures(null));
+      handlesSource.setData(buildHandleFeatures(null));
+    };
+  }, [mapRef, isMapReady, drawMode]);
+
+  /**
+   * Handle Dragging Effect
+   * Pattern: Command Pattern - Geometry is committed once, when the drag ends
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady || drawMode) return;
+
+    const draftSource = map.getSource(GEOFENCE_LAYER_IDS.DRAFT_SOURCE);
+    const handlesSource = map.getSource(GEOFENCE_LAYER_IDS.HANDLES_SOURCE);
+    handlesSource.setData(buildHandleFeatures(selectedGeofence));
+    if (!selectedGeofence) return;
+
+    let working = selectedGeofence;
+    let drag = null;
+
+    const handleMove = (e) => {
+      const coordinates = toCoordinates(e);
+      if (drag.role === "vertex") {
+        working = {
+          ...working,
+          coordinates: working.coordinates.map((point, index) =>
+            index === drag.index ? coordinates : point
+          ),
+        };
+      } else if (drag.role === "center") {
+        working = { ...working, center: coordinates };
+      } else {
+        working = {
+          ...working,
+          radius: haversineDistance(working.center, coordinates),
+        };
+      }
+      draftSource.setData(buildDraftFeatures(working));
+      handlesSource.setData(buildHandleFeatures(working));
+    };
+
+    const handleUp = () => {
+      map.off("mousemove", handleMove);
+      map.off("touchmove", handleMove);
+      drag = null;
+      draftSource.setData(buildDraftFeatures(null));
+      callbacksRef.current.onGeometryChange(
+        selectedGeofence.id,
+        working.shape === GEOFENCE_SHAPES.CIRCLE
+          ? { center: working.center, radius: working.radius }
+          : { coordinates: working.coordinates }
+      );
+    };
+
+    const handleDown = (e) => {
+      const handle = e.features?.[0];
+      if (!handle) return;
+      // Stops the map from panning while a handle is dragged
+      e.preventDefault();
+      drag = { role: handle.properties.role, index: handle.properties.index };
+      const isTouch = e.type === "touchstart";
+      map.on(isTouch ? "touchmove" : "mousemove", handleMove);
+      map.once(isTouch ? "touchend" : "mouseup", handleUp);
+    };
+
+    const setMoveCursor = () => {
+      map.getCanvas().style.cursor = "move";
+    };
+    const clearCursor = () => {
+      if (!drag) map.getCanvas().style.cursor = "";
+    };
+
+    const layerHandlers = [
+      ["mousedown", handleDown],
+      ["touchstart", handleDown],
+      ["mouseenter", setMoveCursor],
+      ["mouseleave", clearCursor],
+    ];
+    layerHandlers.forEach(([event, handler]) =>
+      map.on(event, GEOFENCE_LAYER_IDS.HANDLES, handler)
+    );
+    const removal = watchRemoval(map);
+
+    return () => {
+      if (removal.isRemoved()) return;
+      removal.release();
+      layerHandlers.forEach(([event, handler]) =>
+        map.off(event, GEOFENCE_LAYER_IDS.HANDLES, handler)
+      );
+      map.off("mousemove", handleMove);
+      map.off("touchmove", handleMove);
+      map.off("mouseup", handleUp);
+      map.off("touchend", handleUp);
+      handlesSource.setData(buildHandleFeatures(null));
+      draftSource.setData(buildDraftFeatures(null));
+    };
+  }, [mapRef, isMapReady, drawMode, selectedGeofence]);
+}
@@ -0,0 +1,15 @@
+/**
+ * useGeofences Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the geofence store
+ *
+ * @returns {Array} Current geofences
+ */
+
+import { useSyncExternalStore } from "react";
+import { getGeofences, subscribeToGeofences } from "../utils/geofences";
+
+export default function useGeofences() {
+  return useSyncExternalStore(subscribeToGeofences, getGeofences);
+}
@@ -0,0 +1,36 @@
+/**
+ * useI18n Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the active locale
+ * 2. Facade Pattern - Bundles translate and the locale metadata for components
+ *
+ * Components that call this re-render when the language changes, memoized
+ * ones included.
+ *
+ * @returns {Object} { locale, dir, isRtl, t(key, params), setLocale }
+ */
+
+import { useMemo, useSyncExternalStore } from "react";
+import {
+  LOCALES,
+  getLocale,
+  setLocale,
+  subscribeToLocale,
+  translate,
+} from "../utils/i18n";
+
+export default function useI18n() {
+  const locale = useSyncExternalStore(subscribeToLocale, getLocale);
+
+  return useMemo(
+    () => ({
+      locale,
+      dir: LOCALES[locale].dir,
+      isRtl: LOCALES[locale].dir === "rtl",
+      t: (key, params) => translate(key, params, locale),
+      setLocale,
+    }),
+    [locale]
+  );
+}
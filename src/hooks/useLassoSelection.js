@@ -0,0 +1,130 @@
+/**
+ * useLassoSelection Hook
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - idle -> dragging -> selected
+ * 2. Observer Pattern - Map pointer events drive the selection box
+ * 3. Ref Management Pattern - Latest callbacks read through a ref so listeners
+ *    are registered once instead of on every render
+ *
+ * Box selection of drones on a Mapbox map: shift-drag draws a box and selects
+ * every drone inside it, clustered drones included; adding ctrl or cmd keeps
+ * the current selection. Shift-drag replaces Mapbox's box zoom while enabled.
+ *
+ * @param {Object} mapRef - Ref holding the mapboxgl.Map
+ * @param {boolean} isMapReady - Whether the drone layers exist
+ * @param {Object} options - Lasso state and callbacks
+ * @param {boolean} options.enabled - Whether box selection is active
+ * @param {Function} options.getDrones - Returns the drawn drones (registration -> drone)
+ * @param {Function} options.onSelect - Called with (registrations, additive)
+ */
+
+import { useEffect, useRef } from "react";
+
+// Boxes smaller than this (in pixels, either side) count as a click
+const MIN_BOX_SIZE = 6;
+
+/**
+ * Normalizes two corner points into a box
+ * @param {Object} start - First corner ({ x, y })
+ * @param {Object} end - Opposite corner ({ x, y })
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Box
+ */
+const toBox = (start, end) => ({
+  minX: Math.min(start.x, end.x),
+  minY: Math.min(start.y, end.y),
+  maxX: Math.max(start.x, end.x),
+  maxY: Math.max(start.y, end.y),
+});
+
+export default function useLassoSelection(
+  mapRef,
+  isMapReady,
+  { enabled, getDrones, onSelect }
+) {
+  const callbacksRef = useRef({});
+  callbacksRef.current = { getDrones, onSelect };
+
+  /**
+   * Lasso Effect
+   * Pattern: State Machine Pattern - The box exists only between mousedown and mouseup
+   */
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !isMapReady || !enabled) return;
+
+    const wasBoxZoomEnabled = map.boxZoom.isEnabled();
+    map.boxZoom.disable();
+    let drag = null;
+
+    const clearBox = () => {
+      drag?.element.remove();
+      drag = null;
+      map.off("mousemove", handleMove);
+    };
+
+    const handleMove = (e) => {
+      const { minX, minY, maxX, maxY } = toBox(drag.start, e.point);
+      // Styled by mapbox-gl.css, like the built-in box zoom
+      Object.assign(drag.element.style, {
+        transform: `translate(${minX}px, ${minY}px)`,
+        width: `${maxX - minX}px`,
+        height: `${maxY - minY}px`,
+      });
+    };
+
+    const handleUp = (e) => {
+      const { start, additive } = drag;
+      clearBox();
+      const box = toBox(start, e.point);
+      if (
+        box.maxX - box.minX < MIN_BOX_SIZE &&
+        box.maxY - box.minY < MIN_BOX_SIZE
+      ) {
+        return;
+      }
+      const registrations = [];
+      callbacksRef.current.getDrones().forEach((drone, registration) => {
+        const { x, y } = map.project(drone.geometry.coordinates);
+        if (x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY) {
+          registrations.push(registration);
+        }
+      });
+      callbacksRef.current.onSelect(registrations, additive);
+    };
+
+    const handleDown = (e) => {
+      const event = e.originalEvent;
+      if (!event.shiftKey || event.button !== 0 || drag) return;
+      // Stops the map from panning while the box is drawn
+      e.preventDefault();
+      const element = document.createElement("div");
+      element.className = "mapboxgl-boxzoom";
+      map.getCanvasContainer().appendChild(element);
+      drag = {
+        start: e.point,
+        additive: event.ctrlKey || event.metaKey,
+        element,
+      };
+      map.on("mousemove", handleMove);
+      map.once("mouseup", handleUp);
+    };
+
+    // A removed map has nothing left to restore
+    let isRemoved = false;
+    const handleRemove = () => {
+      isRemoved = true;
+    };
+    map.on("mousedown", handleDown);
+    map.once("remove", handleRemove);
+
+    return () => {
+      clearBox();
+      if (isRemoved) return;
+      map.off("remove", handleRemove);
+      map.off("mousedown", handleDown);
+      map.off("mouseup", handleUp);
+      if (wasBoxZoomEnabled) map.boxZoom.enable();
+    };
+  }, [mapRef, isMapReady, enabled]);
+}
@@ -0,0 +1,96 @@
+/**
+ * useMapUrlState Hook
+ *
+ * Design Patterns Used:
+ * 1. Single Source of Truth Pattern - The query string owns selection, filter and tab
+ * 2. Adapter Pattern - Exposes URL state as value/setter pairs
+ * 3. Ref Management Pattern - Setters stay stable across URL changes
+ * 4. Memoization Pattern - Selection and filter keep their identity while
+ *    only the camera changes
+ *
+ * Keeps the map page shareable and restorable (see mapUrlState.js):
+ * - selecting drones pushes a history entry, so back/forward step through
+ *   selections
+ * - camera, filter and tab changes replace the current entry; the map does
+ *   not report the camera while it follows a drone (see MapContainer)
+ * - the camera from the URL is read once, when the page mounts
+ *
+ * @returns {Object} selectedDrones (ordered, see droneSelection.js),
+ *   selectedDrone (primary: the last one), setSelectedDrone, setSelectedDrones
+ *   (list or updater), droneFilter, setDroneFilter, menuTab, setMenuTab,
+ *   initialView, setView
+ */
+
+import { useCallback, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { readMapUrlState, writeMapUrlState } from "../utils/mapUrlState";
+
+export default function useMapUrlState() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const state = useMemo(() => readMapUrlState(searchParams), [searchParams]);
+  const selectionKey = JSON.stringify(state.selectedDrones);
+  const filterKey = JSON.stringify(state.filter);
+  const selectedDrones = useMemo(
+    () => JSON.parse(selectionKey),
+    [selectionKey]
+  );
+  const droneFilter = useMemo(() => JSON.parse(filterKey), [filterKey]);
+  // Restored once; later camera moves are only written back
+  const [initialView] = useState(() => state.view);
+  // Latest values for the stable setters below
+  const latestRef = useRef({ setSearchParams, state });
+  latestRef.current = { setSearchParams, state };
+
+  /**
+   * Applies a state patch to the query string
+   * @param {Object} patch - See writeMapUrlState
+   * @param {boolean} replace - Whether to replace the current history entry
+   */
+  const update = useCallback((patch, replace) => {
+    latestRef.current.setSearchParams(
+      (params) => writeMapUrlState(params, patch),
+      { replace }
+    );
+  }, []);
+
+  /**
+   * Replaces the selection
+   * @param {Array<string>|Function} next - Registrations, or an updater
+   *   called with the current ones
+   */
+  const setSelectedDrones = useCallback(
+    (next) => {
+      const current = latestRef.current.state.selectedDrones;
+      const registrations = typeof next === "function" ? next(current) : next;
+      if (JSON.stringify(registrations) === JSON.stringify(current)) return;
+      update({ selectedDrones: registrations }, false);
+    },
+    [update]
+  );
+  const setSelectedDrone = useCallback(
+    (registration) => setSelectedDrones(registration ? [registration] : []),
+    [setSelectedDrones]
+  );
+  const setDroneFilter = useCallback(
+    (filter) => update({ filter }, true),
+    [update]
+  );
+  const setMenuTab = useCallback(
+    (menuTab) => update({ menuTab }, true),
+    [update]
+  );
+  const setView = useCallback((view) => update({ view }, true), [update]);
+
+  return {
+    selectedDrones,
+    selectedDrone: selectedDrones[selectedDrones.length - 1] ?? null,
+    setSelectedDrone,
+    setSelectedDrones,
+    droneFilter,
+    setDroneFilter,
+    menuTab: state.menuTab,
+    setMenuTab,
+    initialView,
+    setView,
+  };
+}
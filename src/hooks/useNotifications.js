@@ -0,0 +1,18 @@
+/**
+ * useNotifications Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the notification store
+ *
+ * @returns {Array} Notifications, newest first
+ */
+
+import { useSyncExternalStore } from "react";
+import {
+  getNotifications,
+  subscribeToNotifications,
+} from "../utils/notifications";
+
+export default function useNotifications() {
+  return useSyncExternalStore(subscribeToNotifications, getNotifications);
+}
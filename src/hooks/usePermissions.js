@@ -0,0 +1,28 @@
+/**
+ * usePermissions Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Follows the signed-in session (useAuth)
+ * 2. Facade Pattern - Binds the permission checks to the current user
+ *
+ * @returns {Object} { role, capabilities, can(capability), canSeeOrganization(organization) }
+ */
+
+import { useMemo } from "react";
+import useAuth from "./useAuth";
+import { can, canSeeOrganization, getCapabilities } from "../utils/permissions";
+
+export default function usePermissions() {
+  const { user } = useAuth();
+
+  return useMemo(
+    () => ({
+      role: user?.role ?? null,
+      capabilities: getCapabilities(user),
+      can: (capability) => can(user, capability),
+      canSeeOrganization: (organization) =>
+        canSeeOrganization(user, organization),
+    }),
+    [user]
+  );
+}
@@ -0,0 +1,163 @@
+/**
+ * useReplay Hook
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - live (inactive) -> paused <-> playing
+ * 2. Event Sourcing Pattern - Drone state rebuilt by re-applying recorded frames
+ * 3. Game Loop Pattern - requestAnimationFrame drives the replay clock
+ *
+ * Replays a recorded telemetry buffer through a private drone store so the map's
+ * markers and paths render exactly as they did live. Seeking forward applies
+ * only the frames in between; seeking backward rebuilds from the start.
+ *
+ * @returns {Object} Replay state, replayed droneData and controls
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createDroneStore } from "../utils/droneStore";
+import { upperBound } from "../utils/telemetryBuffer";
+
+// Playback speed multipliers
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16, 32];
+
+export default function useReplay() {
+  const [session, setSession] = useState(null);
+  const [currentTime, setCurrentTime] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[0]);
+  const [droneData, setDroneData] = useState([]);
+
+  // Ref Management Pattern - Playback internals that must not trigger renders
+  const playbackRef = useRef({ entries: [], store: null, index: 0, time: 0 });
+
+  /**
+   * Renders the recorded state at a point in time
+   * Pattern: Event Sourcing Pattern - Applies frames up to the requested time
+   * @param {number} time - Epoch milliseconds inside the session
+   */
+  const renderAt = useCallback((time) => {
+    const playback = playbackRef.current;
+    const target = upperBound(playback.entries, time);
+
+    if (!playback.store || target < playback.index) {
+      // Recordings are already bounded; keep whole trails for imported sessions
+      playback.store = createDroneStore({ maxAge: Infinity });
+      playback.index = 0;
+    }
+    for (; playback.index < target; playback.index++) {
+      const entry = playback.entries[playback.index];
+      playback.store.applyFrame(entry.frame, entry.time);
+    }
+
+    playback.time = time;
+    setCurrentTime(time);
+    setDroneData(playback.store.getSnapshot());
+  }, []);
+
+  /**
+   * Enters replay mode for a set of recorded entries
+   * @param {Array} entries - Buffer entries ({ time, frame }), sorted by time
+   * @param {Object} [options] - Start options
+   * @param {string} [options.label] - Session name shown in the controls
+   * @param {boolean} [options.atEnd=false] - Open at the end (static view of all tracks)
+   * @returns {boolean} Whether there was anything to replay
+   */
+  const start = useCallback(
+    (entries, { label = null, atEnd = false } = {}) => {
+      if (!entries?.length) return false;
+
+      const startTime = entries[0].time;
+      const endTime = entries[entries.length - 1].time;
+      playbackRef.current = { entries, store: null, index: 0, time: 0 };
+      setSession({ startTime, endTime, label });
+      setIsPlaying(false);
+      renderAt(atEnd ? endTime : startTime);
+      return true;
+    },
+    [renderAt]
+  );
+
+  /**
+   * Leaves replay mode and releases the recorded entries
+   */
+  const stop = useCallback(() => {
+    playbackRef.current = { entries: [], store: null, index: 0, time: 0 };
+    setSession(null);
+    setIsPlaying(false);
+    setCurrentTime(null);
+    setDroneData([]);
+  }, []);
+
+  /**
+   * Jumps to a point in time, clamped to the session
+   * @param {number} time - Epoch milliseconds
+   */
+  const seek = useCallback(
+    (time) => {
+      if (!session) return;
+      renderAt(Math.min(session.endTime, Math.max(session.startTime, time)));
+    },
+    [session, renderAt]
+  );
+
+  /**
+   * Playback Loop Effect
+   * Pattern: Game Loop Pattern - Advances the replay clock by elapsed time x speed
+   */
+  useEffect(() => {
+    if (!session || !isPlaying) return;
+
+    let frameId;
+    let last = performance.now();
+
+    const tick = (timestamp) => {
+      const elapsed = timestamp - last;
+      last = timestamp;
+
+      const next = Math.min(
+        session.endTime,
+        playbackRef.current.time + elapsed * speed
+      );
+      renderAt(next);
+
+      if (next >= session.endTime) {
+        setIsPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [session, isPlaying, speed, renderAt]);
+
+  /**
+   * Starts playback, rewinding first when already at the end
+   */
+  const play = useCallback(() => {
+    if (!session) return;
+    if (playbackRef.current.time >= session.endTime) {
+      renderAt(session.startTime);
+    }
+    setIsPlaying(true);
+  }, [session, renderAt]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  return {
+    isActive: session !== null,
+    isPlaying,
+    speed,
+    currentTime,
+    startTime: session?.startTime ?? null,
+    endTime: session?.endTime ?? null,
+    label: session?.label ?? null,
+    droneData,
+    start,
+    stop,
+    play,
+    pause,
+    seek,
+    setSpeed,
+  };
+}
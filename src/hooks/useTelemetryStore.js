@@ -0,0 +1,59 @@
+/**
+ * useTelemetryStore Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the app-level telemetry store
+ * 2. Selector Pattern - Components subscribe to a slice, not the whole state
+ * 3. Memoization Pattern - Equal selections keep their identity between changes
+ *
+ * The store publishes a new state object on every frame and timer tick. The
+ * selection is re-computed then, but the component only re-renders when
+ * isEqual reports a difference from the previous selection.
+ *
+ * @param {Function} selector - Maps the telemetry state to the value needed
+ * @param {Function} [isEqual=Object.is] - Compares previous and next selections
+ * @returns {*} Selected value
+ */
+
+import { useRef, useSyncExternalStore } from "react";
+import {
+  getTelemetryState,
+  subscribeToTelemetryStore,
+} from "../utils/telemetryStore";
+
+/**
+ * Compares two arrays or plain objects one level deep
+ * @param {*} a - Previous value
+ * @param {*} b - Next value
+ * @returns {boolean} Whether every element/property is identical
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.is(a[key], b[key]))
+  );
+};
+
+export default function useTelemetryStore(selector, isEqual = Object.is) {
+  // Last { state, selector, selection } so getSnapshot stays referentially stable
+  const cache = useRef(null);
+
+  const getSelection = () => {
+    const state = getTelemetryState();
+    const previous = cache.current;
+    if (previous?.state === state && previous.selector === selector) {
+      return previous.selection;
+    }
+
+    const next = selector(state);
+    const selection =
+      previous && isEqual(previous.selection, next) ? previous.selection : next;
+    cache.current = { state, selector, selection };
+    return selection;
+  };
+
+  return useSyncExternalStore(subscribeToTelemetryStore, getSelection);
+}
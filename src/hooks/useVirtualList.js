@@ -0,0 +1,87 @@
+/**
+ * useVirtualList Hook
+ *
+ * Design Patterns Used:
+ * 1. Windowing Pattern - Only rows inside the viewport (plus overscan) render
+ * 2. Observer Pattern - Viewport size followed with a ResizeObserver
+ *
+ * Computes the visible slice of a fixed-row-height list. Attach containerRef
+ * and onScroll to the scrolling element, give its content a height of
+ * totalHeight and translate the rendered rows down by offset.
+ *
+ * @param {number} count - Number of rows
+ * @param {number} rowHeight - Height of every row in pixels
+ * @param {number} [overscan] - Extra rows rendered above and below the viewport
+ * @returns {{containerRef: Object, onScroll: Function, start: number,
+ *   end: number, offset: number, totalHeight: number, scrollToIndex: Function}}
+ *   Rows [start, end) to render and their placement
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Rows rendered beyond each edge of the viewport
+const DEFAULT_OVERSCAN = 4;
+
+export default function useVirtualList(
+  count,
+  rowHeight,
+  overscan = DEFAULT_OVERSCAN
+) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  /**
+   * Viewport Size Effect
+   * Pattern: Observer Pattern - Sheet and panel resizes change the window
+   */
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) =>
+      setViewportHeight(entry.contentRect.height)
+    );
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const onScroll = useCallback(
+    (event) => setScrollTop(event.currentTarget.scrollTop),
+    []
+  );
+
+  /**
+   * Scrolls the minimum distance that brings a row fully into view
+   * @param {number} index - Row index
+   */
+  const scrollToIndex = useCallback(
+    (index) => {
+      const container = containerRef.current;
+      if (!container || index < 0) return;
+      const top = index * rowHeight;
+      const bottom = top + rowHeight;
+      if (top < container.scrollTop) {
+        container.scrollTop = top;
+      } else if (bottom > container.scrollTop + container.clientHeight) {
+        container.scrollTop = bottom - container.clientHeight;
+      }
+    },
+    [rowHeight]
+  );
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(
+    count,
+    Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan
+  );
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    offset: start * rowHeight,
+    totalHeight: count * rowHeight,
+    scrollToIndex,
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * useWatchlist Hook
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Subscribes to the watchlist store
+ *
+ * @returns {Set<string>} Watched registrations
+ */
+
+import { useSyncExternalStore } from "react";
+import { getWatchlist, subscribeToWatchlist } from "../utils/watchlist";
+
+export default function useWatchlist() {
+  return useSyncExternalStore(subscribeToWatchlist, getWatchlist);
+}
@@ -0,0 +1,413 @@
+/**
+ * Arabic Message Catalog
+ *
+ * Design Patterns Used:
+ * 1. Configuration Pattern - Every translatable string keyed in one place
+ *
+ * Keys mirror en.js; anything missing here falls back to English. Plural
+ * values use the Arabic Intl.PluralRules categories (zero, one, two, few,
+ * many, other).
+ */
+
+export const ar = {
+  // Language switcher
+  "language.title": "اللغة",
+
+  // Navbar
+  "navbar.capture.alt": "التقاط",
+  "navbar.capture.ariaLabel": "فتح أداة الالتقاط",
+  "navbar.language.alt": "اللغة",
+  "navbar.language.ariaLabel": "تغيير إعدادات اللغة",
+  "navbar.notifications.alt": "الإشعارات",
+  "navbar.notifications.ariaLabel": "عرض الإشعارات",
+  "navbar.greeting": "مرحباً،",
+  "navbar.user": "المستخدم: {name}",
+
+  // Sign-in page
+  "login.title": "تسجيل الدخول",
+  "login.subtitle": "سجّل الدخول لعرض بيانات الطائرات المباشرة.",
+  "login.email": "البريد الإلكتروني",
+  "login.password": "كلمة المرور",
+  "login.submit": "تسجيل الدخول",
+  "login.working": "جارٍ تسجيل الدخول…",
+  "login.invalid": "البريد الإلكتروني أو كلمة المرور غير صحيحة.",
+  "login.failed": "تعذّر تسجيل الدخول. حاول لاحقاً.",
+  "login.unreachable": "تعذّر الوصول إلى خادم تسجيل الدخول.",
+  "login.expired": "انتهت صلاحية الجلسة. سجّل الدخول مجدداً.",
+  "login.rejected": "رفض خادم البيانات جلستك. سجّل الدخول مجدداً.",
+  "login.mockAccounts": 'حسابات التطوير (كلمة المرور "{password}"):',
+
+  // User menu
+  "userMenu.title": "الحساب",
+  "userMenu.email": "البريد الإلكتروني",
+  "userMenu.role": "الدور",
+  "userMenu.organization": "الجهة",
+  "userMenu.expires": "تنتهي الجلسة",
+  "userMenu.signOut": "تسجيل الخروج",
+  "roles.admin": "مسؤول",
+  "roles.pilot": "طيار",
+  "roles.observer": "مراقب",
+
+  // Route guard
+  "access.denied": "الوصول مرفوض",
+  "access.deniedDetail": "لا يملك دورك صلاحية الوصول إلى هذه الصفحة.",
+
+  // Capture menu
+  "capture.title": "التقاط الخريطة",
+  "capture.snapshot": "لقطة (PNG)",
+  "capture.report": "تقرير حادثة (PDF)",
+  "capture.working": "جارٍ الالتقاط…",
+  "capture.unavailable": "افتح الخريطة لالتقاطها.",
+  "capture.gallery": "اللقطات",
+  "capture.empty": "لا توجد لقطات بعد.",
+  "capture.downloadPng": "تنزيل PNG",
+  "capture.downloadPdf": "تنزيل تقرير PDF",
+  "capture.delete": "حذف اللقطة",
+  "capture.drones": {
+    zero: "لا طائرات",
+    one: "طائرة واحدة",
+    two: "طائرتان",
+    few: "{count} طائرات",
+    many: "{count} طائرة",
+    other: "{count} طائرة",
+  },
+  "capture.maxAltitude": "أقصى ارتفاع {altitude}",
+  "capture.legend.breach": "اختراق سياج جغرافي",
+  "capture.legend.noFly": "منطقة حظر طيران",
+  "capture.legend.ceiling": "سقف الارتفاع",
+
+  // Notifications menu
+  "notifications.title": "الإشعارات",
+  "notifications.empty": "لا توجد إشعارات بعد.",
+  "notifications.markAllRead": "تعليم الكل كمقروء",
+  "notifications.clear": "مسح",
+  "notifications.unread": {
+    zero: "لا إشعارات غير مقروءة",
+    one: "إشعار واحد غير مقروء",
+    two: "إشعاران غير مقروءين",
+    few: "{count} إشعارات غير مقروءة",
+    many: "{count} إشعاراً غير مقروء",
+    other: "{count} إشعار غير مقروء",
+  },
+
+  // Tab navigation
+  "tabs.navigation": "التنقل الرئيسي",
+  "tabs.dashboard": "لوحة التحكم",
+  "tabs.dashboard.ariaLabel": "الانتقال إلى لوحة التحكم",
+  "tabs.map": "الخريطة",
+  "tabs.map.ariaLabel": "الانتقال إلى عرض الخريطة",
+
+  // Drone statuses
+  "status.airborne": "في الجو",
+  "status.landed": "على الأرض",
+  "status.lost-link": "انقطع الاتصال",
+  "status.unauthorized": "غير مصرّح",
+  "status.unknown": "غير معروف",
+
+  // Drone menu
+  "droneMenu.title": "الطائرات في الجو",
+  "droneMenu.drones": "الطائرات",
+  "droneMenu.history": "سجل الرحلات",
+  "droneMenu.open": "فتح قائمة الطائرات",
+  "droneMenu.close": "إغلاق قائمة الطائرات",
+  "droneMenu.expand": "توسيع القائمة",
+  "droneMenu.collapse": "طي القائمة",
+
+  // Drone filter bar
+  "droneFilter.search": "البحث عن طائرة",
+  "droneFilter.sort": "ترتيب الطائرات",
+  "droneFilter.status": "التصفية حسب الحالة",
+  "droneFilter.watched": "قائمة المراقبة",
+  "droneFilter.organization": "التصفية حسب الجهة",
+  "droneFilter.count": "{matched} من {total} طائرة",
+  "droneFilter.reset": "مسح عوامل التصفية",
+  "droneSort.name": "الاسم",
+  "droneSort.altitude": "الارتفاع",
+  "droneSort.last-update": "آخر تحديث",
+  "droneSort.flight-time": "مدة الطيران",
+
+  // Drone list
+  "droneList.label": "الطائرات",
+  "droneList.empty": "لا توجد طائرات مطابقة لعوامل التصفية.",
+  "droneItem.watched": "في قائمة المراقبة",
+  "droneItem.status": "حالة الطائرة: {status}",
+  "droneItem.lastSeen": "آخر ظهور {time}",
+  "droneItem.serial": "الرقم التسلسلي",
+  "droneItem.registration": "رقم التسجيل",
+  "droneItem.registrationShort": "التسجيل",
+  "droneItem.pilot": "الطيار",
+  "droneItem.organization": "الجهة",
+
+  // Drone detail panel
+  "droneDetail.label": "تفاصيل {name}",
+  "droneDetail.altitude": "الارتفاع",
+  "droneDetail.groundSpeed": "السرعة الأرضية",
+  "droneDetail.heading": "الاتجاه",
+  "droneDetail.verticalRate": "السرعة العمودية",
+  "droneDetail.duration": "مدة الطيران",
+  "droneDetail.distance": "المسافة",
+  "droneDetail.pilot": "الطيار",
+  "droneDetail.organization": "الجهة",
+  "droneDetail.serial": "الرقم التسلسلي",
+  "droneDetail.altitudeChart": "الارتفاع (مؤخراً)",
+  "droneDetail.close": "إغلاق تفاصيل الطائرة",
+  "droneDetail.watch": "إضافة إلى قائمة المراقبة",
+  "droneDetail.unwatch": "إزالة من قائمة المراقبة",
+  "droneDetail.lastSeen": "آخر ظهور {time}",
+
+  // Drone comparison panel
+  "comparison.title": {
+    zero: "لا طائرات للمقارنة",
+    one: "مقارنة طائرة واحدة",
+    two: "مقارنة طائرتين",
+    few: "مقارنة {count} طائرات",
+    many: "مقارنة {count} طائرة",
+    other: "مقارنة {count} طائرة",
+  },
+  "comparison.hint": "انقر أو اسحب مع Shift لتغيير التحديد",
+  "comparison.altitudeChart": "الارتفاع (مؤخراً)",
+  "comparison.speedChart": "السرعة الأرضية (مؤخراً)",
+  "comparison.export": "تصدير",
+  "comparison.watch": "إضافة إلى قائمة المراقبة",
+  "comparison.unwatch": "إزالة من قائمة المراقبة",
+  "comparison.remove": "إزالة {name} من المقارنة",
+  "comparison.close": "مسح التحديد",
+  "comparison.notReporting": "بانتظار بيانات الطائرات المحددة…",
+
+  // Altitude and speed charts
+  "chart.collecting": "جارٍ جمع العينات…",
+  "chart.collectingAltitude": "جارٍ جمع عينات الارتفاع…",
+  "chart.altitude": "الارتفاع عبر الزمن",
+  "chart.min": "الأدنى {value}",
+  "chart.max": "الأقصى {value}",
+
+  // Flight history
+  "flightHistory.search": "البحث في الرحلات",
+  "flightHistory.sort": "ترتيب الرحلات",
+  "flightHistory.empty": "لا يوجد سجل رحلات.",
+  "flightHistory.noMatch": "لا توجد رحلات مطابقة للبحث.",
+  "flightHistory.hideTrack": "إخفاء المسار",
+  "flightHistory.sort.newest": "الأحدث",
+  "flightHistory.sort.oldest": "الأقدم",
+  "flightHistory.sort.longest": "الأطول",
+  "flightHistory.sort.distance": "المسافة",
+  "flightHistory.sort.altitude": "أقصى ارتفاع",
+  "flightHistory.registration": "التسجيل",
+  "flightHistory.duration": "المدة",
+  "flightHistory.distance": "المسافة",
+  "flightHistory.maxAltitude": "أقصى ارتفاع",
+  "flightHistory.pilot": "الطيار",
+  "flightHistory.organization": "الجهة",
+
+  // Drone counter overlay
+  "counter.label": "إحصاءات الطائرات",
+  "counter.flying": "طائرة في الجو",
+  "counter.lost": "انقطع اتصالها",
+  "counter.flying.ariaLabel": "{count} طائرة في الجو",
+  "counter.lost.ariaLabel": "{count} طائرة انقطع اتصالها",
+
+  // Map hover popup
+  "popup.registration": "التسجيل",
+  "popup.status": "الحالة",
+  "popup.lastSeen": "آخر ظهور",
+  "popup.altitude": "الارتفاع",
+  "popup.speed": "السرعة",
+  "popup.heading": "الاتجاه",
+  "popup.flightTime": "مدة الطيران",
+  "popup.pilot": "الطيار",
+  "popup.organization": "الجهة",
+
+  // Map camera modes
+  "cameraMode.label": "وضع الكاميرا",
+  "cameraMode.free": "كاميرا حرة",
+  "cameraMode.follow": "تتبّع الطائرة",
+  "cameraMode.follow-heading": "تتبّع الطائرة مع اتجاهها",
+  "cameraMode.fit-all": "إظهار كل الطائرات",
+  "cameraMode.fit-selected": "إظهار الطائرات المحددة",
+
+  // Fleet notifications (see telemetryStore.js)
+  "notifications.droneAppeared": "ظهرت {registration}",
+  "notifications.droneLostLink": "انقطع الاتصال بـ {registration}",
+  "notifications.lastSeen": "آخر ظهور {time}",
+  "notifications.connectionLost": "انقطع الاتصال ببيانات القياس",
+  "notifications.alertRule": "{registration}: {rule}",
+  "notifications.alertRuleDetail": "{rule} · الآن {value}",
+  "severity.info": "معلومة",
+  "severity.warning": "تحذير",
+  "severity.critical": "حرج",
+
+  // Dashboard
+  "dashboard.title": "لوحة الأسطول",
+  "dashboard.airborne": "الطائرات في الجو",
+  "dashboard.airborneDetail": "من أصل {count} متتبعة",
+  "dashboard.flights": "رحلات اليوم",
+  "dashboard.flightsDetail": "{count} قيد التنفيذ",
+  "dashboard.hours": "ساعات الطيران اليوم",
+  "dashboard.hoursValue": "{hours} س",
+  "dashboard.alerts": "تنبيهات اليوم",
+  "dashboard.alertsDetail": "{count} غير مقروءة",
+  "dashboard.activity": "الطائرات النشطة (آخر ساعة)",
+  "dashboard.altitude": "توزيع الارتفاعات",
+  "dashboard.altitudeEmpty": "لا توجد طائرات ترسل بيانات.",
+  "dashboard.organizations": "رحلات اليوم حسب الجهة",
+  "dashboard.pilots": "رحلات اليوم حسب الطيار",
+  "dashboard.flightsEmpty": "لا رحلات اليوم.",
+  "dashboard.events": "أحدث الأحداث",
+  "activityChart.label": "الطائرات النشطة عبر الوقت",
+  "activityChart.empty": "جارٍ جمع نشاط الأسطول…",
+  "activityChart.reporting": "ترسل بيانات",
+  "activityChart.airborne": "في الجو",
+  "activityChart.peak": "الذروة {count}",
+  "recentEvents.empty": "لا أحداث بعد.",
+  "recentEvents.time": "الوقت",
+  "recentEvents.event": "الحدث",
+  "recentEvents.details": "التفاصيل",
+  "recentEvents.drone": "الطائرة",
+  "recentEvents.focus": "عرض {registration} على الخريطة",
+  "fleetMetrics.unknown": "غير معروف",
+  "fleetMetrics.other": "أخرى",
+  "fleetMetrics.altitudeRange": "{from}–{to} م",
+  "fleetMetrics.altitudeAbove": "{from}+ م",
+
+  // Geofences
+  "geofences.toggle": "المناطق المحظورة",
+  "geofences.drawPolygon": "مضلع",
+  "geofences.drawCircle": "دائرة",
+  "geofences.hintPolygon":
+    "انقر لإضافة نقاط؛ انقر النقطة الأولى أو انقر مرتين للإنهاء.",
+  "geofences.hintCircle": "انقر المركز، ثم انقر مرة أخرى لتحديد نصف القطر.",
+  "geofences.cancel": "إلغاء",
+  "geofences.empty": "لا مناطق بعد. ارسم واحدة على الخريطة.",
+  "geofences.emptyReadOnly": "لا مناطق بعد.",
+  "geofences.readOnly": "للعرض فقط: دورك لا يسمح بتعديل المناطق.",
+  "geofences.name": "الاسم",
+  "geofences.defaultName": "المنطقة {n}",
+  "geofences.ceiling": "السقف (م)",
+  "geofences.ceilingValue": "≤ {altitude}",
+  "geofences.noFly": "منطقة حظر طيران",
+  "geofences.save": "حفظ",
+  "geofences.delete": "حذف المنطقة",
+  "geofences.done": "تم",
+  "geofences.editHint": "اسحب المقابض على الخريطة لتغيير الشكل.",
+  "geofences.import": "استيراد",
+  "geofences.importFailed": "فشل الاستيراد: {error}",
+  "geofences.export": "تصدير",
+  "geofences.breach": "اختراق",
+  "geofenceAlerts.dismiss": "إغلاق التنبيه",
+  "geofenceEvent.enter": "دخلت {registration} منطقة {zone}",
+  "geofenceEvent.enterNoFly": "دخلت {registration} منطقة حظر الطيران {zone}",
+  "geofenceEvent.exit": "غادرت {registration} منطقة {zone}",
+  "geofenceEvent.ceilingBreach":
+    "{registration} فوق سقف {zone} ({altitude} > {maxAltitude})",
+  "geofenceEvent.ceilingClear": "عادت {registration} تحت سقف {zone}",
+  "geofenceEvent.other": "{registration}: {zone}",
+
+  // Alert rules
+  "alertRules.toggle": "التنبيهات",
+  "alertRules.newRule": "قاعدة جديدة",
+  "alertRules.empty": "لا قواعد بعد.",
+  "alertRules.readOnly": "يدير المسؤولون قواعد التنبيه.",
+  "alertRules.name": "الاسم",
+  "alertRules.condition": "الشرط",
+  "alertRules.threshold": "الحد ({unit})",
+  "alertRules.organizations": "الجهات المعروفة (مفصولة بفواصل)",
+  "alertRules.severity": "الخطورة",
+  "alertRules.debounce": "الاستمرار لمدة (ث)",
+  "alertRules.hysteresis": "هامش الإلغاء",
+  "alertRules.enabled": "مفعّلة: {name}",
+  "alertRules.save": "حفظ",
+  "alertRules.done": "تم",
+  "alertRules.delete": "حذف القاعدة",
+  "alertRules.default.altitude": "أعلى من {threshold} م",
+  "alertRules.default.noUpdate": "صامتة منذ {threshold} ث",
+  "alertRules.active": {
+    zero: "لا طائرات في حالة تنبيه",
+    one: "طائرة واحدة في حالة تنبيه",
+    two: "طائرتان في حالة تنبيه",
+    few: "{count} طائرات في حالة تنبيه",
+    many: "{count} طائرة في حالة تنبيه",
+    other: "{count} طائرة في حالة تنبيه",
+  },
+  "alertRules.type.altitude": "ارتفاع أعلى من",
+  "alertRules.type.speed": "سرعة أعلى من",
+  "alertRules.type.stationary": "ثابتة لأكثر من",
+  "alertRules.type.noUpdate": "بلا تحديث لمدة",
+  "alertRules.type.unknownOrg": "جهة غير مدرجة",
+  "alertRules.unit.meters": "م",
+  "alertRules.unit.metersPerSecond": "م/ث",
+  "alertRules.unit.seconds": "ث",
+  "alertRules.describe.threshold": "{label} {value} {unit}",
+  "alertRules.describe.organizations": "{label} ({count} معروفة)",
+  "alertRules.noOrganization": "لا شيء",
+
+  // Replay controls
+  "replay.controls": "أدوات الإعادة",
+  "replay.enter": "إعادة",
+  "replay.exit": "العودة إلى البث المباشر",
+  "replay.play": "تشغيل الإعادة",
+  "replay.pause": "إيقاف الإعادة مؤقتاً",
+  "replay.speed": "سرعة الإعادة",
+  "replay.speedOption": "{speed}×",
+  "replay.timeline": "المخطط الزمني للإعادة",
+  "replay.jump": "الانتقال إلى وقت",
+  "replay.nothingRecorded": "لا توجد بيانات مسجلة لإعادتها بعد",
+
+  // Track import / export
+  "transfer.toggle": "استيراد / تصدير",
+  "transfer.export": "تصدير المسارات",
+  "transfer.import": "استيراد المسارات",
+  "transfer.scope": "نطاق التصدير",
+  "transfer.scopeAll": "كل الطائرات ({count})",
+  "transfer.scopeSelected": "الطائرات المحددة",
+  "transfer.scopeSelectedCount": "الطائرات المحددة ({count})",
+  "transfer.chooseFile": "اختر ملفاً…",
+  "transfer.frames": {
+    zero: "لا إطارات",
+    one: "إطار واحد",
+    two: "إطاران",
+    few: "{count} إطارات",
+    many: "{count} إطاراً",
+    other: "{count} إطار",
+  },
+  "transfer.showStatic": "عرض المسارات",
+  "transfer.replay": "إعادة",
+  "transfer.unsupported": "نوع ملف غير مدعوم",
+  "transfer.emptyFile": "لم يُعثر على مسارات في الملف",
+  "transfer.importFailed": "فشل الاستيراد: {error}",
+
+  // Telemetry status banner
+  "telemetryBanner.connecting": "جارٍ الاتصال بخادم بيانات القياس…",
+  "telemetryBanner.reconnecting": "انقطع الاتصال — جارٍ إعادة الاتصال…",
+  "telemetryBanner.offline": "بيانات القياس غير متصلة",
+  "telemetryBanner.offlineError": "بيانات القياس غير متصلة: {error}",
+  "telemetryBanner.stale": "بيانات القياس قديمة — آخر تحديث {time}",
+  "telemetryBanner.staleWaiting": "بيانات القياس قديمة — بانتظار أول تحديث",
+  "telemetryBanner.simulated": "بيانات قياس محاكاة — ليست بيانات حية",
+
+  // Telemetry diagnostics panel
+  "diagnostics.title": "تشخيص بيانات القياس",
+  "diagnostics.frames": "الإطارات المستلمة",
+  "diagnostics.framesRejected": "الإطارات المرفوضة",
+  "diagnostics.framesPartial": "إطارات بعناصر مستبعدة",
+  "diagnostics.featuresAccepted": "العناصر المقبولة",
+  "diagnostics.featuresRejected": "العناصر المرفوضة",
+  "diagnostics.reasons": "أسباب الرفض",
+  "diagnostics.quarantine": "المعزولة مؤخراً",
+  "diagnostics.reset": "تصفير العدادات",
+  "diagnostics.thresholds": "حدود الطائرات الصامتة (ث)",
+  "diagnostics.staleAfter": "قديمة",
+  "diagnostics.lostAfter": "مفقودة",
+  "diagnostics.retention": "إزالة",
+  "diagnostics.source": "مصدر بيانات القياس",
+  "diagnostics.source.socket": "الخادم",
+  "diagnostics.source.simulator": "المحاكي",
+
+  // Units and relative time (see format.js)
+  "units.meters": "{value} م",
+  "units.kilometers": "{value} كم",
+  "units.metersPerSecond": "{value} م/ث",
+  "time.justNow": "الآن",
+  "time.secondsAgo": "منذ {count} ث",
+  "time.minutesAgo": "منذ {count} د",
+  "time.hoursAgo": "منذ {count} س",
+};
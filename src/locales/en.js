@@ -0,0 +1,390 @@
+/**
+ * English Message Catalog
+ *
+ * Design Patterns Used:
+ * 1. Configuration Pattern - Every translatable string keyed in one place
+ *
+ * The reference catalog: other catalogs fall back to it for missing keys.
+ * Placeholders are written as {name}; numbers passed for them are formatted
+ * for the active locale. A value may be an object of plural forms
+ * (Intl.PluralRules categories), chosen by the `count` parameter.
+ */
+
+export const en = {
+  // Language switcher
+  "language.title": "Language",
+
+  // Navbar
+  "navbar.capture.alt": "Capture",
+  "navbar.capture.ariaLabel": "Open capture tool",
+  "navbar.language.alt": "Language",
+  "navbar.language.ariaLabel": "Change language settings",
+  "navbar.notifications.alt": "Notifications",
+  "navbar.notifications.ariaLabel": "View notifications",
+  "navbar.greeting": "Hello,",
+  "navbar.user": "User: {name}",
+
+  // Sign-in page
+  "login.title": "Sign in",
+  "login.subtitle": "Sign in to view live drone telemetry.",
+  "login.email": "Email",
+  "login.password": "Password",
+  "login.submit": "Sign in",
+  "login.working": "Signing in…",
+  "login.invalid": "Invalid email or password.",
+  "login.failed": "Sign-in failed. Try again later.",
+  "login.unreachable": "The sign-in server cannot be reached.",
+  "login.expired": "Your session expired. Sign in again.",
+  "login.rejected":
+    "The telemetry server rejected your session. Sign in again.",
+  "login.mockAccounts": 'Development accounts (password "{password}"):',
+
+  // User menu
+  "userMenu.title": "Account",
+  "userMenu.email": "Email",
+  "userMenu.role": "Role",
+  "userMenu.organization": "Organization",
+  "userMenu.expires": "Session expires",
+  "userMenu.signOut": "Sign out",
+  "roles.admin": "Administrator",
+  "roles.pilot": "Pilot",
+  "roles.observer": "Observer",
+
+  // Route guard
+  "access.denied": "Access denied",
+  "access.deniedDetail": "Your role does not have access to this page.",
+
+  // Capture menu
+  "capture.title": "Capture map",
+  "capture.snapshot": "Snapshot (PNG)",
+  "capture.report": "Incident report (PDF)",
+  "capture.working": "Capturing…",
+  "capture.unavailable": "Open the map to capture it.",
+  "capture.gallery": "Captures",
+  "capture.empty": "No captures yet.",
+  "capture.downloadPng": "Download PNG",
+  "capture.downloadPdf": "Download PDF report",
+  "capture.delete": "Delete capture",
+  "capture.drones": { one: "{count} drone", other: "{count} drones" },
+  "capture.maxAltitude": "max {altitude}",
+  "capture.legend.breach": "Geofence breach",
+  "capture.legend.noFly": "No-fly zone",
+  "capture.legend.ceiling": "Altitude ceiling",
+
+  // Notifications menu
+  "notifications.title": "Notifications",
+  "notifications.empty": "No notifications yet.",
+  "notifications.markAllRead": "Mark all read",
+  "notifications.clear": "Clear",
+  "notifications.unread": {
+    one: "{count} unread notification",
+    other: "{count} unread notifications",
+  },
+
+  // Tab navigation
+  "tabs.navigation": "Main navigation",
+  "tabs.dashboard": "DASHBOARD",
+  "tabs.dashboard.ariaLabel": "Navigate to dashboard",
+  "tabs.map": "MAP",
+  "tabs.map.ariaLabel": "Navigate to map view",
+
+  // Drone statuses
+  "status.airborne": "Airborne",
+  "status.landed": "Landed",
+  "status.lost-link": "Lost link",
+  "status.unauthorized": "Unauthorized",
+  "status.unknown": "Unknown",
+
+  // Drone menu
+  "droneMenu.title": "DRONE FLYING",
+  "droneMenu.drones": "Drones",
+  "droneMenu.history": "Flights History",
+  "droneMenu.open": "Open drone menu",
+  "droneMenu.close": "Close drone menu",
+  "droneMenu.expand": "Expand menu",
+  "droneMenu.collapse": "Collapse menu",
+
+  // Drone filter bar
+  "droneFilter.search": "Search drones",
+  "droneFilter.sort": "Sort drones",
+  "droneFilter.status": "Filter by status",
+  "droneFilter.watched": "Watchlist",
+  "droneFilter.organization": "Filter by organization",
+  "droneFilter.count": "{matched} of {total} drones",
+  "droneFilter.reset": "Clear filters",
+  "droneSort.name": "Name",
+  "droneSort.altitude": "Altitude",
+  "droneSort.last-update": "Last update",
+  "droneSort.flight-time": "Flight time",
+
+  // Drone list
+  "droneList.label": "Drones",
+  "droneList.empty": "No drones match the filters.",
+  "droneItem.watched": "On watchlist",
+  "droneItem.status": "Drone status: {status}",
+  "droneItem.lastSeen": "Last seen {time}",
+  "droneItem.serial": "Serial #",
+  "droneItem.registration": "Registration #",
+  "droneItem.registrationShort": "Registration",
+  "droneItem.pilot": "Pilot",
+  "droneItem.organization": "Organization",
+
+  // Drone detail panel
+  "droneDetail.label": "{name} details",
+  "droneDetail.altitude": "Altitude",
+  "droneDetail.groundSpeed": "Ground speed",
+  "droneDetail.heading": "Heading",
+  "droneDetail.verticalRate": "Vertical rate",
+  "droneDetail.duration": "Flight time",
+  "droneDetail.distance": "Distance",
+  "droneDetail.pilot": "Pilot",
+  "droneDetail.organization": "Organization",
+  "droneDetail.serial": "Serial",
+  "droneDetail.altitudeChart": "Altitude (recent)",
+  "droneDetail.close": "Close drone details",
+  "droneDetail.watch": "Add to watchlist",
+  "droneDetail.unwatch": "Remove from watchlist",
+  "droneDetail.lastSeen": "Last seen {time}",
+
+  // Drone comparison panel
+  "comparison.title": {
+    one: "Comparing {count} drone",
+    other: "Comparing {count} drones",
+  },
+  "comparison.hint": "Shift-click or shift-drag to change the selection",
+  "comparison.altitudeChart": "Altitude (recent)",
+  "comparison.speedChart": "Ground speed (recent)",
+  "comparison.export": "Export",
+  "comparison.watch": "Add to watchlist",
+  "comparison.unwatch": "Remove from watchlist",
+  "comparison.remove": "Remove {name} from comparison",
+  "comparison.close": "Clear selection",
+  "comparison.notReporting": "Waiting for telemetry from the selected drones…",
+
+  // Altitude and speed charts
+  "chart.collecting": "Collecting samples…",
+  "chart.collectingAltitude": "Collecting altitude samples…",
+  "chart.altitude": "Altitude over time",
+  "chart.min": "min {value}",
+  "chart.max": "max {value}",
+
+  // Flight history
+  "flightHistory.search": "Search flights",
+  "flightHistory.sort": "Sort flights",
+  "flightHistory.empty": "No flights history available.",
+  "flightHistory.noMatch": "No flights match your search.",
+  "flightHistory.hideTrack": "Hide track",
+  "flightHistory.sort.newest": "Newest",
+  "flightHistory.sort.oldest": "Oldest",
+  "flightHistory.sort.longest": "Longest",
+  "flightHistory.sort.distance": "Distance",
+  "flightHistory.sort.altitude": "Max altitude",
+  "flightHistory.registration": "Registration",
+  "flightHistory.duration": "Duration",
+  "flightHistory.distance": "Distance",
+  "flightHistory.maxAltitude": "Max altitude",
+  "flightHistory.pilot": "Pilot",
+  "flightHistory.organization": "Organization",
+
+  // Drone counter overlay
+  "counter.label": "Drone statistics",
+  "counter.flying": "Drone Flying",
+  "counter.lost": "Lost",
+  "counter.flying.ariaLabel": "{count} airborne drones",
+  "counter.lost.ariaLabel": "{count} lost-link drones",
+
+  // Map hover popup
+  "popup.registration": "Registration",
+  "popup.status": "Status",
+  "popup.lastSeen": "Last Seen",
+  "popup.altitude": "Altitude",
+  "popup.speed": "Speed",
+  "popup.heading": "Heading",
+  "popup.flightTime": "Flight Time",
+  "popup.pilot": "Pilot",
+  "popup.organization": "Org",
+
+  // Map camera modes
+  "cameraMode.label": "Camera mode",
+  "cameraMode.free": "Free camera",
+  "cameraMode.follow": "Follow drone",
+  "cameraMode.follow-heading": "Follow drone with heading",
+  "cameraMode.fit-all": "Fit all drones",
+  "cameraMode.fit-selected": "Fit selected drones",
+
+  // Fleet notifications (see telemetryStore.js)
+  "notifications.droneAppeared": "{registration} appeared",
+  "notifications.droneLostLink": "{registration} lost link",
+  "notifications.lastSeen": "Last seen {time}",
+  "notifications.connectionLost": "Telemetry connection lost",
+  "notifications.alertRule": "{registration}: {rule}",
+  "notifications.alertRuleDetail": "{rule} · now {value}",
+  "severity.info": "Info",
+  "severity.warning": "Warning",
+  "severity.critical": "Critical",
+
+  // Dashboard
+  "dashboard.title": "Fleet Dashboard",
+  "dashboard.airborne": "Drones airborne",
+  "dashboard.airborneDetail": "of {count} tracked",
+  "dashboard.flights": "Flights today",
+  "dashboard.flightsDetail": "{count} in progress",
+  "dashboard.hours": "Flight hours today",
+  "dashboard.hoursValue": "{hours} h",
+  "dashboard.alerts": "Alerts today",
+  "dashboard.alertsDetail": "{count} unread",
+  "dashboard.activity": "Active drones (last hour)",
+  "dashboard.altitude": "Altitude distribution",
+  "dashboard.altitudeEmpty": "No drones reporting.",
+  "dashboard.organizations": "Flights today by organization",
+  "dashboard.pilots": "Flights today by pilot",
+  "dashboard.flightsEmpty": "No flights today.",
+  "dashboard.events": "Recent events",
+  "activityChart.label": "Active drones over time",
+  "activityChart.empty": "Collecting fleet activity…",
+  "activityChart.reporting": "Reporting",
+  "activityChart.airborne": "Airborne",
+  "activityChart.peak": "peak {count}",
+  "recentEvents.empty": "No events yet.",
+  "recentEvents.time": "Time",
+  "recentEvents.event": "Event",
+  "recentEvents.details": "Details",
+  "recentEvents.drone": "Drone",
+  "recentEvents.focus": "Show {registration} on the map",
+  "fleetMetrics.unknown": "Unknown",
+  "fleetMetrics.other": "Other",
+  "fleetMetrics.altitudeRange": "{from}–{to} m",
+  "fleetMetrics.altitudeAbove": "{from}+ m",
+
+  // Geofences
+  "geofences.toggle": "Geofences",
+  "geofences.drawPolygon": "Polygon",
+  "geofences.drawCircle": "Circle",
+  "geofences.hintPolygon":
+    "Click to add points; click the first point or double-click to finish.",
+  "geofences.hintCircle":
+    "Click the center, then click again to set the radius.",
+  "geofences.cancel": "Cancel",
+  "geofences.empty": "No zones yet. Draw one on the map.",
+  "geofences.emptyReadOnly": "No zones yet.",
+  "geofences.readOnly": "View only: your role cannot edit geofences.",
+  "geofences.name": "Name",
+  "geofences.defaultName": "Zone {n}",
+  "geofences.ceiling": "Ceiling (m)",
+  "geofences.ceilingValue": "≤ {altitude}",
+  "geofences.noFly": "No-fly zone",
+  "geofences.save": "Save",
+  "geofences.delete": "Delete zone",
+  "geofences.done": "Done",
+  "geofences.editHint": "Drag the handles on the map to reshape.",
+  "geofences.import": "Import",
+  "geofences.importFailed": "Import failed: {error}",
+  "geofences.export": "Export",
+  "geofences.breach": "Breach",
+  "geofenceAlerts.dismiss": "Dismiss alert",
+  "geofenceEvent.enter": "{registration} entered {zone}",
+  "geofenceEvent.enterNoFly": "{registration} entered no-fly zone {zone}",
+  "geofenceEvent.exit": "{registration} left {zone}",
+  "geofenceEvent.ceilingBreach":
+    "{registration} above {zone} ceiling ({altitude} > {maxAltitude})",
+  "geofenceEvent.ceilingClear": "{registration} back under {zone} ceiling",
+  "geofenceEvent.other": "{registration}: {zone}",
+
+  // Alert rules
+  "alertRules.toggle": "Alerts",
+  "alertRules.newRule": "New rule",
+  "alertRules.empty": "No rules yet.",
+  "alertRules.readOnly": "Alert rules are managed by administrators.",
+  "alertRules.name": "Name",
+  "alertRules.condition": "Condition",
+  "alertRules.threshold": "Threshold ({unit})",
+  "alertRules.organizations": "Known organizations (comma separated)",
+  "alertRules.severity": "Severity",
+  "alertRules.debounce": "Hold for (s)",
+  "alertRules.hysteresis": "Clear margin",
+  "alertRules.enabled": "Enabled: {name}",
+  "alertRules.save": "Save",
+  "alertRules.done": "Done",
+  "alertRules.delete": "Delete rule",
+  "alertRules.default.altitude": "Above {threshold} m",
+  "alertRules.default.noUpdate": "Silent for {threshold} s",
+  "alertRules.active": {
+    one: "{count} drone alerting",
+    other: "{count} drones alerting",
+  },
+  "alertRules.type.altitude": "Altitude above",
+  "alertRules.type.speed": "Speed above",
+  "alertRules.type.stationary": "Stationary longer than",
+  "alertRules.type.noUpdate": "No update for",
+  "alertRules.type.unknownOrg": "Organization not in list",
+  "alertRules.unit.meters": "m",
+  "alertRules.unit.metersPerSecond": "m/s",
+  "alertRules.unit.seconds": "s",
+  "alertRules.describe.threshold": "{label} {value} {unit}",
+  "alertRules.describe.organizations": "{label} ({count} known)",
+  "alertRules.noOrganization": "none",
+
+  // Replay controls
+  "replay.controls": "Replay controls",
+  "replay.enter": "Replay",
+  "replay.exit": "Back to live",
+  "replay.play": "Play replay",
+  "replay.pause": "Pause replay",
+  "replay.speed": "Replay speed",
+  "replay.speedOption": "{speed}x",
+  "replay.timeline": "Replay timeline",
+  "replay.jump": "Jump to time",
+  "replay.nothingRecorded": "No recorded telemetry to replay yet",
+
+  // Track import / export
+  "transfer.toggle": "Import / export",
+  "transfer.export": "Export tracks",
+  "transfer.import": "Import tracks",
+  "transfer.scope": "Export scope",
+  "transfer.scopeAll": "All drones ({count})",
+  "transfer.scopeSelected": "Selected drones",
+  "transfer.scopeSelectedCount": "Selected drones ({count})",
+  "transfer.chooseFile": "Choose file…",
+  "transfer.frames": { one: "{count} frame", other: "{count} frames" },
+  "transfer.showStatic": "Show tracks",
+  "transfer.replay": "Replay",
+  "transfer.unsupported": "Unsupported file type",
+  "transfer.emptyFile": "No tracks found in file",
+  "transfer.importFailed": "Import failed: {error}",
+
+  // Telemetry status banner
+  "telemetryBanner.connecting": "Connecting to telemetry server…",
+  "telemetryBanner.reconnecting": "Connection lost — reconnecting…",
+  "telemetryBanner.offline": "Telemetry offline",
+  "telemetryBanner.offlineError": "Telemetry offline: {error}",
+  "telemetryBanner.stale": "Telemetry stale — last update {time}",
+  "telemetryBanner.staleWaiting": "Telemetry stale — waiting for first update",
+  "telemetryBanner.simulated": "Simulated telemetry — not live data",
+
+  // Telemetry diagnostics panel
+  "diagnostics.title": "Telemetry diagnostics",
+  "diagnostics.frames": "Frames received",
+  "diagnostics.framesRejected": "Frames rejected",
+  "diagnostics.framesPartial": "Frames with dropped features",
+  "diagnostics.featuresAccepted": "Features accepted",
+  "diagnostics.featuresRejected": "Features rejected",
+  "diagnostics.reasons": "Rejection reasons",
+  "diagnostics.quarantine": "Recently quarantined",
+  "diagnostics.reset": "Reset counters",
+  "diagnostics.thresholds": "Silent drone thresholds (s)",
+  "diagnostics.staleAfter": "Stale",
+  "diagnostics.lostAfter": "Lost",
+  "diagnostics.retention": "Remove",
+  "diagnostics.source": "Telemetry source",
+  "diagnostics.source.socket": "Server",
+  "diagnostics.source.simulator": "Simulator",
+
+  // Units and relative time (see format.js)
+  "units.meters": "{value} m",
+  "units.kilometers": "{value} km",
+  "units.metersPerSecond": "{value} m/s",
+  "time.justNow": "just now",
+  "time.secondsAgo": "{count}s ago",
+  "time.minutesAgo": "{count}m ago",
+  "time.hoursAgo": "{count}h ago",
+};
@@ -0,0 +1,222 @@
+/**
+ * DashboardPage Component
+ *
+ * Design Patterns Used:
+ * 1. Container/Presenter Pattern - Aggregates store data for presentational widgets
+ * 2. Observer Pattern - Follows the telemetry, flight history and notification stores
+ * 3. Derived State Pattern - Every figure is computed from shared snapshots
+ * 4. Configuration Pattern - Centralized layout and label configuration
+ *
+ * Fleet overview on the DASHBOARD tab:
+ * - KPI cards: drones airborne, flights today, flight hours today, alerts today
+ * - Active drones over the last hour
+ * - Current altitude distribution and today's flights per organization and pilot
+ * - Recent events from the notification log
+ *
+ * Reads the same live telemetry store as the map, so both tabs always agree.
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { BellRing, Clock, Plane, PlaneTakeoff } from "lucide-react";
+import KpiCard from "../components/dashboard/KpiCard";
+import ActivityChart from "../components/dashboard/ActivityChart";
+import BarList from "../components/dashboard/BarList";
+import RecentEventsTable from "../components/dashboard/RecentEventsTable";
+import useDroneList from "../hooks/useDroneList";
+import useFleetStats from "../hooks/useFleetStats";
+import useTelemetryStore from "../hooks/useTelemetryStore";
+import useFlightHistory from "../hooks/useFlightHistory";
+import useNotifications from "../hooks/useNotifications";
+import useI18n from "../hooks/useI18n";
+import { DRONE_STATES } from "../utils/droneStatus";
+import {
+  buildAltitudeHistogram,
+  countAlertsToday,
+  countBy,
+  summarizeFlightsToday,
+} from "../utils/fleetMetrics";
+import { writeMapUrlState } from "../utils/mapUrlState";
+import { formatNumber } from "../utils/i18n";
+
+// Configuration constants for the page
+const DASHBOARD_CONFIG = {
+  CLOCK_INTERVAL: 5 * 1000,
+  RECENT_EVENTS: 10,
+  MAP_PATH: "/map",
+  PANEL:
+    "bg-gray-800 bg-opacity-95 rounded-xl shadow-xl border border-gray-700 p-4",
+  COLORS: {
+    AIRBORNE: "#5CFC00",
+    FLIGHTS: "#F9000E",
+    HOURS: "#38BDF8",
+    ALERTS: "#FACC15",
+  },
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "dashboard.title",
+  AIRBORNE: "dashboard.airborne",
+  AIRBORNE_DETAIL: "dashboard.airborneDetail",
+  FLIGHTS: "dashboard.flights",
+  FLIGHTS_DETAIL: "dashboard.flightsDetail",
+  HOURS: "dashboard.hours",
+  HOURS_VALUE: "dashboard.hoursValue",
+  ALERTS: "dashboard.alerts",
+  ALERTS_DETAIL: "dashboard.alertsDetail",
+  ACTIVITY: "dashboard.activity",
+  ALTITUDE: "dashboard.altitude",
+  ALTITUDE_EMPTY: "dashboard.altitudeEmpty",
+  ORGANIZATIONS: "dashboard.organizations",
+  PILOTS: "dashboard.pilots",
+  FLIGHTS_EMPTY: "dashboard.flightsEmpty",
+  EVENTS: "dashboard.events",
+};
+
+// Pattern: Selector Pattern - Store slices used by the dashboard
+const selectActiveFlights = (state) => state.activeFlights;
+const selectActivity = (state) => state.activity;
+
+/**
+ * Converts a duration to hours rounded to one decimal
+ * @param {number} milliseconds - Duration
+ * @returns {number} Hours
+ */
+const toHours = (milliseconds) =>
+  Math.round(milliseconds / (6 * 60 * 1000)) / 10;
+
+/**
+ * Titled dashboard panel
+ * @param {string} title - Panel heading
+ * @param {string} [className] - Extra grid placement classes
+ * @param {React.ReactNode} children - Panel content
+ */
+const Panel = ({ title, className = "", children }) => (
+  <section className={`${DASHBOARD_CONFIG.PANEL} ${className}`}>
+    <h2 className="mb-3 text-sm font-semibold text-white">{title}</h2>
+    {children}
+  </section>
+);
+
+export default function DashboardPage() {
+  const drones = useDroneList();
+  const stats = useFleetStats();
+  const activeFlights = useTelemetryStore(selectActiveFlights);
+  const activity = useTelemetryStore(selectActivity);
+  const flightHistory = useFlightHistory();
+  const notifications = useNotifications();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  // Ticks so "today" and relative times follow wall-clock time
+  const [now, setNow] = useState(() => Date.now());
+
+  /**
+   * Clock Effect
+   * Pattern: Timer Pattern - Re-derive time-based figures periodically
+   */
+  useEffect(() => {
+    const timer = setInterval(
+      () => setNow(Date.now()),
+      DASHBOARD_CONFIG.CLOCK_INTERVAL
+    );
+    return () => clearInterval(timer);
+  }, []);
+
+  // Pattern: Derived State Pattern - Figures from the shared snapshots
+  const flightsToday = summarizeFlightsToday(flightHistory, activeFlights, now);
+  const alertsToday = countAlertsToday(notifications, now);
+  const recentEvents = notifications.slice(0, DASHBOARD_CONFIG.RECENT_EVENTS);
+
+  /**
+   * Opens the map focused on a drone (a shareable /map?drone= link)
+   * @param {string} registration - Drone registration
+   */
+  const handleFocusDrone = (registration) => {
+    navigate({
+      pathname: DASHBOARD_CONFIG.MAP_PATH,
+      search: writeMapUrlState(new URLSearchParams(), {
+        selectedDrone: registration,
+      }).toString(),
+    });
+  };
+
+  return (
+    <div className="flex-1 min-w-0 overflow-y-auto p-4 pb-20 md:pb-4 text-white">
+      <h1 className="mb-4 text-lg font-semibold">{t(LABELS.TITLE)}</h1>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <KpiCard
+          icon={Plane}
+          label={t(LABELS.AIRBORNE)}
+          value={stats[DRONE_STATES.AIRBORNE]}
+          detail={t(LABELS.AIRBORNE_DETAIL, { count: stats.total })}
+          accent={DASHBOARD_CONFIG.COLORS.AIRBORNE}
+        />
+        <KpiCard
+          icon={PlaneTakeoff}
+          label={t(LABELS.FLIGHTS)}
+          value={flightsToday.count}
+          detail={t(LABELS.FLIGHTS_DETAIL, { count: activeFlights.length })}
+          accent={DASHBOARD_CONFIG.COLORS.FLIGHTS}
+        />
+        <KpiCard
+          icon={Clock}
+          label={t(LABELS.HOURS)}
+          value={t(LABELS.HOURS_VALUE, {
+            hours: formatNumber(toHours(flightsToday.duration), {
+              minimumFractionDigits: 1,
+            }),
+          })}
+          accent={DASHBOARD_CONFIG.COLORS.HOURS}
+        />
+        <KpiCard
+          icon={BellRing}
+          label={t(LABELS.ALERTS)}
+          value={alertsToday.count}
+          detail={t(LABELS.ALERTS_DETAIL, { count: alertsToday.unread })}
+          accent={DASHBOARD_CONFIG.COLORS.ALERTS}
+        />
+      </div>
+
+      {/* Charts */}
+      <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Panel title={t(LABELS.ACTIVITY)} className="lg:col-span-2">
+          <ActivityChart samples={activity} />
+        </Panel>
+        <Panel title={t(LABELS.ALTITUDE)}>
+          <BarList
+            items={buildAltitudeHistogram(drones)}
+            ariaLabel={t(LABELS.ALTITUDE)}
+            emptyLabel={t(LABELS.ALTITUDE_EMPTY)}
+            color={DASHBOARD_CONFIG.COLORS.HOURS}
+          />
+        </Panel>
+        <Panel title={t(LABELS.ORGANIZATIONS)}>
+          <BarList
+            items={countBy(flightsToday.flights, "organization")}
+            ariaLabel={t(LABELS.ORGANIZATIONS)}
+            emptyLabel={t(LABELS.FLIGHTS_EMPTY)}
+          />
+        </Panel>
+        <Panel title={t(LABELS.PILOTS)}>
+          <BarList
+            items={countBy(flightsToday.flights, "pilot")}
+            ariaLabel={t(LABELS.PILOTS)}
+            emptyLabel={t(LABELS.FLIGHTS_EMPTY)}
+          />
+        </Panel>
+
+        {/* Recent Events */}
+        <Panel title={t(LABELS.EVENTS)}>
+          <RecentEventsTable
+            events={recentEvents}
+            now={now}
+            onFocusDrone={handleFocusDrone}
+          />
+        </Panel>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+/**
+ * LoginPage Component
+ *
+ * Design Patterns Used:
+ * 1. Controlled Form Pattern - Email and password held in component state
+ * 2. Observer Pattern - Follows the session store (useAuth)
+ * 3. Configuration Pattern - Centralized styling and label configuration
+ *
+ * Sign-in screen shown to signed-out visitors (see ProtectedRoute). After
+ * signing in it returns to the page the visitor asked for, query state
+ * included. Explains why a previous session ended (expired or rejected by the
+ * telemetry server), and lists the mock accounts in development when no auth
+ * endpoint is configured (see mock/authMock.js).
+ */
+
+import { useState } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { LogIn } from "lucide-react";
+import BrandLogo from "../components/layout/navbar/BrandLogo";
+import LanguageMenu from "../components/layout/navbar/LanguageMenu";
+import { ACTION_BUTTONS } from "../components/layout/navbar/navbarConfig";
+import useAuth from "../hooks/useAuth";
+import useI18n from "../hooks/useI18n";
+import { SESSION_END_REASONS } from "../utils/auth";
+
+// Configuration constants for the page
+const LOGIN_CONFIG = {
+  HOME_PATH: "/",
+  LANGUAGE_BUTTON: ACTION_BUTTONS.find((button) => button.id === "language"),
+  // The development mock answers when no endpoint is configured
+  SHOW_MOCK_ACCOUNTS: import.meta.env.DEV && !import.meta.env.VITE_AUTH_URL,
+  MOCK_ACCOUNTS: [
+    "admin@sager.test",
+    "pilot@sager.test",
+    "observer@sager.test",
+  ],
+  MOCK_PASSWORD: "sager",
+  PANEL:
+    "w-full max-w-sm bg-gray-800 bg-opacity-95 rounded-xl shadow-xl border border-gray-700 p-6 text-gray-200",
+  INPUT:
+    "w-full mt-1 px-3 py-2 rounded bg-gray-900 border border-gray-700 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#F9000E]",
+  SUBMIT:
+    "w-full flex items-center justify-center gap-2 mt-2 px-3 py-2 rounded bg-[#F9000E] text-white text-sm font-semibold hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed",
+};
+
+// Message keys (see src/locales)
+const LABELS = {
+  TITLE: "login.title",
+  SUBTITLE: "login.subtitle",
+  EMAIL: "login.email",
+  PASSWORD: "login.password",
+  SUBMIT: "login.submit",
+  WORKING: "login.working",
+  INVALID: "login.invalid",
+  FAILED: "login.failed",
+  UNREACHABLE: "login.unreachable",
+  MOCK_ACCOUNTS: "login.mockAccounts",
+  END_REASONS: {
+    [SESSION_END_REASONS.EXPIRED]: "login.expired",
+    [SESSION_END_REASONS.REJECTED]: "login.rejected",
+  },
+};
+
+/**
+ * Message key for a failed sign-in
+ * @param {Error} error - Error thrown by login
+ * @returns {string} Message key
+ */
+const getErrorKey = (error) => {
+  if (error.status === 401 || error.status === 403) return LABELS.INVALID;
+  return error.status ? LABELS.FAILED : LABELS.UNREACHABLE;
+};
+
+/**
+ * Login Page Component
+ */
+const LoginPage = () => {
+  const { isAuthenticated, endReason, login } = useAuth();
+  const { t } = useI18n();
+  const location = useLocation();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (isAuthenticated) {
+    const from = location.state?.from;
+    return (
+      <Navigate
+        to={from ? `${from.pathname}${from.search}` : LOGIN_CONFIG.HOME_PATH}
+        replace
+      />
+    );
+  }
+
+  /**
+   * Submits the credentials
+   * @param {Event} event - Form submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await login({ email, password });
+    } catch (caught) {
+      setError(caught);
+      setIsSubmitting(false);
+    }
+  };
+
+  const endNotice = LABELS.END_REASONS[endReason];
+
+  return (
+    <div className="min-h-screen bg-black flex flex-col">
+      <header className="flex justify-between items-center px-3 sm:px-4 md:px-6 py-2 sm:py-3">
+        <BrandLogo />
+        <LanguageMenu
+          button={{
+            ...LOGIN_CONFIG.LANGUAGE_BUTTON,
+            alt: t(`${LOGIN_CONFIG.LANGUAGE_BUTTON.messageKey}.alt`),
+            ariaLabel: t(
+              `${LOGIN_CONFIG.LANGUAGE_BUTTON.messageKey}.ariaLabel`
+            ),
+          }}
+        />
+      </header>
+
+      <main className="flex-1 flex items-center justify-center p-4">
+        <form
+          className={LOGIN_CONFIG.PANEL}
+          onSubmit={handleSubmit}
+          aria-labelledby="login-title"
+        >
+          <h1 id="login-title" className="text-lg font-semibold text-white">
+            {t(LABELS.TITLE)}
+          </h1>
+          <p className="text-xs text-gray-400 mb-4">{t(LABELS.SUBTITLE)}</p>
+
+          {endNotice && !error && (
+            <p
+              className="mb-3 px-3 py-2 rounded border border-[#FACC15]/40 bg-[#FACC15]/10 text-xs text-[#FACC15]"
+              role="status"
+            >
+              {t(endNotice)}
+            </p>
+          )}
+          {error && (
+            <p
+              className="mb-3 px-3 py-2 rounded border border-[#F9000E]/40 bg-[#F9000E]/10 text-xs text-red-300"
+              role="alert"
+            >
+              {t(getErrorKey(error))}
+            </p>
+          )}
+
+          <label className="block text-xs mb-3">
+            {t(LABELS.EMAIL)}
+            <input
+              type="email"
+              autoComplete="username"
+              required
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              className={LOGIN_CONFIG.INPUT}
+              dir="ltr"
+            />
+          </label>
+          <label className="block text-xs mb-3">
+            {t(LABELS.PASSWORD)}
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              className={LOGIN_CONFIG.INPUT}
+              dir="ltr"
+            />
+          </label>
+
+          <button
+            type="submit"
+            className={LOGIN_CONFIG.SUBMIT}
+            disabled={isSubmitting}
+          >
+            <LogIn size={16} aria-hidden="true" />
+            {t(isSubmitting ? LABELS.WORKING : LABELS.SUBMIT)}
+          </button>
+
+          {LOGIN_CONFIG.SHOW_MOCK_ACCOUNTS && (
+            <div className="mt-4 text-[11px] text-gray-400">
+              <p>
+                {t(LABELS.MOCK_ACCOUNTS, {
+                  password: LOGIN_CONFIG.MOCK_PASSWORD,
+                })}
+              </p>
+              <ul className="mt-1 font-mono" dir="ltr">
+                {LOGIN_CONFIG.MOCK_ACCOUNTS.map((account) => (
+                  <li key={account}>{account}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </form>
+      </main>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -12,160 +12,186 @@
  * 8. Separation of Concerns - Delegates UI components to specialized modules
  *
  * Main page component that orchestrates:
- * - Real-time drone data via WebSocket
+ * - Real-time drone data from the app-level telemetry store
  * - Interactive map with drone visualization
- * - Drone selection and navigation
+ * - Drone selection and navigation, including multi-drone comparison
+ * - Shareable URL: selection, camera, filters and menu tab (useMapUrlState)
  * - Statistics display through separated overlay component
+ * - Tools shown or made read-only by the user's capabilities (see permissions.js)
  * - Clean component composition and state management
  */
 
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import DroneMenu from "../components/dronedetails/DroneMenu";
 import MapContainer from "../components/MapContainer";
 import DroneCounterOverlay from "../components/dronedetails/DroneCounterOverlay";
-import socket from "../utils/socket";
+import DroneDetailPanel from "../components/dronedetails/DroneDetailPanel";
+import DroneComparisonPanel from "../components/dronedetails/DroneComparisonPanel";
+import TelemetryStatusBanner from "../components/TelemetryStatusBanner";
+import TelemetryDiagnosticsPanel from "../components/TelemetryDiagnosticsPanel";
+import ReplayControls from "../components/ReplayControls";
+import TelemetryTransferMenu from "../components/TelemetryTransferMenu";
+import GeofencePanel from "../components/geofences/GeofencePanel";
+import GeofenceAlerts from "../components/geofences/GeofenceAlerts";
+import AlertRulesPanel from "../components/alerts/AlertRulesPanel";
+import useReplay from "../hooks/useReplay";
+import useGeofences from "../hooks/useGeofences";
+import useAlertRules from "../hooks/useAlertRules";
+import useDrone from "../hooks/useDrone";
+import useDroneList from "../hooks/useDroneList";
+import useFleetStats from "../hooks/useFleetStats";
+import useTelemetryStore from "../hooks/useTelemetryStore";
+import useMapUrlState from "../hooks/useMapUrlState";
+import useWatchlist from "../hooks/useWatchlist";
+import usePermissions from "../hooks/usePermissions";
+import {
+  dismissGeofenceAlert,
+  getRecordedTelemetry,
+} from "../utils/telemetryStore";
+import { countDronesByStatus } from "../utils/droneStatus";
+import { applyDroneFilter } from "../utils/droneFilters";
+import {
+  GEOFENCE_CONFIG,
+  getGeofences,
+  saveGeofence,
+} from "../utils/geofences";
+import { subscribeToDroneFocus } from "../utils/droneFocus";
+import { CAPABILITIES } from "../utils/permissions";
+import { translate } from "../utils/i18n";
 
 // Configuration constants for maintainability
 const MAP_PAGE_CONFIG = {
   COLORS: {
     TEXT_PRIMARY: "text-white",
   },
+  STATUS_CLOCK_RESOLUTION: 1000,
+  TOOLBAR_POSITIONING: "absolute top-3 end-14 z-20 flex items-start gap-2",
 };
 
-// Drone status classification constants
-const DRONE_STATUS = {
-  ACTIVE_PREFIX: "B",
-};
-
-/**
- * Determines if a drone is active based on registration pattern
- * Pattern: Strategy Pattern - Classification strategy for drone status
- * @param {string} registration - Drone registration number
- * @returns {boolean} Whether the drone is active/flying
- */
-const isDroneActive = (registration) => {
-  return !registration.split("-")[1]?.startsWith(DRONE_STATUS.ACTIVE_PREFIX);
-};
-
-/**
- * Calculates drone statistics from drone data array
- * Pattern: Data Transformation Pattern - Aggregates data for display
- * @param {Array} droneData - Array of drone objects
- * @returns {Object} Statistics object with counts
- */
-const calculateDroneStats = (droneData) => {
-  const activeDrones = droneData.filter((drone) =>
-    isDroneActive(drone.properties.registration)
-  );
-  const inactiveDrones = droneData.filter(
-    (drone) => !isDroneActive(drone.properties.registration)
-  );
+const NO_BREACHES = { drones: new Set(), zones: new Set() };
+const NO_ALERTS = new Map();
 
-  return {
-    active: activeDrones.length,
-    inactive: inactiveDrones.length,
-    total: droneData.length,
-  };
-};
-
-/**
- * Processes incoming drone data and merges with existing data
- * Pattern: Data Merging Strategy - Maintains historical positions while updating current state
- * @param {Array} previousData - Current drone data array
- * @param {Object} newData - Incoming socket data with drone updates
- * @returns {Array} Updated drone data array
- */
-const mergeDroneData = (previousData, newData) => {
-  const updated = [...previousData];
-
-  newData.features.forEach((newDrone) => {
-    const registration = newDrone.properties.registration;
-    const existingIndex = updated.findIndex(
-      (drone) => drone.properties.registration === registration
-    );
-
-    if (existingIndex !== -1) {
-      // Update existing drone with new position and properties
-      const existing = updated[existingIndex];
-      updated[existingIndex] = {
-        ...existing,
-        positions: [...existing.positions, newDrone.geometry.coordinates],
-        geometry: newDrone.geometry,
-        properties: {
-          ...existing.properties,
-          ...newDrone.properties,
-        },
-      };
-    } else {
-      // Add new drone with initial position
-      updated.push({
-        ...newDrone,
-        positions: [newDrone.geometry.coordinates],
-      });
-    }
-  });
-
-  return updated;
-};
+// Pattern: Selector Pattern - Store slices used by the map
+const selectBreaches = (state) => state.breaches;
+const selectGeofenceAlerts = (state) => state.geofenceAlerts;
+const selectAlertedDrones = (state) => state.alertedDrones;
+const selectCanReplay = (state) => state.recordedFrames > 0;
 
 /**
  * Main MapPage Component
  * Pattern: Container Pattern - Orchestrates state and child components
- * Pattern: Observer Pattern - Manages real-time data subscriptions
+ * Pattern: Observer Pattern - Reads the app-level telemetry store
  */
 export default function MapPage() {
-  // State management for drone data and UI
-  const [droneData, setDroneData] = useState([]);
-  const [selectedDrone, setSelectedDrone] = useState(null);
-  const [droneStats, setDroneStats] = useState({
-    active: 0,
-    inactive: 0,
-    total: 0,
-  });
+  // Live fleet from the app-level telemetry store (survives tab changes)
+  const droneData = useDroneList();
+  const liveStats = useFleetStats();
+  const geofenceBreaches = useTelemetryStore(selectBreaches);
+  const geofenceAlerts = useTelemetryStore(selectGeofenceAlerts);
+  // Alert rules and the drones they currently flag (registration -> severity)
+  const alertedDrones = useTelemetryStore(selectAlertedDrones);
+  const alertRules = useAlertRules();
+  const canReplay = useTelemetryStore(selectCanReplay);
+  const replay = useReplay();
+  // Selection, camera, filter (search, chips and sort shared by the drone
+  // list and map dimming) and menu tab live in the URL
+  const {
+    selectedDrones,
+    selectedDrone,
+    setSelectedDrone,
+    setSelectedDrones,
+    droneFilter,
+    setDroneFilter,
+    menuTab,
+    setMenuTab,
+    initialView,
+    setView,
+  } = useMapUrlState();
+  const [selectedFlight, setSelectedFlight] = useState(null);
+  const liveSelectedDrone = useDrone(selectedDrone);
+  const watchlist = useWatchlist();
+  // Ticks while live so silent drones age even when no frames arrive
+  const [liveClock, setLiveClock] = useState(() => Date.now());
+  // Geofences: zones and the editing tool
+  const geofences = useGeofences();
+  const [geofenceDrawMode, setGeofenceDrawMode] = useState(null);
+  const [selectedGeofenceId, setSelectedGeofenceId] = useState(null);
+  const { can } = usePermissions();
 
   /**
-   * Socket Connection and Data Management Effect
-   * Pattern: Observer Pattern - Subscribes to real-time drone updates
-   * Pattern: Lifecycle Management - Proper connection setup and cleanup
+   * Drone Focus Effect
+   * Pattern: Mediator Pattern - Other components (e.g. notifications) select drones
    */
-  useEffect(() => {
-    /**
-     * Socket connection handler
-     * Pattern: Event Handler Pattern - Handles connection events
-     */
-    const handleConnect = () => {
-      console.log("✅ Socket Connected:", socket.id);
-    };
-
-    /**
-     * Socket message handler
-     * Pattern: Event Handler Pattern - Processes incoming drone data
-     * Pattern: State Update Pattern - Merges new data with existing state
-     */
-    const handleMessage = (data) => {
-      setDroneData((previousData) => mergeDroneData(previousData, data));
-    };
-
-    // Register socket event listeners
-    socket.on("connect", handleConnect);
-    socket.on("message", handleMessage);
-
-    // Cleanup function for component unmounting
-    return () => {
-      socket.off("connect", handleConnect);
-      socket.off("message", handleMessage);
-    };
-  }, []);
+  useEffect(() => subscribeToDroneFocus(setSelectedDrone), [setSelectedDrone]);
 
   /**
-   * Drone Statistics Calculation Effect
-   * Pattern: Derived State Pattern - Calculates stats from primary data
-   * Pattern: Observer Pattern - Reacts to drone data changes
+   * Live Clock Effect
+   * Pattern: Observer Pattern - Status and link aging follow wall-clock time
    */
   useEffect(() => {
-    const stats = calculateDroneStats(droneData);
-    setDroneStats(stats);
-  }, [droneData]);
+    if (replay.isActive) return;
+    const timer = setInterval(
+      () => setLiveClock(Date.now()),
+      MAP_PAGE_CONFIG.STATUS_CLOCK_RESOLUTION
+    );
+    return () => clearInterval(timer);
+  }, [replay.isActive]);
+
+  // Replay mode swaps the live data for the replayed state and clock
+  const displayedDrones = replay.isActive ? replay.droneData : droneData;
+  const statusTime = replay.isActive
+    ? Math.floor(replay.currentTime / MAP_PAGE_CONFIG.STATUS_CLOCK_RESOLUTION) *
+      MAP_PAGE_CONFIG.STATUS_CLOCK_RESOLUTION
+    : liveClock;
+  // Pattern: Derived State Pattern - Replayed counts follow the replay clock
+  const droneStats = replay.isActive
+    ? countDronesByStatus(displayedDrones, statusTime)
+    : liveStats;
+  // Pattern: Memoization - Filter and sort only when inputs change
+  const filteredDrones = useMemo(
+    () => applyDroneFilter(displayedDrones, droneFilter, statusTime, watchlist),
+    [displayedDrones, droneFilter, statusTime, watchlist]
+  );
+  // Breaches describe the live stream, so they are hidden during replay
+  const displayedBreaches = replay.isActive ? NO_BREACHES : geofenceBreaches;
+  const displayedAlerts = replay.isActive ? NO_ALERTS : alertedDrones;
+  const selectedDroneData = replay.isActive
+    ? displayedDrones.find(
+        (drone) => drone.properties.registration === selectedDrone
+      ) ?? null
+    : liveSelectedDrone;
+  // Pattern: Derived State Pattern - Compared drones in selection order
+  const isComparing = selectedDrones.length > 1;
+  const comparedDrones = useMemo(() => {
+    if (!isComparing) return [];
+    const drones = new Map(
+      displayedDrones.map((drone) => [drone.properties.registration, drone])
+    );
+    return selectedDrones
+      .map((registration) => drones.get(registration))
+      .filter(Boolean);
+  }, [isComparing, displayedDrones, selectedDrones]);
+
+  /**
+   * Geofence Editing Handlers
+   * Pattern: Command Pattern - Drawn shapes and dragged handles become saved zones
+   */
+  const handleGeofenceDrawn = useCallback((shape) => {
+    const saved = saveGeofence({
+      ...shape,
+      name: translate("geofences.defaultName", {
+        n: getGeofences().length + 1,
+      }),
+      maxAltitude: GEOFENCE_CONFIG.DEFAULT_MAX_ALTITUDE,
+    });
+    setGeofenceDrawMode(null);
+    setSelectedGeofenceId(saved?.id ?? null);
+  }, []);
+
+  const handleGeofenceReshaped = useCallback((id, geometry) => {
+    const geofence = getGeofences().find((item) => item.id === id);
+    if (geofence) saveGeofence({ ...geofence, ...geometry });
+  }, []);
 
   return (
     <div
@@ -176,9 +202,104 @@ export default function MapPage() {
       <MapContainer
         selectedDrone={selectedDrone}
         setSelectedDrone={setSelectedDrone}
-        droneData={droneData}
+        selectedDrones={selectedDrones}
+        setSelectedDrones={setSelectedDrones}
+        droneData={displayedDrones}
+        historyFlight={selectedFlight}
+        statusTime={statusTime}
+        geofences={geofences}
+        breachedZones={displayedBreaches.zones}
+        breachedDrones={displayedBreaches.drones}
+        alertedDrones={displayedAlerts}
+        matchedDrones={filteredDrones.matched}
+        initialView={initialView}
+        onViewChange={setView}
+        geofenceEditing={{
+          drawMode: geofenceDrawMode,
+          selectedId: selectedGeofenceId,
+          onDrawComplete: handleGeofenceDrawn,
+          onCancelDraw: () => setGeofenceDrawMode(null),
+          onGeometryChange: handleGeofenceReshaped,
+        }}
       />
 
+      {/* Telemetry Connection Banner */}
+      {/* Pattern: Observer Pattern - Surfaces offline/stale telemetry to the operator */}
+      <TelemetryStatusBanner />
+
+      {/* Selected Drone Details, or the comparison of several drones */}
+      {/* Pattern: Observer Pattern - Live metrics for the selected drones */}
+      {isComparing ? (
+        <DroneComparisonPanel
+          drones={comparedDrones}
+          selectedDrones={selectedDrones}
+          watchlist={watchlist}
+          statusTime={statusTime}
+          onRemove={(registration) =>
+            setSelectedDrones((list) =>
+              list.filter((item) => item !== registration)
+            )
+          }
+          onClose={() => setSelectedDrone(null)}
+        />
+      ) : (
+        <DroneDetailPanel
+          drone={selectedDroneData}
+          statusTime={statusTime}
+          isWatched={watchlist.has(selectedDrone)}
+          onClose={() => setSelectedDrone(null)}
+        />
+      )}
+
+      {/* Map Toolbar */}
+      <div className={MAP_PAGE_CONFIG.TOOLBAR_POSITIONING}>
+        {/* Geofences */}
+        {/* Pattern: Observer Pattern - Zone manager with live breach state */}
+        <GeofencePanel
+          geofences={geofences}
+          breachedZones={displayedBreaches.zones}
+          drawMode={geofenceDrawMode}
+          onStartDraw={(shape) => {
+            setSelectedGeofenceId(null);
+            setGeofenceDrawMode(shape);
+          }}
+          onCancelDraw={() => setGeofenceDrawMode(null)}
+          selectedId={selectedGeofenceId}
+          onSelect={setSelectedGeofenceId}
+          readOnly={!can(CAPABILITIES.EDIT_GEOFENCES)}
+        />
+
+        {/* Alert Rules */}
+        {/* Pattern: Observer Pattern - Rule manager with live alert count */}
+        <AlertRulesPanel
+          rules={alertRules}
+          alertedCount={displayedAlerts.size}
+          readOnly={!can(CAPABILITIES.MANAGE_ALERT_RULES)}
+        />
+
+        {/* Track Import / Export */}
+        {/* Pattern: Strategy Pattern - GeoJSON, CSV, KML and GPX transfer */}
+        {can(CAPABILITIES.TRANSFER_TRACKS) && (
+          <TelemetryTransferMenu
+            droneData={displayedDrones}
+            selectedDrones={selectedDrones}
+            onImportSession={replay.start}
+          />
+        )}
+      </div>
+
+      {/* Geofence Alerts */}
+      {/* Pattern: Observer Pattern - Entries, exits and ceiling breaches */}
+      <GeofenceAlerts
+        alerts={geofenceAlerts}
+        onDismiss={dismissGeofenceAlert}
+        onFocusDrone={setSelectedDrone}
+      />
+
+      {/* Telemetry Validation Diagnostics */}
+      {/* Pattern: Observer Pattern - Displays rejected frame/feature counters */}
+      {can(CAPABILITIES.CONFIGURE_TELEMETRY) && <TelemetryDiagnosticsPanel />}
+
       {/* Desktop Drone Counter Overlay */}
       {/* Pattern: Responsive Design - Desktop-specific statistics display */}
       <DroneCounterOverlay stats={droneStats} isMobile={false} />
@@ -191,9 +312,29 @@ export default function MapPage() {
       {/* Pattern: Component Composition - Delegates drone menu to specialized component */}
       <DroneMenu
         selectedDrone={selectedDrone}
-        setSelectedDrone={setSelectedDrone}
-        droneData={droneData}
+        selectedDrones={selectedDrones}
+        setSelectedDrones={setSelectedDrones}
+        watchlist={watchlist}
+        droneData={displayedDrones}
+        filteredDrones={filteredDrones.drones}
+        droneFilter={droneFilter}
+        onDroneFilterChange={setDroneFilter}
+        selectedFlightId={selectedFlight?.id ?? null}
+        onSelectFlight={setSelectedFlight}
+        statusTime={statusTime}
+        activeTab={menuTab}
+        onTabChange={setMenuTab}
       />
+
+      {/* Replay Timeline */}
+      {/* Pattern: Event Sourcing Pattern - Replays the recorded telemetry buffer */}
+      {can(CAPABILITIES.REPLAY_TELEMETRY) && (
+        <ReplayControls
+          replay={replay}
+          canReplay={canReplay}
+          onEnterReplay={() => replay.start(getRecordedTelemetry())}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,206 @@
+/**
+ * Alert Rules Engine
+ *
+ * Design Patterns Used:
+ * 1. Strategy Pattern - One condition evaluator per rule type
+ * 2. State Machine Pattern - Per rule and drone: clear -> pending -> active -> clear
+ * 3. Observer Pattern - Transitions reported through an onEvent callback
+ * 4. Factory Pattern - createAlertEngine returns an isolated engine
+ *
+ * Evaluates the enabled alert rules against every drone in the store. A
+ * condition must hold for the rule's debounce time before the alert fires,
+ * and an active alert only clears once the value drops back past the
+ * threshold by the rule's hysteresis margin, so values hovering around a
+ * limit do not flap. The highest active severity per drone drives marker
+ * styling.
+ */
+
+import { ALERT_RULE_TYPES } from "./alertRules";
+import { ALERT_SEVERITIES } from "./geofenceMonitor";
+import { getDroneMetrics } from "./droneMetrics";
+import { getLastSeen } from "./droneStatus";
+import { haversineDistance } from "./geo";
+
+// Engine configuration
+export const ALERT_ENGINE_CONFIG = {
+  // A drone that stays within this radius counts as stationary
+  STATIONARY_RADIUS: 5,
+};
+
+export const ALERT_EVENTS = {
+  TRIGGERED: "alert-triggered",
+  CLEARED: "alert-cleared",
+};
+
+// Severity order used to pick a drone's marker styling
+const SEVERITY_RANK = {
+  [ALERT_SEVERITIES.INFO]: 1,
+  [ALERT_SEVERITIES.WARNING]: 2,
+  [ALERT_SEVERITIES.CRITICAL]: 3,
+};
+
+/**
+ * Threshold comparison with hysteresis on the way back down
+ * @param {number|null} value - Measured value
+ * @param {Object} rule - Rule with threshold and hysteresis
+ * @returns {Object} { value, triggered, cleared }
+ */
+const above = (value, rule) => {
+  if (!Number.isFinite(value)) return { value, triggered: false, cleared: true };
+  return {
+    value,
+    triggered: value > rule.threshold,
+    cleared: value <= rule.threshold - rule.hysteresis,
+  };
+};
+
+/**
+ * Condition evaluators per rule type
+ * Pattern: Strategy Pattern - (drone, rule, context) => { value, triggered, cleared }
+ */
+const EVALUATORS = {
+  [ALERT_RULE_TYPES.ALTITUDE]: (drone, rule) =>
+    above(drone.properties.altitude, rule),
+  [ALERT_RULE_TYPES.SPEED]: (drone, rule) =>
+    above(getDroneMetrics(drone).groundSpeed, rule),
+  [ALERT_RULE_TYPES.STATIONARY]: (drone, rule, { stationarySince, now }) =>
+    above((now - stationarySince) / 1000, rule),
+  [ALERT_RULE_TYPES.NO_UPDATE]: (drone, rule, { now }) => {
+    const lastSeen = getLastSeen(drone);
+    return above(lastSeen === null ? null : (now - lastSeen) / 1000, rule);
+  },
+  [ALERT_RULE_TYPES.UNKNOWN_ORG]: (drone, rule) => {
+    const { organization } = drone.properties;
+    const isUnknown = !(rule.organizations ?? []).includes(organization);
+    return { value: organization, triggered: isUnknown, cleared: !isUnknown };
+  },
+};
+
+/**
+ * Creates an alert engine
+ * @param {Object} options - Engine options
+ * @param {Function} [options.onEvent] - Called with each transition event
+ *   ({ type, rule, registration, value, time })
+ * @returns {Object} Engine API
+ */
+export const createAlertEngine = ({ onEvent = () => {} } = {}) => {
+  // `${ruleId}|${registration}` -> { pendingSince, active }
+  const states = new Map();
+  // registration -> { anchor, since } for stationary detection
+  const anchors = new Map();
+  let alertedDrones = new Map();
+
+  /**
+   * Updates the stationary anchor of a drone
+   * @param {Object} drone - Drone data object
+   * @param {number} now - Evaluation time
+   * @returns {number} Time the drone stopped moving
+   */
+  const trackStationary = (drone, now) => {
+    const { registration } = drone.properties;
+    const position = drone.geometry.coordinates;
+    const anchor = anchors.get(registration);
+    if (
+      anchor &&
+      haversineDistance(anchor.position, position) <=
+        ALERT_ENGINE_CONFIG.STATIONARY_RADIUS
+    ) {
+      return anchor.since;
+    }
+    anchors.set(registration, { position, since: now });
+    return now;
+  };
+
+  /**
+   * Evaluates every enabled rule against every drone
+   * @param {Array} drones - Drone data objects (drone store snapshot)
+   * @param {Array} rules - Alert rules
+   * @param {number} [now=Date.now()] - Evaluation time
+   * @returns {boolean} Whether the set of alerted drones changed
+   */
+  const evaluate = (drones, rules, now = Date.now()) => {
+    const enabled = rules.filter(
+      (rule) => rule.enabled && EVALUATORS[rule.type]
+    );
+    const seen = new Set();
+    const nextAlerted = new Map();
+
+    drones.forEach((drone) => {
+      const { registration } = drone.properties;
+      const context = { now, stationarySince: trackStationary(drone, now) };
+
+      enabled.forEach((rule) => {
+        const key = `${rule.id}|${registration}`;
+        seen.add(key);
+        const state = states.get(key) ?? { pendingSince: null, active: false };
+        const { value, triggered, cleared } = EVALUATORS[rule.type](
+          drone,
+          rule,
+          context
+        );
+        const emit = (type) =>
+          onEvent({ type, rule, registration, value, time: now });
+
+        if (state.active) {
+          if (cleared) {
+            state.active = false;
+            state.pendingSince = null;
+            emit(ALERT_EVENTS.CLEARED);
+          }
+        } else if (triggered) {
+          state.pendingSince ??= now;
+          if (now - state.pendingSince >= rule.debounce * 1000) {
+            state.active = true;
+            emit(ALERT_EVENTS.TRIGGERED);
+          }
+        } else {
+          state.pendingSince = null;
+        }
+        states.set(key, state);
+
+        if (state.active) {
+          const current = nextAlerted.get(registration);
+          if (
+            !current ||
+            SEVERITY_RANK[rule.severity] > SEVERITY_RANK[current]
+          ) {
+            nextAlerted.set(registration, rule.severity);
+          }
+        }
+      });
+    });
+
+    // Removed drones and disabled or deleted rules are forgotten silently
+    states.forEach((_, key) => {
+      if (!seen.has(key)) states.delete(key);
+    });
+    const present = new Set(drones.map((drone) => drone.properties.registration));
+    anchors.forEach((_, registration) => {
+      if (!present.has(registration)) anchors.delete(registration);
+    });
+
+    const changed =
+      nextAlerted.size !== alertedDrones.size ||
+      [...nextAlerted].some(
+        ([registration, severity]) =>
+          alertedDrones.get(registration) !== severity
+      );
+    if (changed) alertedDrones = nextAlerted;
+    return changed;
+  };
+
+  /**
+   * Forgets every alert (e.g. when telemetry restarts)
+   */
+  const reset = () => {
+    states.clear();
+    anchors.clear();
+    alertedDrones = new Map();
+  };
+
+  return {
+    evaluate,
+    reset,
+    getAlertedDrones: () => alertedDrones,
+  };
+};
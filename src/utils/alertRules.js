@@ -0,0 +1,264 @@
+/**
+ * Alert Rule Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Operator-defined rules persisted in localStorage
+ * 2. Observer Pattern - Rule list published to subscribers
+ * 3. Configuration Pattern - Rule types described by metadata, not code paths
+ *
+ * An alert rule watches one telemetry condition on every drone:
+ * - type: one of ALERT_RULE_TYPES
+ * - threshold: limit in the type's unit (metres, m/s or seconds)
+ * - organizations: known organizations (unknown-organization rules only)
+ * - severity: ALERT_SEVERITIES value used for the notification and marker ring
+ * - debounce: seconds the condition must hold before the alert fires
+ * - hysteresis: how far back under the threshold a value must fall to clear
+ * - enabled: disabled rules are kept but not evaluated
+ *
+ * Evaluation lives in alertEngine.js.
+ */
+
+import { ALERT_SEVERITIES } from "./geofenceMonitor";
+import { formatAltitude, formatDuration, formatSpeed } from "./format";
+import { getLocale, translate } from "./i18n";
+
+// Rule store configuration
+export const ALERT_RULE_CONFIG = {
+  STORAGE_KEY: "sager.alertRules",
+};
+
+export const ALERT_RULE_TYPES = {
+  ALTITUDE: "altitude",
+  SPEED: "speed",
+  STATIONARY: "stationary",
+  NO_UPDATE: "no-update",
+  UNKNOWN_ORG: "unknown-org",
+};
+
+// Labels and units (message keys, see src/locales) and defaults per rule type
+export const ALERT_RULE_META = {
+  [ALERT_RULE_TYPES.ALTITUDE]: {
+    label: "alertRules.type.altitude",
+    unit: "alertRules.unit.meters",
+    defaultThreshold: 120,
+    defaultHysteresis: 5,
+    formatValue: formatAltitude,
+  },
+  [ALERT_RULE_TYPES.SPEED]: {
+    label: "alertRules.type.speed",
+    unit: "alertRules.unit.metersPerSecond",
+    defaultThreshold: 20,
+    defaultHysteresis: 1,
+    formatValue: formatSpeed,
+  },
+  [ALERT_RULE_TYPES.STATIONARY]: {
+    label: "alertRules.type.stationary",
+    unit: "alertRules.unit.seconds",
+    defaultThreshold: 120,
+    defaultHysteresis: 0,
+    formatValue: (seconds) => formatDuration(seconds * 1000),
+  },
+  [ALERT_RULE_TYPES.NO_UPDATE]: {
+    label: "alertRules.type.noUpdate",
+    unit: "alertRules.unit.seconds",
+    defaultThreshold: 15,
+    defaultHysteresis: 0,
+    formatValue: (seconds) => formatDuration(seconds * 1000),
+  },
+  [ALERT_RULE_TYPES.UNKNOWN_ORG]: {
+    label: "alertRules.type.unknownOrg",
+    unit: null,
+    defaultThreshold: 0,
+    defaultHysteresis: 0,
+    formatValue: (organization) =>
+      organization || translate("alertRules.noOrganization"),
+  },
+};
+
+/**
+ * Rules created on first run, named in the active locale
+ * @returns {Array} Default rules
+ */
+const createDefaultRules = () => [
+  {
+    id: "rule-default-altitude",
+    name: translate("alertRules.default.altitude", { threshold: 120 }),
+    type: ALERT_RULE_TYPES.ALTITUDE,
+    threshold: 120,
+    organizations: [],
+    severity: ALERT_SEVERITIES.WARNING,
+    debounce: 3,
+    hysteresis: 5,
+    enabled: true,
+  },
+  {
+    id: "rule-default-no-update",
+    name: translate("alertRules.default.noUpdate", { threshold: 15 }),
+    type: ALERT_RULE_TYPES.NO_UPDATE,
+    threshold: 15,
+    organizations: [],
+    severity: ALERT_SEVERITIES.WARNING,
+    debounce: 0,
+    hysteresis: 0,
+    enabled: true,
+  },
+];
+
+/**
+ * Reads persisted rules, seeding the defaults on first run
+ * @returns {Array} Stored rules
+ */
+const readStoredRules = () => {
+  try {
+    const raw = window.localStorage.getItem(ALERT_RULE_CONFIG.STORAGE_KEY);
+    if (raw === null) return createDefaultRules();
+    const stored = JSON.parse(raw);
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return createDefaultRules();
+  }
+};
+
+let rules = readStoredRules();
+const listeners = new Set();
+
+/**
+ * Publishes and persists the current list
+ * @param {Array} next - New rule list
+ */
+const commit = (next) => {
+  rules = next;
+  try {
+    window.localStorage.setItem(
+      ALERT_RULE_CONFIG.STORAGE_KEY,
+      JSON.stringify(rules)
+    );
+  } catch {
+    // Storage unavailable (private mode) - rules apply to this session only
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Creates a unique rule id
+ * @returns {string} Id
+ */
+const createRuleId = () =>
+  `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Builds a new rule of a type with that type's defaults
+ * @param {string} [type=ALTITUDE] - One of ALERT_RULE_TYPES
+ * @returns {Object} Unsaved rule (no id)
+ */
+export const createAlertRule = (type = ALERT_RULE_TYPES.ALTITUDE) => {
+  const meta = ALERT_RULE_META[type];
+  return {
+    name: translate(meta.label),
+    type,
+    threshold: meta.defaultThreshold,
+    organizations: [],
+    severity: ALERT_SEVERITIES.WARNING,
+    debounce: 0,
+    hysteresis: meta.defaultHysteresis,
+    enabled: true,
+  };
+};
+
+/**
+ * Normalizes a rule, rejecting unknown types
+ * @param {Object} rule - Candidate rule
+ * @returns {Object|null} Normalized rule or null
+ */
+const normalizeRule = (rule) => {
+  const meta = ALERT_RULE_META[rule.type];
+  if (!meta) return null;
+  const nonNegative = (value, fallback) =>
+    Number.isFinite(value) && value >= 0 ? value : fallback;
+
+  return {
+    id: rule.id || createRuleId(),
+    name: String(rule.name || "").trim() || translate(meta.label),
+    type: rule.type,
+    threshold: nonNegative(rule.threshold, meta.defaultThreshold),
+    organizations: (rule.organizations || [])
+      .map((organization) => String(organization).trim())
+      .filter(Boolean),
+    severity: Object.values(ALERT_SEVERITIES).includes(rule.severity)
+      ? rule.severity
+      : ALERT_SEVERITIES.WARNING,
+    debounce: nonNegative(rule.debounce, 0),
+    hysteresis: nonNegative(rule.hysteresis, meta.defaultHysteresis),
+    enabled: rule.enabled !== false,
+  };
+};
+
+/**
+ * Adds a new rule or replaces the one with the same id
+ * @param {Object} rule - Rule (id optional for new rules)
+ * @returns {Object|null} Stored rule, or null when the type is unknown
+ */
+export const saveAlertRule = (rule) => {
+  const normalized = normalizeRule(rule);
+  if (!normalized) return null;
+
+  const exists = rules.some((item) => item.id === normalized.id);
+  commit(
+    exists
+      ? rules.map((item) => (item.id === normalized.id ? normalized : item))
+      : [...rules, normalized]
+  );
+  return normalized;
+};
+
+/**
+ * Removes a rule
+ * @param {string} id - Rule id
+ */
+export const removeAlertRule = (id) => {
+  commit(rules.filter((item) => item.id !== id));
+};
+
+/**
+ * Short description of what a rule checks
+ * @param {Object} rule - Rule
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Description (e.g. "Altitude above 120 m")
+ */
+export const describeAlertRule = (rule, locale = getLocale()) => {
+  const meta = ALERT_RULE_META[rule.type];
+  if (!meta) return rule.name;
+  const label = translate(meta.label, {}, locale);
+  if (rule.type === ALERT_RULE_TYPES.UNKNOWN_ORG) {
+    return translate(
+      "alertRules.describe.organizations",
+      { label, count: rule.organizations.length },
+      locale
+    );
+  }
+  return translate(
+    "alertRules.describe.threshold",
+    {
+      label,
+      value: rule.threshold,
+      unit: translate(meta.unit, {}, locale),
+    },
+    locale
+  );
+};
+
+/**
+ * Subscribes to rule changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAlertRules = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current rules
+ * @returns {Array} Rules
+ */
+export const getAlertRules = () => rules;
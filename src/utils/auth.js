@@ -0,0 +1,236 @@
+/**
+ * Authentication Session
+ *
+ * Design Patterns Used:
+ * 1. Singleton Pattern - One signed-in session shared by the whole app
+ * 2. Observer Pattern - Session changes published to subscribers
+ * 3. Repository Pattern - Session persisted in localStorage across reloads
+ * 4. Timer Pattern - The session ends itself when its token expires
+ *
+ * Signs in against a token endpoint: POST { email, password } as JSON to
+ * VITE_AUTH_URL (default /api/auth/login, answered by the development mock in
+ * mock/authMock.js when VITE_AUTH_URL is unset). The endpoint replies with
+ * { token, expiresIn (seconds) or expiresAt, user }. The token is sent in the
+ * telemetry socket handshake (see socket.js), which closes when the session
+ * ends - on sign-out, expiry, rejection by the server or sign-out in another tab.
+ * Ending the session also empties the notification inbox and captures gallery,
+ * so the next user does not see them.
+ */
+
+import { clearCaptures } from "./captures";
+import { clearNotifications } from "./notifications";
+
+// Authentication configuration
+export const AUTH_CONFIG = {
+  DEFAULT_URL: "/api/auth/login",
+  STORAGE_KEY: "sager.session",
+  // Used when the endpoint does not say when the token expires
+  DEFAULT_TTL: 8 * 60 * 60 * 1000,
+  // setTimeout's longest delay; longer sessions re-arm the timer
+  MAX_TIMER_DELAY: 2 ** 31 - 1,
+};
+
+// Why a session ended (shown on the sign-in page)
+export const SESSION_END_REASONS = {
+  SIGNED_OUT: "signed-out",
+  EXPIRED: "expired",
+  REJECTED: "rejected",
+};
+
+const SIGNED_OUT_STATE = {
+  token: null,
+  user: null,
+  expiresAt: null,
+  endReason: null,
+};
+
+/**
+ * Normalizes the signed-in user, filling missing fields
+ * @param {Object} [user] - User from the auth endpoint
+ * @param {string} email - Email used to sign in
+ * @returns {Object} { fullName, title, email, role, organization }
+ */
+const normalizeUser = (user = {}, email) => ({
+  fullName: user.fullName || user.name || email,
+  title: user.title || "",
+  email: user.email || email,
+  role: user.role || null,
+  organization: user.organization || null,
+});
+
+/**
+ * Reads the expiry time from an auth response
+ * @param {Object} body - Auth endpoint response
+ * @param {number} now - Response time
+ * @returns {number} Epoch milliseconds
+ */
+const readExpiry = ({ expiresAt, expiresIn }, now) => {
+  const absolute =
+    typeof expiresAt === "number" ? expiresAt : Date.parse(expiresAt);
+  if (Number.isFinite(absolute)) return absolute;
+  if (Number.isFinite(expiresIn)) return now + expiresIn * 1000;
+  return now + AUTH_CONFIG.DEFAULT_TTL;
+};
+
+/**
+ * Restores the persisted session, dropping expired ones
+ * @returns {Object} Session state
+ */
+const readStoredSession = () => {
+  try {
+    const raw = window.localStorage.getItem(AUTH_CONFIG.STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (!stored?.token || !stored.user) return SIGNED_OUT_STATE;
+    if (!(stored.expiresAt > Date.now())) {
+      return { ...SIGNED_OUT_STATE, endReason: SESSION_END_REASONS.EXPIRED };
+    }
+    return { ...SIGNED_OUT_STATE, ...stored };
+  } catch {
+    return SIGNED_OUT_STATE;
+  }
+};
+
+/**
+ * Persists the session, or forgets it when signed out
+ * @param {Object} session - Session state
+ */
+const writeStoredSession = ({ token, user, expiresAt }) => {
+  try {
+    if (token) {
+      window.localStorage.setItem(
+        AUTH_CONFIG.STORAGE_KEY,
+        JSON.stringify({ token, user, expiresAt })
+      );
+    } else {
+      window.localStorage.removeItem(AUTH_CONFIG.STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable (private mode) - the session lasts this page only
+  }
+};
+
+// Module state - Singleton session and its expiry timer
+let state = readStoredSession();
+let expiryTimer = null;
+const listeners = new Set();
+
+/**
+ * Publishes a session change
+ * @param {Object} next - New session state
+ */
+const setState = (next) => {
+  state = next;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Arms the timer that ends the session when the token expires
+ * Pattern: Timer Pattern - Re-armed until the expiry time is reached
+ */
+const scheduleExpiry = () => {
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  if (!state.token) return;
+  const remaining = state.expiresAt - Date.now();
+  if (remaining <= 0) {
+    endSession(SESSION_END_REASONS.EXPIRED);
+    return;
+  }
+  expiryTimer = setTimeout(
+    scheduleExpiry,
+    Math.min(remaining, AUTH_CONFIG.MAX_TIMER_DELAY)
+  );
+};
+
+/**
+ * Ends the session (no-op when already signed out)
+ * @param {string} [reason=SESSION_END_REASONS.SIGNED_OUT] - SESSION_END_REASONS value
+ */
+export const endSession = (reason = SESSION_END_REASONS.SIGNED_OUT) => {
+  if (!state.token) return;
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  writeStoredSession(SIGNED_OUT_STATE);
+  clearNotifications();
+  clearCaptures();
+  setState({ ...SIGNED_OUT_STATE, endReason: reason });
+};
+
+/**
+ * Signs out
+ */
+export const logout = () => endSession(SESSION_END_REASONS.SIGNED_OUT);
+
+/**
+ * Signs in against the auth endpoint
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} Signed-in user
+ * @throws {Error} With `status` set when the endpoint refused the credentials
+ */
+export const login = async ({ email, password }) => {
+  const response = await fetch(
+    import.meta.env.VITE_AUTH_URL || AUTH_CONFIG.DEFAULT_URL,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email, password }),
+    }
+  );
+  const body = await response.json().catch(() => ({}));
+  const token = body.token ?? body.accessToken;
+  if (!response.ok || !token) {
+    const error = new Error(
+      body.message || `Sign-in failed (HTTP ${response.status})`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const session = {
+    token,
+    user: normalizeUser(body.user, email),
+    expiresAt: readExpiry(body, Date.now()),
+    endReason: null,
+  };
+  writeStoredSession(session);
+  setState(session);
+  scheduleExpiry();
+  return session.user;
+};
+
+/**
+ * Subscribes to session changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current session; a new object after every change
+ * @returns {Object} { token, user, expiresAt, endReason }
+ */
+export const getAuthState = () => state;
+
+/**
+ * Token for authenticated requests
+ * @returns {string|null} Bearer token, null when signed out
+ */
+export const getAuthToken = () => state.token;
+
+scheduleExpiry();
+
+// Pattern: Observer Pattern - Signing in or out in another tab applies here too
+window.addEventListener("storage", (event) => {
+  if (event.key !== AUTH_CONFIG.STORAGE_KEY) return;
+  const next = readStoredSession();
+  if (next.token === state.token) return;
+  if (next.token) {
+    setState(next);
+    scheduleExpiry();
+  } else {
+    endSession(next.endReason ?? SESSION_END_REASONS.SIGNED_OUT);
+  }
+});
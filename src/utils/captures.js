@@ -0,0 +1,122 @@
+/**
+ * Map Captures Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Map snapshots persisted in IndexedDB
+ * 2. Observer Pattern - In-memory snapshot published to subscribers
+ * 3. Singleton Pattern - One gallery shared by the whole app
+ *
+ * Captures (PNG image, thumbnail and the drones visible at capture time) are
+ * loaded once from IndexedDB, kept newest-first in memory, and written through
+ * on every change. When IndexedDB is unavailable the gallery still works for
+ * the current session. The gallery belongs to the signed-in user and is
+ * emptied when the session ends.
+ */
+
+import { DB_CONFIG, withStore } from "./indexedDb";
+
+// Gallery configuration
+export const CAPTURES_CONFIG = {
+  MAX_CAPTURES: 50,
+};
+
+let captures = [];
+let loadPromise = null;
+// Bumped by clearCaptures so a load still in flight is discarded
+let generation = 0;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Loads persisted captures into memory (once)
+ * @returns {Promise<Array>} Captures, newest first
+ */
+export const loadCaptures = () => {
+  if (loadPromise) return loadPromise;
+
+  const loadGeneration = generation;
+  loadPromise = withStore(DB_CONFIG.STORES.CAPTURES, "readonly", (store) =>
+    store.getAll()
+  )
+    .then((stored) => {
+      if (loadGeneration !== generation) return captures;
+      const known = new Set(captures.map((capture) => capture.id));
+      captures = [
+        ...captures,
+        ...stored.filter((capture) => !known.has(capture.id)),
+      ]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, CAPTURES_CONFIG.MAX_CAPTURES);
+      notify();
+      return captures;
+    })
+    .catch((error) => {
+      console.warn("Captures unavailable:", error);
+      return captures;
+    });
+
+  return loadPromise;
+};
+
+/**
+ * Adds a capture and persists it, dropping the oldest beyond the limit
+ * @param {Object} capture - Capture record from captureMap
+ * @returns {Promise} Resolves once persisted (or persistence failed)
+ */
+export const addCapture = (capture) => {
+  const next = [capture, ...captures.filter((item) => item.id !== capture.id)];
+  const dropped = next.slice(CAPTURES_CONFIG.MAX_CAPTURES);
+  captures = next.slice(0, CAPTURES_CONFIG.MAX_CAPTURES);
+  notify();
+
+  return withStore(DB_CONFIG.STORES.CAPTURES, "readwrite", (store) => {
+    dropped.forEach((item) => store.delete(item.id));
+    return store.put(capture);
+  }).catch((error) => console.warn("Could not persist capture:", error));
+};
+
+/**
+ * Removes one capture
+ * @param {string} id - Capture id
+ * @returns {Promise} Resolves once deleted
+ */
+export const removeCapture = (id) => {
+  captures = captures.filter((capture) => capture.id !== id);
+  notify();
+
+  return withStore(DB_CONFIG.STORES.CAPTURES, "readwrite", (store) =>
+    store.delete(id)
+  ).catch((error) => console.warn("Could not delete capture:", error));
+};
+
+/**
+ * Removes every capture (called when the session ends)
+ * @returns {Promise} Resolves once the store is emptied
+ */
+export const clearCaptures = () => {
+  generation += 1;
+  loadPromise = null;
+  captures = [];
+  notify();
+
+  return withStore(DB_CONFIG.STORES.CAPTURES, "readwrite", (store) =>
+    store.clear()
+  ).catch((error) => console.warn("Could not clear captures:", error));
+};
+
+/**
+ * Subscribes to gallery changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCaptures = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current captures snapshot, newest first
+ * @returns {Array} Capture records
+ */
+export const getCaptures = () => captures;
@@ -0,0 +1,76 @@
+/**
+ * File Download and Upload Helpers
+ *
+ * Design Patterns Used:
+ * 1. Facade Pattern - Hides Blob/object URL and FileReader plumbing
+ */
+
+import { TRACK_FORMATS, droneToTrack, serializeTracks } from "./trackFormats";
+
+/**
+ * Saves a Blob to the user's device
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Saves text content to the user's device
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadText = (content, fileName, mimeType) => {
+  downloadBlob(new Blob([content], { type: mimeType }), fileName);
+};
+
+/**
+ * Encodes a canvas as a Blob
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {string} type - MIME type
+ * @param {number} [quality] - Lossy encoder quality (0-1)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode image")),
+      type,
+      quality
+    );
+  });
+
+/**
+ * Builds a file-name-safe timestamp (e.g. 2025-01-31T10-15-00)
+ * @param {number} [time=Date.now()] - Epoch milliseconds
+ * @returns {string} Timestamp
+ */
+export const fileTimestamp = (time = Date.now()) =>
+  new Date(time).toISOString().slice(0, 19).replace(/:/g, "-");
+
+/**
+ * Saves drone tracks in one export format
+ * Shared by the import/export menu and the comparison panel's bulk export.
+ * @param {Array} drones - Drone data objects from the drone store
+ * @param {string} format - Key of TRACK_FORMATS
+ * @param {string} name - File name part describing the drones
+ */
+export const downloadDroneTracks = (drones, format, name) => {
+  const { extension, mimeType } = TRACK_FORMATS[format];
+  downloadText(
+    serializeTracks(drones.map(droneToTrack), format),
+    `sager-${name}-${fileTimestamp()}.${extension}`,
+    mimeType
+  );
+};
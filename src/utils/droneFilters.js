@@ -0,0 +1,176 @@
+/**
+ * Drone List Filters
+ *
+ * Design Patterns Used:
+ * 1. Specification Pattern - A filter object describes which drones match
+ * 2. Strategy Pattern - Interchangeable sort comparators
+ * 3. Pure Function Pattern - Same filter and data always give the same result
+ *
+ * A filter combines a free-text query (registration, serial, name, pilot,
+ * organization), status and organization chips (any selected value matches;
+ * no selection matches everything), a watchlist-only switch and a sort order.
+ * The DroneMenu lists the matching drones; the map dims the rest.
+ */
+
+import { getDroneStatus, getLastSeen } from "./droneStatus";
+
+// Sort order identifiers
+export const DRONE_SORTS = {
+  NAME: "name",
+  ALTITUDE: "altitude",
+  LAST_UPDATE: "last-update",
+  FLIGHT_TIME: "flight-time",
+};
+
+/**
+ * Display name used for sorting and matching
+ * @param {Object} drone - Drone data object
+ * @returns {string} Name, falling back to the registration
+ */
+const getName = ({ properties }) => properties.Name || properties.registration;
+
+/**
+ * Time since the drone was first seen (ms)
+ * @param {Object} drone - Drone data object
+ * @returns {number} Flight time so far
+ */
+const getFlightTime = (drone) =>
+  (getLastSeen(drone) ?? 0) - (drone.firstSeen ?? getLastSeen(drone) ?? 0);
+
+/**
+ * Orders numbers descending, unknown values last
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @returns {number} Comparator result
+ */
+const descending = (a, b) =>
+  (Number.isFinite(b) ? b : -Infinity) - (Number.isFinite(a) ? a : -Infinity);
+
+// Label and comparator per sort order
+export const DRONE_SORT_META = {
+  [DRONE_SORTS.NAME]: {
+    label: "Name",
+    compare: (a, b) => getName(a).localeCompare(getName(b)),
+  },
+  [DRONE_SORTS.ALTITUDE]: {
+    label: "Altitude",
+    compare: (a, b) => descending(a.properties.altitude, b.properties.altitude),
+  },
+  [DRONE_SORTS.LAST_UPDATE]: {
+    label: "Last update",
+    compare: (a, b) => descending(getLastSeen(a), getLastSeen(b)),
+  },
+  [DRONE_SORTS.FLIGHT_TIME]: {
+    label: "Flight time",
+    compare: (a, b) => descending(getFlightTime(a), getFlightTime(b)),
+  },
+};
+
+export const DEFAULT_DRONE_FILTER = {
+  query: "",
+  statuses: [],
+  organizations: [],
+  watchedOnly: false,
+  sort: DRONE_SORTS.NAME,
+};
+
+const NO_WATCHLIST = new Set();
+
+// Properties searched by the free-text query
+const SEARCH_FIELDS = ["registration", "serial", "Name", "pilot", "organization"];
+
+/**
+ * Whether a filter hides any drone (sorting alone does not)
+ * @param {Object} filter - Drone filter
+ * @returns {boolean} True when query, status, organization or watchlist is set
+ */
+export const isDroneFilterActive = (filter) =>
+  filter.query.trim() !== "" ||
+  filter.statuses.length > 0 ||
+  filter.organizations.length > 0 ||
+  filter.watchedOnly;
+
+/**
+ * Tests one drone against a filter
+ * @param {Object} drone - Drone data object
+ * @param {Object} filter - Drone filter
+ * @param {number} [now] - Clock used for status classification
+ * @param {Set<string>} [watchlist] - Watched registrations (see watchlist.js)
+ * @returns {boolean} Whether the drone matches
+ */
+export const matchesDroneFilter = (
+  drone,
+  filter,
+  now,
+  watchlist = NO_WATCHLIST
+) => {
+  const { properties } = drone;
+  if (filter.watchedOnly && !watchlist.has(properties.registration)) {
+    return false;
+  }
+  const query = filter.query.trim().toLowerCase();
+  if (
+    query &&
+    !SEARCH_FIELDS.some((field) =>
+      String(properties[field] ?? "")
+        .toLowerCase()
+        .includes(query)
+    )
+  ) {
+    return false;
+  }
+  if (
+    filter.organizations.length > 0 &&
+    !filter.organizations.includes(properties.organization)
+  ) {
+    return false;
+  }
+  return (
+    filter.statuses.length === 0 ||
+    filter.statuses.includes(getDroneStatus(drone, now).state)
+  );
+};
+
+/**
+ * Filters and sorts drones
+ * @param {Array} drones - Drone data objects
+ * @param {Object} filter - Drone filter
+ * @param {number} [now] - Clock used for status classification
+ * @param {Set<string>} [watchlist] - Watched registrations (see watchlist.js)
+ * @returns {{drones: Array, matched: Set|null}} Matching drones in sort order,
+ *   and their registrations (null when the filter hides nothing)
+ */
+export const applyDroneFilter = (
+  drones,
+  filter,
+  now,
+  watchlist = NO_WATCHLIST
+) => {
+  const isActive = isDroneFilterActive(filter);
+  const matching = isActive
+    ? drones.filter((drone) =>
+        matchesDroneFilter(drone, filter, now, watchlist)
+      )
+    : [...drones];
+  const { compare } =
+    DRONE_SORT_META[filter.sort] ?? DRONE_SORT_META[DRONE_SORTS.NAME];
+
+  return {
+    drones: matching.sort(compare),
+    matched: isActive
+      ? new Set(matching.map((drone) => drone.properties.registration))
+      : null,
+  };
+};
+
+/**
+ * Organizations present in a drone list
+ * @param {Array} drones - Drone data objects
+ * @returns {Array<string>} Sorted organization names
+ */
+export const getOrganizations = (drones) =>
+  Array.from(
+    new Set(
+      drones.map((drone) => drone.properties.organization).filter(Boolean)
+    )
+  ).sort((a, b) => a.localeCompare(b));
@@ -0,0 +1,40 @@
+/**
+ * Drone Focus Requests
+ *
+ * Design Patterns Used:
+ * 1. Mediator Pattern - Lets any component ask the map to select a drone
+ * 2. Observer Pattern - The map page subscribes to focus requests
+ *
+ * A request made while the map page is not mounted (e.g. from a notification
+ * clicked on another tab) is kept until the map page takes it on mount.
+ */
+
+let pendingRegistration = null;
+const listeners = new Set();
+
+/**
+ * Asks the map to select and fly to a drone
+ * @param {string} registration - Drone registration
+ */
+export const requestDroneFocus = (registration) => {
+  if (listeners.size === 0) {
+    pendingRegistration = registration;
+    return;
+  }
+  listeners.forEach((listener) => listener(registration));
+};
+
+/**
+ * Subscribes to focus requests, delivering any pending one immediately
+ * @param {Function} listener - Called with a registration
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDroneFocus = (listener) => {
+  listeners.add(listener);
+  if (pendingRegistration) {
+    const registration = pendingRegistration;
+    pendingRegistration = null;
+    listener(registration);
+  }
+  return () => listeners.delete(listener);
+};
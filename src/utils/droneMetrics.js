@@ -0,0 +1,137 @@
+/**
+ * Drone Flight Metrics
+ *
+ * Design Patterns Used:
+ * 1. Pure Function Pattern - Metrics derived from a drone store record, no state
+ * 2. Configuration Pattern - Rate window and sparkline length in one place
+ *
+ * Derives live kinematics from the timestamped trail kept by the drone store:
+ * ground speed and vertical rate over a short trailing window (so a single
+ * jittery frame does not spike them), flight duration from receive timestamps
+ * and the cumulative distance travelled.
+ */
+
+import { bearing, haversineDistance } from "./geo";
+import { getLastSeen } from "./droneStatus";
+
+export const METRICS_CONFIG = {
+  // Rates are averaged over at least this much history
+  RATE_WINDOW: 5000,
+  // Points shown in the altitude sparkline
+  SPARKLINE_POINTS: 120,
+};
+
+/**
+ * Finds the oldest trail index inside the rate window ending at the last point
+ * @param {Array<number>} timestamps - Receive times, oldest first
+ * @returns {number} Index of the window start (or -1 when there is no history)
+ */
+const findWindowStart = (timestamps) => {
+  const last = timestamps.length - 1;
+  if (last < 1) return -1;
+
+  let index = last - 1;
+  while (
+    index > 0 &&
+    timestamps[last] - timestamps[index] < METRICS_CONFIG.RATE_WINDOW
+  ) {
+    index -= 1;
+  }
+  return index;
+};
+
+/**
+ * Computes live metrics for one drone
+ * @param {Object} drone - Drone data object from the drone store
+ * @returns {Object} { altitude, groundSpeed, verticalRate, heading, duration,
+ *   distance, lastSeen } - speeds in m/s, heading in degrees, times in ms
+ */
+export const getDroneMetrics = (drone) => {
+  const { positions = [], timestamps = [], altitudes = [] } = drone;
+  const last = positions.length - 1;
+  const start = findWindowStart(timestamps);
+
+  let groundSpeed = null;
+  let verticalRate = null;
+  let trackBearing = null;
+
+  if (start >= 0) {
+    const seconds = (timestamps[last] - timestamps[start]) / 1000;
+    if (seconds > 0) {
+      groundSpeed = haversineDistance(positions[start], positions[last]) / seconds;
+      if (Number.isFinite(altitudes[start]) && Number.isFinite(altitudes[last])) {
+        verticalRate = (altitudes[last] - altitudes[start]) / seconds;
+      }
+    }
+    if (groundSpeed > 0) trackBearing = bearing(positions[start], positions[last]);
+  }
+
+  const { altitude, yaw } = drone.properties;
+  const lastSeen = getLastSeen(drone);
+  const firstSeen = drone.firstSeen ?? timestamps[0] ?? lastSeen;
+
+  return {
+    altitude,
+    groundSpeed,
+    verticalRate,
+    heading: Number.isFinite(yaw) ? yaw : trackBearing,
+    duration: lastSeen !== null && firstSeen !== null ? lastSeen - firstSeen : 0,
+    distance: drone.distance ?? 0,
+    lastSeen,
+  };
+};
+
+/**
+ * Returns the most recent altitude samples for a sparkline
+ * @param {Object} drone - Drone data object from the drone store
+ * @param {number} [count=METRICS_CONFIG.SPARKLINE_POINTS] - Samples to return
+ * @returns {Array<{time: number, altitude: number}>} Samples, oldest first
+ */
+export const getAltitudeSeries = (
+  drone,
+  count = METRICS_CONFIG.SPARKLINE_POINTS
+) => {
+  const { timestamps = [], altitudes = [] } = drone;
+  const samples = [];
+  for (let i = Math.max(0, altitudes.length - count); i < altitudes.length; i++) {
+    if (Number.isFinite(altitudes[i])) {
+      samples.push({ time: timestamps[i], altitude: altitudes[i] });
+    }
+  }
+  return samples;
+};
+
+/**
+ * Returns recent ground speed samples for profile charts
+ * Each sample is averaged over the rate window ending at it, like the live
+ * ground speed, so single jittery frames do not spike the profile.
+ * @param {Object} drone - Drone data object from the drone store
+ * @param {number} [count=METRICS_CONFIG.SPARKLINE_POINTS] - Samples to return
+ * @returns {Array<{time: number, speed: number}>} Samples in m/s, oldest first
+ */
+export const getSpeedSeries = (
+  drone,
+  count = METRICS_CONFIG.SPARKLINE_POINTS
+) => {
+  const { positions = [], timestamps = [] } = drone;
+  const first = Math.max(1, positions.length - count);
+  const samples = [];
+  // Pattern: Sliding Window Pattern - Window start only ever moves forward
+  let start = 0;
+  for (let i = first; i < positions.length; i++) {
+    while (
+      start < i - 1 &&
+      timestamps[i] - timestamps[start + 1] >= METRICS_CONFIG.RATE_WINDOW
+    ) {
+      start += 1;
+    }
+    const seconds = (timestamps[i] - timestamps[start]) / 1000;
+    if (seconds > 0) {
+      samples.push({
+        time: timestamps[i],
+        speed: haversineDistance(positions[start], positions[i]) / seconds,
+      });
+    }
+  }
+  return samples;
+};
@@ -0,0 +1,79 @@
+/**
+ * Drone Selection
+ *
+ * Design Patterns Used:
+ * 1. Pure Function Pattern - Selection changes return new registration lists
+ * 2. Configuration Pattern - Comparison colors in one place
+ *
+ * The map page selection is an ordered list of registrations (kept in the URL,
+ * see mapUrlState.js). The last entry is the primary selection: it drives the
+ * details panel and camera following. Two or more entries open the comparison
+ * panel and highlight every selected trail.
+ */
+
+// Series colors for compared drones, in selection order
+export const SELECTION_COLORS = [
+  "#F9000E",
+  "#38BDF8",
+  "#5CFC00",
+  "#FACC15",
+  "#C084FC",
+  "#FB923C",
+  "#F472B6",
+  "#2DD4BF",
+];
+
+/**
+ * Color for the nth selected drone
+ * @param {number} index - Position in the selection
+ * @returns {string} Hex color
+ */
+export const getSelectionColor = (index) =>
+  SELECTION_COLORS[index % SELECTION_COLORS.length];
+
+/**
+ * Whether a click or key press extends the selection (shift, ctrl or cmd)
+ * @param {MouseEvent|KeyboardEvent|undefined} event - Input event
+ * @returns {boolean} True for additive selection
+ */
+export const isAdditiveSelection = (event) =>
+  Boolean(event && (event.shiftKey || event.ctrlKey || event.metaKey));
+
+/**
+ * Adds a drone to the selection, or removes it when already selected
+ * @param {Array<string>} selection - Current registrations
+ * @param {string} registration - Drone to toggle
+ * @returns {Array<string>} New selection
+ */
+export const toggleRegistration = (selection, registration) =>
+  selection.includes(registration)
+    ? selection.filter((item) => item !== registration)
+    : [...selection, registration];
+
+/**
+ * Appends drones that are not selected yet
+ * @param {Array<string>} selection - Current registrations
+ * @param {Array<string>} registrations - Drones to add
+ * @returns {Array<string>} New selection
+ */
+export const mergeRegistrations = (selection, registrations) => [
+  ...selection,
+  ...registrations.filter(
+    (registration, index) =>
+      !selection.includes(registration) &&
+      registrations.indexOf(registration) === index
+  ),
+];
+
+/**
+ * Selection after clicking (or pressing Enter on) a drone
+ * A plain click selects only that drone; a modified click toggles it.
+ * @param {Array<string>} selection - Current registrations
+ * @param {string} registration - Clicked drone
+ * @param {MouseEvent|KeyboardEvent|undefined} event - Input event
+ * @returns {Array<string>} New selection
+ */
+export const getSelectionForClick = (selection, registration, event) =>
+  isAdditiveSelection(event)
+    ? toggleRegistration(selection, registration)
+    : [registration];
@@ -0,0 +1,166 @@
+/**
+ * Drone Status Model
+ *
+ * Design Patterns Used:
+ * 1. Strategy Pattern - Pluggable classification rule
+ * 2. Chain of Responsibility - Server status, link age, authorization, then altitude
+ * 3. Configuration Pattern - Centralized thresholds and presentation metadata
+ * 4. Single Source of Truth - Map markers, menu dots and counters share one model
+ *
+ * Derives each drone's state from telemetry rather than from its registration:
+ * - An explicit server `status` property always wins when recognised
+ * - No update for longer than the lost-link threshold means lost-link
+ * - `authorized === false` means unauthorized
+ * - Otherwise altitude decides airborne vs landed; missing altitude is unknown
+ *
+ * Independently of the state, getLinkState grades how fresh a drone's last
+ * report is (live, stale, lost) so markers and list entries can age visually.
+ * Thresholds come from linkThresholds.js.
+ */
+
+import { getLinkThresholds } from "./linkThresholds";
+
+// Status identifiers
+export const DRONE_STATES = {
+  AIRBORNE: "airborne",
+  LANDED: "landed",
+  LOST_LINK: "lost-link",
+  UNAUTHORIZED: "unauthorized",
+  UNKNOWN: "unknown",
+};
+
+// Classification thresholds (link age thresholds live in linkThresholds.js)
+export const STATUS_CONFIG = {
+  AIRBORNE_ALTITUDE: 2,
+};
+
+// Report freshness levels
+export const LINK_STATES = {
+  LIVE: "live",
+  STALE: "stale",
+  LOST: "lost",
+};
+
+// Presentation metadata shared by every status consumer
+export const STATUS_META = {
+  [DRONE_STATES.AIRBORNE]: { label: "Airborne", color: "#5CFC00" },
+  [DRONE_STATES.LANDED]: { label: "Landed", color: "#9CA3AF" },
+  [DRONE_STATES.LOST_LINK]: { label: "Lost link", color: "#FACC15" },
+  [DRONE_STATES.UNAUTHORIZED]: { label: "Unauthorized", color: "#F9000E" },
+  [DRONE_STATES.UNKNOWN]: { label: "Unknown", color: "#6B7280" },
+};
+
+// Server-provided status aliases
+const SERVER_STATUS_ALIASES = {
+  airborne: DRONE_STATES.AIRBORNE,
+  flying: DRONE_STATES.AIRBORNE,
+  "in-air": DRONE_STATES.AIRBORNE,
+  landed: DRONE_STATES.LANDED,
+  grounded: DRONE_STATES.LANDED,
+  idle: DRONE_STATES.LANDED,
+  lost: DRONE_STATES.LOST_LINK,
+  "lost-link": DRONE_STATES.LOST_LINK,
+  unauthorized: DRONE_STATES.UNAUTHORIZED,
+  blocked: DRONE_STATES.UNAUTHORIZED,
+};
+
+/**
+ * Returns when a drone was last seen (ms), if known
+ * @param {Object} drone - Drone data object
+ * @returns {number|null} Last update time
+ */
+export const getLastSeen = (drone) => {
+  if (Number.isFinite(drone.lastSeen)) return drone.lastSeen;
+  return drone.timestamps?.length
+    ? drone.timestamps[drone.timestamps.length - 1]
+    : null;
+};
+
+/**
+ * Grades how fresh a drone's last report is
+ * @param {Object} drone - Drone data object
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{state: string, age: number|null}} LINK_STATES value and age in ms
+ */
+export const getLinkState = (drone, now = Date.now()) => {
+  const lastSeen = getLastSeen(drone);
+  if (lastSeen === null) return { state: LINK_STATES.LIVE, age: null };
+
+  const age = Math.max(0, now - lastSeen);
+  const { staleAfter, lostAfter } = getLinkThresholds();
+  if (age > lostAfter) return { state: LINK_STATES.LOST, age };
+  if (age > staleAfter) return { state: LINK_STATES.STALE, age };
+  return { state: LINK_STATES.LIVE, age };
+};
+
+/**
+ * Default classification rule
+ * Pattern: Chain of Responsibility - First matching check decides the state
+ * @param {Object} drone - Drone data object
+ * @param {Object} context - Classification context
+ * @param {number} context.now - Current time in milliseconds
+ * @returns {string} One of DRONE_STATES
+ */
+export const defaultStatusRule = (drone, { now }) => {
+  const { status, authorized, altitude } = drone.properties;
+
+  const serverState =
+    typeof status === "string"
+      ? SERVER_STATUS_ALIASES[status.trim().toLowerCase()]
+      : undefined;
+  if (serverState) return serverState;
+
+  if (getLinkState(drone, now).state === LINK_STATES.LOST) {
+    return DRONE_STATES.LOST_LINK;
+  }
+
+  if (authorized === false) return DRONE_STATES.UNAUTHORIZED;
+
+  if (typeof altitude !== "number" || !Number.isFinite(altitude)) {
+    return DRONE_STATES.UNKNOWN;
+  }
+  return altitude > STATUS_CONFIG.AIRBORNE_ALTITUDE
+    ? DRONE_STATES.AIRBORNE
+    : DRONE_STATES.LANDED;
+};
+
+let activeRule = defaultStatusRule;
+
+/**
+ * Replaces the classification rule (pass nothing to restore the default)
+ * Pattern: Strategy Pattern - Deployments can plug in their own rule
+ * @param {Function} [rule] - (drone, { now, fallback }) => DRONE_STATES value
+ */
+export const setDroneStatusRule = (rule) => {
+  activeRule = rule ?? defaultStatusRule;
+};
+
+/**
+ * Classifies a drone and attaches presentation metadata
+ * @param {Object} drone - Drone data object
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{state: string, label: string, color: string}} Drone status
+ */
+export const getDroneStatus = (drone, now = Date.now()) => {
+  const context = { now, fallback: defaultStatusRule };
+  const state = activeRule(drone, context);
+  const resolved = STATUS_META[state] ? state : DRONE_STATES.UNKNOWN;
+  return { state: resolved, ...STATUS_META[resolved] };
+};
+
+/**
+ * Counts drones per state
+ * Pattern: Data Transformation Pattern - Aggregates data for display
+ * @param {Array} droneData - Array of drone objects
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object} Counts keyed by state, plus total
+ */
+export const countDronesByStatus = (droneData, now = Date.now()) => {
+  const counts = Object.fromEntries(
+    Object.values(DRONE_STATES).map((state) => [state, 0])
+  );
+  droneData.forEach((drone) => {
+    counts[getDroneStatus(drone, now).state] += 1;
+  });
+  return { ...counts, total: droneData.length };
+};
@@ -0,0 +1,316 @@
+/**
+ * Drone Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Drones indexed by registration in a Map (O(1) lookup)
+ * 2. Retention Policy Pattern - Trails bounded by point count and age
+ * 3. Strategy Pattern - Douglas–Peucker simplification of older trail segments
+ * 4. Immutable Snapshot Pattern - Changed drones get a new object (and trail arrays) per frame
+ *
+ * Replaces the array-based merge that appended every coordinate forever and did a
+ * linear search per feature per frame. Each drone record keeps:
+ * - positions: [lng, lat] pairs, oldest first (read-only for consumers)
+ * - timestamps: receive time (ms) for each position, parallel to positions
+ * - altitudes: reported altitude (m) for each position, parallel to positions
+ * - yaws: reported heading (degrees) for each position, parallel to positions
+ * - firstSeen / distance: first receive time and metres travelled since then;
+ *   unlike the trail these are never trimmed or simplified
+ * - lastSeen: receive time of the latest report
+ * - trailVersion: bumped whenever existing history is rewritten (trimmed or
+ *   simplified), so renderers can tell appends apart from rewrites
+ * - trailId: identifies the record's history across views (unique per store
+ *   record), so renderers can keep per-trail caches while views are replaced
+ *
+ * Views handed out are copies: a snapshot taken earlier never changes when
+ * later frames arrive.
+ */
+
+import { haversineDistance } from "./geo";
+
+// Default retention and simplification policy
+export const DRONE_STORE_CONFIG = {
+  MAX_POINTS: 500,
+  MAX_AGE: 30 * 60 * 1000,
+  RECENT_POINTS: 60,
+  SIMPLIFY_CHUNK: 60,
+  SIMPLIFY_TOLERANCE_METERS: 2,
+};
+
+const METERS_PER_DEGREE = 111320;
+
+// Source of trailId values, shared by all stores
+let nextTrailId = 1;
+
+/**
+ * Perpendicular distance (metres) from a point to a segment, using a local
+ * equirectangular projection around the segment start
+ * @param {Array} point - [lng, lat]
+ * @param {Array} start - Segment start [lng, lat]
+ * @param {Array} end - Segment end [lng, lat]
+ * @returns {number} Distance in metres
+ */
+const segmentDistance = (point, start, end) => {
+  const lngScale = Math.cos((start[1] * Math.PI) / 180) * METERS_PER_DEGREE;
+  const px = (point[0] - start[0]) * lngScale;
+  const py = (point[1] - start[1]) * METERS_PER_DEGREE;
+  const ex = (end[0] - start[0]) * lngScale;
+  const ey = (end[1] - start[1]) * METERS_PER_DEGREE;
+  const lengthSquared = ex * ex + ey * ey;
+
+  if (lengthSquared === 0) return Math.hypot(px, py);
+
+  const t = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+  return Math.hypot(px - t * ex, py - t * ey);
+};
+
+/**
+ * Douglas–Peucker simplification returning the indices to keep
+ * Pattern: Strategy Pattern - Iterative (stack based) line simplification
+ * @param {Array} coordinates - Array of [lng, lat] pairs
+ * @param {number} tolerance - Maximum deviation in metres
+ * @returns {Array<number>} Sorted indices of retained points
+ */
+export const simplifyIndices = (coordinates, tolerance) => {
+  const last = coordinates.length - 1;
+  if (last < 2) return coordinates.map((_, index) => index);
+
+  const keep = new Uint8Array(coordinates.length);
+  keep[0] = 1;
+  keep[last] = 1;
+  const stack = [[0, last]];
+
+  while (stack.length > 0) {
+    const [first, end] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < end; i++) {
+      const distance = segmentDistance(
+        coordinates[i],
+        coordinates[first],
+        coordinates[end]
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = 1;
+      stack.push([first, maxIndex], [maxIndex, end]);
+    }
+  }
+
+  const indices = [];
+  keep.forEach((flag, index) => flag && indices.push(index));
+  return indices;
+};
+
+/**
+ * Creates a drone store with the given retention policy
+ * Pattern: Factory Pattern - Independent stores for live and recorded data
+ * @param {Object} [policy] - Retention policy overrides
+ * @param {number} [policy.maxPoints] - Maximum trail points per drone
+ * @param {number} [policy.maxAge] - Maximum trail point age in milliseconds
+ * @param {number} [policy.recentPoints] - Newest points never simplified
+ * @param {number} [policy.simplifyChunk] - Raw points accumulated before simplifying
+ * @param {number} [policy.simplifyTolerance] - Simplification tolerance in metres
+ * @returns {Object} Drone store API
+ */
+export const createDroneStore = ({
+  maxPoints = DRONE_STORE_CONFIG.MAX_POINTS,
+  maxAge = DRONE_STORE_CONFIG.MAX_AGE,
+  recentPoints = DRONE_STORE_CONFIG.RECENT_POINTS,
+  simplifyChunk = DRONE_STORE_CONFIG.SIMPLIFY_CHUNK,
+  simplifyTolerance = DRONE_STORE_CONFIG.SIMPLIFY_TOLERANCE_METERS,
+} = {}) => {
+  // registration -> mutable record; snapshots are rebuilt from these
+  const records = new Map();
+  // registration -> immutable view handed out to consumers
+  const views = new Map();
+  let snapshot = [];
+
+  /**
+   * Simplifies the raw (not yet simplified) part of the trail, excluding the
+   * newest points, once enough raw points have accumulated
+   * @param {Object} record - Mutable drone record
+   */
+  const simplifyOlderSegment = (record) => {
+    const end = record.positions.length - recentPoints;
+    const start = Math.max(0, record.simplifiedCount - 1);
+    if (end - start < simplifyChunk) return;
+
+    const segment = record.positions.slice(start, end + 1);
+    const kept = simplifyIndices(segment, simplifyTolerance);
+    if (kept.length === segment.length) {
+      record.simplifiedCount = end;
+      return;
+    }
+
+    const positions = kept.map((index) => segment[index]);
+    const timestamps = kept.map((index) => record.timestamps[start + index]);
+    const altitudes = kept.map((index) => record.altitudes[start + index]);
+    const yaws = kept.map((index) => record.yaws[start + index]);
+
+    // Replace [start, end] with the simplified segment (end point included in both)
+    record.positions.splice(start, end - start + 1, ...positions);
+    record.timestamps.splice(start, end - start + 1, ...timestamps);
+    record.altitudes.splice(start, end - start + 1, ...altitudes);
+    record.yaws.splice(start, end - start + 1, ...yaws);
+    record.simplifiedCount = start + positions.length - 1;
+    record.trailVersion += 1;
+  };
+
+  /**
+   * Drops trail points beyond the count and age limits, always keeping the latest
+   * @param {Object} record - Mutable drone record
+   * @param {number} now - Current time in milliseconds
+   */
+  const enforceRetention = (record, now) => {
+    let drop = Math.max(0, record.positions.length - maxPoints);
+    const oldestAllowed = now - maxAge;
+    while (
+      drop < record.positions.length - 1 &&
+      record.timestamps[drop] < oldestAllowed
+    ) {
+      drop += 1;
+    }
+    if (drop === 0) return;
+
+    record.positions.splice(0, drop);
+    record.timestamps.splice(0, drop);
+    record.altitudes.splice(0, drop);
+    record.yaws.splice(0, drop);
+    record.simplifiedCount = Math.max(0, record.simplifiedCount - drop);
+    record.trailVersion += 1;
+  };
+
+  /**
+   * Merges one validated FeatureCollection into the store
+   * @param {Object} frame - FeatureCollection of drone features
+   * @param {number} [receivedAt=Date.now()] - Frame receive time
+   * @returns {Array} New snapshot of all drones
+   */
+  const applyFrame = (frame, receivedAt = Date.now()) => {
+    const changed = new Set();
+
+    frame.features.forEach((feature) => {
+      const registration = feature.properties.registration;
+      const coordinates = feature.geometry.coordinates;
+      let record = records.get(registration);
+
+      if (!record) {
+        record = {
+          type: "Feature",
+          geometry: feature.geometry,
+          properties: { ...feature.properties },
+          positions: [],
+          timestamps: [],
+          altitudes: [],
+          yaws: [],
+          simplifiedCount: 0,
+          trailVersion: 0,
+          trailId: nextTrailId++,
+          firstSeen: receivedAt,
+          lastSeen: receivedAt,
+          distance: 0,
+        };
+        records.set(registration, record);
+      } else {
+        record.distance += haversineDistance(
+          record.geometry.coordinates,
+          coordinates
+        );
+        record.geometry = feature.geometry;
+        record.properties = { ...record.properties, ...feature.properties };
+      }
+
+      record.lastSeen = receivedAt;
+      record.positions.push(coordinates);
+      record.timestamps.push(receivedAt);
+      record.altitudes.push(feature.properties.altitude);
+      record.yaws.push(feature.properties.yaw);
+      enforceRetention(record, receivedAt);
+      simplifyOlderSegment(record);
+      changed.add(registration);
+    });
+
+    if (changed.size > 0) rebuildSnapshot(changed);
+    return snapshot;
+  };
+
+  /**
+   * Rebuilds the snapshot array, giving changed drones a fresh identity
+   * Pattern: Immutable Snapshot Pattern - Unchanged drones keep their identity;
+   * the trail arrays are copied because the record keeps appending to its own
+   * @param {Set} changed - Registrations updated in this frame
+   */
+  const rebuildSnapshot = (changed) => {
+    changed.forEach((registration) => {
+      const record = records.get(registration);
+      views.set(registration, {
+        ...record,
+        positions: record.positions.slice(),
+        timestamps: record.timestamps.slice(),
+        altitudes: record.altitudes.slice(),
+        yaws: record.yaws.slice(),
+      });
+    });
+    snapshot = Array.from(views.values());
+  };
+
+  /**
+   * Removes a drone from the store
+   * @param {string} registration - Drone registration
+   * @returns {Array} New snapshot of all drones
+   */
+  const remove = (registration) => {
+    if (records.delete(registration)) {
+      views.delete(registration);
+      snapshot = Array.from(views.values());
+    }
+    return snapshot;
+  };
+
+  /**
+   * Removes drones that have not reported since a cutoff
+   * Pattern: Retention Policy Pattern - Silent drones eventually leave the map
+   * @param {number} cutoff - Drones last seen before this time are removed
+   * @returns {Array} New snapshot (the same array when nothing was removed)
+   */
+  const removeSilentSince = (cutoff) => {
+    let removed = false;
+    records.forEach((record, registration) => {
+      if (record.lastSeen >= cutoff) return;
+      records.delete(registration);
+      views.delete(registration);
+      removed = true;
+    });
+    if (removed) snapshot = Array.from(views.values());
+    return snapshot;
+  };
+
+  /**
+   * Empties the store
+   * @returns {Array} Empty snapshot
+   */
+  const clear = () => {
+    records.clear();
+    views.clear();
+    snapshot = [];
+    return snapshot;
+  };
+
+  return {
+    applyFrame,
+    remove,
+    removeSilentSince,
+    clear,
+    get: (registration) => views.get(registration) ?? null,
+    getSnapshot: () => snapshot,
+    get size() {
+      return records.size;
+    },
+  };
+};
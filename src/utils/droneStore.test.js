@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import { createDroneStore, simplifyIndices } from "./droneStore";
+
+const feature = (registration, coordinates, altitude = 50) => ({
+  type: "Feature",
+  properties: { registration, altitude, yaw: 0 },
+  geometry: { type: "Point", coordinates },
+});
+
+const frame = (...features) => ({ type: "FeatureCollection", features });
+
+describe("createDroneStore", () => {
+  it("keeps earlier snapshots unchanged when later frames arrive", () => {
+    const store = createDroneStore();
+    store.applyFrame(frame(feature("SD-B01", [35.83, 31.85])), 1000);
+    const before = store.get("SD-B01");
+
+    store.applyFrame(frame(feature("SD-B01", [35.84, 31.85])), 2000);
+    const after = store.get("SD-B01");
+
+    expect(before.positions).toEqual([[35.83, 31.85]]);
+    expect(before.timestamps).toEqual([1000]);
+    expect(before.altitudes).toEqual([50]);
+    expect(after).not.toBe(before);
+    expect(after.positions).toHaveLength(2);
+    expect(after.trailId).toBe(before.trailId);
+  });
+
+  it("keeps the identity of drones missing from a frame", () => {
+    const store = createDroneStore();
+    store.applyFrame(
+      frame(feature("SD-B01", [35.83, 31.85]), feature("SD-B02", [35.8, 31.8]))
+    );
+    const quiet = store.get("SD-B02");
+    store.applyFrame(frame(feature("SD-B01", [35.84, 31.85])));
+    expect(store.get("SD-B02")).toBe(quiet);
+  });
+
+  it("bounds trails by point count and age", () => {
+    const store = createDroneStore({ maxPoints: 5, maxAge: 10000 });
+    for (let i = 0; i < 20; i++) {
+      store.applyFrame(
+        frame(feature("SD-B01", [35.83 + i * 0.01, 31.85])),
+        i * 1000
+      );
+    }
+    expect(store.get("SD-B01").positions).toHaveLength(5);
+
+    store.applyFrame(frame(feature("SD-B01", [36, 31.85])), 60000);
+    expect(store.get("SD-B01").positions).toEqual([[36, 31.85]]);
+  });
+
+  it("removes drones silent since a cutoff", () => {
+    const store = createDroneStore();
+    store.applyFrame(frame(feature("SD-B01", [35.83, 31.85])), 1000);
+    store.applyFrame(frame(feature("SD-B02", [35.8, 31.8])), 5000);
+    store.removeSilentSince(3000);
+    expect(
+      store.getSnapshot().map((drone) => drone.properties.registration)
+    ).toEqual(["SD-B02"]);
+  });
+});
+
+describe("simplifyIndices", () => {
+  it("drops points on a straight line and keeps corners", () => {
+    const line = [
+      [35.83, 31.85],
+      [35.831, 31.85],
+      [35.832, 31.85],
+      [35.832, 31.851],
+    ];
+    expect(simplifyIndices(line, 2)).toEqual([0, 2, 3]);
+  });
+});
+
+// Scale: thousands of drones reporting every second for longer than the
+// retention window. Simplification must slow trail growth, and retained
+// points must level off at the policy limit instead of growing with flight
+// time.
+describe("drone store at scale", () => {
+  const DRONES = 2000;
+  const FRAMES = 500;
+  const POLICY = { maxPoints: 120, recentPoints: 20, simplifyChunk: 30 };
+
+  it("bounds every trail with thousands of drones", () => {
+    const store = createDroneStore(POLICY);
+    const headings = Array.from({ length: DRONES }, (_, i) => i % 360);
+    const retainedPoints = [];
+
+    for (let f = 0; f < FRAMES; f++) {
+      const features = headings.map((heading, i) => {
+        // Gently curving tracks, so simplification keeps some points
+        const angle = ((heading + f) * Math.PI) / 180;
+        return feature(
+          `SD-B${i}`,
+          [
+            35.8 + f * 0.0001 * Math.cos(angle),
+            31.8 + f * 0.0001 * Math.sin(angle),
+          ],
+          50 + (f % 20)
+        );
+      });
+
+      store.applyFrame(frame(...features), f * 1000);
+      retainedPoints.push(
+        store
+          .getSnapshot()
+          .reduce((sum, drone) => sum + drone.positions.length, 0)
+      );
+    }
+
+    expect(store.size).toBe(DRONES);
+    // Simplified trails hold fewer points than frames received
+    expect(retainedPoints[POLICY.maxPoints - 1]).toBeLessThan(
+      DRONES * POLICY.maxPoints
+    );
+    // Trails stop growing at the retention limit, though flights go on
+    expect(Math.max(...retainedPoints)).toBeLessThanOrEqual(
+      DRONES * POLICY.maxPoints
+    );
+    expect(retainedPoints.at(-1)).toBe(DRONES * POLICY.maxPoints);
+
+    store.getSnapshot().forEach((drone) => {
+      expect(drone.positions).toHaveLength(POLICY.maxPoints);
+      expect(drone.timestamps).toHaveLength(POLICY.maxPoints);
+      expect(drone.altitudes).toHaveLength(POLICY.maxPoints);
+      // The newest reports are never simplified away
+      expect(drone.timestamps.slice(-POLICY.recentPoints)).toEqual(
+        Array.from(
+          { length: POLICY.recentPoints },
+          (_, i) => (FRAMES - POLICY.recentPoints + i) * 1000
+        )
+      );
+    });
+  }, 120000);
+});
@@ -0,0 +1,99 @@
+/**
+ * Fleet Event Detector
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - Per drone: unseen -> reporting -> lost link -> reporting
+ * 2. Observer Pattern - Transitions reported through callbacks
+ * 3. Factory Pattern - createFleetEventDetector returns an isolated detector
+ *
+ * Turns the telemetry stream into fleet-level events: a drone reporting for
+ * the first time, a drone going silent for longer than the lost-link
+ * threshold, and a lost drone reporting again. Drones already flying when the
+ * stream starts are learned silently during a short startup grace period, so
+ * opening the app does not raise one "new drone" event per aircraft.
+ */
+
+import { getLinkThresholds } from "./linkThresholds";
+
+// Detector configuration
+export const FLEET_EVENTS_CONFIG = {
+  STARTUP_GRACE: 5 * 1000,
+};
+
+/**
+ * Creates a fleet event detector
+ * @param {Object} options - Detector options
+ * @param {Function} [options.onAppeared] - Called with (feature, time) for new drones
+ * @param {Function} [options.onLostLink] - Called with (registration, properties, lastSeen)
+ * @param {Function} [options.onRecovered] - Called with (feature, time) when a lost drone reports
+ * @param {number} [options.lostAfter] - Milliseconds without updates before the link is lost
+ *   (defaults to the current lost-link threshold)
+ * @param {number} [options.startupGrace] - Drones first seen within this window are not "new"
+ * @returns {Object} Detector API
+ */
+export const createFleetEventDetector = ({
+  onAppeared = () => {},
+  onLostLink = () => {},
+  onRecovered = () => {},
+  lostAfter,
+  startupGrace = FLEET_EVENTS_CONFIG.STARTUP_GRACE,
+} = {}) => {
+  // registration -> { lastSeen, properties, lost }
+  const drones = new Map();
+  let startedAt = null;
+
+  /**
+   * Records a validated frame
+   * @param {Object} frame - FeatureCollection of drone features
+   * @param {number} [now=Date.now()] - Frame time
+   */
+  const observe = (frame, now = Date.now()) => {
+    if (startedAt === null) startedAt = now;
+    const isWarmingUp = now - startedAt < startupGrace;
+
+    frame.features.forEach((feature) => {
+      const { registration } = feature.properties;
+      const known = drones.get(registration);
+
+      if (!known && !isWarmingUp) onAppeared(feature, now);
+      if (known?.lost) onRecovered(feature, now);
+
+      drones.set(registration, {
+        lastSeen: now,
+        properties: feature.properties,
+        lost: false,
+      });
+    });
+  };
+
+  /**
+   * Flags drones that stopped reporting (call periodically)
+   * @param {number} [now=Date.now()] - Current time
+   */
+  const sweep = (now = Date.now()) => {
+    const limit = lostAfter ?? getLinkThresholds().lostAfter;
+    drones.forEach((drone, registration) => {
+      if (drone.lost || now - drone.lastSeen <= limit) return;
+      drone.lost = true;
+      onLostLink(registration, drone.properties, drone.lastSeen);
+    });
+  };
+
+  /**
+   * Forgets drones that left the fleet, so a later report counts as new
+   * @param {Iterable<string>} registrations - Removed drones
+   */
+  const forget = (registrations) => {
+    for (const registration of registrations) drones.delete(registration);
+  };
+
+  /**
+   * Forgets every drone and restarts the grace period
+   */
+  const reset = () => {
+    drones.clear();
+    startedAt = null;
+  };
+
+  return { observe, sweep, forget, reset };
+};
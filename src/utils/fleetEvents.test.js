@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { createFleetEventDetector } from "./fleetEvents";
+
+const drone = (registration) => ({
+  type: "Feature",
+  properties: { registration, altitude: 50, yaw: 0 },
+  geometry: { type: "Point", coordinates: [35.83, 31.85] },
+});
+
+const frame = (...features) => ({ type: "FeatureCollection", features });
+
+const createRecordingDetector = () => {
+  const events = [];
+  const detector = createFleetEventDetector({
+    onAppeared: (feature) =>
+      events.push(`appeared:${feature.properties.registration}`),
+    onLostLink: (registration) => events.push(`lost:${registration}`),
+    onRecovered: (feature) =>
+      events.push(`recovered:${feature.properties.registration}`),
+    lostAfter: 30000,
+    startupGrace: 5000,
+  });
+  return { detector, events };
+};
+
+describe("createFleetEventDetector", () => {
+  it("learns drones silently during the startup grace period", () => {
+    const { detector, events } = createRecordingDetector();
+    detector.observe(frame(drone("SD-B01")), 0);
+    detector.observe(frame(drone("SD-B01"), drone("SD-B02")), 10000);
+    expect(events).toEqual(["appeared:SD-B02"]);
+  });
+
+  it("reports a lost link once and the recovery when the drone reports", () => {
+    const { detector, events } = createRecordingDetector();
+    detector.observe(frame(drone("SD-B01")), 0);
+    detector.sweep(40000);
+    detector.sweep(50000);
+    detector.observe(frame(drone("SD-B01")), 60000);
+    expect(events).toEqual(["lost:SD-B01", "recovered:SD-B01"]);
+  });
+
+  it("treats a forgotten drone reporting again as new", () => {
+    const { detector, events } = createRecordingDetector();
+    detector.observe(frame(drone("SD-B01"), drone("SD-B02")), 0);
+    detector.sweep(40000);
+    detector.forget(["SD-B01"]);
+    detector.sweep(80000);
+    detector.observe(frame(drone("SD-B01")), 90000);
+    expect(events).toEqual(["lost:SD-B01", "lost:SD-B02", "appeared:SD-B01"]);
+  });
+});
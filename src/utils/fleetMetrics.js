@@ -0,0 +1,144 @@
+/**
+ * Fleet Metrics
+ *
+ * Design Patterns Used:
+ * 1. Pure Function Pattern - Stateless aggregations over store snapshots
+ * 2. Configuration Pattern - Centralized bucket sizes and limits
+ *
+ * Aggregates the live fleet, the flight recorder and the flight history into
+ * the figures shown on the dashboard. "Today" means since local midnight and
+ * includes flights still in progress.
+ */
+
+import { NOTIFICATION_TYPES } from "./notifications";
+import { translate } from "./i18n";
+
+// Aggregation configuration
+export const FLEET_METRICS_CONFIG = {
+  ALTITUDE_BUCKET: 20,
+  ALTITUDE_BUCKETS: 7,
+  MAX_GROUPS: 8,
+  // Message keys (see src/locales)
+  UNKNOWN_LABEL: "fleetMetrics.unknown",
+  OTHER_LABEL: "fleetMetrics.other",
+};
+
+// Notification types counted as alerts
+const ALERT_NOTIFICATION_TYPES = new Set([
+  NOTIFICATION_TYPES.ALERT_RULE,
+  NOTIFICATION_TYPES.GEOFENCE,
+]);
+
+/**
+ * Local midnight of the day containing a timestamp
+ * @param {number} now - Epoch milliseconds
+ * @returns {number} Start of day in epoch milliseconds
+ */
+export const getStartOfDay = (now) => new Date(now).setHours(0, 0, 0, 0);
+
+/**
+ * Completed and in-progress flights that started today
+ * @param {Array} history - Completed flights (flightHistory.js)
+ * @param {Array} activeFlights - In-progress flights (flight recorder)
+ * @param {number} now - Reference time
+ * @returns {{flights: Array, count: number, duration: number}} Flights with
+ *   their duration so far, and the total duration in milliseconds
+ */
+export const summarizeFlightsToday = (history, activeFlights, now) => {
+  const startOfDay = getStartOfDay(now);
+  const flights = [
+    ...activeFlights.map((flight) => ({
+      ...flight,
+      duration: flight.lastSeen - flight.startTime,
+    })),
+    ...history,
+  ].filter((flight) => flight.startTime >= startOfDay);
+
+  return {
+    flights,
+    count: flights.length,
+    duration: flights.reduce((total, flight) => total + flight.duration, 0),
+  };
+};
+
+/**
+ * Counts items per value of a property, largest groups first
+ * Groups beyond the limit are folded into one "Other" entry.
+ * @param {Array} items - Objects to group
+ * @param {string} key - Property to group by
+ * @param {number} [limit] - Maximum number of groups
+ * @returns {Array<{label: string, count: number}>} Groups
+ */
+export const countBy = (
+  items,
+  key,
+  limit = FLEET_METRICS_CONFIG.MAX_GROUPS
+) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    const label = item[key] || translate(FLEET_METRICS_CONFIG.UNKNOWN_LABEL);
+    counts.set(label, (counts.get(label) ?? 0) + 1);
+  });
+
+  const groups = Array.from(counts, ([label, count]) => ({
+    label,
+    count,
+  })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  if (groups.length <= limit) return groups;
+
+  const rest = groups
+    .slice(limit - 1)
+    .reduce((total, group) => total + group.count, 0);
+  return [
+    ...groups.slice(0, limit - 1),
+    { label: translate(FLEET_METRICS_CONFIG.OTHER_LABEL), count: rest },
+  ];
+};
+
+/**
+ * Buckets current drone altitudes; the last bucket is open-ended
+ * @param {Array} drones - Live drone snapshot
+ * @returns {Array<{label: string, count: number}>} Buckets, lowest first
+ */
+export const buildAltitudeHistogram = (drones) => {
+  const { ALTITUDE_BUCKET, ALTITUDE_BUCKETS } = FLEET_METRICS_CONFIG;
+  const buckets = Array.from({ length: ALTITUDE_BUCKETS }, (_, index) => ({
+    label:
+      index === ALTITUDE_BUCKETS - 1
+        ? translate("fleetMetrics.altitudeAbove", {
+            from: index * ALTITUDE_BUCKET,
+          })
+        : translate("fleetMetrics.altitudeRange", {
+            from: index * ALTITUDE_BUCKET,
+            to: (index + 1) * ALTITUDE_BUCKET,
+          }),
+    count: 0,
+  }));
+
+  drones.forEach(({ properties }) => {
+    if (!Number.isFinite(properties.altitude)) return;
+    const index = Math.min(
+      ALTITUDE_BUCKETS - 1,
+      Math.max(0, Math.floor(properties.altitude / ALTITUDE_BUCKET))
+    );
+    buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Alert notifications (rule and geofence) raised today
+ * @param {Array} notifications - Notification store snapshot
+ * @param {number} now - Reference time
+ * @returns {{count: number, unread: number}} Alert counts
+ */
+export const countAlertsToday = (notifications, now) => {
+  const startOfDay = getStartOfDay(now);
+  const alerts = notifications.filter(
+    (item) => ALERT_NOTIFICATION_TYPES.has(item.type) && item.time >= startOfDay
+  );
+  return {
+    count: alerts.length,
+    unread: alerts.filter((item) => !item.read).length,
+  };
+};
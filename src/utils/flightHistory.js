@@ -0,0 +1,97 @@
+/**
+ * Flight History Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Completed flights persisted in IndexedDB
+ * 2. Observer Pattern - In-memory snapshot published to subscribers
+ * 3. Singleton Pattern - One history shared by the whole app
+ *
+ * Flights are loaded once from IndexedDB, kept newest-first in memory, and
+ * written through on every addition. When IndexedDB is unavailable the history
+ * still works for the current session.
+ */
+
+import { DB_CONFIG, withStore } from "./indexedDb";
+
+// History configuration
+export const FLIGHT_HISTORY_CONFIG = {
+  MAX_FLIGHTS: 1000,
+};
+
+let flights = [];
+let loadPromise = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Loads persisted flights into memory (once)
+ * @returns {Promise<Array>} Flights, newest first
+ */
+export const loadFlightHistory = () => {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = withStore(DB_CONFIG.STORES.FLIGHTS, "readonly", (store) =>
+    store.getAll()
+  )
+    .then((stored) => {
+      const known = new Set(flights.map((flight) => flight.id));
+      flights = [...flights, ...stored.filter((flight) => !known.has(flight.id))]
+        .sort((a, b) => b.startTime - a.startTime)
+        .slice(0, FLIGHT_HISTORY_CONFIG.MAX_FLIGHTS);
+      notify();
+      return flights;
+    })
+    .catch((error) => {
+      console.warn("Flight history unavailable:", error);
+      return flights;
+    });
+
+  return loadPromise;
+};
+
+/**
+ * Adds a completed flight and persists it
+ * @param {Object} flight - Flight record from the flight recorder
+ * @returns {Promise} Resolves once persisted (or persistence failed)
+ */
+export const addFlight = (flight) => {
+  flights = [flight, ...flights.filter((item) => item.id !== flight.id)].slice(
+    0,
+    FLIGHT_HISTORY_CONFIG.MAX_FLIGHTS
+  );
+  notify();
+
+  return withStore(DB_CONFIG.STORES.FLIGHTS, "readwrite", (store) =>
+    store.put(flight)
+  ).catch((error) => console.warn("Could not persist flight:", error));
+};
+
+/**
+ * Removes every recorded flight
+ * @returns {Promise} Resolves once the store is cleared
+ */
+export const clearFlightHistory = () => {
+  flights = [];
+  notify();
+
+  return withStore(DB_CONFIG.STORES.FLIGHTS, "readwrite", (store) =>
+    store.clear()
+  ).catch((error) => console.warn("Could not clear flight history:", error));
+};
+
+/**
+ * Subscribes to history changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToFlightHistory = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current flights snapshot, newest first
+ * @returns {Array} Flight records
+ */
+export const getFlightHistory = () => flights;
@@ -0,0 +1,177 @@
+/**
+ * Flight Session Recorder
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - Per-registration grounded -> airborne -> completed
+ * 2. Factory Pattern - Independent recorders for live and imported data
+ * 3. Observer Pattern - Completed flights reported through a callback
+ *
+ * A flight starts when a drone is first seen above the airborne altitude (takeoff
+ * or first-seen) and ends when it descends to the ground (landing) or stops
+ * reporting for longer than the lost-link threshold (last-seen).
+ */
+
+import { STATUS_CONFIG } from "./droneStatus";
+import { getLinkThresholds } from "./linkThresholds";
+import { haversineDistance } from "./geo";
+import { simplifyIndices } from "./droneStore";
+
+// Recorder configuration
+export const RECORDER_CONFIG = {
+  MIN_DURATION: 10 * 1000,
+  TRACK_TOLERANCE_METERS: 3,
+  MAX_SESSION_POINTS: 5000,
+  SWEEP_INTERVAL: 5 * 1000,
+};
+
+// Why a flight ended
+export const FLIGHT_END_REASONS = {
+  LANDED: "landed",
+  LOST_LINK: "lost-link",
+  INTERRUPTED: "interrupted",
+};
+
+/**
+ * Creates a flight recorder
+ * @param {Object} options - Recorder options
+ * @param {Function} options.onFlightCompleted - Called with each completed flight record
+ * @param {number} [options.airborneAltitude] - Altitude (m) above which a drone is flying
+ * @param {number} [options.lostAfter] - Milliseconds without updates before a flight ends
+ *   (defaults to the current lost-link threshold)
+ * @param {number} [options.minDuration] - Shorter flights are discarded as noise
+ * @returns {Object} Recorder API
+ */
+export const createFlightRecorder = ({
+  onFlightCompleted,
+  airborneAltitude = STATUS_CONFIG.AIRBORNE_ALTITUDE,
+  lostAfter,
+  minDuration = RECORDER_CONFIG.MIN_DURATION,
+}) => {
+  // registration -> in-progress session
+  const sessions = new Map();
+
+  /**
+   * Simplifies a track down to its significant points
+   * @param {Array} points - Track points ({ coordinates, altitude, time })
+   * @returns {Array} Simplified track
+   */
+  const simplifyTrack = (points) =>
+    simplifyIndices(
+      points.map((point) => point.coordinates),
+      RECORDER_CONFIG.TRACK_TOLERANCE_METERS
+    ).map((index) => points[index]);
+
+  /**
+   * Completes a session and reports it when long enough
+   * @param {string} registration - Drone registration
+   * @param {string} reason - One of FLIGHT_END_REASONS
+   */
+  const finish = (registration, reason) => {
+    const session = sessions.get(registration);
+    if (!session) return;
+    sessions.delete(registration);
+
+    const duration = session.lastSeen - session.startTime;
+    if (duration < minDuration) return;
+
+    onFlightCompleted({
+      id: `${registration}-${session.startTime}`,
+      registration,
+      ...session.details,
+      startTime: session.startTime,
+      endTime: session.lastSeen,
+      duration,
+      maxAltitude: session.maxAltitude,
+      distance: session.distance,
+      endReason: reason,
+      points: simplifyTrack(session.points),
+    });
+  };
+
+  /**
+   * Feeds one validated frame into the recorder
+   * @param {Object} frame - FeatureCollection of drone features
+   * @param {number} [now=Date.now()] - Frame receive time
+   */
+  const recordFrame = (frame, now = Date.now()) => {
+    frame.features.forEach((feature) => {
+      const { registration, altitude, Name, serial, pilot, organization } =
+        feature.properties;
+      const coordinates = feature.geometry.coordinates;
+      const airborne = altitude > airborneAltitude;
+      const session = sessions.get(registration);
+
+      if (!session) {
+        if (!airborne) return;
+        sessions.set(registration, {
+          startTime: now,
+          lastSeen: now,
+          maxAltitude: altitude,
+          distance: 0,
+          details: { name: Name, serial, pilot, organization },
+          points: [{ coordinates, altitude, time: now }],
+        });
+        return;
+      }
+
+      const previous = session.points[session.points.length - 1];
+      session.distance += haversineDistance(previous.coordinates, coordinates);
+      session.maxAltitude = Math.max(session.maxAltitude, altitude);
+      session.lastSeen = now;
+      session.details = { name: Name, serial, pilot, organization };
+      session.points.push({ coordinates, altitude, time: now });
+      if (session.points.length > RECORDER_CONFIG.MAX_SESSION_POINTS) {
+        session.points = simplifyTrack(session.points);
+      }
+
+      if (!airborne) finish(registration, FLIGHT_END_REASONS.LANDED);
+    });
+
+    sweep(now);
+  };
+
+  /**
+   * Ends sessions whose drone stopped reporting
+   * @param {number} [now=Date.now()] - Current time
+   */
+  const sweep = (now = Date.now()) => {
+    const limit = lostAfter ?? getLinkThresholds().lostAfter;
+    sessions.forEach((session, registration) => {
+      if (now - session.lastSeen > limit) {
+        finish(registration, FLIGHT_END_REASONS.LOST_LINK);
+      }
+    });
+  };
+
+  /**
+   * Ends every in-progress session (e.g. when recording stops)
+   */
+  const finishAll = () => {
+    Array.from(sessions.keys()).forEach((registration) =>
+      finish(registration, FLIGHT_END_REASONS.INTERRUPTED)
+    );
+  };
+
+  /**
+   * In-progress flights, for live totals (duration so far = lastSeen - startTime)
+   * @returns {Array} Flight summaries ({ registration, startTime, lastSeen, ... })
+   */
+  const getActiveFlights = () =>
+    Array.from(sessions, ([registration, session]) => ({
+      registration,
+      ...session.details,
+      startTime: session.startTime,
+      lastSeen: session.lastSeen,
+      maxAltitude: session.maxAltitude,
+    }));
+
+  return {
+    recordFrame,
+    sweep,
+    finishAll,
+    getActiveFlights,
+    get activeCount() {
+      return sessions.size;
+    },
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * Display Formatting Helpers
+ *
+ * Design Patterns Used:
+ * 1. Pure Function Pattern - Stateless formatters shared by UI components
+ *
+ * Keeps unit and time formatting consistent between the menu, panels and popups.
+ * Digits, units and relative times follow the active locale (see i18n.js);
+ * pass a locale to pin one, as the English-only PDF report does.
+ */
+
+import { formatDate, formatNumber, getLocale, translate } from "./i18n";
+
+/**
+ * Formats a duration as h:mm:ss or m:ss
+ * @param {number} milliseconds - Duration
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (milliseconds, locale = getLocale()) => {
+  const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) =>
+    formatNumber(value, { minimumIntegerDigits: 2 }, locale);
+
+  return hours > 0
+    ? `${formatNumber(hours, {}, locale)}:${pad(minutes)}:${pad(seconds)}`
+    : `${formatNumber(minutes, {}, locale)}:${pad(seconds)}`;
+};
+
+/**
+ * Formats a fixed-precision value with a unit
+ * @param {string} unitKey - Unit message key (see src/locales/en.js)
+ * @param {number} value - Value in that unit
+ * @param {number} digits - Fraction digits
+ * @param {string} locale - LOCALES key
+ * @param {Object} [options] - Extra Intl.NumberFormat options
+ * @returns {string} Formatted value and unit
+ */
+const formatUnit = (unitKey, value, digits, locale, options = {}) =>
+  translate(
+    unitKey,
+    {
+      value: formatNumber(
+        value,
+        {
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits,
+          ...options,
+        },
+        locale
+      ),
+    },
+    locale
+  );
+
+/**
+ * Formats a distance in metres or kilometres
+ * @param {number} meters - Distance
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted distance
+ */
+export const formatDistance = (meters, locale = getLocale()) =>
+  meters >= 1000
+    ? formatUnit("units.kilometers", meters / 1000, 2, locale)
+    : formatUnit("units.meters", Math.round(meters), 0, locale);
+
+/**
+ * Formats an altitude in metres
+ * @param {number} meters - Altitude
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted altitude
+ */
+export const formatAltitude = (meters, locale = getLocale()) =>
+  Number.isFinite(meters)
+    ? formatUnit("units.meters", Math.round(meters), 0, locale)
+    : "—";
+
+/**
+ * Formats an epoch timestamp as a short local date and time
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted date/time
+ */
+export const formatDateTime = (timestamp, locale = getLocale()) =>
+  formatDate(
+    timestamp,
+    {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+    locale
+  );
+
+/**
+ * Formats how long ago a timestamp was ("just now", "42s ago", "5m ago", ...)
+ * Older than a day falls back to the date and time.
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {number} [now=Date.now()] - Reference time
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Relative time
+ */
+export const formatTimeAgo = (
+  timestamp,
+  now = Date.now(),
+  locale = getLocale()
+) => {
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 5) return translate("time.justNow", {}, locale);
+  if (seconds < 60) {
+    return translate("time.secondsAgo", { count: seconds }, locale);
+  }
+  if (seconds < 3600) {
+    return translate(
+      "time.minutesAgo",
+      { count: Math.floor(seconds / 60) },
+      locale
+    );
+  }
+  if (seconds < 86400) {
+    return translate(
+      "time.hoursAgo",
+      { count: Math.floor(seconds / 3600) },
+      locale
+    );
+  }
+  return formatDateTime(timestamp, locale);
+};
+
+/**
+ * Formats a speed in metres per second
+ * @param {number|null} metersPerSecond - Speed
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted speed
+ */
+export const formatSpeed = (metersPerSecond, locale = getLocale()) =>
+  Number.isFinite(metersPerSecond)
+    ? formatUnit("units.metersPerSecond", metersPerSecond, 1, locale)
+    : "—";
+
+/**
+ * Formats a signed vertical rate (climb positive, descent negative)
+ * @param {number|null} metersPerSecond - Vertical rate
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted rate
+ */
+export const formatVerticalRate = (metersPerSecond, locale = getLocale()) => {
+  if (!Number.isFinite(metersPerSecond)) return "—";
+  return formatUnit("units.metersPerSecond", metersPerSecond, 1, locale, {
+    signDisplay: metersPerSecond > 0.05 ? "always" : "auto",
+  });
+};
+
+/**
+ * Formats a compass heading in degrees
+ * @param {number|null} degrees - Heading
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Formatted heading
+ */
+export const formatHeading = (degrees, locale = getLocale()) =>
+  Number.isFinite(degrees)
+    ? `${formatNumber(
+        Math.round(((degrees % 360) + 360) % 360),
+        {},
+        locale
+      )}°`
+    : "—";
+
+/**
+ * Escapes a value for interpolation into HTML markup
+ * @param {*} value - Untrusted value (e.g. a server-provided string)
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
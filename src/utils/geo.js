@@ -0,0 +1,144 @@
+/**
+ * Geographic Helpers
+ *
+ * Design Patterns Used:
+ * 1. Pure Function Pattern - Stateless geometry helpers shared across modules
+ *
+ * All coordinates are GeoJSON-ordered [lng, lat] pairs in degrees.
+ */
+
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+// Operations area the map opens on and the simulator flies around, [lng, lat]
+export const DEFAULT_MAP_CENTER = [35.832253, 31.851025];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} Distance in metres
+ */
+export const haversineDistance = (from, to) => {
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) *
+      Math.cos(toRadians(to[1])) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Initial bearing from one point to another
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} Bearing in degrees, 0–360 clockwise from north
+ */
+export const bearing = (from, to) => {
+  const lat1 = toRadians(from[1]);
+  const lat2 = toRadians(to[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x =
+    Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Total length of a path
+ * @param {Array} coordinates - Array of [lng, lat] pairs
+ * @returns {number} Length in metres
+ */
+export const pathLength = (coordinates) => {
+  let total = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    total += haversineDistance(coordinates[i - 1], coordinates[i]);
+  }
+  return total;
+};
+
+/**
+ * Bounding box of a set of coordinates
+ * @param {Array} coordinates - Array of [lng, lat] pairs
+ * @returns {Array|null} [[minLng, minLat], [maxLng, maxLat]] or null when empty
+ */
+export const getBounds = (coordinates) => {
+  if (coordinates.length === 0) return null;
+  let [minLng, minLat] = coordinates[0];
+  let [maxLng, maxLat] = coordinates[0];
+  coordinates.forEach(([lng, lat]) => {
+    minLng = Math.min(minLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLng = Math.max(maxLng, lng);
+    maxLat = Math.max(maxLat, lat);
+  });
+  return [
+    [minLng, minLat],
+    [maxLng, maxLat],
+  ];
+};
+
+/**
+ * Point reached by travelling a distance along a bearing
+ * @param {Array} origin - [lng, lat]
+ * @param {number} distance - Distance in metres
+ * @param {number} bearingDegrees - Bearing in degrees clockwise from north
+ * @returns {Array} [lng, lat]
+ */
+export const destinationPoint = (origin, distance, bearingDegrees) => {
+  const angular = distance / EARTH_RADIUS_METERS;
+  const theta = toRadians(bearingDegrees);
+  const lat1 = toRadians(origin[1]);
+  const lng1 = toRadians(origin[0]);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return [toDegrees(lng2), toDegrees(lat2)];
+};
+
+/**
+ * Closed polygon ring approximating a circle
+ * @param {Array} center - [lng, lat]
+ * @param {number} radius - Radius in metres
+ * @param {number} [steps=64] - Number of vertices
+ * @returns {Array} Closed ring of [lng, lat] pairs
+ */
+export const circleToRing = (center, radius, steps = 64) => {
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    ring.push(destinationPoint(center, radius, (i * 360) / steps));
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+/**
+ * Whether a point lies inside a polygon ring (even-odd ray casting)
+ * @param {Array} point - [lng, lat]
+ * @param {Array} ring - Ring of [lng, lat] pairs (open or closed)
+ * @returns {boolean} True when inside
+ */
+export const isPointInRing = (point, ring) => {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
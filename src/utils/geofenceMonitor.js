@@ -0,0 +1,209 @@
+/**
+ * Geofence Monitor
+ *
+ * Design Patterns Used:
+ * 1. State Machine Pattern - Per drone and zone: outside -> inside -> above ceiling
+ * 2. Observer Pattern - Transitions reported through an onEvent callback
+ * 3. Factory Pattern - createGeofenceMonitor returns an isolated monitor
+ *
+ * Checks every incoming drone position against the current geofences. Only
+ * transitions produce events (entry, exit, ceiling breach, back under the
+ * ceiling), so a drone loitering inside a zone raises one alert, not one per
+ * frame. A drone is "in breach" while it is inside a no-fly zone or above a
+ * zone's ceiling; the breached drones and zones drive map styling. Drones that
+ * leave the fleet must be forgotten explicitly, since they stop appearing in
+ * frames while still counted inside their last zones.
+ */
+
+import { isInsideGeofence, isNoFlyZone } from "./geofences";
+import { formatAltitude } from "./format";
+import { getLocale, translate } from "./i18n";
+
+export const GEOFENCE_EVENTS = {
+  ENTER: "geofence-enter",
+  EXIT: "geofence-exit",
+  CEILING_BREACH: "geofence-ceiling-breach",
+  CEILING_CLEAR: "geofence-ceiling-clear",
+};
+
+export const ALERT_SEVERITIES = {
+  INFO: "info",
+  WARNING: "warning",
+  CRITICAL: "critical",
+};
+
+/**
+ * Creates a geofence monitor
+ * @param {Object} options - Monitor options
+ * @param {Function} [options.onEvent] - Called with each transition event
+ *   ({ type, severity, registration, zoneId, zoneName, altitude, maxAltitude, time })
+ * @returns {Object} Monitor API
+ */
+export const createGeofenceMonitor = ({ onEvent = () => {} } = {}) => {
+  // registration -> Map(zoneId -> { above: boolean })
+  const occupancy = new Map();
+  let breachedDrones = new Set();
+  let breachedZones = new Set();
+
+  /**
+   * Recomputes breach sets, returning whether they changed
+   * @param {Map} zonesById - Current geofences keyed by id
+   * @returns {boolean} True when either set changed
+   */
+  const refreshBreaches = (zonesById) => {
+    const drones = new Set();
+    const zones = new Set();
+    occupancy.forEach((inside, registration) => {
+      inside.forEach(({ above }, zoneId) => {
+        const zone = zonesById.get(zoneId);
+        if (zone && (above || isNoFlyZone(zone))) {
+          drones.add(registration);
+          zones.add(zoneId);
+        }
+      });
+    });
+
+    const sameSet = (a, b) =>
+      a.size === b.size && [...a].every((value) => b.has(value));
+    const changed =
+      !sameSet(drones, breachedDrones) || !sameSet(zones, breachedZones);
+    if (changed) {
+      breachedDrones = drones;
+      breachedZones = zones;
+    }
+    return changed;
+  };
+
+  /**
+   * Checks a validated frame against the geofences
+   * @param {Object} frame - FeatureCollection of drone features
+   * @param {Array} geofences - Current geofences
+   * @param {number} [now=Date.now()] - Frame time
+   * @returns {boolean} Whether the breached drone/zone sets changed
+   */
+  const checkFrame = (frame, geofences, now = Date.now()) => {
+    const zonesById = new Map(geofences.map((zone) => [zone.id, zone]));
+
+    frame.features.forEach((feature) => {
+      const { registration, altitude } = feature.properties;
+      const point = feature.geometry.coordinates;
+      const inside = occupancy.get(registration) ?? new Map();
+      const emit = (type, severity, zone) =>
+        onEvent({
+          type,
+          severity,
+          registration,
+          zoneId: zone.id,
+          zoneName: zone.name,
+          altitude,
+          maxAltitude: zone.maxAltitude,
+          time: now,
+        });
+
+      // Zones deleted since the last frame are forgotten silently
+      inside.forEach((_, zoneId) => {
+        if (!zonesById.has(zoneId)) inside.delete(zoneId);
+      });
+
+      geofences.forEach((zone) => {
+        const wasInside = inside.get(zone.id);
+        const isInside = isInsideGeofence(zone, point);
+
+        if (!isInside) {
+          if (wasInside) {
+            inside.delete(zone.id);
+            emit(GEOFENCE_EVENTS.EXIT, ALERT_SEVERITIES.INFO, zone);
+          }
+          return;
+        }
+
+        const above =
+          !isNoFlyZone(zone) &&
+          Number.isFinite(altitude) &&
+          altitude > zone.maxAltitude;
+
+        if (!wasInside) {
+          const severity = isNoFlyZone(zone)
+            ? ALERT_SEVERITIES.CRITICAL
+            : ALERT_SEVERITIES.WARNING;
+          emit(GEOFENCE_EVENTS.ENTER, severity, zone);
+        }
+        if (above && !wasInside?.above) {
+          emit(GEOFENCE_EVENTS.CEILING_BREACH, ALERT_SEVERITIES.CRITICAL, zone);
+        } else if (!above && wasInside?.above) {
+          emit(GEOFENCE_EVENTS.CEILING_CLEAR, ALERT_SEVERITIES.INFO, zone);
+        }
+        inside.set(zone.id, { above });
+      });
+
+      if (inside.size > 0) occupancy.set(registration, inside);
+      else occupancy.delete(registration);
+    });
+
+    return refreshBreaches(zonesById);
+  };
+
+  /**
+   * Forgets drones that left the fleet, without exit events
+   * @param {Iterable<string>} registrations - Removed drones
+   * @param {Array} geofences - Current geofences
+   * @returns {boolean} Whether the breached drone/zone sets changed
+   */
+  const forget = (registrations, geofences) => {
+    let removed = false;
+    for (const registration of registrations) {
+      removed = occupancy.delete(registration) || removed;
+    }
+    if (!removed) return false;
+    return refreshBreaches(new Map(geofences.map((zone) => [zone.id, zone])));
+  };
+
+  /**
+   * Forgets every drone (e.g. when telemetry restarts)
+   */
+  const reset = () => {
+    occupancy.clear();
+    breachedDrones = new Set();
+    breachedZones = new Set();
+  };
+
+  return {
+    checkFrame,
+    forget,
+    reset,
+    getBreachedDrones: () => breachedDrones,
+    getBreachedZones: () => breachedZones,
+  };
+};
+
+// Message key per event type (see src/locales)
+const EVENT_MESSAGES = {
+  [GEOFENCE_EVENTS.ENTER]: "geofenceEvent.enter",
+  [GEOFENCE_EVENTS.EXIT]: "geofenceEvent.exit",
+  [GEOFENCE_EVENTS.CEILING_BREACH]: "geofenceEvent.ceilingBreach",
+  [GEOFENCE_EVENTS.CEILING_CLEAR]: "geofenceEvent.ceilingClear",
+};
+
+/**
+ * Human-readable description of a geofence event
+ * @param {Object} event - Event from the monitor
+ * @param {string} [locale=getLocale()] - LOCALES key
+ * @returns {string} Description
+ */
+export const describeGeofenceEvent = (event, locale = getLocale()) => {
+  const { type, registration, zoneName, altitude, maxAltitude } = event;
+  const key =
+    type === GEOFENCE_EVENTS.ENTER && !Number.isFinite(maxAltitude)
+      ? "geofenceEvent.enterNoFly"
+      : (EVENT_MESSAGES[type] ?? "geofenceEvent.other");
+  return translate(
+    key,
+    {
+      registration,
+      zone: zoneName,
+      altitude: formatAltitude(altitude, locale),
+      maxAltitude: formatAltitude(maxAltitude, locale),
+    },
+    locale
+  );
+};
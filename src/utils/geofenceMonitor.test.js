@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { GEOFENCE_EVENTS, createGeofenceMonitor } from "./geofenceMonitor";
+
+const NO_FLY = {
+  id: "zone-1",
+  name: "Airport",
+  shape: "circle",
+  center: [35.83, 31.85],
+  radius: 1000,
+  maxAltitude: null,
+};
+
+const drone = (registration, coordinates, altitude = 50) => ({
+  type: "Feature",
+  properties: { registration, altitude, yaw: 0 },
+  geometry: { type: "Point", coordinates },
+});
+
+const frame = (...features) => ({ type: "FeatureCollection", features });
+
+describe("createGeofenceMonitor", () => {
+  it("reports entry and exit once per transition", () => {
+    const events = [];
+    const monitor = createGeofenceMonitor({
+      onEvent: (event) => events.push(event.type),
+    });
+    monitor.checkFrame(frame(drone("SD-B01", [35.83, 31.85])), [NO_FLY]);
+    monitor.checkFrame(frame(drone("SD-B01", [35.831, 31.85])), [NO_FLY]);
+    monitor.checkFrame(frame(drone("SD-B01", [36, 31.85])), [NO_FLY]);
+    expect(events).toEqual([GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT]);
+    expect(monitor.getBreachedZones().size).toBe(0);
+  });
+
+  it("clears breaches of drones that left the fleet", () => {
+    const events = [];
+    const monitor = createGeofenceMonitor({
+      onEvent: (event) => events.push(event.type),
+    });
+    monitor.checkFrame(
+      frame(drone("SD-B01", [35.83, 31.85]), drone("SD-B02", [35.831, 31.85])),
+      [NO_FLY]
+    );
+    expect([...monitor.getBreachedDrones()]).toEqual(["SD-B01", "SD-B02"]);
+
+    expect(monitor.forget(["SD-B01"], [NO_FLY])).toBe(true);
+    expect([...monitor.getBreachedDrones()]).toEqual(["SD-B02"]);
+    expect([...monitor.getBreachedZones()]).toEqual(["zone-1"]);
+
+    expect(monitor.forget(["SD-B02", "SD-B09"], [NO_FLY])).toBe(true);
+    expect(monitor.getBreachedDrones().size).toBe(0);
+    expect(monitor.getBreachedZones().size).toBe(0);
+    // Forgetting is silent
+    expect(events).toEqual([GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.ENTER]);
+  });
+
+  it("reports no change when the drones were not tracked", () => {
+    const monitor = createGeofenceMonitor();
+    expect(monitor.forget(["SD-B01"], [NO_FLY])).toBe(false);
+  });
+});
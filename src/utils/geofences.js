@@ -0,0 +1,290 @@
+/**
+ * Geofence Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Named zones persisted in localStorage
+ * 2. Observer Pattern - Zone list published to subscribers
+ * 3. Adapter Pattern - Zones converted to and from GeoJSON
+ *
+ * A geofence is restricted airspace drawn by an operator:
+ * - shape "polygon": `coordinates` is an open ring of [lng, lat] pairs
+ * - shape "circle": `center` ([lng, lat]) and `radius` (metres)
+ * - maxAltitude: ceiling in metres; null makes it a no-fly zone where any
+ *   presence is a breach
+ *
+ * GeoJSON has no circle type, so circles are exported as polygon
+ * approximations carrying `shape`, `center` and `radius` properties, which the
+ * importer uses to restore the exact circle. Plain Polygon, MultiPolygon and
+ * Point features with a `radius` property are accepted as well.
+ */
+
+import { circleToRing, haversineDistance, isPointInRing } from "./geo";
+
+// Geofence configuration
+export const GEOFENCE_CONFIG = {
+  STORAGE_KEY: "sager.geofences",
+  DEFAULT_MAX_ALTITUDE: 120,
+  CIRCLE_STEPS: 64,
+  MIN_RADIUS: 10,
+};
+
+export const GEOFENCE_SHAPES = {
+  POLYGON: "polygon",
+  CIRCLE: "circle",
+};
+
+/**
+ * Reads persisted geofences
+ * @returns {Array} Stored geofences (empty when unavailable)
+ */
+const readStoredGeofences = () => {
+  try {
+    const raw = window.localStorage.getItem(GEOFENCE_CONFIG.STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+let geofences = readStoredGeofences();
+const listeners = new Set();
+
+/**
+ * Publishes and persists the current list
+ * @param {Array} next - New geofence list
+ */
+const commit = (next) => {
+  geofences = next;
+  try {
+    window.localStorage.setItem(
+      GEOFENCE_CONFIG.STORAGE_KEY,
+      JSON.stringify(geofences)
+    );
+  } catch {
+    // Storage unavailable (private mode) - zones apply to this session only
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Creates a unique geofence id
+ * @returns {string} Id
+ */
+const createGeofenceId = () =>
+  `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Closed polygon ring for any geofence shape
+ * @param {Object} geofence - Geofence
+ * @returns {Array} Closed ring of [lng, lat] pairs
+ */
+export const getGeofenceRing = (geofence) => {
+  if (geofence.shape === GEOFENCE_SHAPES.CIRCLE) {
+    return circleToRing(
+      geofence.center,
+      geofence.radius,
+      GEOFENCE_CONFIG.CIRCLE_STEPS
+    );
+  }
+  const ring = geofence.coordinates;
+  return [...ring, ring[0]];
+};
+
+/**
+ * Whether a position lies inside a geofence (horizontally)
+ * @param {Object} geofence - Geofence
+ * @param {Array} point - [lng, lat]
+ * @returns {boolean} True when inside
+ */
+export const isInsideGeofence = (geofence, point) =>
+  geofence.shape === GEOFENCE_SHAPES.CIRCLE
+    ? haversineDistance(geofence.center, point) <= geofence.radius
+    : isPointInRing(point, geofence.coordinates);
+
+/**
+ * Whether a geofence forbids any presence
+ * @param {Object} geofence - Geofence
+ * @returns {boolean} True for no-fly zones
+ */
+export const isNoFlyZone = (geofence) =>
+  !Number.isFinite(geofence.maxAltitude);
+
+/**
+ * Normalizes a geofence, rejecting unusable geometry
+ * @param {Object} geofence - Candidate geofence
+ * @returns {Object|null} Normalized geofence or null
+ */
+const normalizeGeofence = (geofence) => {
+  const isPair = (value) =>
+    Array.isArray(value) &&
+    Number.isFinite(value[0]) &&
+    Number.isFinite(value[1]);
+  const base = {
+    id: geofence.id || createGeofenceId(),
+    name: String(geofence.name || "").trim() || "Unnamed zone",
+    maxAltitude: Number.isFinite(geofence.maxAltitude)
+      ? geofence.maxAltitude
+      : null,
+  };
+
+  if (geofence.shape === GEOFENCE_SHAPES.CIRCLE) {
+    if (!isPair(geofence.center) || !Number.isFinite(geofence.radius)) {
+      return null;
+    }
+    return {
+      ...base,
+      shape: GEOFENCE_SHAPES.CIRCLE,
+      center: geofence.center.slice(0, 2),
+      radius: Math.max(GEOFENCE_CONFIG.MIN_RADIUS, geofence.radius),
+    };
+  }
+
+  const ring = (geofence.coordinates || []).filter(isPair).map((pair) =>
+    pair.slice(0, 2)
+  );
+  // Drop the closing vertex if present
+  const last = ring[ring.length - 1];
+  if (ring.length > 1 && last[0] === ring[0][0] && last[1] === ring[0][1]) {
+    ring.pop();
+  }
+  if (ring.length < 3) return null;
+  return { ...base, shape: GEOFENCE_SHAPES.POLYGON, coordinates: ring };
+};
+
+/**
+ * Adds a new geofence or replaces the one with the same id
+ * @param {Object} geofence - Geofence (id optional for new zones)
+ * @returns {Object|null} Stored geofence, or null when the geometry is invalid
+ */
+export const saveGeofence = (geofence) => {
+  const normalized = normalizeGeofence(geofence);
+  if (!normalized) return null;
+
+  const exists = geofences.some((item) => item.id === normalized.id);
+  commit(
+    exists
+      ? geofences.map((item) => (item.id === normalized.id ? normalized : item))
+      : [...geofences, normalized]
+  );
+  return normalized;
+};
+
+/**
+ * Removes a geofence
+ * @param {string} id - Geofence id
+ */
+export const removeGeofence = (id) => {
+  commit(geofences.filter((item) => item.id !== id));
+};
+
+/**
+ * Converts geofences to a GeoJSON FeatureCollection
+ * Pattern: Adapter Pattern - Zones to standard GeoJSON polygons
+ * @param {Array} [list] - Geofences to export (defaults to all)
+ * @returns {Object} FeatureCollection
+ */
+export const geofencesToGeoJSON = (list = geofences) => ({
+  type: "FeatureCollection",
+  features: list.map((geofence) => ({
+    type: "Feature",
+    id: geofence.id,
+    properties: {
+      id: geofence.id,
+      name: geofence.name,
+      maxAltitude: geofence.maxAltitude,
+      shape: geofence.shape,
+      ...(geofence.shape === GEOFENCE_SHAPES.CIRCLE && {
+        center: geofence.center,
+        radius: geofence.radius,
+      }),
+    },
+    geometry: { type: "Polygon", coordinates: [getGeofenceRing(geofence)] },
+  })),
+});
+
+/**
+ * Reads geofences from GeoJSON
+ * Pattern: Adapter Pattern - Standard GeoJSON to zones
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {Array} Parsed geofences (fresh ids)
+ */
+export const parseGeofenceGeoJSON = (geojson) => {
+  const features =
+    geojson?.type === "FeatureCollection"
+      ? geojson.features || []
+      : geojson?.type === "Feature"
+        ? [geojson]
+        : geojson?.type
+          ? [{ type: "Feature", properties: {}, geometry: geojson }]
+          : [];
+
+  return features.flatMap((feature, index) => {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry || {};
+    const common = {
+      name: properties.name || `Imported zone ${index + 1}`,
+      maxAltitude: Number.parseFloat(properties.maxAltitude),
+    };
+
+    let candidates = [];
+    if (properties.shape === GEOFENCE_SHAPES.CIRCLE && properties.center) {
+      candidates = [
+        {
+          shape: GEOFENCE_SHAPES.CIRCLE,
+          center: properties.center,
+          radius: Number.parseFloat(properties.radius),
+        },
+      ];
+    } else if (geometry.type === "Point") {
+      candidates = [
+        {
+          shape: GEOFENCE_SHAPES.CIRCLE,
+          center: geometry.coordinates,
+          radius: Number.parseFloat(properties.radius),
+        },
+      ];
+    } else if (geometry.type === "Polygon") {
+      candidates = [{ coordinates: geometry.coordinates[0] }];
+    } else if (geometry.type === "MultiPolygon") {
+      candidates = geometry.coordinates.map((polygon) => ({
+        coordinates: polygon[0],
+      }));
+    }
+
+    return candidates
+      .map((candidate) => normalizeGeofence({ ...common, ...candidate }))
+      .filter(Boolean);
+  });
+};
+
+/**
+ * Imports geofences from GeoJSON text
+ * @param {string} text - GeoJSON source
+ * @returns {number} Number of zones added
+ * @throws {Error} When the text is not JSON or contains no usable zones
+ */
+export const importGeofences = (text) => {
+  const parsed = parseGeofenceGeoJSON(JSON.parse(text));
+  if (parsed.length === 0) {
+    throw new Error("No polygons or circles found in file");
+  }
+  commit([...geofences, ...parsed]);
+  return parsed.length;
+};
+
+/**
+ * Subscribes to geofence changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToGeofences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current geofences
+ * @returns {Array} Geofences
+ */
+export const getGeofences = () => geofences;
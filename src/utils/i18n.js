@@ -0,0 +1,165 @@
+/**
+ * Internationalization
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Active locale published to subscribers
+ * 2. Repository Pattern - Chosen locale persisted in localStorage
+ * 3. Chain of Responsibility - Active catalog, then English, then the key itself
+ * 4. Flyweight Pattern - Intl formatters cached per locale and options
+ *
+ * Holds the active locale (English or Arabic), translates message keys from
+ * the catalogs in src/locales, and formats numbers for the locale. Switching
+ * locale also sets `lang` and `dir` on the document so CSS logical properties
+ * (Tailwind's start/end, ms/me utilities) mirror the layout for Arabic.
+ */
+
+import { en } from "../locales/en";
+import { ar } from "../locales/ar";
+
+// Supported locales
+export const LOCALES = {
+  en: {
+    label: "English",
+    dir: "ltr",
+    intl: "en-US",
+    mapLanguage: "en",
+    messages: en,
+  },
+  ar: {
+    label: "العربية",
+    dir: "rtl",
+    intl: "ar-JO",
+    mapLanguage: "ar",
+    messages: ar,
+  },
+};
+
+// i18n configuration
+export const I18N_CONFIG = {
+  STORAGE_KEY: "sager.locale",
+  DEFAULT_LOCALE: "en",
+};
+
+/**
+ * Picks the initial locale: stored choice, then the browser language
+ * @returns {string} LOCALES key
+ */
+const readInitialLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+  } catch {
+    // Storage unavailable - fall through to the browser language
+  }
+  const browserLanguage = globalThis.navigator?.language?.slice(0, 2);
+  return LOCALES[browserLanguage]
+    ? browserLanguage
+    : I18N_CONFIG.DEFAULT_LOCALE;
+};
+
+let locale = readInitialLocale();
+const listeners = new Set();
+const formatters = new Map();
+
+/**
+ * Reflects the locale on the <html> element (lang and text direction)
+ */
+const applyToDocument = () => {
+  if (typeof document === "undefined") return;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+};
+
+applyToDocument();
+
+/**
+ * Switches the active locale and persists the choice
+ * @param {string} next - LOCALES key
+ */
+export const setLocale = (next) => {
+  if (!LOCALES[next] || next === locale) return;
+  locale = next;
+  try {
+    window.localStorage.setItem(I18N_CONFIG.STORAGE_KEY, locale);
+  } catch {
+    // Storage unavailable (private mode) - the choice lasts this session only
+  }
+  applyToDocument();
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribes to locale changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the active locale
+ * @returns {string} LOCALES key
+ */
+export const getLocale = () => locale;
+
+/**
+ * Returns a cached Intl formatter
+ * Pattern: Flyweight Pattern - One formatter per locale, kind and options
+ * @param {Function} Formatter - Intl constructor
+ * @param {string} code - LOCALES key
+ * @param {Object} [options] - Formatter options
+ * @returns {Object} Intl formatter
+ */
+const getFormatter = (Formatter, code, options = {}) => {
+  const key = `${Formatter.name}|${code}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(LOCALES[code].intl, options));
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Formats a number for a locale
+ * @param {number} value - Number to format
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @param {string} [code=getLocale()] - LOCALES key
+ * @returns {string} Formatted number
+ */
+export const formatNumber = (value, options, code = locale) =>
+  getFormatter(Intl.NumberFormat, code, options).format(value);
+
+/**
+ * Formats a date for a locale
+ * @param {number|Date} value - Epoch milliseconds or date
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @param {string} [code=getLocale()] - LOCALES key
+ * @returns {string} Formatted date
+ */
+export const formatDate = (value, options, code = locale) =>
+  getFormatter(Intl.DateTimeFormat, code, options).format(value);
+
+/**
+ * Translates a message key
+ * Pattern: Chain of Responsibility - Falls back to English, then to the key
+ * @param {string} key - Message key (see src/locales/en.js)
+ * @param {Object} [params] - Placeholder values; numbers are localized and
+ * `count` selects the plural form
+ * @param {string} [code=getLocale()] - LOCALES key
+ * @returns {string} Translated text
+ */
+export const translate = (key, params = {}, code = locale) => {
+  let message = LOCALES[code].messages[key] ?? en[key] ?? key;
+  if (typeof message === "object") {
+    const category = getFormatter(Intl.PluralRules, code).select(
+      params.count ?? 0
+    );
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return typeof value === "number" ? formatNumber(value, {}, code) : value;
+  });
+};
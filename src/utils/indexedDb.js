@@ -0,0 +1,105 @@
+/**
+ * IndexedDB Access
+ *
+ * Design Patterns Used:
+ * 1. Singleton Pattern - One lazily opened database connection
+ * 2. Migration Pattern - Object stores created in versioned upgrade steps
+ * 3. Promise Adapter Pattern - Wraps IDBRequest callbacks in promises
+ *
+ * Shared persistence layer for features that outgrow localStorage
+ * (recorded flights, map captures and similar history).
+ */
+
+// Database configuration
+export const DB_CONFIG = {
+  NAME: "sager",
+  VERSION: 2,
+  STORES: {
+    FLIGHTS: "flights",
+    CAPTURES: "captures",
+  },
+};
+
+/**
+ * Versioned schema migrations; index = version reached after the step
+ * Pattern: Migration Pattern - Append new steps, never edit old ones
+ */
+const MIGRATIONS = [
+  null,
+  (db) => {
+    const flights = db.createObjectStore(DB_CONFIG.STORES.FLIGHTS, {
+      keyPath: "id",
+    });
+    flights.createIndex("startTime", "startTime");
+    flights.createIndex("registration", "registration");
+  },
+  (db) => {
+    const captures = db.createObjectStore(DB_CONFIG.STORES.CAPTURES, {
+      keyPath: "id",
+    });
+    captures.createIndex("createdAt", "createdAt");
+  },
+];
+
+let databasePromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+export const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Opens (and migrates) the application database
+ * Pattern: Singleton Pattern - Subsequent calls share the same connection
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  const request = indexedDB.open(DB_CONFIG.NAME, DB_CONFIG.VERSION);
+  request.onupgradeneeded = (event) => {
+    for (let version = event.oldVersion + 1; version <= DB_CONFIG.VERSION; version++) {
+      MIGRATIONS[version](request.result, request.transaction);
+    }
+  };
+
+  databasePromise = promisifyRequest(request).catch((error) => {
+    databasePromise = null;
+    throw error;
+  });
+  return databasePromise;
+};
+
+/**
+ * Runs a callback against one object store inside a transaction
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} callback - Receives the IDBObjectStore, returns an IDBRequest or value
+ * @returns {Promise} Resolves with the callback result once the transaction completes
+ */
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onabort = () => reject(transaction.error);
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+  const result = callback(transaction.objectStore(storeName));
+  const [value] = await Promise.all([
+    result instanceof IDBRequest ? promisifyRequest(result) : result,
+    completed,
+  ]);
+  return value;
+};
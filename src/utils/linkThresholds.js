@@ -0,0 +1,115 @@
+/**
+ * Link Thresholds
+ *
+ * Design Patterns Used:
+ * 1. Configuration Pattern - Layered defaults, environment and saved settings
+ * 2. Observer Pattern - Threshold changes published to subscribers
+ * 3. Singleton Pattern - One set of thresholds shared by the status model,
+ *    flight recorder and retention sweep
+ *
+ * How long a drone may go without reporting before it is shown as stale, then
+ * as lost link, and finally removed from the map:
+ * - staleAfter: markers fade and trails turn dashed
+ * - lostAfter: status becomes lost-link (flights end, notifications fire)
+ * - retention: the drone is dropped from the store
+ *
+ * Defaults can be overridden with VITE_STALE_AFTER_SECONDS,
+ * VITE_LOST_AFTER_SECONDS and VITE_RETENTION_SECONDS, and at runtime with
+ * updateLinkThresholds (persisted in localStorage).
+ */
+
+// Threshold configuration (milliseconds)
+export const LINK_THRESHOLD_CONFIG = {
+  STORAGE_KEY: "sager.linkThresholds",
+  DEFAULTS: {
+    staleAfter: 10 * 1000,
+    lostAfter: 30 * 1000,
+    retention: 5 * 60 * 1000,
+  },
+};
+
+/**
+ * Parses a seconds value from the environment
+ * @param {string|undefined} value - Environment value
+ * @returns {number|undefined} Milliseconds, or undefined when unset/invalid
+ */
+const parseSeconds = (value) => {
+  const seconds = Number.parseFloat(value);
+  return seconds > 0 ? seconds * 1000 : undefined;
+};
+
+/**
+ * Reads persisted thresholds
+ * @returns {Object} Stored thresholds or empty object
+ */
+const readStoredThresholds = () => {
+  try {
+    const raw = window.localStorage.getItem(LINK_THRESHOLD_CONFIG.STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Merges threshold layers, keeping stale < lost < retention
+ * Pattern: Configuration Pattern - Later layers override earlier ones
+ * @param {...Object} layers - Partial thresholds, lowest priority first
+ * @returns {Object} Effective thresholds
+ */
+const mergeThresholds = (...layers) => {
+  const merged = { ...LINK_THRESHOLD_CONFIG.DEFAULTS };
+  layers.forEach((layer) => {
+    Object.keys(merged).forEach((key) => {
+      if (Number.isFinite(layer[key]) && layer[key] > 0) merged[key] = layer[key];
+    });
+  });
+  merged.lostAfter = Math.max(merged.lostAfter, merged.staleAfter);
+  merged.retention = Math.max(merged.retention, merged.lostAfter);
+  return merged;
+};
+
+let thresholds = mergeThresholds(
+  {
+    staleAfter: parseSeconds(import.meta.env.VITE_STALE_AFTER_SECONDS),
+    lostAfter: parseSeconds(import.meta.env.VITE_LOST_AFTER_SECONDS),
+    retention: parseSeconds(import.meta.env.VITE_RETENTION_SECONDS),
+  },
+  readStoredThresholds()
+);
+const listeners = new Set();
+
+/**
+ * Changes thresholds and persists the change
+ * @param {Object} patch - Partial thresholds in milliseconds
+ * @returns {Object} Effective thresholds
+ */
+export const updateLinkThresholds = (patch) => {
+  thresholds = mergeThresholds(thresholds, patch);
+  try {
+    window.localStorage.setItem(
+      LINK_THRESHOLD_CONFIG.STORAGE_KEY,
+      JSON.stringify(thresholds)
+    );
+  } catch {
+    // Storage unavailable (private mode) - thresholds apply to this session only
+  }
+  listeners.forEach((listener) => listener());
+  return thresholds;
+};
+
+/**
+ * Subscribes to threshold changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLinkThresholds = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current thresholds
+ * @returns {{staleAfter: number, lostAfter: number, retention: number}} Milliseconds
+ */
+export const getLinkThresholds = () => thresholds;
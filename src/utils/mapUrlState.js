@@ -0,0 +1,205 @@
+/**
+ * Map URL State
+ *
+ * Design Patterns Used:
+ * 1. Serializer Pattern - Map page state to and from query parameters
+ * 2. Pure Function Pattern - Reading never throws; invalid values are dropped
+ * 3. Configuration Pattern - Centralized parameter names and precision
+ *
+ * The /map query string carries what an operator needs to share or restore
+ * a view:
+ * - drone (repeatable): selected registrations; the last one is the primary
+ *   selection (details panel, camera follow)
+ * - center (lng,lat), zoom, bearing: camera
+ * - q, status, org (repeatable), watched, sort: drone list filter (see droneFilters.js)
+ * - tab: open DroneMenu tab
+ *
+ * Defaults are left out so an untouched map keeps a bare /map URL.
+ */
+
+import { DRONE_STATES } from "./droneStatus";
+import { DEFAULT_DRONE_FILTER, DRONE_SORT_META } from "./droneFilters";
+
+// Query parameter names
+export const MAP_URL_PARAMS = {
+  DRONE: "drone",
+  CENTER: "center",
+  ZOOM: "zoom",
+  BEARING: "bearing",
+  QUERY: "q",
+  STATUS: "status",
+  ORGANIZATION: "org",
+  WATCHED: "watched",
+  SORT: "sort",
+  TAB: "tab",
+};
+
+// DroneMenu tabs
+export const DRONE_MENU_TABS = {
+  DRONES: "drones",
+  HISTORY: "history",
+};
+
+// Decimal places kept in the URL (about 1 m for coordinates)
+const PRECISION = {
+  COORDINATE: 5,
+  ZOOM: 2,
+  BEARING: 1,
+};
+
+const MAX_ZOOM = 22;
+const STATUS_VALUES = new Set(Object.values(DRONE_STATES));
+const TAB_VALUES = new Set(Object.values(DRONE_MENU_TABS));
+
+/**
+ * Parses a finite number
+ * @param {string|null} value - Parameter value
+ * @returns {number|null} Number, or null when missing/invalid
+ */
+const parseNumber = (value) => {
+  if (value === null || value.trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Rounds to a number of decimals without trailing zeros
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimal places
+ * @returns {string} Rounded value
+ */
+const round = (value, digits) => String(Number(value.toFixed(digits)));
+
+/**
+ * Reads the camera position
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{center: Array, zoom: number|null, bearing: number|null}|null}
+ *   View, or null when no valid center is given
+ */
+const readView = (params) => {
+  const [lng, lat] = (params.get(MAP_URL_PARAMS.CENTER) ?? "")
+    .split(",")
+    .map(parseNumber);
+  if (
+    lng === null ||
+    lat === null ||
+    Math.abs(lng) > 180 ||
+    Math.abs(lat) > 90
+  ) {
+    return null;
+  }
+  const zoom = parseNumber(params.get(MAP_URL_PARAMS.ZOOM));
+  return {
+    center: [lng, lat],
+    zoom: zoom !== null && zoom >= 0 && zoom <= MAX_ZOOM ? zoom : null,
+    bearing: parseNumber(params.get(MAP_URL_PARAMS.BEARING)),
+  };
+};
+
+/**
+ * Reads the drone list filter; unknown statuses and sorts are ignored
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} Drone filter
+ */
+const readFilter = (params) => {
+  const sort = params.get(MAP_URL_PARAMS.SORT);
+  return {
+    query: params.get(MAP_URL_PARAMS.QUERY) ?? DEFAULT_DRONE_FILTER.query,
+    statuses: (params.get(MAP_URL_PARAMS.STATUS) ?? "")
+      .split(",")
+      .filter((status) => STATUS_VALUES.has(status)),
+    organizations: params.getAll(MAP_URL_PARAMS.ORGANIZATION).filter(Boolean),
+    watchedOnly: params.get(MAP_URL_PARAMS.WATCHED) === "1",
+    sort: DRONE_SORT_META[sort] ? sort : DEFAULT_DRONE_FILTER.sort,
+  };
+};
+
+/**
+ * Reads the map page state from the query string
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{selectedDrones: Array<string>, view: Object|null, filter: Object,
+ *   menuTab: string}} Map page state
+ */
+export const readMapUrlState = (params) => {
+  const tab = params.get(MAP_URL_PARAMS.TAB);
+  return {
+    selectedDrones: Array.from(
+      new Set(params.getAll(MAP_URL_PARAMS.DRONE).filter(Boolean))
+    ),
+    view: readView(params),
+    filter: readFilter(params),
+    menuTab: TAB_VALUES.has(tab) ? tab : DRONE_MENU_TABS.DRONES,
+  };
+};
+
+/**
+ * Sets a parameter, or removes it when the value is the default
+ * @param {URLSearchParams} params - Query parameters (mutated)
+ * @param {string} name - Parameter name
+ * @param {string|null} value - New value
+ * @param {string|null} [defaultValue] - Value left out of the URL
+ */
+const setParam = (params, name, value, defaultValue = null) => {
+  if (value === null || value === "" || value === defaultValue) {
+    params.delete(name);
+  } else {
+    params.set(name, value);
+  }
+};
+
+/**
+ * Applies state changes to a query string
+ * Only the keys present in the patch are written; other parameters are kept.
+ * @param {URLSearchParams} params - Current query parameters
+ * @param {Object} patch - Any of selectedDrones (or a single selectedDrone),
+ *   view, filter, menuTab
+ * @returns {URLSearchParams} New query parameters
+ */
+export const writeMapUrlState = (params, patch) => {
+  const next = new URLSearchParams(params);
+
+  if ("selectedDrones" in patch || "selectedDrone" in patch) {
+    const registrations =
+      patch.selectedDrones ?? [patch.selectedDrone].filter(Boolean);
+    next.delete(MAP_URL_PARAMS.DRONE);
+    registrations.forEach((registration) =>
+      next.append(MAP_URL_PARAMS.DRONE, registration)
+    );
+  }
+  if ("view" in patch) {
+    const { center, zoom, bearing } = patch.view ?? {};
+    setParam(
+      next,
+      MAP_URL_PARAMS.CENTER,
+      center
+        ? center.map((value) => round(value, PRECISION.COORDINATE)).join(",")
+        : null
+    );
+    setParam(
+      next,
+      MAP_URL_PARAMS.ZOOM,
+      Number.isFinite(zoom) ? round(zoom, PRECISION.ZOOM) : null
+    );
+    setParam(
+      next,
+      MAP_URL_PARAMS.BEARING,
+      Number.isFinite(bearing) ? round(bearing, PRECISION.BEARING) : null,
+      "0"
+    );
+  }
+  if ("filter" in patch) {
+    const { query, statuses, organizations, watchedOnly, sort } = patch.filter;
+    setParam(next, MAP_URL_PARAMS.QUERY, query);
+    setParam(next, MAP_URL_PARAMS.STATUS, statuses.join(","));
+    next.delete(MAP_URL_PARAMS.ORGANIZATION);
+    organizations.forEach((organization) =>
+      next.append(MAP_URL_PARAMS.ORGANIZATION, organization)
+    );
+    setParam(next, MAP_URL_PARAMS.WATCHED, watchedOnly ? "1" : null);
+    setParam(next, MAP_URL_PARAMS.SORT, sort, DEFAULT_DRONE_FILTER.sort);
+  }
+  if ("menuTab" in patch) {
+    setParam(next, MAP_URL_PARAMS.TAB, patch.menuTab, DRONE_MENU_TABS.DRONES);
+  }
+  return next;
+};
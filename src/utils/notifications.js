@@ -0,0 +1,191 @@
+/**
+ * Notifications Store
+ *
+ * Design Patterns Used:
+ * 1. Observer Pattern - Notification list published to subscribers
+ * 2. Repository Pattern - History persisted in localStorage
+ * 3. Singleton Pattern - One inbox shared by the navbar and every producer
+ *
+ * Any module can push an event (new drone, lost link, geofence breach, socket
+ * disconnect, ...). Notifications are kept newest first, capped, and carry a
+ * read flag. Repeated events of the same kind for the same subject are grouped
+ * for display by groupNotifications.
+ */
+
+// Notification store configuration
+export const NOTIFICATION_CONFIG = {
+  STORAGE_KEY: "sager.notifications",
+  MAX_ITEMS: 200,
+  // Same-kind events closer together than this collapse into one group
+  GROUP_WINDOW: 5 * 60 * 1000,
+};
+
+export const NOTIFICATION_TYPES = {
+  DRONE_APPEARED: "drone-appeared",
+  DRONE_LOST_LINK: "drone-lost-link",
+  GEOFENCE: "geofence",
+  ALERT_RULE: "alert-rule",
+  CONNECTION: "connection",
+};
+
+export const NOTIFICATION_SEVERITIES = {
+  INFO: "info",
+  WARNING: "warning",
+  CRITICAL: "critical",
+};
+
+/**
+ * Reads persisted notifications
+ * @returns {Array} Stored notifications (empty when unavailable)
+ */
+const readStoredNotifications = () => {
+  try {
+    const raw = window.localStorage.getItem(NOTIFICATION_CONFIG.STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+let notifications = readStoredNotifications();
+const listeners = new Set();
+let nextId = 0;
+
+/**
+ * Publishes and persists the current list
+ * @param {Array} next - New notification list (newest first)
+ */
+const commit = (next) => {
+  notifications = next;
+  try {
+    window.localStorage.setItem(
+      NOTIFICATION_CONFIG.STORAGE_KEY,
+      JSON.stringify(notifications)
+    );
+  } catch {
+    // Storage unavailable (private mode) - history lasts for this session only
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Adds a notification
+ * @param {Object} notification - Notification fields
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title - Short headline
+ * @param {string} [notification.message] - Details
+ * @param {string} [notification.severity=INFO] - One of NOTIFICATION_SEVERITIES
+ * @param {string|null} [notification.registration] - Drone to focus on click
+ * @param {string} [notification.subject] - Grouping subject (defaults to registration)
+ * @param {number} [notification.time=Date.now()] - Event time
+ * @returns {Object} Stored notification
+ */
+export const pushNotification = ({
+  type,
+  title,
+  message = "",
+  severity = NOTIFICATION_SEVERITIES.INFO,
+  registration = null,
+  subject = registration,
+  time = Date.now(),
+}) => {
+  nextId += 1;
+  const notification = {
+    id: `${time.toString(36)}-${nextId}`,
+    type,
+    title,
+    message,
+    severity,
+    registration,
+    subject,
+    time,
+    read: false,
+  };
+  commit(
+    [notification, ...notifications].slice(0, NOTIFICATION_CONFIG.MAX_ITEMS)
+  );
+  return notification;
+};
+
+/**
+ * Marks notifications as read
+ * @param {Array<string>} ids - Notification ids
+ */
+export const markNotificationsRead = (ids) => {
+  const targets = new Set(ids);
+  if (!notifications.some((item) => targets.has(item.id) && !item.read)) return;
+  commit(
+    notifications.map((item) =>
+      targets.has(item.id) ? { ...item, read: true } : item
+    )
+  );
+};
+
+/**
+ * Marks every notification as read
+ */
+export const markAllNotificationsRead = () => {
+  if (!notifications.some((item) => !item.read)) return;
+  commit(notifications.map((item) => ({ ...item, read: true })));
+};
+
+/**
+ * Removes every notification
+ */
+export const clearNotifications = () => {
+  commit([]);
+};
+
+/**
+ * Groups same-kind notifications about the same subject
+ * Pattern: Pure Function Pattern - Display grouping without changing the store
+ * @param {Array} list - Notifications, newest first
+ * @returns {Array} Groups ({ key, latest, items, unread }), newest first
+ */
+export const groupNotifications = (list) => {
+  const groups = [];
+  const open = new Map();
+
+  list.forEach((notification) => {
+    const key = `${notification.type}:${notification.subject ?? ""}`;
+    const group = open.get(key);
+    const oldest = group?.items[group.items.length - 1];
+    const isRepeat =
+      group &&
+      oldest.time - notification.time <= NOTIFICATION_CONFIG.GROUP_WINDOW;
+
+    if (isRepeat) {
+      group.items.push(notification);
+      if (!notification.read) group.unread += 1;
+      return;
+    }
+
+    const created = {
+      key: `${key}:${notification.id}`,
+      latest: notification,
+      items: [notification],
+      unread: notification.read ? 0 : 1,
+    };
+    open.set(key, created);
+    groups.push(created);
+  });
+
+  return groups;
+};
+
+/**
+ * Subscribes to notification changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToNotifications = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current notifications
+ * @returns {Array} Notifications, newest first
+ */
+export const getNotifications = () => notifications;
@@ -0,0 +1,304 @@
+/**
+ * PDF Incident Report
+ *
+ * Design Patterns Used:
+ * 1. Builder Pattern - Pages are laid out line by line, then assembled into a PDF
+ * 2. Template Method Pattern - Every report has the same header, snapshot,
+ *    drone table and footer
+ *
+ * Writes a minimal PDF 1.4 file by hand (no PDF library): A4 pages using the
+ * standard Helvetica fonts, the map snapshot embedded as a JPEG, and a table of
+ * the drones visible at capture time. Text outside WinAnsi is replaced.
+ */
+
+import { canvasToBlob } from "./download";
+import { formatAltitude, formatHeading, formatSpeed } from "./format";
+
+// Report layout configuration (PDF points)
+export const PDF_REPORT_CONFIG = {
+  TITLE: "Sager Incident Report",
+  ATTRIBUTION: "Map data © Mapbox © OpenStreetMap",
+  PAGE_WIDTH: 595,
+  PAGE_HEIGHT: 842,
+  MARGIN: 40,
+  MAX_IMAGE_HEIGHT: 340,
+  JPEG_QUALITY: 0.9,
+  ROW_HEIGHT: 13,
+  FONT_SIZE: 8,
+  // Table columns: header, x offset from the margin, max characters
+  COLUMNS: [
+    { label: "Registration", x: 0, chars: 14 },
+    { label: "Name", x: 72, chars: 18 },
+    { label: "Status", x: 160, chars: 11 },
+    { label: "Altitude", x: 215, chars: 8 },
+    { label: "Speed", x: 258, chars: 9 },
+    { label: "Heading", x: 306, chars: 6 },
+    { label: "Position", x: 346, chars: 20 },
+    { label: "Pilot", x: 450, chars: 14 },
+  ],
+};
+
+// WinAnsi codes for common characters outside Latin-1
+const WIN_ANSI = {
+  "–": 0o226,
+  "—": 0o227,
+  "‘": 0o221,
+  "’": 0o222,
+  "“": 0o223,
+  "”": 0o224,
+  "…": 0o205,
+};
+
+/**
+ * Escapes text for a PDF string literal in WinAnsi encoding
+ * @param {*} value - Text to write
+ * @returns {string} Escaped ASCII string body
+ */
+const toPdfString = (value) =>
+  Array.from(String(value))
+    .map((char) => {
+      const code = char.codePointAt(0);
+      if (char === "\\" || char === "(" || char === ")") return `\\${char}`;
+      if (code >= 32 && code < 127) return char;
+      const winAnsi = code >= 160 && code <= 255 ? code : WIN_ANSI[char];
+      return winAnsi ? `\\${winAnsi.toString(8).padStart(3, "0")}` : "?";
+    })
+    .join("");
+
+/**
+ * Shortens text to a column width
+ * @param {*} value - Cell value
+ * @param {number} chars - Maximum characters
+ * @returns {string} Cell text
+ */
+const truncate = (value, chars) => {
+  const text = String(value ?? "—");
+  return text.length > chars ? `${text.slice(0, chars - 1)}…` : text;
+};
+
+/**
+ * Content stream operator for one line of text
+ * @param {number} x - Left position
+ * @param {number} y - Baseline position
+ * @param {*} value - Text
+ * @param {Object} [options] - { size, bold }
+ * @returns {string} Content stream fragment
+ */
+const textLine = (x, y, value, { size = 10, bold = false } = {}) =>
+  `BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td (${toPdfString(
+    value
+  )}) Tj ET`;
+
+/**
+ * Re-encodes the PNG snapshot as JPEG for DCTDecode embedding
+ * @param {Blob} image - PNG snapshot
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number}>} JPEG data
+ */
+const toJpeg = async (image) => {
+  const bitmap = await createImageBitmap(image);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const jpeg = await canvasToBlob(
+    canvas,
+    "image/jpeg",
+    PDF_REPORT_CONFIG.JPEG_QUALITY
+  );
+  return {
+    bytes: new Uint8Array(await jpeg.arrayBuffer()),
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
+
+/**
+ * Lays out the report pages
+ * Pattern: Template Method Pattern - Header and snapshot on page one, table rows
+ * flowing onto further pages with a repeated table header
+ * @param {Object} capture - Capture record (see mapCapture.js)
+ * @param {{width: number, height: number}} image - Snapshot size in pixels
+ * @returns {Array<string>} One content stream per page
+ */
+const layoutPages = (capture, image) => {
+  const config = PDF_REPORT_CONFIG;
+  const left = config.MARGIN;
+  const right = config.PAGE_WIDTH - config.MARGIN;
+  const top = config.PAGE_HEIGHT - config.MARGIN;
+  const pages = [];
+  let lines = [];
+  let y = top;
+
+  const tableHeader = () => {
+    config.COLUMNS.forEach((column) =>
+      lines.push(
+        textLine(left + column.x, y, column.label, {
+          size: config.FONT_SIZE,
+          bold: true,
+        })
+      )
+    );
+    lines.push(`0.6 G ${left} ${y - 4} m ${right} ${y - 4} l S 0 G`);
+    y -= config.ROW_HEIGHT + 2;
+  };
+
+  // Header
+  const { center, zoom, bearing } = capture.view;
+  lines.push(textLine(left, y - 14, config.TITLE, { size: 18, bold: true }));
+  y -= 36;
+  [
+    `Captured: ${new Date(capture.createdAt).toLocaleString()}`,
+    `Telemetry time: ${new Date(capture.telemetryTime).toLocaleString()}`,
+    `Map center: ${center[1].toFixed(5)}, ${center[0].toFixed(
+      5
+    )} · zoom ${zoom.toFixed(1)} · bearing ${formatHeading(bearing, "en")}`,
+    `Visible drones: ${capture.drones.length}`,
+  ].forEach((text) => {
+    lines.push(textLine(left, y, text));
+    y -= 14;
+  });
+
+  // Snapshot, scaled to the content width
+  const maxWidth = right - left;
+  const scale = Math.min(
+    maxWidth / image.width,
+    config.MAX_IMAGE_HEIGHT / image.height
+  );
+  const width = image.width * scale;
+  const height = image.height * scale;
+  y -= height;
+  lines.push(
+    `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${left} ${y.toFixed(
+      2
+    )} cm /Im1 Do Q`
+  );
+  y -= 28;
+
+  // Drone table
+  tableHeader();
+  capture.drones.forEach((drone) => {
+    if (y < config.MARGIN + config.ROW_HEIGHT) {
+      pages.push(lines);
+      lines = [];
+      y = top;
+      tableHeader();
+    }
+    const [lng, lat] = drone.coordinates;
+    const cells = [
+      drone.registration,
+      drone.name,
+      drone.status,
+      formatAltitude(drone.altitude, "en"),
+      formatSpeed(drone.speed, "en"),
+      formatHeading(drone.heading, "en"),
+      `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+      drone.pilot,
+    ];
+    config.COLUMNS.forEach((column, index) =>
+      lines.push(
+        textLine(left + column.x, y, truncate(cells[index], column.chars), {
+          size: config.FONT_SIZE,
+        })
+      )
+    );
+    y -= config.ROW_HEIGHT;
+  });
+  pages.push(lines);
+
+  // Footer on every page
+  return pages.map((pageLines, index) =>
+    [
+      ...pageLines,
+      textLine(
+        left,
+        config.MARGIN / 2,
+        `Page ${index + 1} of ${pages.length} · ${config.ATTRIBUTION}`,
+        { size: 7 }
+      ),
+    ].join("\n")
+  );
+};
+
+/**
+ * Assembles page content streams and the snapshot into a PDF file
+ * Pattern: Builder Pattern - Objects written in order with a byte-offset xref
+ * @param {Array<string>} contents - Page content streams (ASCII)
+ * @param {{bytes: Uint8Array, width: number, height: number}} image - JPEG snapshot
+ * @returns {Blob} PDF file
+ */
+const buildPdf = (contents, image) => {
+  const { PAGE_WIDTH, PAGE_HEIGHT } = PDF_REPORT_CONFIG;
+  const FIRST_PAGE = 6;
+  const pageIds = contents.map((_, index) => FIRST_PAGE + index * 2);
+  const font = (name) =>
+    `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+
+  // Object number -> parts (ASCII strings or raw bytes)
+  const objects = [
+    null,
+    ["<< /Type /Catalog /Pages 2 0 R >>"],
+    [
+      `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(" ")}] /Count ${pageIds.length} >>`,
+    ],
+    [font("Helvetica")],
+    [font("Helvetica-Bold")],
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+      image.bytes,
+      "\nendstream",
+    ],
+  ];
+  contents.forEach((content, index) => {
+    const id = pageIds[index];
+    objects[id] = [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << /Im1 5 0 R >> >> /Contents ${
+        id + 1
+      } 0 R >>`,
+    ];
+    objects[id + 1] = [
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+  });
+
+  const chunks = [
+    "%PDF-1.4\n",
+    new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]),
+  ];
+  let length = chunks[0].length + chunks[1].length;
+  const push = (part) => {
+    chunks.push(part);
+    length += part.length;
+  };
+
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    objects[id].forEach(push);
+    push("\nendobj\n");
+  }
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id++) {
+    push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  push(
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return new Blob(chunks, { type: "application/pdf" });
+};
+
+/**
+ * Builds the PDF incident report for a capture
+ * @param {Object} capture - Capture record (see mapCapture.js)
+ * @returns {Promise<Blob>} PDF file
+ */
+export const buildIncidentReport = async (capture) => {
+  const image = await toJpeg(capture.image);
+  return buildPdf(layoutPages(capture, image), image);
+};
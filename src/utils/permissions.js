@@ -0,0 +1,124 @@
+/**
+ * Permissions
+ *
+ * Design Patterns Used:
+ * 1. Role-Based Access Control Pattern - Roles grant named capabilities
+ * 2. Configuration Pattern - The whole policy lives in ROLE_CAPABILITIES
+ * 3. Specification Pattern - Drone visibility as a reusable predicate
+ *
+ * Pure functions over the signed-in user ({ role, organization }, see
+ * auth.js), consulted by the route guards, navbar, map page and the
+ * telemetry store. Unknown or missing roles get no capabilities.
+ *
+ * Roles:
+ * - admin: everything, including alert rules and the telemetry diagnostics
+ *   panel (quarantined payloads, link thresholds)
+ * - pilot: own organization's drones only; may edit geofences
+ * - observer: every organization's drones, read-only geofences and rules
+ */
+
+// Known roles (user.role)
+export const ROLES = {
+  ADMIN: "admin",
+  PILOT: "pilot",
+  OBSERVER: "observer",
+};
+
+// Capability constants
+export const CAPABILITIES = {
+  VIEW_DASHBOARD: "view-dashboard",
+  VIEW_MAP: "view-map",
+  // Without it only drones of the user's organization are received
+  VIEW_ALL_ORGANIZATIONS: "view-all-organizations",
+  VIEW_FLIGHT_HISTORY: "view-flight-history",
+  REPLAY_TELEMETRY: "replay-telemetry",
+  CAPTURE_MAP: "capture-map",
+  TRANSFER_TRACKS: "transfer-tracks",
+  EDIT_GEOFENCES: "edit-geofences",
+  MANAGE_ALERT_RULES: "manage-alert-rules",
+  CONFIGURE_TELEMETRY: "configure-telemetry",
+};
+
+// Role -> granted capabilities
+export const ROLE_CAPABILITIES = {
+  [ROLES.ADMIN]: new Set(Object.values(CAPABILITIES)),
+  [ROLES.PILOT]: new Set([
+    CAPABILITIES.VIEW_DASHBOARD,
+    CAPABILITIES.VIEW_MAP,
+    CAPABILITIES.VIEW_FLIGHT_HISTORY,
+    CAPABILITIES.REPLAY_TELEMETRY,
+    CAPABILITIES.CAPTURE_MAP,
+    CAPABILITIES.TRANSFER_TRACKS,
+    CAPABILITIES.EDIT_GEOFENCES,
+  ]),
+  [ROLES.OBSERVER]: new Set([
+    CAPABILITIES.VIEW_DASHBOARD,
+    CAPABILITIES.VIEW_MAP,
+    CAPABILITIES.VIEW_ALL_ORGANIZATIONS,
+    CAPABILITIES.VIEW_FLIGHT_HISTORY,
+    CAPABILITIES.REPLAY_TELEMETRY,
+    CAPABILITIES.CAPTURE_MAP,
+  ]),
+};
+
+const NO_CAPABILITIES = new Set();
+
+/**
+ * Capabilities granted to a user
+ * @param {Object|null} user - Signed-in user
+ * @returns {Set<string>} CAPABILITIES values
+ */
+export const getCapabilities = (user) =>
+  user && Object.hasOwn(ROLE_CAPABILITIES, user.role)
+    ? ROLE_CAPABILITIES[user.role]
+    : NO_CAPABILITIES;
+
+/**
+ * Whether a user holds a capability
+ * @param {Object|null} user - Signed-in user
+ * @param {string} capability - CAPABILITIES value
+ * @returns {boolean} True when granted
+ */
+export const can = (user, capability) => getCapabilities(user).has(capability);
+
+/**
+ * Compares organization names ignoring case and surrounding spaces
+ * @param {string} organization - Organization name
+ * @returns {string} Comparable key
+ */
+const normalizeOrganization = (organization) =>
+  String(organization ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Whether a user may see drones of an organization
+ * Restricted users without an organization, and users without a known
+ * role, see none.
+ * @param {Object|null} user - Signed-in user
+ * @param {string} organization - Drone organization (properties.organization)
+ * @returns {boolean} True when visible
+ */
+export const canSeeOrganization = (user, organization) => {
+  if (can(user, CAPABILITIES.VIEW_ALL_ORGANIZATIONS)) return true;
+  if (getCapabilities(user).size === 0) return false;
+  const own = normalizeOrganization(user.organization);
+  return own !== "" && own === normalizeOrganization(organization);
+};
+
+/**
+ * Keeps the features of a telemetry frame the user may see
+ * Pattern: Specification Pattern - Filters by properties.organization
+ * @param {Object} frame - Validated FeatureCollection
+ * @param {Object|null} user - Signed-in user
+ * @returns {Object} The same frame when nothing was removed, else a filtered copy
+ */
+export const filterTelemetryFrame = (frame, user) => {
+  if (can(user, CAPABILITIES.VIEW_ALL_ORGANIZATIONS)) return frame;
+  const features = frame.features.filter((feature) =>
+    canSeeOrganization(user, feature.properties?.organization)
+  );
+  return features.length === frame.features.length
+    ? frame
+    : { ...frame, features };
+};
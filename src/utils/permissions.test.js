@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import {
+  CAPABILITIES,
+  ROLES,
+  can,
+  canSeeOrganization,
+  filterTelemetryFrame,
+} from "./permissions";
+
+const user = (role, organization = "Sager Drone") => ({ role, organization });
+
+const ADMIN = user(ROLES.ADMIN);
+const PILOT = user(ROLES.PILOT);
+const OBSERVER = user(ROLES.OBSERVER);
+
+const drone = (registration, organization) => ({
+  type: "Feature",
+  properties: { registration, organization, altitude: 50, yaw: 0 },
+  geometry: { type: "Point", coordinates: [35.83, 31.85] },
+});
+
+const frame = (...features) => ({ type: "FeatureCollection", features });
+
+const registrationsOf = ({ features }) =>
+  features.map((feature) => feature.properties.registration);
+
+describe("can", () => {
+  it("grants admins every capability", () => {
+    Object.values(CAPABILITIES).forEach((capability) => {
+      expect(can(ADMIN, capability)).toBe(true);
+    });
+  });
+
+  it("lets pilots edit geofences and move tracks but not manage the system", () => {
+    expect(can(PILOT, CAPABILITIES.VIEW_MAP)).toBe(true);
+    expect(can(PILOT, CAPABILITIES.EDIT_GEOFENCES)).toBe(true);
+    expect(can(PILOT, CAPABILITIES.TRANSFER_TRACKS)).toBe(true);
+    expect(can(PILOT, CAPABILITIES.VIEW_ALL_ORGANIZATIONS)).toBe(false);
+    expect(can(PILOT, CAPABILITIES.MANAGE_ALERT_RULES)).toBe(false);
+    expect(can(PILOT, CAPABILITIES.CONFIGURE_TELEMETRY)).toBe(false);
+  });
+
+  it("gives observers a read-only view of every organization", () => {
+    expect(can(OBSERVER, CAPABILITIES.VIEW_ALL_ORGANIZATIONS)).toBe(true);
+    expect(can(OBSERVER, CAPABILITIES.REPLAY_TELEMETRY)).toBe(true);
+    expect(can(OBSERVER, CAPABILITIES.EDIT_GEOFENCES)).toBe(false);
+    expect(can(OBSERVER, CAPABILITIES.TRANSFER_TRACKS)).toBe(false);
+    expect(can(OBSERVER, CAPABILITIES.MANAGE_ALERT_RULES)).toBe(false);
+  });
+
+  it("denies everything to unknown roles and signed-out users", () => {
+    expect(can(user("owner"), CAPABILITIES.VIEW_MAP)).toBe(false);
+    expect(can(user("constructor"), CAPABILITIES.VIEW_MAP)).toBe(false);
+    expect(can(user(null), CAPABILITIES.VIEW_MAP)).toBe(false);
+    expect(can(null, CAPABILITIES.VIEW_MAP)).toBe(false);
+  });
+});
+
+describe("canSeeOrganization", () => {
+  it("shows admins and observers every organization", () => {
+    [ADMIN, OBSERVER].forEach((viewer) => {
+      expect(canSeeOrganization(viewer, "Civil Aviation")).toBe(true);
+      expect(canSeeOrganization(viewer, undefined)).toBe(true);
+    });
+  });
+
+  it("shows pilots their own organization only, ignoring case and spaces", () => {
+    expect(canSeeOrganization(PILOT, "Sager Drone")).toBe(true);
+    expect(canSeeOrganization(PILOT, "  sager DRONE ")).toBe(true);
+    expect(canSeeOrganization(PILOT, "Civil Aviation")).toBe(false);
+    expect(canSeeOrganization(PILOT, undefined)).toBe(false);
+  });
+
+  it("hides everything from pilots without an organization and unknown roles", () => {
+    expect(canSeeOrganization(user(ROLES.PILOT, null), null)).toBe(false);
+    expect(canSeeOrganization(user(ROLES.PILOT, ""), "")).toBe(false);
+    expect(canSeeOrganization(user("owner"), "Sager Drone")).toBe(false);
+    expect(canSeeOrganization(null, "Sager Drone")).toBe(false);
+  });
+});
+
+describe("filterTelemetryFrame", () => {
+  const mixed = frame(
+    drone("SD-B01", "Sager Drone"),
+    drone("SD-C02", "Civil Aviation"),
+    drone("SD-B03", "sager drone"),
+    drone("SD-X04", undefined)
+  );
+
+  it("passes the frame through unchanged for admins and observers", () => {
+    expect(filterTelemetryFrame(mixed, ADMIN)).toBe(mixed);
+    expect(filterTelemetryFrame(mixed, OBSERVER)).toBe(mixed);
+  });
+
+  it("keeps only the pilot's organization without touching the original", () => {
+    const filtered = filterTelemetryFrame(mixed, PILOT);
+    expect(registrationsOf(filtered)).toEqual(["SD-B01", "SD-B03"]);
+    expect(filtered.type).toBe("FeatureCollection");
+    expect(mixed.features).toHaveLength(4);
+  });
+
+  it("returns the same frame when nothing is removed", () => {
+    const own = frame(drone("SD-B01", "Sager Drone"));
+    expect(filterTelemetryFrame(own, PILOT)).toBe(own);
+  });
+
+  it("drops every drone for unknown roles and signed-out users", () => {
+    expect(filterTelemetryFrame(mixed, user("owner")).features).toEqual([]);
+    expect(filterTelemetryFrame(mixed, null).features).toEqual([]);
+  });
+});
@@ -1,7 +1,407 @@
+/**
+ * Socket Connection Manager
+ *
+ * Design Patterns Used:
+ * 1. Singleton Pattern - One live Socket.IO connection shared by the whole app
+ * 2. Configuration Pattern - Endpoint and transports resolved from env, storage and URL
+ * 3. Observer Pattern - Connection state published to subscribers (React via hook)
+ * 4. State Pattern - Explicit connecting/connected/reconnecting/offline states
+ * 5. Facade Pattern - Hides Socket.IO manager/engine details behind a small API
+ * 6. Strategy Pattern - Frames come from the server or the local simulator
+ *
+ * Resolution order for connection settings (later wins):
+ * - Built-in defaults
+ * - Vite environment (VITE_SOCKET_URL, VITE_SOCKET_TRANSPORTS, VITE_TELEMETRY_SOURCE)
+ * - Runtime settings persisted in localStorage
+ * - URL query parameters (?telemetry=simulator; in development builds also
+ *   ?socketUrl=...&transports=websocket,polling)
+ *
+ * With the `simulator` source no socket is opened: telemetrySimulator.js is
+ * loaded on demand (so it stays out of the main bundle), its frames go through
+ * the same message path and the connection reports itself connected over the
+ * "simulator" transport.
+ *
+ * The handshake carries the session token (`auth: { token }`, see auth.js).
+ * Ending the session closes the connection, and a handshake the server
+ * rejects as unauthorized ends the session. Because of the token, production
+ * builds never take the endpoint from the page URL: a crafted link could
+ * otherwise send the token to any server.
+ */
+
 import { io } from "socket.io-client";
+import {
+  SESSION_END_REASONS,
+  endSession,
+  getAuthToken,
+  subscribeToAuth,
+} from "./auth";
+
+// Default connection configuration
+export const SOCKET_CONFIG = {
+  DEFAULT_URL: "http://localhost:9013",
+  DEFAULT_TRANSPORTS: ["websocket", "polling"],
+  FALLBACK_TRANSPORTS: ["polling", "websocket"],
+  STORAGE_KEY: "sager.connection",
+  QUERY_PARAMS: {
+    URL: "socketUrl",
+    TRANSPORTS: "transports",
+    SOURCE: "telemetry",
+  },
+  // Endpoint and transports from the page URL (development builds only)
+  ALLOW_QUERY_ENDPOINT: import.meta.env.DEV,
+  MESSAGE_EVENT: "message",
+  // connect_error messages that mean the token was refused
+  AUTH_ERROR_PATTERN: /unauthori[sz]ed|forbidden|invalid token|expired/i,
+};
+
+// Telemetry sources
+export const TELEMETRY_SOURCES = {
+  SOCKET: "socket",
+  SIMULATOR: "simulator",
+};
+
+// Connection state constants
+export const CONNECTION_STATUS = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  OFFLINE: "offline",
+};
+
+const VALID_TRANSPORTS = ["websocket", "polling"];
+
+/**
+ * Parses a comma separated transport list, dropping unknown entries
+ * @param {string|Array} value - Transport list
+ * @returns {Array|null} Valid transports or null when none were given
+ */
+const parseTransports = (value) => {
+  if (!value) return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const transports = list
+    .map((transport) => transport.trim().toLowerCase())
+    .filter((transport) => VALID_TRANSPORTS.includes(transport));
+  return transports.length > 0 ? transports : null;
+};
+
+/**
+ * Parses a telemetry source name
+ * @param {string} value - Source name
+ * @returns {string|null} TELEMETRY_SOURCES value or null when missing/unknown
+ */
+const parseSource = (value) => {
+  const source = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return Object.values(TELEMETRY_SOURCES).includes(source) ? source : null;
+};
+
+/**
+ * Reads persisted runtime settings
+ * @returns {Object} Stored settings or empty object
+ */
+const readStoredSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(SOCKET_CONFIG.STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Reads settings passed through the page URL
+ * Pattern: Guard Pattern - The token-bearing endpoint only comes from the URL
+ * in development builds
+ * @returns {Object} Settings from query parameters
+ */
+const readQuerySettings = () => {
+  const params = new URLSearchParams(window.location.search);
+  const source = params.get(SOCKET_CONFIG.QUERY_PARAMS.SOURCE) || undefined;
+  if (!SOCKET_CONFIG.ALLOW_QUERY_ENDPOINT) return { source };
+  return {
+    url: params.get(SOCKET_CONFIG.QUERY_PARAMS.URL) || undefined,
+    transports: params.get(SOCKET_CONFIG.QUERY_PARAMS.TRANSPORTS) || undefined,
+    source,
+  };
+};
+
+/**
+ * Resolves the effective connection settings
+ * Pattern: Configuration Pattern - Layered configuration sources
+ * @returns {{url: string, transports: Array, source: string}} Effective settings
+ */
+export const resolveConnectionSettings = () => {
+  const layers = [
+    {
+      url: import.meta.env.VITE_SOCKET_URL,
+      transports: import.meta.env.VITE_SOCKET_TRANSPORTS,
+      source: import.meta.env.VITE_TELEMETRY_SOURCE,
+    },
+    readStoredSettings(),
+    readQuerySettings(),
+  ];
+
+  return layers.reduce(
+    (settings, layer) => ({
+      url: layer.url || settings.url,
+      transports: parseTransports(layer.transports) || settings.transports,
+      source: parseSource(layer.source) || settings.source,
+    }),
+    {
+      url: SOCKET_CONFIG.DEFAULT_URL,
+      transports: SOCKET_CONFIG.DEFAULT_TRANSPORTS,
+      source: TELEMETRY_SOURCES.SOCKET,
+    }
+  );
+};
+
+// Module state - Singleton connection and its observable status
+let socket = null;
+let simulator = null;
+// Pending import of the simulator module; replaced or cleared to cancel it
+let simulatorLoad = null;
+let settings = null;
+let state = {
+  status: CONNECTION_STATUS.OFFLINE,
+  source: null,
+  transport: null,
+  url: null,
+  lastMessageAt: null,
+  latency: null,
+  error: null,
+};
+const listeners = new Set();
+const messageHandlers = new Set();
+
+/**
+ * Publishes a partial state update to all subscribers
+ * Pattern: Observer Pattern - Immutable snapshot per change
+ * @param {Object} patch - State fields to update
+ */
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Extracts a server timestamp from a telemetry frame, if present
+ * @param {Object} data - Incoming frame
+ * @returns {number|null} Epoch milliseconds
+ */
+const getFrameTimestamp = (data) => {
+  const value = data?.timestamp ?? data?.features?.[0]?.properties?.timestamp;
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Handles an incoming telemetry frame before fanning it out
+ * @param {Object} data - Incoming frame
+ */
+const handleMessage = (data) => {
+  const receivedAt = Date.now();
+  const sentAt = getFrameTimestamp(data);
+
+  setState({
+    lastMessageAt: receivedAt,
+    latency: sentAt !== null ? Math.max(0, receivedAt - sentAt) : null,
+  });
+
+  messageHandlers.forEach((handler) => handler(data));
+};
+
+/**
+ * Wires Socket.IO lifecycle events to the observable connection state
+ * Pattern: State Pattern - Maps transport events to connection states
+ * @param {Object} instance - Socket.IO client socket
+ */
+const bindLifecycle = (instance) => {
+  instance.on("connect", () => {
+    setState({
+      status: CONNECTION_STATUS.CONNECTED,
+      transport: instance.io.engine?.transport?.name ?? null,
+      error: null,
+    });
 
-const socket = io("http://localhost:9013", {
-  transports: ["polling"],
+    instance.io.engine?.once("upgrade", (transport) => {
+      setState({ transport: transport.name });
+    });
+  });
+
+  instance.on("disconnect", (reason) => {
+    // Manual disconnects do not reconnect on their own
+    const isManual = reason === "io client disconnect";
+    setState({
+      status: isManual
+        ? CONNECTION_STATUS.OFFLINE
+        : CONNECTION_STATUS.RECONNECTING,
+      transport: null,
+    });
+  });
+
+  instance.on("connect_error", (error) => {
+    // A rejected token will not be accepted on retry either
+    if (SOCKET_CONFIG.AUTH_ERROR_PATTERN.test(error.message)) {
+      endSession(SESSION_END_REASONS.REJECTED);
+      return;
+    }
+    // Websocket-only attempts fall back to long polling
+    if (instance.io.opts.transports[0] === "websocket") {
+      instance.io.opts.transports = SOCKET_CONFIG.FALLBACK_TRANSPORTS;
+    }
+    setState({
+      status: instance.active
+        ? CONNECTION_STATUS.RECONNECTING
+        : CONNECTION_STATUS.OFFLINE,
+      error: error.message,
+    });
+  });
+
+  instance.io.on("reconnect_attempt", () => {
+    setState({ status: CONNECTION_STATUS.RECONNECTING });
+  });
+
+  instance.io.on("reconnect_failed", () => {
+    setState({ status: CONNECTION_STATUS.OFFLINE });
+  });
+
+  instance.on(SOCKET_CONFIG.MESSAGE_EVENT, handleMessage);
+};
+
+/**
+ * Loads and starts the local simulator in place of the socket
+ * Pattern: Strategy Pattern - Same message path, different frame source
+ */
+const startSimulator = () => {
+  setState({
+    status: CONNECTION_STATUS.CONNECTING,
+    source: TELEMETRY_SOURCES.SIMULATOR,
+    transport: null,
+    url: null,
+    error: null,
+  });
+
+  const load = import("./telemetrySimulator")
+    .then(({ createTelemetrySimulator }) => {
+      // Disconnected while the module was loading
+      if (simulatorLoad !== load) return;
+      simulatorLoad = null;
+      simulator = createTelemetrySimulator({ onFrame: handleMessage });
+      setState({
+        status: CONNECTION_STATUS.CONNECTED,
+        transport: TELEMETRY_SOURCES.SIMULATOR,
+      });
+      simulator.start();
+    })
+    .catch((error) => {
+      if (simulatorLoad !== load) return;
+      simulatorLoad = null;
+      setState({ status: CONNECTION_STATUS.OFFLINE, error: error.message });
+    });
+  simulatorLoad = load;
+};
+
+/**
+ * Opens the shared connection, creating it on first use
+ * Pattern: Singleton Pattern - Lazily created shared instance
+ * @returns {Object|null} Socket.IO client socket, or null with the simulator source
+ */
+export const connect = () => {
+  if (simulator || simulatorLoad) return null;
+  if (socket) {
+    if (!socket.connected) socket.connect();
+    return socket;
+  }
+
+  settings = resolveConnectionSettings();
+  if (settings.source === TELEMETRY_SOURCES.SIMULATOR) {
+    startSimulator();
+    return null;
+  }
+
+  socket = io(settings.url, {
+    transports: settings.transports,
+    // Read on every (re)connect so a renewed token is picked up
+    auth: (callback) => callback({ token: getAuthToken() }),
+  });
+  bindLifecycle(socket);
+
+  setState({
+    status: CONNECTION_STATUS.CONNECTING,
+    source: TELEMETRY_SOURCES.SOCKET,
+    url: settings.url,
+    error: null,
+  });
+
+  return socket;
+};
+
+/**
+ * Closes and discards the shared connection (or stops the simulator)
+ */
+export const disconnect = () => {
+  if (!socket && !simulator && !simulatorLoad) return;
+  if (simulator || simulatorLoad) {
+    simulator?.stop();
+    simulator = null;
+    simulatorLoad = null;
+  } else {
+    socket.removeAllListeners();
+    socket.io.removeAllListeners();
+    socket.disconnect();
+    socket = null;
+  }
+  setState({ status: CONNECTION_STATUS.OFFLINE, transport: null });
+};
+
+// Pattern: Observer Pattern - The stream closes as soon as the session ends
+subscribeToAuth(() => {
+  if (!getAuthToken()) disconnect();
 });
 
-export default socket;
+/**
+ * Persists new runtime settings and reconnects with them
+ * @param {Object} nextSettings - Partial settings ({ url, transports, source })
+ */
+export const updateConnectionSettings = (nextSettings) => {
+  const stored = { ...readStoredSettings(), ...nextSettings };
+  try {
+    window.localStorage.setItem(
+      SOCKET_CONFIG.STORAGE_KEY,
+      JSON.stringify(stored)
+    );
+  } catch {
+    // Storage unavailable (private mode) - settings apply to this session only
+  }
+  disconnect();
+  connect();
+};
+
+/**
+ * Registers a telemetry frame handler, connecting if needed
+ * Pattern: Observer Pattern - Returns an unsubscribe function
+ * @param {Function} handler - Called with each incoming frame
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTelemetry = (handler) => {
+  messageHandlers.add(handler);
+  connect();
+  return () => messageHandlers.delete(handler);
+};
+
+/**
+ * Subscribes to connection state changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every state change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToConnection = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current connection state snapshot
+ * @returns {Object} Connection state
+ */
+export const getConnectionState = () => state;
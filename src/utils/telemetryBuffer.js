@@ -0,0 +1,93 @@
+/**
+ * Telemetry Buffer
+ *
+ * Design Patterns Used:
+ * 1. Sliding Window Pattern - Bounded by frame count and age, oldest dropped first
+ * 2. Factory Pattern - Independent buffers for the live stream and imported sessions
+ * 3. Binary Search - O(log n) lookup of the frame index for a point in time
+ *
+ * Records validated frames with their receive time so the map can be replayed
+ * from any moment inside the retained window. Dropped entries are released
+ * and skipped over; the array is compacted once they make up half of it, so a
+ * full buffer does not copy itself on every frame.
+ */
+
+// Default buffer retention
+export const TELEMETRY_BUFFER_CONFIG = {
+  MAX_FRAMES: 20000,
+  MAX_AGE: 30 * 60 * 1000,
+};
+
+/**
+ * Index of the first entry whose time is greater than the given time
+ * @param {Array} entries - Entries sorted by time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Insertion index
+ */
+export const upperBound = (entries, time) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle].time <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Creates a telemetry buffer
+ * @param {Object} [options] - Retention overrides
+ * @param {number} [options.maxFrames] - Maximum number of frames kept
+ * @param {number} [options.maxAge] - Maximum frame age in milliseconds
+ * @returns {Object} Buffer API
+ */
+export const createTelemetryBuffer = ({
+  maxFrames = TELEMETRY_BUFFER_CONFIG.MAX_FRAMES,
+  maxAge = TELEMETRY_BUFFER_CONFIG.MAX_AGE,
+} = {}) => {
+  let entries = [];
+  // Index of the oldest retained entry; everything before it is dropped
+  let start = 0;
+
+  /**
+   * Appends a frame, dropping entries beyond the retention limits
+   * @param {Object} frame - Validated FeatureCollection
+   * @param {number} [time=Date.now()] - Receive time
+   */
+  const record = (frame, time = Date.now()) => {
+    entries.push({ time, frame });
+
+    const oldestAllowed = time - maxAge;
+    const overflow = entries.length - maxFrames;
+    while (
+      start < entries.length &&
+      (start < overflow || entries[start].time < oldestAllowed)
+    ) {
+      // Release the frame now; the slot goes at the next compaction
+      entries[start] = null;
+      start += 1;
+    }
+    // Pattern: Amortized compaction - One copy per half buffer of drops
+    if (start > 0 && start * 2 >= entries.length) {
+      entries = entries.slice(start);
+      start = 0;
+    }
+  };
+
+  return {
+    record,
+    clear: () => {
+      entries = [];
+      start = 0;
+    },
+    // Entries are append-only; callers get a stable copy for replay
+    getEntries: () => entries.slice(start),
+    get size() {
+      return entries.length - start;
+    },
+  };
+};
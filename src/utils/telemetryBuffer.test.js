@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { createTelemetryBuffer, upperBound } from "./telemetryBuffer";
+
+const frame = (index) => ({ type: "FeatureCollection", features: [], index });
+
+const indices = (buffer) =>
+  buffer.getEntries().map((entry) => entry.frame.index);
+
+describe("createTelemetryBuffer", () => {
+  it("keeps the newest frames up to the frame limit", () => {
+    const buffer = createTelemetryBuffer({ maxFrames: 4, maxAge: Infinity });
+    for (let i = 0; i < 11; i++) buffer.record(frame(i), i * 1000);
+    expect(buffer.size).toBe(4);
+    expect(indices(buffer)).toEqual([7, 8, 9, 10]);
+  });
+
+  it("drops frames older than the age limit", () => {
+    const buffer = createTelemetryBuffer({ maxFrames: 100, maxAge: 3000 });
+    for (let i = 0; i < 10; i++) buffer.record(frame(i), i * 1000);
+    expect(indices(buffer)).toEqual([6, 7, 8, 9]);
+  });
+
+  it("hands out copies that later frames do not change", () => {
+    const buffer = createTelemetryBuffer({ maxFrames: 2, maxAge: Infinity });
+    buffer.record(frame(0), 0);
+    buffer.record(frame(1), 1000);
+    const entries = buffer.getEntries();
+    buffer.record(frame(2), 2000);
+    buffer.record(frame(3), 3000);
+    expect(entries.map((entry) => entry.frame.index)).toEqual([0, 1]);
+    expect(indices(buffer)).toEqual([2, 3]);
+  });
+
+  it("starts over after clear", () => {
+    const buffer = createTelemetryBuffer({ maxFrames: 3, maxAge: Infinity });
+    for (let i = 0; i < 5; i++) buffer.record(frame(i), i * 1000);
+    buffer.clear();
+    buffer.record(frame(9), 9000);
+    expect(buffer.size).toBe(1);
+    expect(indices(buffer)).toEqual([9]);
+  });
+});
+
+describe("upperBound", () => {
+  it("finds the first entry after a time", () => {
+    const entries = [{ time: 1 }, { time: 2 }, { time: 2 }, { time: 5 }];
+    expect(upperBound(entries, 0)).toBe(0);
+    expect(upperBound(entries, 2)).toBe(3);
+    expect(upperBound(entries, 9)).toBe(4);
+  });
+});
@@ -0,0 +1,447 @@
+/**
+ * Telemetry Simulator
+ *
+ * Design Patterns Used:
+ * 1. Factory Pattern - createTelemetrySimulator builds an isolated fleet
+ * 2. State Pattern - Each drone cycles grounded → takeoff → cruise/loiter → landing
+ * 3. Configuration Pattern - Fleet size, flight envelope and timings in one place
+ *
+ * Generates the same FeatureCollection frames the telemetry server sends, for
+ * demos and for working without a server (see socket.js, which feeds them
+ * into the regular message path). Drones are based around a home point near
+ * the map center and fly missions of a few waypoints: they climb to a cruise
+ * altitude, turn towards each waypoint at a limited rate, sometimes circle one
+ * for a while, return home and land, then wait before the next mission.
+ *
+ * The fleet mixes organizations and registrations: `SD-B…` registrations are
+ * authorized, the rest are reported with `authorized: false`. Now and then an
+ * airborne drone drops out of the frames for a while, so stale and lost links
+ * show up too. A seed makes a run repeatable.
+ */
+
+import {
+  DEFAULT_MAP_CENTER,
+  bearing,
+  destinationPoint,
+  haversineDistance,
+} from "./geo";
+
+// Default simulator configuration
+export const SIMULATOR_CONFIG = {
+  CENTER: DEFAULT_MAP_CENTER,
+  DRONE_COUNT: 12,
+  INTERVAL: 1000,
+  // Longer gaps (background tabs) are simulated in steps of at most this many seconds
+  MAX_STEP_SECONDS: 1,
+  MAX_GAP_SECONDS: 10,
+  // Homes and waypoints stay within these distances of the center, in metres
+  HOME_RADIUS: 2500,
+  MISSION_RADIUS: 3000,
+  WAYPOINTS: { MIN: 2, MAX: 4 },
+  // Flight envelope; each waypoint varies the cruise altitude by up to ALTITUDE_STEP
+  SPEED: { MIN: 8, MAX: 18 },
+  CRUISE_ALTITUDE: { MIN: 40, MAX: 120 },
+  ALTITUDE_STEP: 25,
+  CLIMB_RATE: 3,
+  DESCENT_RATE: 2,
+  TURN_RATE: 45,
+  ARRIVAL_DISTANCE: 40,
+  ALTITUDE_JITTER: 0.4,
+  LOITER: {
+    CHANCE: 0.5,
+    RADIUS: { MIN: 80, MAX: 200 },
+    SECONDS: { MIN: 20, MAX: 60 },
+  },
+  GROUND_SECONDS: { MIN: 90, MAX: 240 },
+  // Drones start somewhere inside their first minutes of activity
+  WARM_UP_SECONDS: 300,
+  // Per airborne drone and second
+  DROPOUT_CHANCE: 0.002,
+  DROPOUT_SECONDS: { MIN: 15, MAX: 45 },
+  AUTHORIZED_SHARE: 0.8,
+  REGISTRATION_PREFIX: "SD-",
+  AUTHORIZED_LETTER: "B",
+  UNAUTHORIZED_LETTERS: "CDFGK",
+  ORGANIZATIONS: ["Sager Drone", "Civil Aviation", "Skyline Surveys"],
+  PILOTS: [
+    "Omar Haddad",
+    "Lina Saleh",
+    "Yousef Nasser",
+    "Rania Khalil",
+    "Sami Barakat",
+    "Dana Mansour",
+  ],
+  MODELS: ["DJI Mavic 3", "DJI Matrice 300", "Autel EVO II", "Skydio X10"],
+};
+
+// Flight phases
+const PHASES = {
+  GROUNDED: "grounded",
+  TAKEOFF: "takeoff",
+  CRUISE: "cruise",
+  LOITER: "loiter",
+  LANDING: "landing",
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Signed difference between two headings
+ * @param {number} from - Heading in degrees
+ * @param {number} to - Heading in degrees
+ * @returns {number} Degrees in [-180, 180)
+ */
+const headingDelta = (from, to) => ((((to - from) % 360) + 540) % 360) - 180;
+
+const normalizeHeading = (heading) => ((heading % 360) + 360) % 360;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Creates a simulated fleet that emits telemetry frames on a timer
+ * Pattern: Factory Pattern - Each simulator owns its fleet and timer
+ * @param {Object} options - Simulator options
+ * @param {Function} options.onFrame - Called with each FeatureCollection frame
+ * @param {Array} [options.center] - [lng, lat] the fleet is based around
+ * @param {number} [options.droneCount] - Number of drones
+ * @param {number} [options.interval] - Milliseconds between frames
+ * @param {number} [options.seed] - Seed for a repeatable run (random by default)
+ * @returns {{start: Function, stop: Function, step: Function}} Simulator controls
+ */
+export const createTelemetrySimulator = ({
+  onFrame,
+  center = SIMULATOR_CONFIG.CENTER,
+  droneCount = SIMULATOR_CONFIG.DRONE_COUNT,
+  interval = SIMULATOR_CONFIG.INTERVAL,
+  seed = Math.floor(Math.random() * 2 ** 32),
+}) => {
+  const random = createRandom(seed);
+  const between = ({ MIN, MAX }) => MIN + random() * (MAX - MIN);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const randomPoint = (origin, radius) =>
+    destinationPoint(origin, radius * Math.sqrt(random()), random() * 360);
+
+  /**
+   * Plans the next mission from home: waypoints, altitude and speed
+   * @param {Object} drone - Simulated drone
+   */
+  const planMission = (drone) => {
+    const count = Math.round(between(SIMULATOR_CONFIG.WAYPOINTS));
+    const cruiseAltitude = between(SIMULATOR_CONFIG.CRUISE_ALTITUDE);
+    const waypoints = Array.from({ length: count }, () => ({
+      position: randomPoint(center, SIMULATOR_CONFIG.MISSION_RADIUS),
+      altitude: Math.max(
+        SIMULATOR_CONFIG.CRUISE_ALTITUDE.MIN,
+        cruiseAltitude + (random() - 0.5) * 2 * SIMULATOR_CONFIG.ALTITUDE_STEP
+      ),
+      loiter: random() < SIMULATOR_CONFIG.LOITER.CHANCE,
+    }));
+    // The last leg returns home
+    waypoints.push({
+      position: drone.home,
+      altitude: cruiseAltitude,
+      loiter: false,
+    });
+
+    drone.waypoints = waypoints;
+    // Takeoff climbs straight to the cruise altitude
+    drone.targetAltitude = cruiseAltitude;
+    drone.speed = between(SIMULATOR_CONFIG.SPEED);
+  };
+
+  /**
+   * Builds one drone with its identity and home point
+   * @param {number} index - Position in the fleet
+   * @returns {Object} Simulated drone
+   */
+  const createDrone = (index) => {
+    const authorized = random() < SIMULATOR_CONFIG.AUTHORIZED_SHARE;
+    const letter = authorized
+      ? SIMULATOR_CONFIG.AUTHORIZED_LETTER
+      : pick(SIMULATOR_CONFIG.UNAUTHORIZED_LETTERS);
+    const home = randomPoint(center, SIMULATOR_CONFIG.HOME_RADIUS);
+
+    return {
+      registration: `${SIMULATOR_CONFIG.REGISTRATION_PREFIX}${letter}${String(
+        index + 1
+      ).padStart(2, "0")}`,
+      serial: `SG-${Math.floor(random() * 0xffffff)
+        .toString(16)
+        .toUpperCase()
+        .padStart(6, "0")}`,
+      Name: pick(SIMULATOR_CONFIG.MODELS),
+      pilot: pick(SIMULATOR_CONFIG.PILOTS),
+      organization: pick(SIMULATOR_CONFIG.ORGANIZATIONS),
+      authorized,
+      home,
+      position: home,
+      altitude: 0,
+      yaw: Math.round(random() * 360),
+      phase: PHASES.GROUNDED,
+      timer: between(SIMULATOR_CONFIG.GROUND_SECONDS),
+      waypoints: [],
+      targetAltitude: 0,
+      speed: 0,
+      loiter: null,
+      dropout: 0,
+    };
+  };
+
+  /**
+   * Eases the altitude towards a target at the climb/descent rate
+   * @param {Object} drone - Simulated drone
+   * @param {number} target - Altitude in metres
+   * @param {number} seconds - Elapsed time
+   */
+  const approachAltitude = (drone, target, seconds) => {
+    const delta = target - drone.altitude;
+    const rate =
+      delta > 0 ? SIMULATOR_CONFIG.CLIMB_RATE : SIMULATOR_CONFIG.DESCENT_RATE;
+    drone.altitude +=
+      Math.sign(delta) * Math.min(Math.abs(delta), rate * seconds);
+  };
+
+  /**
+   * Starts circling the current position; the drone is already on the circle
+   * @param {Object} drone - Simulated drone
+   */
+  const startLoiter = (drone) => {
+    const direction = random() < 0.5 ? 1 : -1;
+    const radius = between(SIMULATOR_CONFIG.LOITER.RADIUS);
+    const loiterCenter = destinationPoint(
+      drone.position,
+      radius,
+      drone.yaw + 90 * direction
+    );
+    drone.loiter = {
+      center: loiterCenter,
+      radius,
+      direction,
+      angle: bearing(loiterCenter, drone.position),
+    };
+    drone.timer = between(SIMULATOR_CONFIG.LOITER.SECONDS);
+    drone.phase = PHASES.LOITER;
+  };
+
+  /**
+   * Flies towards the next waypoint with a limited turn rate
+   * @param {Object} drone - Simulated drone
+   * @param {number} seconds - Elapsed time
+   */
+  const cruise = (drone, seconds) => {
+    const [waypoint] = drone.waypoints;
+    const distance = haversineDistance(drone.position, waypoint.position);
+
+    if (distance <= SIMULATOR_CONFIG.ARRIVAL_DISTANCE) {
+      drone.waypoints.shift();
+      if (drone.waypoints.length === 0) {
+        drone.phase = PHASES.LANDING;
+      } else if (waypoint.loiter) {
+        startLoiter(drone);
+      }
+      return;
+    }
+
+    const turn = headingDelta(
+      drone.yaw,
+      bearing(drone.position, waypoint.position)
+    );
+    const maxTurn = SIMULATOR_CONFIG.TURN_RATE * seconds;
+    drone.yaw = normalizeHeading(
+      drone.yaw + Math.max(-maxTurn, Math.min(maxTurn, turn))
+    );
+    // Slow down while still turning towards the waypoint
+    const remainingTurn = Math.abs(
+      headingDelta(drone.yaw, bearing(drone.position, waypoint.position))
+    );
+    const pace = Math.max(0.2, Math.cos((remainingTurn * Math.PI) / 180));
+    drone.position = destinationPoint(
+      drone.position,
+      Math.min(distance, drone.speed * pace * seconds),
+      drone.yaw
+    );
+    approachAltitude(drone, waypoint.altitude, seconds);
+  };
+
+  /**
+   * Circles the loiter point, nose along the circle
+   * @param {Object} drone - Simulated drone
+   * @param {number} seconds - Elapsed time
+   */
+  const loiter = (drone, seconds) => {
+    const { loiter: circle } = drone;
+    circle.angle = normalizeHeading(
+      circle.angle +
+        circle.direction *
+          ((drone.speed * seconds) / circle.radius) *
+          (180 / Math.PI)
+    );
+    drone.position = destinationPoint(
+      circle.center,
+      circle.radius,
+      circle.angle
+    );
+    drone.yaw = normalizeHeading(circle.angle + 90 * circle.direction);
+
+    drone.timer -= seconds;
+    if (drone.timer <= 0) {
+      drone.loiter = null;
+      drone.phase = PHASES.CRUISE;
+    }
+  };
+
+  /**
+   * Advances one drone
+   * Pattern: State Pattern - Behaviour depends on the flight phase
+   * @param {Object} drone - Simulated drone
+   * @param {number} seconds - Elapsed time
+   */
+  const advanceDrone = (drone, seconds) => {
+    switch (drone.phase) {
+      case PHASES.GROUNDED:
+        drone.timer -= seconds;
+        if (drone.timer <= 0) {
+          planMission(drone);
+          drone.phase = PHASES.TAKEOFF;
+        }
+        break;
+      case PHASES.TAKEOFF:
+        approachAltitude(drone, drone.targetAltitude, seconds);
+        if (drone.altitude >= drone.targetAltitude) {
+          drone.phase = PHASES.CRUISE;
+        }
+        break;
+      case PHASES.CRUISE:
+        cruise(drone, seconds);
+        break;
+      case PHASES.LOITER:
+        loiter(drone, seconds);
+        break;
+      case PHASES.LANDING:
+        approachAltitude(drone, 0, seconds);
+        if (drone.altitude <= 0) {
+          drone.altitude = 0;
+          drone.timer = between(SIMULATOR_CONFIG.GROUND_SECONDS);
+          drone.phase = PHASES.GROUNDED;
+        }
+        break;
+      default:
+        break;
+    }
+
+    // Link dropouts only happen in the air
+    if (drone.dropout > 0) {
+      drone.dropout = Math.max(0, drone.dropout - seconds);
+    } else if (
+      drone.phase !== PHASES.GROUNDED &&
+      random() < SIMULATOR_CONFIG.DROPOUT_CHANCE * seconds
+    ) {
+      drone.dropout = between(SIMULATOR_CONFIG.DROPOUT_SECONDS);
+    }
+  };
+
+  /**
+   * Converts a drone to a telemetry feature
+   * @param {Object} drone - Simulated drone
+   * @returns {Object} GeoJSON Point feature
+   */
+  const toFeature = (drone) => {
+    const airborne = drone.phase !== PHASES.GROUNDED;
+    const jitter = airborne
+      ? (random() - 0.5) * 2 * SIMULATOR_CONFIG.ALTITUDE_JITTER
+      : 0;
+    return {
+      type: "Feature",
+      properties: {
+        serial: drone.serial,
+        registration: drone.registration,
+        Name: drone.Name,
+        altitude: round(Math.max(0, drone.altitude + jitter), 1),
+        pilot: drone.pilot,
+        organization: drone.organization,
+        yaw: Math.round(drone.yaw),
+        authorized: drone.authorized,
+      },
+      geometry: {
+        type: "Point",
+        coordinates: drone.position.map((value) => round(value, 6)),
+      },
+    };
+  };
+
+  const drones = Array.from({ length: droneCount }, (_, index) =>
+    createDrone(index)
+  );
+  // Spread the fleet over different mission stages
+  drones.forEach((drone) => {
+    const warmUp = Math.floor(random() * SIMULATOR_CONFIG.WARM_UP_SECONDS);
+    for (let second = 0; second < warmUp; second++) advanceDrone(drone, 1);
+    drone.dropout = 0;
+  });
+
+  let timer = null;
+  let lastStepAt = null;
+
+  /**
+   * Advances the fleet and emits one frame
+   * @param {number} [seconds] - Simulated time since the previous frame
+   * @returns {Object} The emitted FeatureCollection
+   */
+  const step = (seconds = interval / 1000) => {
+    let remaining = Math.min(seconds, SIMULATOR_CONFIG.MAX_GAP_SECONDS);
+    while (remaining > 0) {
+      const slice = Math.min(remaining, SIMULATOR_CONFIG.MAX_STEP_SECONDS);
+      drones.forEach((drone) => advanceDrone(drone, slice));
+      remaining -= slice;
+    }
+
+    const frame = {
+      type: "FeatureCollection",
+      timestamp: Date.now(),
+      features: drones.filter((drone) => drone.dropout === 0).map(toFeature),
+    };
+    onFrame(frame);
+    return frame;
+  };
+
+  /**
+   * Emits a frame now and then every interval
+   */
+  const start = () => {
+    if (timer) return;
+    lastStepAt = Date.now();
+    step(0);
+    timer = setInterval(() => {
+      const now = Date.now();
+      step((now - lastStepAt) / 1000);
+      lastStepAt = now;
+    }, interval);
+  };
+
+  /**
+   * Stops emitting frames; the fleet keeps its state for a later start
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, step };
+};
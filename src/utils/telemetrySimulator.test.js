@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { haversineDistance } from "./geo";
+import {
+  SIMULATOR_CONFIG,
+  createTelemetrySimulator,
+} from "./telemetrySimulator";
+import { checkTelemetryFrame, validateFeature } from "./telemetryValidation";
+
+const SEED = 42;
+// Two simulated hours: every drone flies at least one full mission
+const SECONDS = 2 * 60 * 60;
+
+// Runs a seeded simulator one second at a time
+const simulate = (seconds, seed = SEED) => {
+  const frames = [];
+  const simulator = createTelemetrySimulator({
+    onFrame: (frame) => frames.push(frame),
+    seed,
+  });
+  for (let second = 0; second < seconds; second++) simulator.step(1);
+  return frames;
+};
+
+const frames = simulate(SECONDS);
+const features = frames.flatMap((frame) => frame.features);
+
+// registration -> altitude in every frame the drone appears in
+const altitudesByDrone = () => {
+  const series = new Map();
+  features.forEach(({ properties }) => {
+    if (!series.has(properties.registration)) {
+      series.set(properties.registration, []);
+    }
+    series.get(properties.registration).push(properties.altitude);
+  });
+  return series;
+};
+
+describe("createTelemetrySimulator", () => {
+  it("emits frames that pass telemetry validation", () => {
+    frames.forEach((frame) => {
+      const { frameError, rejected } = checkTelemetryFrame(frame);
+      expect(frameError).toBeNull();
+      expect(rejected).toEqual([]);
+    });
+    features.forEach((feature) => {
+      expect(validateFeature(feature)).toBeNull();
+    });
+  });
+
+  it("repeats the same flights for the same seed", () => {
+    const again = simulate(120);
+    expect(again.map((frame) => frame.features)).toEqual(
+      frames.slice(0, 120).map((frame) => frame.features)
+    );
+  });
+
+  it("keeps positions and altitudes inside the flight envelope", () => {
+    // Loiter circles may extend past the outermost waypoint by their diameter
+    const maxDistance =
+      SIMULATOR_CONFIG.MISSION_RADIUS + 2 * SIMULATOR_CONFIG.LOITER.RADIUS.MAX;
+    const maxAltitude =
+      SIMULATOR_CONFIG.CRUISE_ALTITUDE.MAX +
+      SIMULATOR_CONFIG.ALTITUDE_STEP +
+      SIMULATOR_CONFIG.ALTITUDE_JITTER;
+
+    features.forEach(({ properties, geometry }) => {
+      expect(
+        haversineDistance(SIMULATOR_CONFIG.CENTER, geometry.coordinates)
+      ).toBeLessThanOrEqual(maxDistance);
+      expect(properties.altitude).toBeGreaterThanOrEqual(0);
+      expect(properties.altitude).toBeLessThanOrEqual(maxAltitude);
+    });
+  });
+
+  it("moves no faster than the top speed between consecutive frames", () => {
+    // Coordinates are rounded to 6 decimals (about 0.1 m)
+    const maxStep = SIMULATOR_CONFIG.SPEED.MAX + 0.5;
+    frames.slice(1).forEach((frame, index) => {
+      const previous = new Map(
+        frames[index].features.map((feature) => [
+          feature.properties.registration,
+          feature.geometry.coordinates,
+        ])
+      );
+      frame.features.forEach(({ properties, geometry }) => {
+        const from = previous.get(properties.registration);
+        if (!from) return;
+        expect(haversineDistance(from, geometry.coordinates)).toBeLessThan(
+          maxStep
+        );
+      });
+    });
+  });
+
+  it("takes every drone from the ground to cruise altitude and back down", () => {
+    const series = altitudesByDrone();
+    expect(series.size).toBe(SIMULATOR_CONFIG.DRONE_COUNT);
+
+    series.forEach((altitudes) => {
+      const takeoff = altitudes.findIndex(
+        (altitude, index) =>
+          index > 0 && altitudes[index - 1] === 0 && altitude > 0
+      );
+      expect(takeoff).toBeGreaterThan(0);
+
+      const cruise = altitudes.findIndex(
+        (altitude, index) =>
+          index > takeoff &&
+          altitude >=
+            SIMULATOR_CONFIG.CRUISE_ALTITUDE.MIN -
+              SIMULATOR_CONFIG.ALTITUDE_JITTER
+      );
+      expect(cruise).toBeGreaterThan(takeoff);
+
+      const landing = altitudes.indexOf(0, cruise);
+      expect(landing).toBeGreaterThan(cruise);
+    });
+  });
+});
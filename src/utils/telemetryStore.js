@@ -0,0 +1,463 @@
+/**
+ * Telemetry Store
+ *
+ * Design Patterns Used:
+ * 1. Singleton Pattern - One live fleet shared by every page
+ * 2. Observer Pattern - State snapshots published to subscribers
+ * 3. Lifecycle Management Pattern - startTelemetryStore returns its own teardown
+ * 4. Pipeline Pattern - Each validated frame flows through every fleet processor
+ *
+ * Owns the socket subscription and everything derived from the live stream,
+ * so navigating between tabs never loses trails, statistics or alert state.
+ * Started once by Layout. The published state holds:
+ * - drones: drone store snapshot (see droneStore.js)
+ * - stats: drone counts per status (countDronesByStatus), refreshed on every
+ *   frame and whenever a drone's status or link state changes between frames
+ * - activeFlights: in-progress flights from the flight recorder
+ * - activity: sampled active/airborne drone counts for the last hour
+ * - breaches: drones and zones currently in geofence breach
+ * - geofenceAlerts: raised geofence transitions, newest first
+ * - alertedDrones: registration -> highest active alert rule severity
+ * - recordedFrames: frames available for replay
+ *
+ * Components read it through the selector hooks (useDrone, useDroneList,
+ * useFleetStats, useTelemetryStore) and only re-render when their slice changes.
+ *
+ * Frames are narrowed to the drones the signed-in user may see (see
+ * permissions.js) before anything else receives them, and the fleet is
+ * cleared when the session ends so the next user starts empty. Switching the
+ * telemetry source (server or simulator) also starts over, so drones of the
+ * two sources never mix on the map or in recordings.
+ */
+
+import {
+  CONNECTION_STATUS,
+  getConnectionState,
+  subscribeToConnection,
+  subscribeToTelemetry,
+} from "./socket";
+import { getAuthState, getAuthToken } from "./auth";
+import { filterTelemetryFrame } from "./permissions";
+import { validateTelemetryFrame } from "./telemetryValidation";
+import { createDroneStore } from "./droneStore";
+import { createTelemetryBuffer } from "./telemetryBuffer";
+import { getLinkThresholds } from "./linkThresholds";
+import {
+  DRONE_STATES,
+  countDronesByStatus,
+  getDroneStatus,
+  getLinkState,
+} from "./droneStatus";
+import { createFlightRecorder, RECORDER_CONFIG } from "./flightRecorder";
+import { addFlight } from "./flightHistory";
+import { createFleetEventDetector } from "./fleetEvents";
+import { getGeofences } from "./geofences";
+import {
+  GEOFENCE_EVENTS,
+  createGeofenceMonitor,
+  describeGeofenceEvent,
+} from "./geofenceMonitor";
+import { ALERT_EVENTS, createAlertEngine } from "./alertEngine";
+import {
+  ALERT_RULE_META,
+  describeAlertRule,
+  getAlertRules,
+} from "./alertRules";
+import {
+  NOTIFICATION_SEVERITIES,
+  NOTIFICATION_TYPES,
+  pushNotification,
+} from "./notifications";
+import { formatDateTime } from "./format";
+import { translate } from "./i18n";
+
+// Store configuration
+export const TELEMETRY_STORE_CONFIG = {
+  ACTIVITY_SAMPLE_INTERVAL: 15 * 1000,
+  ACTIVITY_WINDOW: 60 * 60 * 1000,
+  // Statuses, link states and rules such as "no update for N s" need
+  // re-evaluating between frames too; a tick only publishes what changed
+  STATUS_INTERVAL: 1000,
+  MAX_GEOFENCE_ALERTS: 50,
+};
+
+// Geofence transitions worth a notification (exits and clears stay toasts)
+const NOTIFIED_GEOFENCE_EVENTS = new Set([
+  GEOFENCE_EVENTS.ENTER,
+  GEOFENCE_EVENTS.CEILING_BREACH,
+]);
+
+// Pattern: Repository Pattern - Bounded, registration-keyed drone history
+const droneStore = createDroneStore();
+// Pattern: Event Sourcing Pattern - Recorded frames feed replay mode
+const telemetryBuffer = createTelemetryBuffer();
+let state = {
+  drones: droneStore.getSnapshot(),
+  stats: countDronesByStatus([]),
+  activeFlights: [],
+  activity: [],
+  breaches: { drones: new Set(), zones: new Set() },
+  geofenceAlerts: [],
+  alertedDrones: new Map(),
+  recordedFrames: 0,
+};
+const listeners = new Set();
+
+/**
+ * Publishes a state change
+ * @param {Object} patch - Changed state slices
+ */
+const commit = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Pilot and organization line for drone notifications
+ * @param {Object} properties - Drone feature properties
+ * @returns {string} Details (empty when unknown)
+ */
+const describeDrone = ({ pilot, organization }) =>
+  [pilot, organization].filter(Boolean).join(" · ");
+
+/**
+ * Summarizes the derived status and link state of every drone
+ * @param {Array} drones - Drone snapshot
+ * @param {number} now - Evaluation time
+ * @returns {string} Key that changes whenever any drone's status or link does
+ */
+const describeStatuses = (drones, now) =>
+  drones
+    .map(
+      (drone) =>
+        `${drone.properties.registration}:${
+          getDroneStatus(drone, now).state
+        }:${getLinkState(drone, now).state}`
+    )
+    .join("|");
+
+/**
+ * Records the current active and airborne drone counts
+ * Pattern: Sliding Window Pattern - Samples older than the window are dropped
+ * @param {number} now - Sample time
+ */
+const sampleActivity = (now) => {
+  const counts = countDronesByStatus(state.drones, now);
+  const cutoff = now - TELEMETRY_STORE_CONFIG.ACTIVITY_WINDOW;
+  commit({
+    activity: [
+      ...state.activity.filter((sample) => sample.time >= cutoff),
+      {
+        time: now,
+        active: counts.total - counts[DRONE_STATES.LOST_LINK],
+        airborne: counts[DRONE_STATES.AIRBORNE],
+      },
+    ],
+  });
+};
+
+/**
+ * Forgets the fleet and everything derived from it
+ */
+const resetFleet = () => {
+  telemetryBuffer.clear();
+  commit({
+    drones: droneStore.clear(),
+    stats: countDronesByStatus([]),
+    activity: [],
+    breaches: { drones: new Set(), zones: new Set() },
+    geofenceAlerts: [],
+    alertedDrones: new Map(),
+    recordedFrames: 0,
+  });
+};
+
+/**
+ * Connects the store to the telemetry stream
+ * Pattern: Lifecycle Management - Call once (Layout); the returned function
+ * unsubscribes, stops the timers and closes in-progress flights
+ * @returns {Function} Teardown function
+ */
+export const startTelemetryStore = () => {
+  // Pattern: Observer Pattern - Completed flights go to the persisted history
+  const flightRecorder = createFlightRecorder({ onFlightCompleted: addFlight });
+  // Pattern: Observer Pattern - New and silent drones become notifications
+  const fleetEvents = createFleetEventDetector({
+    onAppeared: ({ properties }, time) =>
+      pushNotification({
+        type: NOTIFICATION_TYPES.DRONE_APPEARED,
+        title: translate("notifications.droneAppeared", {
+          registration: properties.registration,
+        }),
+        message: describeDrone(properties),
+        registration: properties.registration,
+        time,
+      }),
+    onLostLink: (registration, properties, lastSeen) =>
+      pushNotification({
+        type: NOTIFICATION_TYPES.DRONE_LOST_LINK,
+        title: translate("notifications.droneLostLink", { registration }),
+        message: translate("notifications.lastSeen", {
+          time: formatDateTime(lastSeen),
+        }),
+        severity: NOTIFICATION_SEVERITIES.WARNING,
+        registration,
+      }),
+  });
+  // Pattern: Observer Pattern - Zone transitions become alerts
+  const geofenceMonitor = createGeofenceMonitor({
+    onEvent: (event) => {
+      commit({
+        geofenceAlerts: [
+          {
+            ...event,
+            id: `${event.type}-${event.registration}-${event.zoneId}-${event.time}`,
+            receivedAt: Date.now(),
+          },
+          ...state.geofenceAlerts,
+        ].slice(0, TELEMETRY_STORE_CONFIG.MAX_GEOFENCE_ALERTS),
+      });
+      if (!NOTIFIED_GEOFENCE_EVENTS.has(event.type)) return;
+      pushNotification({
+        type: NOTIFICATION_TYPES.GEOFENCE,
+        title: describeGeofenceEvent(event),
+        severity: event.severity,
+        registration: event.registration,
+        subject: `${event.zoneId}:${event.registration}`,
+        time: event.time,
+      });
+    },
+  });
+  // Pattern: Strategy Pattern - Operator rules evaluated against the fleet
+  const alertEngine = createAlertEngine({
+    onEvent: ({ type, rule, registration, value, time }) => {
+      if (type !== ALERT_EVENTS.TRIGGERED) return;
+      pushNotification({
+        type: NOTIFICATION_TYPES.ALERT_RULE,
+        title: translate("notifications.alertRule", {
+          registration,
+          rule: rule.name,
+        }),
+        message: translate("notifications.alertRuleDetail", {
+          rule: describeAlertRule(rule),
+          value: ALERT_RULE_META[rule.type].formatValue(value),
+        }),
+        severity: rule.severity,
+        registration,
+        subject: `${rule.id}:${registration}`,
+        time,
+      });
+    },
+  });
+
+  /**
+   * Re-derives time-dependent state (status counts, alert rules)
+   * @param {Array} drones - Current drone snapshot
+   * @param {number} now - Evaluation time
+   * @returns {Object} Changed state slices
+   */
+  const evaluate = (drones, now) => {
+    const patch = { stats: countDronesByStatus(drones, now) };
+    if (alertEngine.evaluate(drones, getAlertRules(), now)) {
+      patch.alertedDrones = alertEngine.getAlertedDrones();
+    }
+    return patch;
+  };
+
+  // Status and link state of every drone at the last evaluation
+  let lastStatusKey = "";
+
+  /**
+   * Re-evaluates the fleet between frames
+   * Pattern: Change Detection - Publishes only when a drone's derived status
+   * or link state moved, or an alert rule changed, so idle ticks cost nothing
+   * @param {number} now - Evaluation time
+   */
+  const tick = (now) => {
+    const drones = state.drones;
+    const statusKey = describeStatuses(drones, now);
+    const statusChanged = statusKey !== lastStatusKey;
+    lastStatusKey = statusKey;
+    const alertsChanged = alertEngine.evaluate(drones, getAlertRules(), now);
+    if (!statusChanged && !alertsChanged) return;
+    const patch = {};
+    if (statusChanged) patch.stats = countDronesByStatus(drones, now);
+    if (alertsChanged) patch.alertedDrones = alertEngine.getAlertedDrones();
+    commit(patch);
+  };
+
+  /**
+   * Socket message handler
+   * Pattern: Quarantine Pattern - Only validated features reach the store
+   * Pattern: Access Control - Only drones the current session's user may see
+   * go further (read per frame, so a changed session applies immediately)
+   * Pattern: Pipeline Pattern - Store, buffer, recorder, detectors, monitors
+   */
+  const handleMessage = (data) => {
+    const frame = filterTelemetryFrame(
+      validateTelemetryFrame(data),
+      getAuthState().user
+    );
+    if (frame.features.length === 0) return;
+    const receivedAt = Date.now();
+    const drones = droneStore.applyFrame(frame, receivedAt);
+    lastStatusKey = describeStatuses(drones, receivedAt);
+    telemetryBuffer.record(frame, receivedAt);
+    flightRecorder.recordFrame(frame, receivedAt);
+    fleetEvents.observe(frame, receivedAt);
+
+    const patch = {
+      drones,
+      activeFlights: flightRecorder.getActiveFlights(),
+      recordedFrames: telemetryBuffer.size,
+      ...evaluate(drones, receivedAt),
+    };
+    if (geofenceMonitor.checkFrame(frame, getGeofences(), receivedAt)) {
+      patch.breaches = {
+        drones: geofenceMonitor.getBreachedDrones(),
+        zones: geofenceMonitor.getBreachedZones(),
+      };
+    }
+    commit(patch);
+  };
+
+  // Publishes only when flights ended or drones were pruned
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    // The sweep only ends flights, so an unchanged count means the same set
+    const flightsBefore = flightRecorder.activeCount;
+    flightRecorder.sweep(now);
+    fleetEvents.sweep(now);
+    // Pattern: Retention Policy Pattern - Long-silent drones leave the fleet
+    const drones = droneStore.removeSilentSince(
+      now - getLinkThresholds().retention
+    );
+    const patch = {};
+    if (flightRecorder.activeCount !== flightsBefore) {
+      patch.activeFlights = flightRecorder.getActiveFlights();
+    }
+    if (drones !== state.drones) {
+      patch.drones = drones;
+      const kept = new Set(
+        drones.map((drone) => drone.properties.registration)
+      );
+      const removed = state.drones
+        .map((drone) => drone.properties.registration)
+        .filter((registration) => !kept.has(registration));
+      fleetEvents.forget(removed);
+      // Removed drones no longer hold their zones in breach
+      if (geofenceMonitor.forget(removed, getGeofences())) {
+        patch.breaches = {
+          drones: geofenceMonitor.getBreachedDrones(),
+          zones: geofenceMonitor.getBreachedZones(),
+        };
+      }
+    }
+    if (Object.keys(patch).length > 0) commit(patch);
+  }, RECORDER_CONFIG.SWEEP_INTERVAL);
+  const statusTimer = setInterval(
+    () => tick(Date.now()),
+    TELEMETRY_STORE_CONFIG.STATUS_INTERVAL
+  );
+  const activityTimer = setInterval(
+    () => sampleActivity(Date.now()),
+    TELEMETRY_STORE_CONFIG.ACTIVITY_SAMPLE_INTERVAL
+  );
+
+  /**
+   * Starts over when frames come from another source: ends the previous
+   * source's flights and forgets its drones, trails and detector state
+   */
+  const resetSource = () => {
+    flightRecorder.finishAll();
+    fleetEvents.reset();
+    geofenceMonitor.reset();
+    alertEngine.reset();
+    lastStatusKey = "";
+    resetFleet();
+    commit({ activeFlights: [] });
+  };
+
+  // Pattern: Observer Pattern - Losing an established stream is notified once
+  let { source: currentSource } = getConnectionState();
+  let wasConnected =
+    getConnectionState().status === CONNECTION_STATUS.CONNECTED;
+  const unsubscribeConnection = subscribeToConnection(() => {
+    const { status, error, source } = getConnectionState();
+    if (source !== currentSource) {
+      if (currentSource !== null) resetSource();
+      currentSource = source;
+    }
+    if (status === CONNECTION_STATUS.CONNECTED) {
+      wasConnected = true;
+      return;
+    }
+    const isDown =
+      status === CONNECTION_STATUS.RECONNECTING ||
+      status === CONNECTION_STATUS.OFFLINE;
+    if (!wasConnected || !isDown) return;
+    wasConnected = false;
+    // Signing out closes the stream on purpose
+    if (!getAuthToken()) return;
+    pushNotification({
+      type: NOTIFICATION_TYPES.CONNECTION,
+      title: translate("notifications.connectionLost"),
+      message: error ?? "",
+      severity: NOTIFICATION_SEVERITIES.CRITICAL,
+    });
+  });
+  const unsubscribe = subscribeToTelemetry(handleMessage);
+  sampleActivity(Date.now());
+
+  return () => {
+    unsubscribe();
+    unsubscribeConnection();
+    clearInterval(sweepTimer);
+    clearInterval(statusTimer);
+    clearInterval(activityTimer);
+    flightRecorder.finishAll();
+    commit({ activeFlights: [] });
+    // The next user must not inherit this session's fleet
+    if (!getAuthToken()) resetFleet();
+  };
+};
+
+/**
+ * Dismisses a raised geofence alert
+ * @param {string} id - Alert id
+ */
+export const dismissGeofenceAlert = (id) => {
+  commit({
+    geofenceAlerts: state.geofenceAlerts.filter((alert) => alert.id !== id),
+  });
+};
+
+/**
+ * Subscribes to store changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTelemetryStore = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current store state; a new object after every change
+ * @returns {Object} Telemetry state (see module description)
+ */
+export const getTelemetryState = () => state;
+
+/**
+ * Looks up a live drone
+ * Unchanged drones keep their identity between frames (see droneStore.js).
+ * @param {string} registration - Drone registration
+ * @returns {Object|null} Drone snapshot entry
+ */
+export const getLiveDrone = (registration) => droneStore.get(registration);
+
+/**
+ * Recorded frames for replay mode
+ * @returns {Array} Buffer entries ({ time, frame }), oldest first
+ */
+export const getRecordedTelemetry = () => telemetryBuffer.getEntries();
@@ -0,0 +1,213 @@
+/**
+ * Telemetry Validation
+ *
+ * Design Patterns Used:
+ * 1. Validator Pattern - Declarative checks for frames and features
+ * 2. Quarantine Pattern - Bad features are kept aside for inspection, not merged
+ * 3. Observer Pattern - Rejection counters published to subscribers (diagnostics panel)
+ * 4. Singleton Pattern - One diagnostics record for the live stream
+ *
+ * Incoming "message" payloads are expected to be GeoJSON FeatureCollections of
+ * Point features carrying drone properties. Malformed frames are rejected whole;
+ * malformed features are dropped individually so one bad drone never stops the
+ * rest of the frame from rendering.
+ */
+
+// Validation configuration
+export const VALIDATION_CONFIG = {
+  QUARANTINE_SIZE: 50,
+  LNG_RANGE: [-180, 180],
+  LAT_RANGE: [-90, 90],
+};
+
+// Rejection reason codes
+export const REJECTION_REASONS = {
+  FRAME_NOT_OBJECT: "frame-not-object",
+  FRAME_NOT_COLLECTION: "frame-not-feature-collection",
+  FRAME_NO_FEATURES: "frame-features-not-array",
+  FEATURE_NOT_OBJECT: "feature-not-object",
+  GEOMETRY_INVALID: "geometry-invalid",
+  COORDINATES_INVALID: "coordinates-invalid",
+  COORDINATES_OUT_OF_RANGE: "coordinates-out-of-range",
+  PROPERTIES_MISSING: "properties-missing",
+  REGISTRATION_MISSING: "registration-missing",
+  ALTITUDE_INVALID: "altitude-invalid",
+  YAW_INVALID: "yaw-invalid",
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const inRange = (value, [min, max]) => value >= min && value <= max;
+
+/**
+ * Validates a single drone feature
+ * Pattern: Validator Pattern - Returns the first failing rule
+ * @param {*} feature - Candidate GeoJSON feature
+ * @returns {string|null} Rejection reason or null when valid
+ */
+export const validateFeature = (feature) => {
+  if (!isObject(feature)) return REJECTION_REASONS.FEATURE_NOT_OBJECT;
+
+  const { geometry, properties } = feature;
+  if (!isObject(geometry) || geometry.type !== "Point") {
+    return REJECTION_REASONS.GEOMETRY_INVALID;
+  }
+
+  const { coordinates } = geometry;
+  if (
+    !Array.isArray(coordinates) ||
+    coordinates.length < 2 ||
+    !isFiniteNumber(coordinates[0]) ||
+    !isFiniteNumber(coordinates[1])
+  ) {
+    return REJECTION_REASONS.COORDINATES_INVALID;
+  }
+  if (
+    !inRange(coordinates[0], VALIDATION_CONFIG.LNG_RANGE) ||
+    !inRange(coordinates[1], VALIDATION_CONFIG.LAT_RANGE)
+  ) {
+    return REJECTION_REASONS.COORDINATES_OUT_OF_RANGE;
+  }
+
+  if (!isObject(properties)) return REJECTION_REASONS.PROPERTIES_MISSING;
+  if (
+    typeof properties.registration !== "string" ||
+    properties.registration.trim() === ""
+  ) {
+    return REJECTION_REASONS.REGISTRATION_MISSING;
+  }
+  if (!isFiniteNumber(properties.altitude)) {
+    return REJECTION_REASONS.ALTITUDE_INVALID;
+  }
+  if (!isFiniteNumber(properties.yaw)) return REJECTION_REASONS.YAW_INVALID;
+
+  return null;
+};
+
+/**
+ * Validates the frame envelope (without inspecting features)
+ * @param {*} frame - Candidate FeatureCollection
+ * @returns {string|null} Rejection reason or null when valid
+ */
+export const validateFrameEnvelope = (frame) => {
+  if (!isObject(frame)) return REJECTION_REASONS.FRAME_NOT_OBJECT;
+  if (frame.type !== "FeatureCollection") {
+    return REJECTION_REASONS.FRAME_NOT_COLLECTION;
+  }
+  if (!Array.isArray(frame.features)) return REJECTION_REASONS.FRAME_NO_FEATURES;
+  return null;
+};
+
+/**
+ * Splits a frame into accepted and rejected features without side effects
+ * @param {*} frame - Candidate FeatureCollection
+ * @returns {{frameError: string|null, features: Array, rejected: Array}} Validation result
+ */
+export const checkTelemetryFrame = (frame) => {
+  const frameError = validateFrameEnvelope(frame);
+  if (frameError) return { frameError, features: [], rejected: [] };
+
+  const features = [];
+  const rejected = [];
+  frame.features.forEach((feature) => {
+    const reason = validateFeature(feature);
+    if (reason) {
+      rejected.push({ reason, feature });
+    } else {
+      features.push(feature);
+    }
+  });
+
+  return { frameError: null, features, rejected };
+};
+
+// Diagnostics state - counters for the live stream
+const createEmptyDiagnostics = () => ({
+  framesReceived: 0,
+  framesRejected: 0,
+  framesPartial: 0,
+  featuresAccepted: 0,
+  featuresRejected: 0,
+  reasons: {},
+  quarantine: [],
+});
+
+let diagnostics = createEmptyDiagnostics();
+const listeners = new Set();
+
+/**
+ * Records a validation result into the diagnostics counters
+ * Pattern: Observer Pattern - Publishes a new snapshot per frame
+ * @param {Object} result - Result from checkTelemetryFrame
+ * @param {*} frame - Original frame (kept when rejected whole)
+ */
+const recordResult = (result, frame) => {
+  const receivedAt = Date.now();
+  const reasons = { ...diagnostics.reasons };
+  const quarantined = [];
+
+  if (result.frameError) {
+    reasons[result.frameError] = (reasons[result.frameError] || 0) + 1;
+    quarantined.push({ receivedAt, reason: result.frameError, payload: frame });
+  }
+  result.rejected.forEach(({ reason, feature }) => {
+    reasons[reason] = (reasons[reason] || 0) + 1;
+    quarantined.push({ receivedAt, reason, payload: feature });
+  });
+
+  diagnostics = {
+    framesReceived: diagnostics.framesReceived + 1,
+    framesRejected: diagnostics.framesRejected + (result.frameError ? 1 : 0),
+    framesPartial:
+      diagnostics.framesPartial + (result.rejected.length > 0 ? 1 : 0),
+    featuresAccepted: diagnostics.featuresAccepted + result.features.length,
+    featuresRejected: diagnostics.featuresRejected + result.rejected.length,
+    reasons,
+    quarantine: [...quarantined.reverse(), ...diagnostics.quarantine].slice(
+      0,
+      VALIDATION_CONFIG.QUARANTINE_SIZE
+    ),
+  };
+
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Validates an incoming frame, records diagnostics and returns a clean collection
+ * Pattern: Quarantine Pattern - Only valid features pass through
+ * @param {*} frame - Raw socket payload
+ * @returns {{type: string, features: Array}} FeatureCollection of valid features
+ */
+export const validateTelemetryFrame = (frame) => {
+  const result = checkTelemetryFrame(frame);
+  recordResult(result, frame);
+  return { type: "FeatureCollection", features: result.features };
+};
+
+/**
+ * Subscribes to diagnostics changes (useSyncExternalStore contract)
+ * @param {Function} listener - Called after every recorded frame
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDiagnostics = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current diagnostics snapshot
+ * @returns {Object} Diagnostics counters and quarantine
+ */
+export const getDiagnostics = () => diagnostics;
+
+/**
+ * Clears all counters and the quarantine
+ */
+export const resetDiagnostics = () => {
+  diagnostics = createEmptyDiagnostics();
+  listeners.forEach((listener) => listener());
+};
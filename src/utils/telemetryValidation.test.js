@@ -0,0 +1,179 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import {
+  REJECTION_REASONS,
+  VALIDATION_CONFIG,
+  checkTelemetryFrame,
+  getDiagnostics,
+  resetDiagnostics,
+  validateTelemetryFrame,
+} from "./telemetryValidation";
+
+const drone = ({
+  coordinates = [35.83, 31.85],
+  type = "Point",
+  ...properties
+} = {}) => ({
+  type: "Feature",
+  properties: { registration: "SD-B01", altitude: 50, yaw: 90, ...properties },
+  geometry: { type, coordinates },
+});
+
+const frame = (...features) => ({ type: "FeatureCollection", features });
+
+const rejectionOf = (feature) => {
+  const { features, rejected } = checkTelemetryFrame(frame(feature));
+  expect(features).toHaveLength(0);
+  return rejected[0].reason;
+};
+
+describe("checkTelemetryFrame", () => {
+  it("accepts well-formed drone features", () => {
+    const result = checkTelemetryFrame(frame(drone(), drone()));
+    expect(result.frameError).toBeNull();
+    expect(result.features).toHaveLength(2);
+    expect(result.rejected).toHaveLength(0);
+  });
+
+  it("rejects frames that are not feature collections", () => {
+    expect(checkTelemetryFrame(null).frameError).toBe(
+      REJECTION_REASONS.FRAME_NOT_OBJECT
+    );
+    expect(checkTelemetryFrame([]).frameError).toBe(
+      REJECTION_REASONS.FRAME_NOT_OBJECT
+    );
+    expect(checkTelemetryFrame({ type: "Feature" }).frameError).toBe(
+      REJECTION_REASONS.FRAME_NOT_COLLECTION
+    );
+    expect(
+      checkTelemetryFrame({ type: "FeatureCollection", features: {} })
+        .frameError
+    ).toBe(REJECTION_REASONS.FRAME_NO_FEATURES);
+  });
+
+  it("rejects missing or NaN coordinates", () => {
+    expect(rejectionOf(drone({ coordinates: null }))).toBe(
+      REJECTION_REASONS.COORDINATES_INVALID
+    );
+    expect(rejectionOf(drone({ coordinates: [35.83] }))).toBe(
+      REJECTION_REASONS.COORDINATES_INVALID
+    );
+    expect(rejectionOf(drone({ coordinates: [NaN, 31.85] }))).toBe(
+      REJECTION_REASONS.COORDINATES_INVALID
+    );
+    expect(rejectionOf(drone({ coordinates: ["35.83", 31.85] }))).toBe(
+      REJECTION_REASONS.COORDINATES_INVALID
+    );
+    expect(rejectionOf(drone({ coordinates: [181, 31.85] }))).toBe(
+      REJECTION_REASONS.COORDINATES_OUT_OF_RANGE
+    );
+  });
+
+  it("rejects non-numeric altitude and yaw", () => {
+    expect(rejectionOf(drone({ altitude: "50" }))).toBe(
+      REJECTION_REASONS.ALTITUDE_INVALID
+    );
+    expect(rejectionOf(drone({ altitude: NaN }))).toBe(
+      REJECTION_REASONS.ALTITUDE_INVALID
+    );
+    expect(rejectionOf(drone({ yaw: null }))).toBe(
+      REJECTION_REASONS.YAW_INVALID
+    );
+    expect(rejectionOf(drone({ yaw: Infinity }))).toBe(
+      REJECTION_REASONS.YAW_INVALID
+    );
+  });
+
+  it("rejects wrong geometry types and missing properties", () => {
+    expect(rejectionOf(drone({ type: "LineString" }))).toBe(
+      REJECTION_REASONS.GEOMETRY_INVALID
+    );
+    expect(rejectionOf({ type: "Feature", properties: {} })).toBe(
+      REJECTION_REASONS.GEOMETRY_INVALID
+    );
+    expect(rejectionOf("drone")).toBe(REJECTION_REASONS.FEATURE_NOT_OBJECT);
+    expect(rejectionOf({ ...drone(), properties: null })).toBe(
+      REJECTION_REASONS.PROPERTIES_MISSING
+    );
+    expect(rejectionOf(drone({ registration: " " }))).toBe(
+      REJECTION_REASONS.REGISTRATION_MISSING
+    );
+  });
+
+  it("keeps valid features of a partly malformed frame", () => {
+    const result = checkTelemetryFrame(
+      frame(
+        drone(),
+        drone({ altitude: "high" }),
+        drone({ registration: "SD-B02" })
+      )
+    );
+    expect(result.features.map((f) => f.properties.registration)).toEqual([
+      "SD-B01",
+      "SD-B02",
+    ]);
+    expect(result.rejected).toHaveLength(1);
+  });
+});
+
+describe("validateTelemetryFrame diagnostics", () => {
+  beforeEach(() => resetDiagnostics());
+
+  it("counts frames, features and rejection reasons", () => {
+    validateTelemetryFrame(frame(drone(), drone({ yaw: "north" })));
+    validateTelemetryFrame(frame(drone()));
+    validateTelemetryFrame("not a frame");
+
+    const diagnostics = getDiagnostics();
+    expect(diagnostics).toMatchObject({
+      framesReceived: 3,
+      framesRejected: 1,
+      framesPartial: 1,
+      featuresAccepted: 2,
+      featuresRejected: 1,
+      reasons: {
+        [REJECTION_REASONS.YAW_INVALID]: 1,
+        [REJECTION_REASONS.FRAME_NOT_OBJECT]: 1,
+      },
+    });
+    // Newest first
+    expect(diagnostics.quarantine.map((entry) => entry.reason)).toEqual([
+      REJECTION_REASONS.FRAME_NOT_OBJECT,
+      REJECTION_REASONS.YAW_INVALID,
+    ]);
+  });
+
+  it("returns only the valid features", () => {
+    const clean = validateTelemetryFrame(
+      frame(drone(), drone({ coordinates: [null, null] }))
+    );
+    expect(clean).toEqual({
+      type: "FeatureCollection",
+      features: [drone()],
+    });
+  });
+
+  it("caps the quarantine at its configured size", () => {
+    const bad = Array.from({ length: 30 }, (_, index) =>
+      drone({ registration: `SD-B${index}`, altitude: "x" })
+    );
+    validateTelemetryFrame(frame(...bad));
+    validateTelemetryFrame(frame(...bad));
+
+    const { quarantine, featuresRejected } = getDiagnostics();
+    expect(VALIDATION_CONFIG.QUARANTINE_SIZE).toBe(50);
+    expect(featuresRejected).toBe(60);
+    expect(quarantine).toHaveLength(VALIDATION_CONFIG.QUARANTINE_SIZE);
+    // The second frame's features are the newest entries
+    expect(quarantine[0].payload.properties.registration).toBe("SD-B29");
+  });
+
+  it("clears counters and the quarantine on reset", () => {
+    validateTelemetryFrame(frame(drone({ altitude: "x" })));
+    resetDiagnostics();
+    expect(getDiagnostics()).toMatchObject({
+      framesReceived: 0,
+      featuresRejected: 0,
+      quarantine: [],
+    });
+  });
+});
@@ -0,0 +1,693 @@
+/**
+ * Track Import/Export Formats
+ *
+ * Design Patterns Used:
+ * 1. Strategy Pattern - One serializer/parser pair per file format
+ * 2. Adapter Pattern - Drone store records and replay frames <-> neutral tracks
+ * 3. Registry Pattern - TRACK_FORMATS maps format ids to their strategies
+ *
+ * The neutral "track" model used by every format:
+ *   { registration, properties, points: [{ coordinates: [lng, lat], altitude, yaw, time }] }
+ * where time is epoch milliseconds and yaw the reported heading (null when
+ * unknown). Tracks can be turned back into timestamped
+ * FeatureCollection frames for static display or replay.
+ */
+
+import { bearing } from "./geo";
+import { checkTelemetryFrame } from "./telemetryValidation";
+
+// Descriptive properties carried in CSV columns and XML metadata
+const DETAIL_FIELDS = ["Name", "serial", "pilot", "organization"];
+
+const CSV_COLUMNS = [
+  "registration",
+  ...DETAIL_FIELDS,
+  "time",
+  "longitude",
+  "latitude",
+  "altitude",
+  "yaw",
+];
+
+const KML_NAMESPACE = "http://www.opengis.net/kml/2.2";
+const GX_NAMESPACE = "http://www.google.com/kml/ext/2.2";
+const GPX_NAMESPACE = "http://www.topografix.com/GPX/1/1";
+const SAGER_NAMESPACE = "urn:sager:telemetry";
+
+// Spacing used when an imported file has no timestamps
+const SYNTHETIC_INTERVAL = 1000;
+
+/* ------------------------------------------------------------------ */
+/* Shared helpers                                                      */
+/* ------------------------------------------------------------------ */
+
+const toIso = (time) => new Date(time).toISOString();
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+const toNumber = (value) => {
+  const number = typeof value === "number" ? value : Number.parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Parses an XML document, throwing on parser errors
+ * @param {string} text - XML source
+ * @returns {Document} Parsed document
+ */
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("File is not valid XML");
+  }
+  return doc;
+};
+
+/**
+ * Direct children of an element with a given local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local tag name
+ * @returns {Array<Element>} Matching children
+ */
+const childrenByName = (element, name) =>
+  Array.from(element.children).filter((child) => child.localName === name);
+
+/**
+ * Descendants of an element with a given local name (namespace agnostic)
+ * @param {Element|Document} element - Root element
+ * @param {string} name - Local tag name
+ * @returns {Array<Element>} Matching descendants
+ */
+const descendantsByName = (element, name) =>
+  Array.from(element.getElementsByTagName("*")).filter(
+    (child) => child.localName === name
+  );
+
+const textOf = (element) => element?.textContent.trim() ?? "";
+
+/**
+ * Fills in missing timestamps at a fixed interval after the last known one
+ * @param {Array} points - Track points, some without time
+ * @returns {Array} Points with time on every entry
+ */
+const ensureTimes = (points) => {
+  let last = null;
+  const base = Date.now();
+  return points.map((point, index) => {
+    const time =
+      point.time ??
+      (last !== null
+        ? last + SYNTHETIC_INTERVAL
+        : base + index * SYNTHETIC_INTERVAL);
+    last = time;
+    return { ...point, time };
+  });
+};
+
+/* ------------------------------------------------------------------ */
+/* Adapters                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Converts a drone store record into a neutral track
+ * Pattern: Adapter Pattern - Parallel store arrays -> point objects
+ * @param {Object} drone - Drone data object
+ * @returns {Object} Track
+ */
+export const droneToTrack = (drone) => ({
+  registration: drone.properties.registration,
+  properties: { ...drone.properties },
+  points: drone.positions.map((coordinates, index) => ({
+    coordinates,
+    altitude: drone.altitudes?.[index] ?? drone.properties.altitude ?? null,
+    yaw: drone.yaws?.[index] ?? null,
+    time: drone.timestamps?.[index] ?? null,
+  })),
+});
+
+/**
+ * Converts tracks into time-ordered telemetry frames for the replay engine
+ * Pattern: Adapter Pattern - Tracks -> telemetry buffer entries
+ * @param {Array} tracks - Neutral tracks
+ * @returns {Array} Entries ({ time, frame }) sorted by time
+ */
+export const tracksToEntries = (tracks) => {
+  const frames = new Map();
+
+  tracks.forEach((track) => {
+    const storedYaw = toNumber(track.properties.yaw) ?? 0;
+    track.points.forEach((point, index) => {
+      // Without a recorded heading, face along the track; the stored yaw
+      // only covers single points
+      const next = track.points[index + 1];
+      const previous = track.points[index - 1];
+      const heading = hasValue(point.yaw)
+        ? point.yaw
+        : next
+        ? bearing(point.coordinates, next.coordinates)
+        : previous
+        ? bearing(previous.coordinates, point.coordinates)
+        : storedYaw;
+
+      const feature = {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: point.coordinates },
+        properties: {
+          ...track.properties,
+          registration: track.registration,
+          altitude: point.altitude ?? toNumber(track.properties.altitude) ?? 0,
+          yaw: heading,
+        },
+      };
+
+      if (!frames.has(point.time)) frames.set(point.time, []);
+      frames.get(point.time).push(feature);
+    });
+  });
+
+  return Array.from(frames.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([time, features]) => ({
+      time,
+      frame: {
+        type: "FeatureCollection",
+        features: checkTelemetryFrame({ type: "FeatureCollection", features })
+          .features,
+      },
+    }))
+    .filter((entry) => entry.frame.features.length > 0);
+};
+
+/* ------------------------------------------------------------------ */
+/* GeoJSON                                                             */
+/* ------------------------------------------------------------------ */
+
+const geoJsonFormat = {
+  label: "GeoJSON",
+  extension: "geojson",
+  mimeType: "application/geo+json",
+
+  /**
+   * One LineString (or Point) feature per track with 3D coordinates, coordTimes
+   * and coordYaws (per-point heading, null when unknown)
+   * @param {Array} tracks - Neutral tracks
+   * @returns {string} GeoJSON text
+   */
+  serialize: (tracks) =>
+    JSON.stringify(
+      {
+        type: "FeatureCollection",
+        features: tracks.map((track) => {
+          const coordinates = track.points.map((point) =>
+            hasValue(point.altitude)
+              ? [...point.coordinates, point.altitude]
+              : point.coordinates
+          );
+          return {
+            type: "Feature",
+            properties: {
+              ...track.properties,
+              registration: track.registration,
+              coordTimes: track.points.map((point) => toIso(point.time)),
+              coordYaws: track.points.map((point) => point.yaw ?? null),
+            },
+            geometry:
+              coordinates.length === 1
+                ? { type: "Point", coordinates: coordinates[0] }
+                : { type: "LineString", coordinates },
+          };
+        }),
+      },
+      null,
+      2
+    ),
+
+  /**
+   * @param {string} text - GeoJSON text
+   * @returns {Array} Neutral tracks
+   */
+  parse: (text) => {
+    const data = JSON.parse(text);
+    const features =
+      data?.type === "FeatureCollection"
+        ? data.features
+        : data?.type === "Feature"
+        ? [data]
+        : null;
+    if (!isObject(data) || !Array.isArray(features)) {
+      throw new Error("GeoJSON must be a Feature or a FeatureCollection");
+    }
+
+    return features
+      .filter((feature) =>
+        ["LineString", "Point", "MultiPoint"].includes(feature?.geometry?.type)
+      )
+      .map((feature, featureIndex) => {
+        const { coordTimes, coordYaws, ...properties } =
+          feature.properties ?? {};
+        const coordinates =
+          feature.geometry.type === "Point"
+            ? [feature.geometry.coordinates]
+            : feature.geometry.coordinates;
+
+        return {
+          registration:
+            properties.registration ?? `IMPORTED-${featureIndex + 1}`,
+          properties,
+          points: ensureTimes(
+            coordinates.map(([lng, lat, altitude], index) => ({
+              coordinates: [lng, lat],
+              altitude: toNumber(altitude) ?? toNumber(properties.altitude),
+              yaw: toNumber(coordYaws?.[index]),
+              time: coordTimes?.[index] ? Date.parse(coordTimes[index]) : null,
+            }))
+          ),
+        };
+      });
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* CSV                                                                 */
+/* ------------------------------------------------------------------ */
+
+const escapeCsv = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value !== ""));
+};
+
+const csvFormat = {
+  label: "CSV",
+  extension: "csv",
+  mimeType: "text/csv",
+
+  /**
+   * One row per track point, each with its own heading
+   * @param {Array} tracks - Neutral tracks
+   * @returns {string} CSV text
+   */
+  serialize: (tracks) => {
+    const rows = tracks.flatMap((track) =>
+      track.points.map((point) =>
+        [
+          track.registration,
+          ...DETAIL_FIELDS.map((field) => track.properties[field]),
+          toIso(point.time),
+          point.coordinates[0],
+          point.coordinates[1],
+          point.altitude,
+          point.yaw ?? track.properties.yaw,
+        ]
+          .map(escapeCsv)
+          .join(",")
+      )
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n");
+  },
+
+  /**
+   * @param {string} text - CSV text
+   * @returns {Array} Neutral tracks
+   */
+  parse: (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+    const column = Object.fromEntries(
+      header.map((name, index) => [name.trim(), index])
+    );
+    if (column.longitude === undefined || column.latitude === undefined) {
+      throw new Error("CSV needs longitude and latitude columns");
+    }
+
+    const tracks = new Map();
+    rows.forEach((fields, rowIndex) => {
+      const value = (name) =>
+        column[name] !== undefined ? fields[column[name]] : undefined;
+      const registration = value("registration") || `IMPORTED-${rowIndex + 1}`;
+      const lng = toNumber(value("longitude"));
+      const lat = toNumber(value("latitude"));
+      if (lng === null || lat === null) return;
+
+      if (!tracks.has(registration)) {
+        const properties = { registration };
+        DETAIL_FIELDS.forEach((field) => {
+          if (value(field)) properties[field] = value(field);
+        });
+        const yaw = toNumber(value("yaw"));
+        if (yaw !== null) properties.yaw = yaw;
+        tracks.set(registration, { registration, properties, points: [] });
+      }
+
+      const time = Date.parse(value("time"));
+      tracks.get(registration).points.push({
+        coordinates: [lng, lat],
+        altitude: toNumber(value("altitude")),
+        yaw: toNumber(value("yaw")),
+        time: Number.isFinite(time) ? time : null,
+      });
+    });
+
+    return Array.from(tracks.values()).map((track) => ({
+      ...track,
+      points: ensureTimes(track.points),
+    }));
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* KML                                                                 */
+/* ------------------------------------------------------------------ */
+
+const kmlFormat = {
+  label: "KML",
+  extension: "kml",
+  mimeType: "application/vnd.google-earth.kml+xml",
+
+  /**
+   * One Placemark with a gx:Track per drone; headings go in gx:angles when
+   * every point has one (the element is all-or-nothing per track)
+   * @param {Array} tracks - Neutral tracks
+   * @returns {string} KML text
+   */
+  serialize: (tracks) => {
+    const placemarks = tracks.map((track) => {
+      const data = Object.entries(track.properties)
+        .filter(([, value]) => value !== null && typeof value !== "object")
+        .map(
+          ([name, value]) =>
+            `        <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`
+        )
+        .join("\n");
+      const whens = track.points
+        .map((point) => `        <when>${toIso(point.time)}</when>`)
+        .join("\n");
+      const coords = track.points
+        .map(
+          (point) =>
+            `        <gx:coord>${point.coordinates[0]} ${point.coordinates[1]} ${
+              point.altitude ?? 0
+            }</gx:coord>`
+        )
+        .join("\n");
+      const angles = track.points.every((point) => hasValue(point.yaw))
+        ? track.points
+            .map((point) => `        <gx:angles>${point.yaw} 0 0</gx:angles>`)
+            .join("\n")
+        : "";
+
+      return `    <Placemark>
+      <name>${escapeXml(track.registration)}</name>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <gx:Track>
+        <altitudeMode>relativeToGround</altitudeMode>
+${whens}
+${coords}${angles ? `\n${angles}` : ""}
+      </gx:Track>
+    </Placemark>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}" xmlns:gx="${GX_NAMESPACE}">
+  <Document>
+    <name>Sager telemetry export</name>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+  },
+
+  /**
+   * Reads gx:Track placemarks, falling back to LineString coordinates
+   * @param {string} text - KML text
+   * @returns {Array} Neutral tracks
+   */
+  parse: (text) => {
+    const doc = parseXml(text);
+
+    return descendantsByName(doc, "Placemark")
+      .map((placemark, index) => {
+        const properties = {};
+        descendantsByName(placemark, "Data").forEach((data) => {
+          properties[data.getAttribute("name")] = textOf(
+            childrenByName(data, "value")[0]
+          );
+        });
+        const registration =
+          properties.registration ||
+          textOf(childrenByName(placemark, "name")[0]) ||
+          `IMPORTED-${index + 1}`;
+
+        const track = descendantsByName(placemark, "Track")[0];
+        let points;
+        if (track) {
+          const whens = childrenByName(track, "when").map((when) =>
+            Date.parse(textOf(when))
+          );
+          const headings = childrenByName(track, "angles").map((angles) =>
+            toNumber(textOf(angles).split(/\s+/)[0])
+          );
+          points = childrenByName(track, "coord").map((coord, pointIndex) => {
+            const [lng, lat, altitude] = textOf(coord).split(/\s+/).map(Number);
+            return {
+              coordinates: [lng, lat],
+              altitude: Number.isFinite(altitude) ? altitude : null,
+              yaw: headings[pointIndex] ?? null,
+              time: Number.isFinite(whens[pointIndex]) ? whens[pointIndex] : null,
+            };
+          });
+        } else {
+          const line = descendantsByName(placemark, "coordinates")[0];
+          points = textOf(line)
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((tuple) => {
+              const [lng, lat, altitude] = tuple.split(",").map(Number);
+              return {
+                coordinates: [lng, lat],
+                altitude: Number.isFinite(altitude) ? altitude : null,
+                yaw: null,
+                time: null,
+              };
+            });
+        }
+
+        const yaw = toNumber(properties.yaw);
+        return {
+          registration,
+          properties: {
+            ...properties,
+            registration,
+            ...(yaw !== null ? { yaw } : {}),
+          },
+          points: ensureTimes(points),
+        };
+      })
+      .filter((track) => track.points.length > 0);
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* GPX                                                                 */
+/* ------------------------------------------------------------------ */
+
+const gpxFormat = {
+  label: "GPX",
+  extension: "gpx",
+  mimeType: "application/gpx+xml",
+
+  /**
+   * One trk per drone; properties and per-point headings kept in sager
+   * extension elements
+   * @param {Array} tracks - Neutral tracks
+   * @returns {string} GPX text
+   */
+  serialize: (tracks) => {
+    const trks = tracks.map((track) => {
+      const properties = Object.entries(track.properties)
+        .filter(([, value]) => value !== null && typeof value !== "object")
+        .map(
+          ([name, value]) =>
+            `        <sager:property name="${escapeXml(name)}">${escapeXml(value)}</sager:property>`
+        )
+        .join("\n");
+      const points = track.points
+        .map(
+          (point) => `      <trkpt lat="${point.coordinates[1]}" lon="${point.coordinates[0]}">${
+            hasValue(point.altitude) ? `<ele>${point.altitude}</ele>` : ""
+          }<time>${toIso(point.time)}</time>${
+            hasValue(point.yaw)
+              ? `<extensions><sager:yaw>${point.yaw}</sager:yaw></extensions>`
+              : ""
+          }</trkpt>`
+        )
+        .join("\n");
+
+      return `  <trk>
+    <name>${escapeXml(track.registration)}</name>
+    <extensions>
+      <sager:properties>
+${properties}
+      </sager:properties>
+    </extensions>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Sager" xmlns="${GPX_NAMESPACE}" xmlns:sager="${SAGER_NAMESPACE}">
+${trks.join("\n")}
+</gpx>
+`;
+  },
+
+  /**
+   * @param {string} text - GPX text
+   * @returns {Array} Neutral tracks
+   */
+  parse: (text) => {
+    const doc = parseXml(text);
+
+    return descendantsByName(doc, "trk")
+      .map((trk, index) => {
+        const properties = {};
+        descendantsByName(trk, "property").forEach((property) => {
+          properties[property.getAttribute("name")] = textOf(property);
+        });
+        const registration =
+          properties.registration ||
+          textOf(childrenByName(trk, "name")[0]) ||
+          `IMPORTED-${index + 1}`;
+
+        const points = descendantsByName(trk, "trkpt").map((trkpt) => {
+          const time = Date.parse(textOf(childrenByName(trkpt, "time")[0]));
+          return {
+            coordinates: [
+              Number(trkpt.getAttribute("lon")),
+              Number(trkpt.getAttribute("lat")),
+            ],
+            altitude: toNumber(textOf(childrenByName(trkpt, "ele")[0])),
+            yaw: toNumber(textOf(descendantsByName(trkpt, "yaw")[0])),
+            time: Number.isFinite(time) ? time : null,
+          };
+        });
+
+        const yaw = toNumber(properties.yaw);
+        return {
+          registration,
+          properties: {
+            ...properties,
+            registration,
+            ...(yaw !== null ? { yaw } : {}),
+          },
+          points: ensureTimes(points),
+        };
+      })
+      .filter((track) => track.points.length > 0);
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/* Registry                                                            */
+/* ------------------------------------------------------------------ */
+
+// Pattern: Registry Pattern - Format id -> strategy
+export const TRACK_FORMATS = {
+  geojson: geoJsonFormat,
+  csv: csvFormat,
+  kml: kmlFormat,
+  gpx: gpxFormat,
+};
+
+/**
+ * Serializes tracks in the requested format
+ * @param {Array} tracks - Neutral tracks
+ * @param {string} format - Key of TRACK_FORMATS
+ * @returns {string} File contents
+ */
+export const serializeTracks = (tracks, format) => {
+  const strategy = TRACK_FORMATS[format];
+  if (!strategy) throw new Error(`Unsupported export format: ${format}`);
+  return strategy.serialize(tracks);
+};
+
+/**
+ * Detects a format from a file name
+ * @param {string} fileName - File name with extension
+ * @returns {string|null} Key of TRACK_FORMATS
+ */
+export const detectTrackFormat = (fileName) => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (extension === "json") return "geojson";
+  return TRACK_FORMATS[extension] ? extension : null;
+};
+
+/**
+ * Parses file contents into tracks
+ * @param {string} text - File contents
+ * @param {string} format - Key of TRACK_FORMATS
+ * @returns {Array} Neutral tracks
+ */
+export const parseTracks = (text, format) => {
+  const strategy = TRACK_FORMATS[format];
+  if (!strategy) throw new Error(`Unsupported import format: ${format}`);
+  return strategy.parse(text);
+};
@@ -0,0 +1,144 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { createDroneStore } from "./droneStore";
+import {
+  TRACK_FORMATS,
+  droneToTrack,
+  parseTracks,
+  serializeTracks,
+  tracksToEntries,
+} from "./trackFormats";
+
+const START = Date.parse("2025-01-01T10:00:00.000Z");
+
+const track = (registration, details, headings) => ({
+  registration,
+  properties: { registration, ...details, yaw: headings.at(-1) },
+  points: headings.map((yaw, index) => ({
+    coordinates: [35.83 + index * 0.001, 31.85 + index * 0.0005],
+    altitude: 40 + index * 2.5,
+    yaw,
+    time: START + index * 1000,
+  })),
+});
+
+const TRACKS = [
+  track(
+    "SD-B01",
+    {
+      Name: "DJI Mavic 3",
+      serial: "SG-00A1",
+      pilot: "Lina Saleh",
+      organization: "Sager Drone",
+    },
+    [10, 45, 90]
+  ),
+  track(
+    "SD-C02",
+    {
+      Name: "Skydio X10",
+      serial: "SG-00B2",
+      pilot: 'Omar "Ace" Haddad, Jr.',
+      organization: "Civil Aviation",
+    },
+    [270, 275]
+  ),
+];
+
+const DETAIL_FIELDS = ["Name", "serial", "pilot", "organization"];
+
+describe.each(Object.keys(TRACK_FORMATS))("%s round trip", (format) => {
+  const parsed = parseTracks(serializeTracks(TRACKS, format), format);
+
+  it("keeps every track and its details", () => {
+    expect(parsed.map((item) => item.registration)).toEqual([
+      "SD-B01",
+      "SD-C02",
+    ]);
+    parsed.forEach((item, index) => {
+      DETAIL_FIELDS.forEach((field) => {
+        expect(item.properties[field]).toBe(TRACKS[index].properties[field]);
+      });
+    });
+  });
+
+  it("keeps position, altitude, heading and time of every point", () => {
+    parsed.forEach((item, index) => {
+      expect(item.points).toEqual(TRACKS[index].points);
+    });
+  });
+});
+
+describe("parseTracks", () => {
+  it("rejects GeoJSON without a Feature or FeatureCollection root", () => {
+    expect(() => parseTracks("null", "geojson")).toThrow(
+      "GeoJSON must be a Feature or a FeatureCollection"
+    );
+    expect(() => parseTracks("[]", "geojson")).toThrow(/GeoJSON must be/);
+    expect(() =>
+      parseTracks('{"type":"FeatureCollection","features":{}}', "geojson")
+    ).toThrow(/GeoJSON must be/);
+  });
+
+  it("rejects unknown formats and CSV without coordinates", () => {
+    expect(() => parseTracks("", "shp")).toThrow(/Unsupported import format/);
+    expect(() => parseTracks("registration,time\nSD-B01,x", "csv")).toThrow(
+      /longitude and latitude/
+    );
+  });
+});
+
+describe("droneToTrack", () => {
+  it("exports the heading reported at each position", () => {
+    const store = createDroneStore();
+    [0, 30, 60].forEach((yaw, index) => {
+      store.applyFrame(
+        {
+          type: "FeatureCollection",
+          features: [
+            {
+              type: "Feature",
+              properties: { registration: "SD-B01", altitude: 50, yaw },
+              geometry: {
+                type: "Point",
+                coordinates: [35.83 + index * 0.01, 31.85],
+              },
+            },
+          ],
+        },
+        START + index * 1000
+      );
+    });
+
+    const csv = serializeTracks([droneToTrack(store.get("SD-B01"))], "csv");
+    const [imported] = parseTracks(csv, "csv");
+    expect(imported.points.map((point) => point.yaw)).toEqual([0, 30, 60]);
+  });
+});
+
+describe("tracksToEntries", () => {
+  it("replays recorded headings and fills in missing ones from the track", () => {
+    const [recorded] = TRACKS;
+    const unrecorded = {
+      ...recorded,
+      registration: "SD-B09",
+      properties: { ...recorded.properties, registration: "SD-B09" },
+      points: recorded.points.map((point) => ({ ...point, yaw: null })),
+    };
+
+    const entries = tracksToEntries([recorded, unrecorded]);
+    expect(entries).toHaveLength(3);
+    const yawsOf = (registration) =>
+      entries.map(
+        ({ frame }) =>
+          frame.features.find(
+            (feature) => feature.properties.registration === registration
+          ).properties.yaw
+      );
+    expect(yawsOf("SD-B01")).toEqual([10, 45, 90]);
+    yawsOf("SD-B09").forEach((yaw) => {
+      expect(yaw).toBeGreaterThan(0);
+      expect(yaw).toBeLessThan(90);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Watchlist Store
+ *
+ * Design Patterns Used:
+ * 1. Repository Pattern - Watched registrations persisted in localStorage
+ * 2. Observer Pattern - Watchlist published to subscribers
+ *
+ * Drones the operator wants to keep an eye on across sessions. Watched drones
+ * are marked in the drone list and can be filtered on; registrations stay on
+ * the list while the drone is offline.
+ */
+
+// Watchlist configuration
+export const WATCHLIST_CONFIG = {
+  STORAGE_KEY: "sager.watchlist",
+};
+
+/**
+ * Reads the persisted watchlist
+ * @returns {Set<string>} Watched registrations
+ */
+const readStoredWatchlist = () => {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(WATCHLIST_CONFIG.STORAGE_KEY)
+    );
+    return new Set(
+      Array.isArray(stored)
+        ? stored.filter((item) => typeof item === "string")
+        : []
+    );
+  } catch {
+    return new Set();
+  }
+};
+
+let watchlist = readStoredWatchlist();
+const listeners = new Set();
+
+/**
+ * Publishes and persists the watchlist
+ * @param {Set<string>} next - New watchlist
+ */
+const commit = (next) => {
+  watchlist = next;
+  try {
+    window.localStorage.setItem(
+      WATCHLIST_CONFIG.STORAGE_KEY,
+      JSON.stringify(Array.from(watchlist))
+    );
+  } catch {
+    // Storage unavailable (private mode) - the watchlist lasts this session only
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Adds drones to the watchlist
+ * @param {Array<string>} registrations - Registrations to watch
+ */
+export const addToWatchlist = (registrations) => {
+  if (registrations.every((registration) => watchlist.has(registration))) {
+    return;
+  }
+  commit(new Set([...watchlist, ...registrations]));
+};
+
+/**
+ * Removes drones from the watchlist
+ * @param {Array<string>} registrations - Registrations to stop watching
+ */
+export const removeFromWatchlist = (registrations) => {
+  if (!registrations.some((registration) => watchlist.has(registration))) {
+    return;
+  }
+  const next = new Set(watchlist);
+  registrations.forEach((registration) => next.delete(registration));
+  commit(next);
+};
+
+/**
+ * Subscribes to watchlist changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToWatchlist = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current watchlist; a new Set after every change
+ * @returns {Set<string>} Watched registrations
+ */
+export const getWatchlist = () => watchlist;
@@ -1,8 +1,24 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import tailwindcss from "@tailwindcss/vite";
 import react from "@vitejs/plugin-react";
+import { authMock } from "./mock/authMock";
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, ".", "");
+  const sessionSeconds = Number(env.AUTH_MOCK_SESSION_SECONDS) || undefined;
+
+  return {
+    plugins: [
+      react(),
+      tailwindcss(),
+      // Local sign-in until a real auth endpoint is configured
+      !env.VITE_AUTH_URL && authMock({ sessionSeconds }),
+    ],
+    // Unit tests sit next to the modules they cover (npm test)
+    test: {
+      include: ["src/**/*.test.js"],
+      environment: "node",
+    },
+  };
 });